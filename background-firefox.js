@@ -1,14 +1,210 @@
 // Firefox Background Script for DeepWeb Extension
 // Uses browser namespace and Manifest V2 compatible APIs
 
+import {
+  APIClient,
+  CustomEndpointProvider,
+  LoggingInterceptor,
+  CacheInterceptor
+} from './src/api/index.js';
+import { ConfigManager, ConfigMigrator, getConfig } from './src/config/index.js';
+import { ContentEncryption } from './src/security/ContentEncryption.js';
+import { StoredAPIKeys } from './src/security/StoredAPIKeys.js';
+import PdfWriter from './src/utils/PdfWriter.js';
+import { convertToVault } from './src/utils/markdownVault.js';
+import {
+  parseImportFile,
+  isDuplicateConversation,
+  selectNewMessages,
+  getLastMessageTime
+} from './src/utils/importFormats.js';
+import { HistoryPacker } from './src/intelligence/context/HistoryPacker.js';
+import { PAGE_TOOL_DEFINITIONS, ToolRunner } from './src/intelligence/tools/index.js';
+import {
+  StructuredOutput,
+  buildSchemaPrompt
+} from './src/intelligence/templates/StructuredOutput.js';
+import { UsageLedger } from './src/storage/usage/index.js';
+import { addMessageVersion, selectMessageVersion } from './src/storage/messages/versions.js';
+import {
+  normalizeTags,
+  createFolder,
+  updateFolder,
+  removeFolder
+} from './src/storage/conversations/organization.js';
+import { createSmartFilter } from './src/storage/conversations/smartFilters.js';
+import {
+  createTrashEntry,
+  isExpired,
+  selectCleanupCandidates,
+  buildCleanupPreview,
+  summarizeEntry
+} from './src/storage/trash/retention.js';
+import {
+  extractCards,
+  reviewCard,
+  selectDueCards,
+  buildAnkiDeck
+} from './src/storage/flashcards/index.js';
+import {
+  SETTINGS_KEYS,
+  createSnapshot,
+  summarizeSnapshot,
+  isBackupDue,
+  selectExpiredBackups,
+  toImportData,
+  encodeSnapshot,
+  decodeSnapshot
+} from './src/storage/backups/index.js';
+import { ResponseCache } from './src/storage/cache/index.js';
+import { SearchIndex, buildSnippet } from './src/storage/search/index.js';
+import {
+  SemanticIndex,
+  LocalEmbedder,
+  ProviderEmbedder
+} from './src/storage/embeddings/index.js';
+import { countTokens, TokenizerRegistry } from './src/tokenizer/index.js';
+
 console.log('[DeepWeb Background] Starting Firefox version...');
 
+// Logging and response caching for every request that goes through APIClient
+// Responses are also persisted so they survive the background page unloading,
+// unless conversations are encrypted (see applyContentEncryption)
+const responseCache = new ResponseCache();
+const loggingInterceptor = new LoggingInterceptor({
+  enabled: true,
+  logLevel: 'info',
+  maskSensitive: true
+});
+const cacheInterceptor = new CacheInterceptor({
+  enabled: getConfig('cache.enabled', true),
+  ttl: 300000, // 5 minutes in memory, longer in the persistent store
+  maxSize: 50
+});
+
+APIClient.addRequestInterceptor(loggingInterceptor.request.bind(loggingInterceptor));
+APIClient.addResponseInterceptor({
+  response: loggingInterceptor.response.bind(loggingInterceptor),
+  onStream: loggingInterceptor.onStream.bind(loggingInterceptor),
+  onError: loggingInterceptor.onError.bind(loggingInterceptor)
+});
+APIClient.addRequestInterceptor(cacheInterceptor.request.bind(cacheInterceptor));
+APIClient.addResponseInterceptor({
+  response: cacheInterceptor.response.bind(cacheInterceptor),
+  onStream: cacheInterceptor.onStream.bind(cacheInterceptor),
+  onError: cacheInterceptor.onError.bind(cacheInterceptor)
+});
+
+// API keys as the settings popup saves them
+const storedApiKeys = new StoredAPIKeys();
+
+// Message and conversation vectors for related conversations
+// Keyword vectors are used until stored config and keys show which embedder to use
+const semanticIndex = new SemanticIndex({ embedder: new LocalEmbedder() });
+
+// Offline keyword vectors unless the user chose a provider in the popup, since
+// a provider is sent every saved message and the pages related conversations
+// are looked up for. One without a usable API key falls back to keywords too.
+async function createEmbedder() {
+  const provider = getConfig('embeddings.provider', 'local');
+  if (provider === 'local' || !await canEmbedWith(provider)) {
+    return new LocalEmbedder();
+  }
+
+  return new ProviderEmbedder({
+    client: APIClient,
+    provider,
+    model: getConfig('embeddings.model'),
+    getApiKey: name => storedApiKeys.get(name)
+  });
+}
+
+// Whether a provider is registered and has the API key it needs
+async function canEmbedWith(provider) {
+  try {
+    return APIClient.validateApiKey(await storedApiKeys.get(provider), provider);
+  } catch (error) {
+    // A custom endpoint that was never connected is not registered
+    return false;
+  }
+}
+
+// Vectors from another embedder are rebuilt here rather than in a request
+async function updateEmbedder() {
+  semanticIndex.embedder = await createEmbedder();
+  refreshSemanticIndex().catch(error => {
+    console.error('[DeepWeb Background] Semantic index rebuild failed:', error);
+  });
+}
+
+// A key saved in the popup can make the embeddings provider usable
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && Object.keys(changes).some(key => key.startsWith('encrypted_api_key_'))) {
+    updateEmbedder().catch(error => {
+      console.error('[DeepWeb Background] Embedder update failed:', error);
+    });
+  }
+});
+
+// Re-register a saved self-hosted endpoint once stored config is loaded
+ConfigManager.initialize().then(() => {
+  const customConfig = getConfig('api.providers.custom');
+  if (customConfig?.baseUrl) {
+    APIClient.addProvider('custom', new CustomEndpointProvider(customConfig));
+  }
+  // Vocabularies are only downloaded once the user turns it on
+  TokenizerRegistry.setAutoload(getConfig('tokenizer.autoload', false));
+  // The embeddings provider may have been changed from the default
+  return updateEmbedder();
+}).catch(error => {
+  console.error('[DeepWeb Background] Restoring stored settings failed:', error);
+});
+
+// Packs conversation history into each model's context window
+const historyPacker = new HistoryPacker();
+
+// Persistent record of tokens and spend, checked against the budgets
+const usageLedger = new UsageLedger();
+
+// Full-text index over the messages of every conversation
+const searchIndex = new SearchIndex();
+
+// Optional at-rest encryption of conversation titles, summaries and message bodies
+const contentEncryption = new ContentEncryption();
+
+// Converts stored content when encryption is turned on or off
+const configMigrator = new ConfigMigrator();
+
+// While content is encrypted the search index stores keyed hashes instead of
+// words, and answers are only cached in memory: the persistent response cache
+// would keep them in the clear, so it is emptied. Embeddings have no key, so
+// the semantic index is cleared and rebuilt once encryption is off again
+function applyContentEncryption() {
+  searchIndex.hashTerm = contentEncryption.enabled ?
+    term => contentEncryption.hashTerm(term) :
+    null;
+
+  cacheInterceptor.setStore(contentEncryption.enabled ? null : responseCache);
+  if (contentEncryption.enabled) {
+    responseCache.clear().catch(error => {
+      console.error('[DeepWeb Background] Clearing the response cache failed:', error);
+    });
+    semanticIndex.clear().catch(error => {
+      console.error('[DeepWeb Background] Clearing the semantic index failed:', error);
+    });
+  } else {
+    refreshSemanticIndex().catch(error => {
+      console.error('[DeepWeb Background] Semantic index rebuild failed:', error);
+    });
+  }
+}
+
+contentEncryption.initialize().then(applyContentEncryption).catch(error => {
+  console.error('[DeepWeb Background] Content encryption setup failed:', error);
+});
+
 // Load configuration
 const CONFIG = {
-  api: {
-    endpoint: 'https://api.deepseek.com/v1/chat/completions',
-    timeout: 30000
-  },
   rateLimit: {
     minInterval: 10000 // 10 seconds
   },
@@ -76,16 +272,54 @@ const rateLimiter = {
   }
 };
 
-// Validation functions
-function validateApiKey(key) {
-  if (!key || typeof key !== 'string') return false;
-  const trimmed = key.trim();
-  // DeepSeek API keys are typically 51 characters starting with 'sk-'
-  return trimmed.length >= 20 && 
-         trimmed.length <= 200 &&
-         /^sk-[a-zA-Z0-9]+$/.test(trimmed);
-}
+// Most models a compare request may stream side by side
+const MAX_COMPARE_MODELS = 3;
+
+// Conversation organization kept on import when the data has it, as backups do
+const RESTORED_FIELDS = [
+  'folderId',
+  'parentConversationId',
+  'forkedFromMessageId',
+  'archived',
+  'totalCost'
+];
+
+// Tag, folder and smart filter requests, handled apart from other conversation requests
+const ORGANIZATION_REQUESTS = new Set([
+  'conversation_set_tags',
+  'conversation_move_to_folder',
+  'conversation_folders_get',
+  'conversation_folder_create',
+  'conversation_folder_update',
+  'conversation_folder_delete',
+  'conversation_filters_get',
+  'conversation_filter_save',
+  'conversation_filter_delete'
+]);
+
+// Checked hourly; the configured schedule decides whether a backup is made
+const BACKUP_ALARM = 'deepweb-backup';
 
+// Embedders semantic search can use: offline keyword vectors or an endpoint
+const EMBEDDING_PROVIDERS = ['local', 'openai', 'custom'];
+
+// Expired trash entries and old usage records are deleted at startup and daily
+const CLEANUP_ALARM = 'deepweb-cleanup';
+
+// Added to the system prompt when the model can read the page through tools
+const PAGE_TOOLS_PROMPT = '\n\nYou can read the current page with tools: open a section by ' +
+  'heading, search its text, list its links, read a table or see the user\'s selection. ' +
+  'Use them when the question needs page details you do not have.';
+
+// Display names used in API key errors
+const PROVIDER_NAMES = {
+  deepseek: 'DeepSeek',
+  openai: 'OpenAI',
+  anthropic: 'Anthropic',
+  custom: 'custom endpoint'
+};
+
+// Validation functions
 function sanitizeMessage(message) {
   if (!message || typeof message !== 'string') return '';
   // Remove any potential script tags or HTML
@@ -93,14 +327,24 @@ function sanitizeMessage(message) {
 }
 
 // Simple conversation storage using browser.storage
+// Titles and message bodies are encrypted on save and decrypted on load when a
+// passphrase is set, so everything else here works with plain text
 const conversationStorage = {
   async getAllConversations() {
     const data = await browser.storage.local.get('conversations');
-    return data.conversations || [];
+    await contentEncryption.initialize();
+    return Promise.all(
+      (data.conversations || []).map(c => contentEncryption.decryptConversation(c))
+    );
   },
   
   async saveConversations(conversations) {
-    await browser.storage.local.set({ conversations });
+    await contentEncryption.initialize();
+    await browser.storage.local.set({
+      conversations: await Promise.all(
+        conversations.map(c => contentEncryption.encryptConversation(c))
+      )
+    });
   },
   
   async getCurrentConversationId() {
@@ -114,11 +358,141 @@ const conversationStorage = {
   
   async getMessages(conversationId) {
     const data = await browser.storage.local.get(`messages_${conversationId}`);
-    return data[`messages_${conversationId}`] || [];
+    await contentEncryption.initialize();
+    return Promise.all(
+      (data[`messages_${conversationId}`] || []).map(m => contentEncryption.decryptMessage(m))
+    );
   },
   
   async saveMessages(conversationId, messages) {
-    await browser.storage.local.set({ [`messages_${conversationId}`]: messages });
+    await contentEncryption.initialize();
+    await browser.storage.local.set({
+      [`messages_${conversationId}`]: await Promise.all(
+        messages.map(m => contentEncryption.encryptMessage(m))
+      )
+    });
+    // Index in the background; a failed update is retried on the next save
+    searchIndex.sync(conversationId, messages).catch(() => {});
+    if (semanticSearchEnabled()) {
+      semanticIndex.sync(conversationId, messages).catch(() => {});
+    }
+  },
+
+  async getAllMessages() {
+    const conversations = await this.getAllConversations();
+    const messages = [];
+    for (const conversation of conversations) {
+      const stored = await this.getMessages(conversation.id);
+      messages.push(...stored.map(m => ({ conversationId: conversation.id, ...m })));
+    }
+    return messages;
+  },
+
+  async getFolders() {
+    const data = await browser.storage.local.get('conversationFolders');
+    return data.conversationFolders || [];
+  },
+
+  async saveFolders(folders) {
+    await browser.storage.local.set({ conversationFolders: folders });
+  },
+
+  async getSmartFilters() {
+    const data = await browser.storage.local.get('smartFilters');
+    return data.smartFilters || [];
+  },
+
+  async saveSmartFilters(filters) {
+    await browser.storage.local.set({ smartFilters: filters });
+  },
+
+  // Review schedules by card ID; they hold no message content to encrypt
+  async getFlashcardReviews() {
+    const data = await browser.storage.local.get('flashcardReviews');
+    return data.flashcardReviews || {};
+  },
+
+  async saveFlashcardReviews(reviews) {
+    await browser.storage.local.set({ flashcardReviews: reviews });
+  },
+
+  async getTrash() {
+    const data = await browser.storage.local.get('trash');
+    await contentEncryption.initialize();
+    return Promise.all((data.trash || []).map(entry => convertTrashEntry(entry, false)));
+  },
+
+  async saveTrash(entries) {
+    await contentEncryption.initialize();
+    await browser.storage.local.set({
+      trash: await Promise.all(entries.map(entry => convertTrashEntry(entry, true)))
+    });
+  },
+
+  async addToTrash(data) {
+    const entry = createTrashEntry(data, {
+      retentionDays: getConfig('storage.trash.retentionDays', 30)
+    });
+    await this.saveTrash([...(await this.getTrash()), entry]);
+    return entry;
+  },
+
+  // Move a conversation and its messages to the trash
+  async trashConversation(conversationId) {
+    const conversations = await this.getAllConversations();
+    const conversation = conversations.find(c => c.id === conversationId);
+    let entry = null;
+    if (conversation) {
+      entry = await this.addToTrash({
+        kind: 'conversation',
+        conversation,
+        messages: await this.getMessages(conversationId)
+      });
+    }
+    await this.saveConversations(conversations.filter(c => c.id !== conversationId));
+    await browser.storage.local.remove(`messages_${conversationId}`);
+    searchIndex.removeConversation(conversationId).catch(() => {});
+    semanticIndex.removeConversation(conversationId).catch(() => {});
+    return entry;
+  },
+
+  async restoreFromTrash(trashId) {
+    const entries = await this.getTrash();
+    const entry = entries.find(e => e.id === trashId);
+    if (!entry) {
+      throw new Error('Trash entry not found');
+    }
+
+    const conversations = await this.getAllConversations();
+    if (entry.kind === 'conversation') {
+      await this.saveConversations([
+        entry.conversation,
+        ...conversations.filter(c => c.id !== entry.conversationId)
+      ]);
+    } else if (!conversations.some(c => c.id === entry.conversationId)) {
+      throw new Error('Restore the conversation these messages belong to first');
+    }
+
+    // Restored messages go back to their place in the thread
+    const restoredIds = new Set(entry.messages.map(m => m.id));
+    const existing = await this.getMessages(entry.conversationId);
+    const merged = [...existing.filter(m => !restoredIds.has(m.id)), ...entry.messages]
+      .sort((a, b) => (Date.parse(a.timestamp) || 0) - (Date.parse(b.timestamp) || 0));
+    await this.saveMessages(entry.conversationId, merged);
+
+    await this.saveTrash(entries.filter(e => e.id !== trashId));
+    return entry;
+  },
+
+  async updateConversation(conversationId, updates) {
+    const conversations = await this.getAllConversations();
+    const index = conversations.findIndex(c => c.id === conversationId);
+    if (index === -1) {
+      return null;
+    }
+    conversations[index] = { ...conversations[index], ...updates };
+    await this.saveConversations(conversations);
+    return conversations[index];
   },
   
   generateId() {
@@ -130,6 +504,38 @@ const conversationStorage = {
   }
 };
 
+// Trash entries hold copies of conversations and messages, and a label taken from them
+function convertTrashEntry(entry, encrypt) {
+  return encrypt ?
+    contentEncryption.encryptTrashEntry(entry) :
+    contentEncryption.decryptTrashEntry(entry);
+}
+
+function getCleanupSettings() {
+  return {
+    maxAge: getConfig('storage.autoCleanup.maxAge', 2592000000),
+    maxConversations: getConfig('storage.autoCleanup.maxConversations', 1000)
+  };
+}
+
+// Expired trash entries, and usage records older than `budget.retentionDays`
+async function runDailyCleanup() {
+  await purgeExpiredTrash();
+  const retentionDays = getConfig('budget.retentionDays', 400);
+  await usageLedger.prune(Date.now() - (retentionDays * 86400000));
+}
+
+// Delete trash entries past their retention period. Works on the stored
+// entries, whose expiry is never encrypted, so it also runs while locked.
+async function purgeExpiredTrash() {
+  const { trash = [] } = await browser.storage.local.get('trash');
+  const kept = trash.filter(entry => !isExpired(entry));
+  if (kept.length < trash.length) {
+    await browser.storage.local.set({ trash: kept });
+  }
+  return trash.length - kept.length;
+}
+
 // Handle messages from content script
 browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('[DeepWeb Background] Received message:', request.type);
@@ -145,6 +551,28 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
   
+  // Tags, folders and smart filters share the conversation_ prefix
+  if (ORGANIZATION_REQUESTS.has(request.type)) {
+    handleOrganizationRequest(request).then(response => {
+      sendResponse(response);
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
+  // Trash and auto-cleanup
+  if (request.type.startsWith('trash_') || request.type.startsWith('cleanup_')) {
+    handleTrashRequest(request).then(response => {
+      sendResponse(response);
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
   // Conversation management handlers
   if (request.type.startsWith('conversation_') || 
       request.type.startsWith('message') ||
@@ -178,6 +606,19 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }).catch(error => {
       sendResponse({ error: error.message });
     });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'check_import_duplicates') {
+    conversationStorage.getAllConversations().then(existing => {
+      const duplicateIds = (request.conversations || [])
+        .filter(conv => existing.some(stored => isDuplicateConversation(stored, conv)))
+        .map(conv => conv.id);
+      sendResponse({ duplicates: duplicateIds.length, duplicateIds });
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
     
     return true; // Keep channel open for async response
   }
@@ -193,6 +634,86 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
     sendResponse({ progress });
     return false;
   }
+
+  if (request.type === 'configure_custom_endpoint') {
+    handleCustomEndpointRequest(request).then(response => {
+      sendResponse(response);
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type.startsWith('tokenizer_')) {
+    handleTokenizerRequest(request).then(response => {
+      sendResponse(response);
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type.startsWith('embeddings_')) {
+    handleEmbeddingsRequest(request).then(response => {
+      sendResponse(response);
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type.startsWith('fallback_')) {
+    handleFallbackRequest(request).then(response => {
+      sendResponse(response);
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type.startsWith('usage_')) {
+    handleUsageRequest(request).then(response => {
+      sendResponse(response);
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type.startsWith('flashcards_')) {
+    handleFlashcardRequest(request).then(response => {
+      sendResponse(response);
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type.startsWith('backup_')) {
+    handleBackupRequest(request).then(response => {
+      sendResponse(response);
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type.startsWith('encryption_')) {
+    handleEncryptionRequest(request).then(response => {
+      sendResponse(response);
+    }).catch(error => {
+      sendResponse({ error: error.message });
+    });
+
+    return true; // Keep channel open for async response
+  }
   
   return false;
 });
@@ -205,9 +726,13 @@ browser.runtime.onConnect.addListener((port) => {
   
   if (port.name === 'streaming') {
     port.onMessage.addListener(async (message) => {
-      if (message.type === 'start_stream') {
+      if (message.type === 'start_stream' || message.type === 'start_compare') {
         try {
-          await handleStreamingRequest(port, message);
+          if (message.type === 'start_compare') {
+            await handleCompareRequest(port, message);
+          } else {
+            await handleStreamingRequest(port, message);
+          }
         } catch (error) {
           port.postMessage({
             type: 'error',
@@ -258,35 +783,27 @@ async function handleStorageRequest(request) {
         return { conversation: convs.find(c => c.id === currentId) };
         
       case 'conversation_create':
-        const newConv = {
-          id: conversationStorage.generateId(),
-          title: request.data.title || 'New Chat',
-          model: request.data.model || 'deepseek-chat',
-          createdAt: new Date().toISOString(),
-          lastMessageAt: new Date().toISOString(),
-          totalCost: 0
-        };
-        const existingConvs = await conversationStorage.getAllConversations();
-        await conversationStorage.saveConversations([newConv, ...existingConvs]);
-        await conversationStorage.setCurrentConversationId(newConv.id);
-        return { conversation: newConv };
+        return await createConversation(request.data);
+
+      case 'conversation_fork':
+        return await forkConversation(request);
         
-      case 'conversation_update':
-        const convsToUpdate = await conversationStorage.getAllConversations();
-        const index = convsToUpdate.findIndex(c => c.id === request.conversationId);
-        if (index !== -1) {
-          convsToUpdate[index] = { ...convsToUpdate[index], ...request.updates };
-          await conversationStorage.saveConversations(convsToUpdate);
-        }
-        return { conversation: convsToUpdate[index] };
+      case 'conversation_update': {
+        const updated = await conversationStorage.updateConversation(
+          request.conversationId,
+          request.updates
+        );
+        return { conversation: updated };
+      }
         
-      case 'conversation_delete':
-        const convsToFilter = await conversationStorage.getAllConversations();
-        const filtered = convsToFilter.filter(c => c.id !== request.conversationId);
-        await conversationStorage.saveConversations(filtered);
-        // Also delete messages
-        await browser.storage.local.remove(`messages_${request.conversationId}`);
-        return { success: true };
+      // Deleted conversations go to the trash with their messages
+      case 'conversation_delete': {
+        const trashed = await conversationStorage.trashConversation(request.conversationId);
+        return { success: true, trashId: trashed?.id || null };
+      }
+
+      case 'conversation_find_related':
+        return await findRelatedConversations(request);
         
       case 'conversation_set_current':
         await conversationStorage.setCurrentConversationId(request.conversationId);
@@ -328,33 +845,40 @@ async function handleStorageRequest(request) {
           return { success: true, message: messagesForUpdate[messageIndex] };
         }
         return { success: false, error: 'Message not found' };
+
+      // Pin or unpin a message so it stays in the packed history
+      case 'message_toggle_pin':
+        return await updateStoredMessage(request, message => ({
+          ...message,
+          state: { ...message.state, pinned: !message.state?.pinned }
+        }));
+
+      // Keep a regenerated answer or edited prompt as a new version
+      case 'message_add_version':
+        return await updateStoredMessage(request, message =>
+          addMessageVersion(message, request.version));
+
+      case 'message_select_version':
+        return await updateStoredMessage(request, message =>
+          selectMessageVersion(message, request.index));
         
       // Delete a message
       case 'delete_message':
         const messagesForDelete = await conversationStorage.getMessages(request.conversationId);
         const filteredMessages = messagesForDelete.filter(m => m.id !== request.messageId);
         if (filteredMessages.length !== messagesForDelete.length) {
+          const trashedMessage = await conversationStorage.addToTrash({
+            kind: 'messages',
+            conversationId: request.conversationId,
+            messages: messagesForDelete.filter(m => m.id === request.messageId)
+          });
           await conversationStorage.saveMessages(request.conversationId, filteredMessages);
-          return { success: true };
+          return { success: true, trashId: trashedMessage.id };
         }
         return { success: false, error: 'Message not found' };
         
-      // Search messages within a conversation
       case 'search_messages':
-        const messagesForSearch = await conversationStorage.getMessages(request.conversationId);
-        const searchQuery = (request.query || '').toLowerCase().trim();
-        
-        if (!searchQuery) {
-          return { messages: messagesForSearch };
-        }
-        
-        const searchResults = messagesForSearch.filter(message => {
-          const contentMatch = message.content.toLowerCase().includes(searchQuery);
-          const roleMatch = message.role.toLowerCase().includes(searchQuery);
-          return contentMatch || roleMatch;
-        });
-        
-        return { messages: searchResults };
+        return await searchMessages(request);
         
       // Get message statistics for a conversation
       case 'get_message_stats':
@@ -392,52 +916,342 @@ async function handleStorageRequest(request) {
   }
 }
 
-async function handleExportRequest(request) {
-  try {
-    console.log('[DeepWeb Background] Processing export request...');
-    
-    const exportId = `export_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const options = request.options || {};
-    
-    // Set initial progress
-    exportManager.setProgress(exportId, {
-      status: 'preparing',
-      progress: 0,
-      total: 0
-    });
-    
-    // Get conversations based on scope
-    let conversations = [];
-    
-    switch (options.scope) {
-      case 'current':
-        if (!options.conversationId) {
-          throw new Error('Conversation ID required for current export');
-        }
-        const allConvs = await conversationStorage.getAllConversations();
-        const currentConv = allConvs.find(c => c.id === options.conversationId);
-        if (currentConv) {
-          conversations = [currentConv];
-        }
-        break;
-        
-      case 'dateRange':
-        const startDate = new Date(options.startDate).getTime();
-        const endDate = new Date(options.endDate).getTime();
-        const dateRangeConvs = await conversationStorage.getAllConversations();
-        conversations = dateRangeConvs.filter(c => 
-          c.createdAt >= startDate && c.createdAt <= endDate
-        );
-        break;
-        
-      case 'all':
-      default:
-        conversations = await conversationStorage.getAllConversations();
-        break;
-    }
-    
-    exportManager.setProgress(exportId, {
-      status: 'processing',
+// Start a conversation, filed in a folder or linked to the one it was forked from
+async function createConversation(data) {
+  const conversation = {
+    id: conversationStorage.generateId(),
+    title: data.title || 'New Chat',
+    model: data.model || 'deepseek-chat',
+    createdAt: new Date().toISOString(),
+    lastMessageAt: new Date().toISOString(),
+    totalCost: 0,
+    url: data.url || null,
+    tags: normalizeTags(data.tags || []),
+    folderId: data.folderId || null,
+    parentConversationId: data.parentConversationId || null,
+    forkedFromMessageId: data.forkedFromMessageId || null
+  };
+  const existing = await conversationStorage.getAllConversations();
+  await conversationStorage.saveConversations([conversation, ...existing]);
+  await conversationStorage.setCurrentConversationId(conversation.id);
+  return { conversation };
+}
+
+// Copy a conversation up to a message into a new thread linked to its parent
+async function forkConversation(request) {
+  const conversations = await conversationStorage.getAllConversations();
+  const parent = conversations.find(c => c.id === request.conversationId);
+  if (!parent) {
+    return { success: false, error: 'Conversation not found' };
+  }
+  const messages = await conversationStorage.getMessages(request.conversationId);
+  const index = messages.findIndex(m => m.id === request.messageId);
+  if (index === -1) {
+    return { success: false, error: 'Message not found' };
+  }
+
+  const fork = {
+    id: conversationStorage.generateId(),
+    title: `${parent.title} (fork)`,
+    model: parent.model,
+    createdAt: new Date().toISOString(),
+    lastMessageAt: new Date().toISOString(),
+    totalCost: 0,
+    url: parent.url || null,
+    tags: parent.tags || [],
+    folderId: parent.folderId || null,
+    parentConversationId: parent.id,
+    forkedFromMessageId: request.messageId
+  };
+  const forkedMessages = messages.slice(0, index + 1).map(m => ({
+    ...m,
+    id: conversationStorage.generateMessageId(),
+    conversationId: fork.id
+  }));
+  await conversationStorage.saveMessages(fork.id, forkedMessages);
+  await conversationStorage.saveConversations([fork, ...conversations]);
+  await conversationStorage.setCurrentConversationId(fork.id);
+  return { success: true, conversation: fork };
+}
+
+// Related conversations need embeddings on and content stored in the clear
+function semanticSearchEnabled() {
+  return getConfig('embeddings.enabled', true) && !contentEncryption.enabled;
+}
+
+// Embed every stored message when the index is missing or was built by another
+// embedder; saveMessages keeps it current after that
+async function refreshSemanticIndex() {
+  await contentEncryption.initialize();
+  if (semanticSearchEnabled() && await semanticIndex.needsRebuild()) {
+    await semanticIndex.rebuild(await conversationStorage.getAllMessages());
+  }
+}
+
+// Conversations about a text, or about another conversation
+async function findRelatedConversations(request) {
+  if (!semanticSearchEnabled()) {
+    return { conversations: [] };
+  }
+  const related = request.text ?
+    await semanticIndex.findRelated(request.text, request.options) :
+    await semanticIndex.findSimilar(request.conversationId, request.options);
+
+  const byId = new Map(
+    (await conversationStorage.getAllConversations()).map(c => [c.id, c])
+  );
+  return {
+    conversations: related
+      .filter(match => byId.has(match.conversationId))
+      .map(match => ({
+        ...byId.get(match.conversationId),
+        score: match.score,
+        matchedMessageId: match.messageId
+      }))
+  };
+}
+
+// Tags, folders and saved smart filters
+async function handleOrganizationRequest(request) {
+  switch (request.type) {
+    case 'conversation_set_tags': {
+      const tagged = await conversationStorage.updateConversation(
+        request.conversationId,
+        { tags: normalizeTags(request.tags) }
+      );
+      return tagged ?
+        { success: true, conversation: tagged } :
+        { success: false, error: 'Conversation not found' };
+    }
+
+    case 'conversation_move_to_folder': {
+      const targetFolderId = request.folderId || null;
+      const knownFolders = await conversationStorage.getFolders();
+      if (targetFolderId && !knownFolders.some(f => f.id === targetFolderId)) {
+        return { success: false, error: 'Folder not found' };
+      }
+      const moved = await conversationStorage.updateConversation(
+        request.conversationId,
+        { folderId: targetFolderId }
+      );
+      return moved ?
+        { success: true, conversation: moved } :
+        { success: false, error: 'Conversation not found' };
+    }
+
+    case 'conversation_folders_get':
+      return { folders: await conversationStorage.getFolders() };
+
+    case 'conversation_folder_create': {
+      const currentFolders = await conversationStorage.getFolders();
+      const folder = createFolder(currentFolders, request.data);
+      await conversationStorage.saveFolders([...currentFolders, folder]);
+      return { success: true, folder };
+    }
+
+    case 'conversation_folder_update': {
+      const changedFolders = updateFolder(
+        await conversationStorage.getFolders(),
+        request.folderId,
+        request.updates
+      );
+      await conversationStorage.saveFolders(changedFolders);
+      return { success: true, folder: changedFolders.find(f => f.id === request.folderId) };
+    }
+
+    // Subfolders and conversations of a deleted folder move up to its parent
+    case 'conversation_folder_delete': {
+      const { folders: remainingFolders, parentId } = removeFolder(
+        await conversationStorage.getFolders(),
+        request.folderId
+      );
+      const convsInFolders = await conversationStorage.getAllConversations();
+      await conversationStorage.saveConversations(convsInFolders.map(c =>
+        (c.folderId === request.folderId ? { ...c, folderId: parentId } : c)
+      ));
+      await conversationStorage.saveFolders(remainingFolders);
+      return { success: true };
+    }
+
+    case 'conversation_filters_get':
+      return { filters: await conversationStorage.getSmartFilters() };
+
+    case 'conversation_filter_save': {
+      const smartFilter = createSmartFilter(request.filter);
+      const otherFilters = (await conversationStorage.getSmartFilters())
+        .filter(f => f.id !== smartFilter.id);
+      await conversationStorage.saveSmartFilters([...otherFilters, smartFilter]);
+      return { success: true, filter: smartFilter };
+    }
+
+    case 'conversation_filter_delete': {
+      const keptFilters = (await conversationStorage.getSmartFilters())
+        .filter(f => f.id !== request.filterId);
+      await conversationStorage.saveSmartFilters(keptFilters);
+      return { success: true };
+    }
+
+    default:
+      throw new Error(`Unknown organization request type: ${request.type}`);
+  }
+}
+
+// Trash: deleted conversations and messages, kept until retention ends
+async function handleTrashRequest(request) {
+  switch (request.type) {
+    case 'trash_list': {
+      const trashEntries = await conversationStorage.getTrash();
+      return {
+        entries: trashEntries
+          .map(summarizeEntry)
+          .sort((a, b) => b.deletedAt - a.deletedAt)
+      };
+    }
+
+    case 'trash_restore': {
+      const restored = await conversationStorage.restoreFromTrash(request.trashId);
+      return { success: true, kind: restored.kind, conversationId: restored.conversationId };
+    }
+
+    case 'trash_delete':
+      await conversationStorage.saveTrash(
+        (await conversationStorage.getTrash()).filter(e => e.id !== request.trashId)
+      );
+      return { success: true };
+
+    case 'trash_empty': {
+      const emptied = (await conversationStorage.getTrash()).length;
+      await conversationStorage.saveTrash([]);
+      return { success: true, deleted: emptied };
+    }
+
+    // Auto-cleanup shows what it would do and only runs once confirmed
+    case 'cleanup_preview':
+      return {
+        enabled: getConfig('storage.autoCleanup.enabled', true),
+        ...buildCleanupPreview(
+          await conversationStorage.getAllConversations(),
+          await conversationStorage.getTrash(),
+          getCleanupSettings()
+        )
+      };
+
+    case 'cleanup_run': {
+      const selected = request.conversationIds ? new Set(request.conversationIds) : null;
+      const due = selectCleanupCandidates(
+        await conversationStorage.getAllConversations(),
+        getCleanupSettings()
+      ).map(candidate => candidate.conversation.id)
+        .filter(id => !selected || selected.has(id));
+      for (const dueId of due) {
+        await conversationStorage.trashConversation(dueId);
+      }
+      return {
+        success: true,
+        trashed: due.length,
+        purged: await purgeExpiredTrash()
+      };
+    }
+
+    default:
+      throw new Error(`Unknown trash request type: ${request.type}`);
+  }
+}
+
+// Replace one stored message with what `update` makes of it
+async function updateStoredMessage({ conversationId, messageId }, update) {
+  const messages = await conversationStorage.getMessages(conversationId);
+  const index = messages.findIndex(m => m.id === messageId);
+  if (index === -1) {
+    return { success: false, error: 'Message not found' };
+  }
+  messages[index] = update(messages[index]);
+  await conversationStorage.saveMessages(conversationId, messages);
+  return { success: true, message: messages[index] };
+}
+
+// Full-text search, in one conversation or across all of them
+async function searchMessages(request) {
+  if (await searchIndex.needsRebuild()) {
+    await searchIndex.rebuild(await conversationStorage.getAllMessages());
+  }
+  const { hits, terms } = await searchIndex.search(request.query, {
+    ...request.options,
+    conversationId: request.conversationId || null
+  });
+
+  const titles = new Map(
+    (await conversationStorage.getAllConversations()).map(c => [c.id, c.title])
+  );
+  const loaded = new Map();
+  const searchResults = [];
+  for (const hit of hits) {
+    if (!loaded.has(hit.conversationId)) {
+      const stored = await conversationStorage.getMessages(hit.conversationId);
+      loaded.set(hit.conversationId, stored);
+    }
+    const found = loaded.get(hit.conversationId).find(m => m.id === hit.id);
+    if (found) {
+      searchResults.push({
+        ...found,
+        conversationId: hit.conversationId,
+        conversationTitle: titles.get(hit.conversationId) || null,
+        score: hit.score,
+        snippet: buildSnippet(found.content, terms, {
+          length: getConfig('search.snippetLength', 160)
+        })
+      });
+    }
+  }
+  return { messages: searchResults };
+}
+
+async function handleExportRequest(request) {
+  try {
+    console.log('[DeepWeb Background] Processing export request...');
+    
+    const exportId = `export_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const options = request.options || {};
+    
+    // Set initial progress
+    exportManager.setProgress(exportId, {
+      status: 'preparing',
+      progress: 0,
+      total: 0
+    });
+    
+    // Get conversations based on scope
+    let conversations = [];
+    
+    switch (options.scope) {
+      case 'current':
+        if (!options.conversationId) {
+          throw new Error('Conversation ID required for current export');
+        }
+        const allConvs = await conversationStorage.getAllConversations();
+        const currentConv = allConvs.find(c => c.id === options.conversationId);
+        if (currentConv) {
+          conversations = [currentConv];
+        }
+        break;
+        
+      case 'dateRange':
+        const startDate = new Date(options.startDate).getTime();
+        const endDate = new Date(options.endDate).getTime();
+        const dateRangeConvs = await conversationStorage.getAllConversations();
+        conversations = dateRangeConvs.filter(c => 
+          c.createdAt >= startDate && c.createdAt <= endDate
+        );
+        break;
+        
+      case 'all':
+      default:
+        conversations = await conversationStorage.getAllConversations();
+        break;
+    }
+    
+    exportManager.setProgress(exportId, {
+      status: 'processing',
       progress: 10,
       total: conversations.length
     });
@@ -465,7 +1279,13 @@ async function handleExportRequest(request) {
         title: conv.title,
         createdAt: conv.createdAt,
         updatedAt: conv.updatedAt || conv.createdAt,
-        metadata: options.includeMetadata ? conv.metadata || {} : {},
+        tags: conv.tags || [],
+        parentConversationId: conv.parentConversationId || null,
+        metadata: options.includeMetadata ? {
+          ...conv.metadata,
+          url: options.anonymize && conv.url ? '[ANONYMIZED_URL]' : conv.url,
+          model: conv.model
+        } : {},
         messages: messages.map(msg => ({
           id: msg.id,
           role: msg.role,
@@ -534,6 +1354,31 @@ async function handleExportRequest(request) {
         mimeType = 'text/csv';
         extension = 'csv';
         break;
+
+      case 'pdf':
+        fileData = PdfWriter.fromExport(exportData, options);
+        mimeType = 'application/pdf';
+        extension = 'pdf';
+        break;
+
+      case 'vault':
+        fileData = convertToVault(exportData, {
+          ...options,
+          related: await findRelatedForVault(exportData.conversations)
+        });
+        mimeType = 'application/zip';
+        extension = 'zip';
+        break;
+
+      case 'anki':
+        fileData = buildAnkiDeck(await collectFlashcards(conversations), {
+          deckName: getConfig('flashcards.deckName', 'DeepWeb'),
+          includeSources: !options.anonymize,
+          ...(options.anonymize && { redact: anonymizeContent })
+        });
+        mimeType = 'text/tab-separated-values';
+        extension = 'txt';
+        break;
         
       case 'json':
       default:
@@ -572,12 +1417,48 @@ async function handleExportRequest(request) {
   }
 }
 
+// Stored form of an imported conversation and its messages
+// `overrides` holds the ID and, when merging, the conversation already stored
+function buildImportedConversation(conv, messages, overrides) {
+  const importedMessages = messages.map(msg => ({
+    ...msg,
+    id: msg.id || conversationStorage.generateMessageId(),
+    role: msg.role || 'user',
+    content: msg.content || '',
+    timestamp: msg.timestamp || Date.now(),
+    metadata: msg.metadata || {}
+  }));
+  const lastMessageAt = getLastMessageTime(importedMessages);
+
+  return {
+    conversation: {
+      title: conv.title,
+      createdAt: conv.createdAt || Date.now(),
+      updatedAt: conv.updatedAt || conv.createdAt || Date.now(),
+      model: conv.model || conv.metadata?.model || null,
+      url: conv.url || conv.metadata?.url || null,
+      tags: conv.tags || [],
+      metadata: conv.metadata || {},
+      ...Object.fromEntries(
+        RESTORED_FIELDS.filter(field => field in conv).map(field => [field, conv[field]])
+      ),
+      ...overrides,
+      lastMessageAt: new Date(lastMessageAt || Date.now()).toISOString(),
+      messageCount: importedMessages.length
+    },
+    messages: importedMessages
+  };
+}
+
 async function handleImportRequest(request) {
   try {
     console.log('[DeepWeb Background] Processing import request...');
     
     const importId = `import_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const { data, options = {} } = request;
+    const { options = {} } = request;
+    // The import dialog sends the file as options.content
+    const content = request.data ?? options.content;
+    const duplicateStrategy = options.duplicateStrategy || options.duplicateHandling || 'skip';
     
     // Set initial progress
     importManager.setProgress(importId, {
@@ -590,13 +1471,8 @@ async function handleImportRequest(request) {
       errors: []
     });
     
-    // Parse data
-    let parsedData;
-    try {
-      parsedData = JSON.parse(data);
-    } catch (error) {
-      throw new Error('Invalid JSON format');
-    }
+    // Parse data; exports from other assistants are converted to our schema
+    const { data: parsedData } = parseImportFile(content, options.format || 'auto');
     
     // Extract conversations
     const conversations = parsedData.conversations || 
@@ -614,8 +1490,6 @@ async function handleImportRequest(request) {
     
     // Get existing conversations for duplicate checking
     const existingConversations = await conversationStorage.getAllConversations();
-    const existingIds = new Set(existingConversations.map(c => c.id));
-    const existingTitles = new Map(existingConversations.map(c => [c.title, c]));
     
     let succeeded = 0;
     let failed = 0;
@@ -632,38 +1506,32 @@ async function handleImportRequest(request) {
           throw new Error('Invalid conversation structure');
         }
         
-        // Handle duplicates
+        // Handle duplicates: same ID, or same title created within an hour
+        const duplicate = existingConversations.find(c => isDuplicateConversation(c, conv));
+        const idTaken = existingConversations.some(c => c.id === conv.id);
         let shouldImport = true;
-        let newId = conv.id;
+        let newId = conv.id && !idTaken ? conv.id : conversationStorage.generateId();
+        let importMessages = conv.messages;
+        let base = {};
         
-        if (options.duplicateStrategy === 'skip' && existingIds.has(conv.id)) {
+        if (duplicate && duplicateStrategy === 'skip') {
           shouldImport = false;
           skipped++;
-        } else if (options.duplicateStrategy === 'rename') {
-          if (existingIds.has(conv.id) || existingTitles.has(conv.title)) {
-            conv.title = `${conv.title} (Imported ${new Date().toLocaleDateString()})`;
-            newId = conversationStorage.generateId();
-          }
-        } else if (options.duplicateStrategy === 'replace') {
-          // Will overwrite existing
-          newId = conv.id || conversationStorage.generateId();
-        } else {
-          // Default: generate new ID if duplicate
-          if (existingIds.has(conv.id)) {
-            newId = conversationStorage.generateId();
-          }
+        } else if (duplicate && duplicateStrategy === 'merge') {
+          // Keep the stored conversation and add the messages it does not have yet
+          const stored = await conversationStorage.getMessages(duplicate.id);
+          newId = duplicate.id;
+          importMessages = [...stored, ...selectNewMessages(stored, conv.messages)];
+          base = duplicate;
+        } else if (duplicate && duplicateStrategy === 'replace') {
+          newId = duplicate.id;
+        } else if (duplicate && duplicateStrategy === 'rename') {
+          conv.title = `${conv.title} (Imported ${new Date().toLocaleDateString()})`;
         }
         
         if (shouldImport) {
-          // Create conversation object
-          const importedConv = {
-            id: newId,
-            title: conv.title,
-            createdAt: conv.createdAt || Date.now(),
-            updatedAt: conv.updatedAt || conv.createdAt || Date.now(),
-            metadata: conv.metadata || {},
-            messageCount: conv.messages.length
-          };
+          const { conversation: importedConv, messages: importedMessages } =
+            buildImportedConversation(conv, importMessages, { ...base, id: newId });
           
           // Save conversation
           const allConvs = await conversationStorage.getAllConversations();
@@ -678,16 +1546,9 @@ async function handleImportRequest(request) {
           await conversationStorage.saveConversations(allConvs);
           
           // Import messages
-          const importedMessages = conv.messages.map(msg => ({
-            id: msg.id || conversationStorage.generateMessageId(),
-            role: msg.role || 'user',
-            content: msg.content || '',
-            timestamp: msg.timestamp || Date.now(),
-            metadata: msg.metadata || {}
-          }));
-          
           await conversationStorage.saveMessages(newId, importedMessages);
           
+          existingConversations.push(importedConv);
           succeeded++;
         }
         
@@ -727,6 +1588,7 @@ async function handleImportRequest(request) {
     return {
       success: true,
       importId,
+      imported: succeeded,
       summary: {
         total: conversations.length,
         succeeded,
@@ -743,6 +1605,26 @@ async function handleImportRequest(request) {
 }
 
 // Helper functions for export formatting
+
+// Related conversations to link between vault notes; none when semantic search is off
+async function findRelatedForVault(conversations) {
+  const related = new Map();
+  if (!semanticSearchEnabled()) {
+    return related;
+  }
+
+  try {
+    for (const conv of conversations) {
+      const matches = await semanticIndex.findSimilar(conv.id, { limit: 5 });
+      related.set(conv.id, matches.map(match => match.conversationId));
+    }
+  } catch (error) {
+    // Links are a nicety; export the notes without them
+    console.warn('[DeepWeb Background] Related conversations unavailable:', error);
+  }
+  return related;
+}
+
 function anonymizeContent(content) {
   // Replace email addresses
   content = content.replace(/[\w.-]+@[\w.-]+\.\w+/g, '[EMAIL]');
@@ -875,98 +1757,141 @@ function convertToCSV(data, options) {
   return rows.join('\n');
 }
 
-async function handleChatRequest(request, sender) {
-  try {
-    console.log('[DeepWeb Background] Processing chat request...');
-    
-    // Check rate limit
-    if (!rateLimiter.canMakeRequest()) {
-      const waitTime = rateLimiter.getTimeUntilNextRequest();
-      return { 
-        error: `Rate limit exceeded. Please wait ${waitTime} seconds before making another request.` 
+// Configure a self-hosted OpenAI-compatible endpoint
+// The popup requests the host permission first, since that needs a user gesture
+async function handleCustomEndpointRequest(request) {
+  const { baseUrl, name, apiKey } = request;
+
+  const requiresKey = Boolean(apiKey);
+  const models = await APIClient.addCustomEndpoint({ baseUrl, name, requiresKey }, apiKey);
+
+  await ConfigManager.set('api.providers.custom', {
+    name: name || 'Custom endpoint',
+    baseUrl: CustomEndpointProvider.normalizeBaseUrl(baseUrl),
+    requiresKey,
+    models: Object.fromEntries(models.map(({ id, ...model }) => [id, model]))
+  });
+
+  return { success: true, models };
+}
+
+// Models tried in the user's order once the requested provider keeps failing
+async function handleFallbackRequest(request) {
+  switch (request.type) {
+    case 'fallback_get':
+      return {
+        chain: getConfig('api.fallbackChain', []),
+        models: APIClient.listProviders().flatMap(({ name, models }) => models.map(model => ({
+          id: model.id,
+          name: model.name,
+          provider: PROVIDER_NAMES[name] || name
+        })))
       };
+
+    case 'fallback_set':
+      await ConfigManager.set('api.fallbackChain', [...new Set(request.chain || [])]);
+      return { success: true, chain: getConfig('api.fallbackChain', []) };
+
+    default:
+      throw new Error(`Unknown fallback request type: ${request.type}`);
+  }
+}
+
+async function handleTokenizerRequest(request) {
+  switch (request.type) {
+    case 'tokenizer_get':
+      return { autoload: getConfig('tokenizer.autoload', false) };
+
+    case 'tokenizer_set_autoload': {
+      const autoload = Boolean(request.autoload);
+      await ConfigManager.set('tokenizer.autoload', autoload);
+      TokenizerRegistry.setAutoload(autoload);
+      return { success: true, autoload };
     }
-    
-    // Validate and sanitize request
-    if (!request.message || typeof request.message !== 'string') {
-      return { error: 'Invalid message format' };
-    }
-    
-    const sanitizedMessage = sanitizeMessage(request.message);
-    if (!sanitizedMessage) {
-      return { error: 'Message cannot be empty' };
-    }
-    
-    if (sanitizedMessage.length > CONFIG.content.maxMessageLength) {
-      return { error: `Message too long (max ${CONFIG.content.maxMessageLength} characters)` };
+
+    default:
+      throw new Error(`Unknown tokenizer request type: ${request.type}`);
+  }
+}
+
+// Which embedder semantic search uses; providers are an explicit opt-in
+async function handleEmbeddingsRequest(request) {
+  switch (request.type) {
+    case 'embeddings_get':
+      return { provider: getConfig('embeddings.provider', 'local') };
+
+    case 'embeddings_set_provider': {
+      if (!EMBEDDING_PROVIDERS.includes(request.provider)) {
+        throw new Error(`Unknown embeddings provider: ${request.provider}`);
+      }
+      await ConfigManager.set('embeddings.provider', request.provider);
+      await updateEmbedder();
+      return { success: true, provider: request.provider };
     }
+
+    default:
+      throw new Error(`Unknown embeddings request type: ${request.type}`);
+  }
+}
+
+async function handleChatRequest(request, sender) {
+  try {
+    console.log('[DeepWeb Background] Processing chat request...');
     
-    // Get and validate API key
-    const settings = await browser.storage.sync.get(['apiKeys']);
-    const apiKey = settings.apiKeys?.deepseek;
-    
-    if (!apiKey) {
-      return { 
-        error: 'API key not configured. Please set up your DeepSeek API key in the extension settings.' 
-      };
+    const {
+      error,
+      params,
+      ledger,
+      budgetWarnings,
+      outputSchema
+    } = await prepareChatRequest(request, sender.tab);
+    if (error) {
+      return { error };
     }
     
-    // Validate API key format
-    if (!validateApiKey(apiKey)) {
-      return {
-        error: 'Invalid API key format. Please check your DeepSeek API key.'
-      };
+    console.log('[DeepWeb Background] Using model:', params.model);
+    let response;
+    if (outputSchema) {
+      const structuredOutput = new StructuredOutput({ client: APIClient, schema: outputSchema });
+      response = await structuredOutput.chat(params);
+    } else if (params.tools) {
+      response = await createToolRunner(sender.tab).chat(params);
+    } else {
+      response = await APIClient.chat(params);
     }
-    
-    // Use the selected model
-    const model = request.model || 'deepseek-chat';
-    console.log('[DeepWeb Background] Using model:', model);
-    
-    // Prepare enhanced context from ContextManager
-    const context = {
-      url: request.context?.url || '',
-      title: request.context?.title || '',
-      content: request.context?.pageContent || request.context?.content || '',
-      contentType: request.context?.contentType || 'unknown',
-      relevanceScore: request.context?.relevanceScore || 0,
-      tokenEstimate: request.context?.tokenEstimate || 0,
-      metadata: request.context?.metadata || {},
-      // Enhanced context features
-      memory: request.context?.memory || {},
-      crossPage: request.context?.crossPage || {},
-      contextSummary: request.context?.contextSummary || '',
-      relevantSections: request.context?.relevantSections || []
-    };
-    
-    // Get conversation context if provided
-    const conversationId = request.conversationId;
-    let conversationContext = [];
-    if (conversationId) {
-      const messages = await conversationStorage.getMessages(conversationId);
-      // Include last few messages for context (limit to prevent token overflow)
-      conversationContext = messages.slice(-6).map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
+
+    const content = response.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('Invalid API response format');
     }
     
-    // Make API request with parameters
-    console.log('[DeepWeb Background] Making API request...');
-    const response = await makeAPIRequest({
-      apiKey,
-      message: sanitizedMessage,
-      context,
-      model,
-      conversationContext,
-      parameters: request.parameters || {}
-    });
-    
     console.log('[DeepWeb Background] API response received');
     
+    const model = response.metadata?.model || params.model;
+    if (!response.fromCache) {
+      await recordUsage({
+        ...ledger,
+        model,
+        provider: response.metadata?.provider,
+        usage: response.usage,
+        cost: response.cost
+      });
+    }
+
     return {
       success: true,
-      content: response.content,
-      cost: response.cost || 0
+      content,
+      reasoning: response.choices[0].message.reasoning_content || null,
+      toolCalls: response.toolCalls || [],
+      structured: response.structured || null,
+      structuredErrors: response.structuredErrors || [],
+      cost: response.cost || 0,
+      usage: response.usage,
+      model,
+      provider: response.metadata?.provider,
+      fallbackFrom: response.metadata?.fallbackFrom,
+      fromCache: Boolean(response.fromCache),
+      budgetWarnings
     };
     
   } catch (error) {
@@ -978,350 +1903,829 @@ async function handleChatRequest(request, sender) {
   }
 }
 
-async function makeAPIRequest({ apiKey, message, context, model, conversationContext = [], parameters = {} }) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), CONFIG.api.timeout);
+async function handleStreamingRequest(port, request) {
+  const streamId = `${port.sender.tab.id}_${Date.now()}`;
   
   try {
-    console.log('[DeepWeb Background] Sending to DeepSeek API...');
-    
-    const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: [
-          {
-            role: 'system',
-            content: parameters.systemPrompt || `You are a helpful AI assistant integrated into Firefox. Help users understand and interact with web pages. Provide clear, concise answers.
-Content Type: ${context.contentType || 'unknown'}
-Relevance Score: ${context.relevanceScore || 'N/A'}`
-          },
-          ...conversationContext,
-          {
-            role: 'user',
-            content: conversationContext.length > 0 ? message : context.content ? 
-              `${context.content}
-
-User Question: ${message}` : 
-              `Page URL: ${context.url}
-Page Title: ${context.title}
-
-User Question: ${message}`
-          }
-        ],
-        max_tokens: parameters.maxTokens || 1000,
-        temperature: parameters.temperature !== undefined ? parameters.temperature : 0.7,
-        top_p: parameters.topP !== undefined ? parameters.topP : 0.95,
-        frequency_penalty: parameters.frequencyPenalty || 0,
-        presence_penalty: parameters.presencePenalty || 0,
-        stop: parameters.stopSequences && parameters.stopSequences.length > 0 ? parameters.stopSequences : undefined,
-        stream: false
-      }),
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeout);
+    console.log('[DeepWeb Background] Processing streaming request...');
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('[DeepWeb Background] API error response:', errorText);
-      
-      try {
-        const errorData = JSON.parse(errorText);
-        throw new Error(errorData.error?.message || `API error: ${response.status}`);
-      } catch {
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-      }
+    const { error, params, ledger, budgetWarnings } = await prepareChatRequest(
+      request,
+      port.sender.tab
+    );
+    if (error) {
+      port.postMessage({ type: 'error', error });
+      return;
     }
     
-    const data = await response.json();
-    console.log('[DeepWeb Background] API success');
+    console.log('[DeepWeb Background] Using model:', params.model);
     
-    if (!data.choices?.[0]?.message?.content) {
-      throw new Error('Invalid API response format');
-    }
+    // Cancelling aborts the provider's request, even while it waits for a chunk
+    const controller = new AbortController();
+    activeStreams.set(streamId, controller);
     
-    // Calculate rough cost
-    const tokens = data.usage?.total_tokens || 1000;
-    let costPerToken = 0.00014; // Default DeepSeek Chat pricing
+    port.postMessage({
+      type: 'stream_started',
+      streamId,
+      budgetWarnings
+    });
     
-    if (model === 'deepseek-reasoner') {
-      costPerToken = 0.00055;
+    const streamParams = { ...params, signal: controller.signal };
+    const stream = params.tools ?
+      createToolRunner(port.sender.tab).stream(streamParams) :
+      APIClient.stream(streamParams);
+
+    for await (const chunk of stream) {
+      if (controller.signal.aborted || chunk.type === 'cancelled') {
+        port.postMessage({ type: 'stream_cancelled' });
+        break;
+      }
+      
+      if (chunk.type === 'content') {
+        port.postMessage({
+          type: 'stream_content',
+          content: chunk.content
+        });
+      } else if (chunk.type === 'reasoning') {
+        port.postMessage({
+          type: 'stream_reasoning',
+          content: chunk.content
+        });
+      } else if (chunk.type === 'tool_call') {
+        port.postMessage({
+          type: 'stream_tool_call',
+          id: chunk.id,
+          name: chunk.name,
+          arguments: chunk.arguments
+        });
+      } else if (chunk.type === 'tool_result') {
+        port.postMessage({
+          type: 'stream_tool_result',
+          id: chunk.id,
+          name: chunk.name,
+          summary: chunk.summary,
+          error: chunk.error
+        });
+      } else if (chunk.type === 'done') {
+        if (!chunk.fromCache) {
+          await recordUsage({
+            ...ledger,
+            model: chunk.model || params.model,
+            provider: chunk.provider,
+            usage: chunk.usage,
+            cost: chunk.cost
+          });
+        }
+        port.postMessage({
+          type: 'stream_done',
+          content: chunk.content,
+          reasoning: chunk.reasoning || null,
+          toolCalls: chunk.toolCalls || [],
+          usage: chunk.usage,
+          cost: chunk.cost || 0,
+          model: chunk.model || params.model,
+          provider: chunk.provider,
+          fallbackFrom: chunk.fallbackFrom,
+          fromCache: Boolean(chunk.fromCache)
+        });
+      } else if (chunk.type === 'error') {
+        console.warn('[DeepWeb Background] Stream warning:', chunk.error);
+      }
     }
     
-    const cost = (tokens / 1000) * costPerToken;
-    
+  } catch (error) {
+    console.error('[DeepWeb Background] Stream error:', error);
+    port.postMessage({
+      type: 'error',
+      error: error.message || 'Failed to process streaming request'
+    });
+  } finally {
+    activeStreams.delete(streamId);
+  }
+}
+
+// Send one prompt to several models at once and stream each answer into its
+// own column. Columns are prepared one after another so history folding only
+// runs once, and share a single rate limit slot and budget check.
+async function handleCompareRequest(port, request) {
+  const streamId = `${port.sender.tab.id}_${Date.now()}`;
+  const models = [...new Set(request.models || [])].slice(0, MAX_COMPARE_MODELS);
+
+  if (models.length < 2) {
+    port.postMessage({ type: 'error', error: 'Select two or three models to compare' });
+    return;
+  }
+
+  if (!rateLimiter.canMakeRequest()) {
+    const waitTime = rateLimiter.getTimeUntilNextRequest();
+    port.postMessage({
+      type: 'error',
+      error: `Rate limit exceeded. Please wait ${waitTime} seconds before making another request.`
+    });
+    return;
+  }
+
+  // Columns answer from the page context they were sent, without tool calls
+  const columns = [];
+  for (const model of models) {
+    const prepared = await prepareChatRequest(
+      { ...request, model, pageTools: false },
+      port.sender.tab,
+      { checkRateLimit: false, checkBudget: false }
+    );
+    columns.push({ model, ...prepared });
+  }
+
+  // All columns are sent together, so their combined cost must fit the budgets
+  const budget = await checkSpendingBudget(
+    columns.reduce((total, column) => total + (column.estimatedCost || 0), 0)
+  );
+  if (!budget.allowed) {
+    port.postMessage({ type: 'error', error: budget.reason });
+    return;
+  }
+
+  const controller = new AbortController();
+  activeStreams.set(streamId, controller);
+
+  try {
+    port.postMessage({
+      type: 'compare_started',
+      streamId,
+      columns: columns.map(({ model, error }) => ({ model, error: error || null })),
+      budgetWarnings: budget.warnings
+    });
+
+    await Promise.all(columns.map((column, index) =>
+      (column.error ? null : streamCompareColumn(port, column, index, controller.signal))
+    ));
+
+    port.postMessage({ type: 'compare_done' });
+  } finally {
+    activeStreams.delete(streamId);
+  }
+}
+
+// Stream one compare column, timing it from request to last chunk
+async function streamCompareColumn(port, { params, ledger }, column, signal) {
+  const startedAt = Date.now();
+  let firstTokenMs = null;
+
+  try {
+    for await (const chunk of APIClient.stream({ ...params, signal })) {
+      if (signal.aborted || chunk.type === 'cancelled') {
+        port.postMessage({ type: 'compare_cancelled', column });
+        return;
+      }
+
+      if (chunk.type === 'content') {
+        firstTokenMs = firstTokenMs ?? Date.now() - startedAt;
+        port.postMessage({ type: 'compare_content', column, content: chunk.content });
+      } else if (chunk.type === 'reasoning') {
+        firstTokenMs = firstTokenMs ?? Date.now() - startedAt;
+        port.postMessage({ type: 'compare_reasoning', column, content: chunk.content });
+      } else if (chunk.type === 'done') {
+        if (!chunk.fromCache) {
+          await recordUsage({
+            ...ledger,
+            model: chunk.model || params.model,
+            provider: chunk.provider,
+            usage: chunk.usage,
+            cost: chunk.cost,
+            purpose: 'compare'
+          });
+        }
+        port.postMessage({
+          type: 'compare_column_done',
+          column,
+          content: chunk.content,
+          reasoning: chunk.reasoning || null,
+          usage: chunk.usage,
+          cost: chunk.cost || 0,
+          model: chunk.model || params.model,
+          provider: chunk.provider,
+          fallbackFrom: chunk.fallbackFrom,
+          fromCache: Boolean(chunk.fromCache),
+          firstTokenMs,
+          latencyMs: Date.now() - startedAt
+        });
+      }
+    }
+  } catch (error) {
+    console.error('[DeepWeb Background] Compare stream error:', error);
+    port.postMessage({
+      type: 'compare_error',
+      column,
+      error: error.message || 'Failed to stream response'
+    });
+  }
+}
+
+// Validate a chat request from the UI and build the APIClient parameters
+// Returns { error } when the request cannot be sent
+async function prepareChatRequest(request, tab, options = {}) {
+  const { checkRateLimit = true, checkBudget = true } = options;
+
+  // Check rate limit
+  if (checkRateLimit && !rateLimiter.canMakeRequest()) {
+    const waitTime = rateLimiter.getTimeUntilNextRequest();
     return {
-      content: data.choices[0].message.content,
-      cost: cost
+      error: `Rate limit exceeded. Please wait ${waitTime} seconds before making another request.`
     };
-    
+  }
+
+  // Validate and sanitize request
+  if (!request.message || typeof request.message !== 'string') {
+    return { error: 'Invalid message format' };
+  }
+
+  const sanitizedMessage = sanitizeMessage(request.message);
+  if (!sanitizedMessage) {
+    return { error: 'Message cannot be empty' };
+  }
+
+  if (sanitizedMessage.length > CONFIG.content.maxMessageLength) {
+    return { error: `Message too long (max ${CONFIG.content.maxMessageLength} characters)` };
+  }
+
+  // Resolve the provider for the selected model and its API key
+  const model = request.model || getConfig('defaults.model', 'deepseek-chat');
+  const provider = APIClient.getProviderForModel(model);
+  const providerName = PROVIDER_NAMES[provider] || provider;
+  const apiKeys = await storedApiKeys.getAll(Object.keys(PROVIDER_NAMES));
+  const apiKey = apiKeys[provider];
+
+  if (!APIClient.validateApiKey(apiKey, provider)) {
+    return {
+      error: apiKey ?
+        `Invalid API key format. Please check your ${providerName} API key.` :
+        `API key not configured. Please set up your ${providerName} API key ` +
+        'in the extension settings.'
+    };
+  }
+
+  const context = buildRequestContext(request.context || {});
+
+  // Templates with an output schema get a JSON answer instead of prose
+  const outputSchema = request.outputSchema?.type === 'object' ? request.outputSchema : null;
+
+  // Let the model read the page on demand when the chat UI can answer tool calls
+  const modelInfo = APIClient.getModelInfo(model, provider);
+  const pageTools = !outputSchema && Boolean(request.pageTools && tab?.id) &&
+    supportsTools(provider, modelInfo);
+
+  // Model parameters map directly onto APIClient options
+  const { systemPrompt, ...parameters } = request.parameters || {};
+  if (outputSchema) {
+    parameters.responseFormat = 'json';
+  }
+  if (modelInfo?.jsonMode === false) {
+    delete parameters.responseFormat;
+  }
+
+  const system = (systemPrompt || buildSystemPrompt(context)) +
+    (pageTools ? PAGE_TOOLS_PROMPT : '') +
+    (outputSchema ? buildSchemaPrompt(outputSchema) : '');
+
+  const reserved = countTokens(system, model) +
+    countTokens(buildUserMessage(sanitizedMessage, context, [], { pageTools }), model);
+  const responseTokens = parameters.maxTokens ?? modelInfo?.maxTokens ?? 0;
+
+  const ledger = { conversationId: request.conversationId || null, url: tab?.url };
+
+  // Pack as much conversation history as the model's window allows
+  const history = await packConversationHistory(request, {
+    model,
+    provider,
+    apiKey,
+    apiKeys,
+    ledger,
+    reserved,
+    responseTokens
+  });
+
+  const messages = [
+    {
+      role: 'system',
+      content: history.summary ?
+        `${system}\n\nSummary of the earlier conversation:\n${history.summary}` :
+        system
+    },
+    ...history.messages,
+    {
+      role: 'user',
+      content: buildUserMessage(sanitizedMessage, context, history.messages, { pageTools })
+    }
+  ];
+
+  // Enforce spending budgets before the request is sent, pricing it as sent
+  const estimatedCost = estimateRequestCost(messages, responseTokens, model, modelInfo);
+  const budget = checkBudget ?
+    await checkSpendingBudget(estimatedCost) :
+    { allowed: true, warnings: [] };
+  if (!budget.allowed) {
+    return { error: budget.reason };
+  }
+
+  return {
+    params: {
+      ...parameters,
+      messages,
+      ...(pageTools && { tools: PAGE_TOOL_DEFINITIONS }),
+      noCache: Boolean(request.noCache),
+      apiKey,
+      apiKeys,
+      model,
+      provider
+    },
+    ledger,
+    estimatedCost,
+    budgetWarnings: budget.warnings,
+    outputSchema
+  };
+}
+
+// Prepare enhanced context from ContextManager
+function buildRequestContext(context) {
+  return {
+    url: context.url || '',
+    title: context.title || '',
+    content: context.pageContent || context.content || '',
+    contentType: context.contentType || 'unknown',
+    relevanceScore: context.relevanceScore || 0,
+    tokenEstimate: context.tokenEstimate || 0,
+    metadata: context.metadata || {},
+    // Enhanced context features
+    memory: context.memory || {},
+    crossPage: context.crossPage || {},
+    contextSummary: context.contextSummary || '',
+    relevantSections: context.relevantSections || []
+  };
+}
+
+// Most a request can cost: all of its input plus an answer of maxTokens
+function estimateRequestCost(messages, responseTokens, model, modelInfo) {
+  const { input = 0, output = 0 } = modelInfo?.pricing || {};
+  const inputTokens = messages.reduce(
+    (total, message) => total + countTokens(message.content, model),
+    0
+  );
+  return ((inputTokens / 1000) * input) + ((responseTokens / 1000) * output);
+}
+
+// Whether tool definitions can be sent to this provider and model
+function supportsTools(provider, modelInfo) {
+  const { features = [] } = APIClient.getProvider(provider).getCapabilities();
+  return getConfig('tools.enabled', true) &&
+    features.includes('function-calling') &&
+    modelInfo?.functionCalling !== false;
+}
+
+// Tool calls are answered by the chat UI in the tab that sent the request
+function createToolRunner(tab) {
+  return new ToolRunner({
+    client: APIClient,
+    execute: (name, args) => browser.tabs.sendMessage(tab.id, {
+      type: 'page_tool',
+      name,
+      arguments: args
+    })
+  });
+}
+
+// Fit the stored conversation into the model's budget, folding turns that no
+// longer fit into the rolling summary kept on the conversation
+async function packConversationHistory(request, options) {
+  const { model, provider, apiKey, apiKeys, ledger, ...reserve } = options;
+  const { conversationId } = request;
+  if (!conversationId) {
+    return { messages: [], summary: null };
+  }
+
+  const messages = await conversationStorage.getMessages(conversationId);
+
+  // The UI stores the new message before sending it; it is appended separately.
+  // Regenerated answers only see the conversation up to the prompt they answer.
+  const replyIndex = request.replyToMessageId ?
+    messages.findIndex(m => m.id === request.replyToMessageId) :
+    -1;
+  const last = messages[messages.length - 1];
+  if (replyIndex !== -1) {
+    messages.splice(replyIndex);
+  } else if (last?.role === 'user' && last.content === request.message) {
+    messages.pop();
+  }
+
+  const conversations = await conversationStorage.getAllConversations();
+  let summary = conversations.find(c => c.id === conversationId)?.summary || null;
+  const historyBudget = historyPacker.getBudget(model, reserve);
+  let packed = historyPacker.pack(messages, { model, budget: historyBudget, summary });
+
+  const summaryMessages = packed.toFold.length && getConfig('history.summarize', true) ?
+    historyPacker.buildSummaryMessages(summary, packed.toFold, model) :
+    null;
+
+  // Folding is a paid request of its own, so it has to fit the budgets too
+  const summaryBudget = summaryMessages && await checkSpendingBudget(estimateRequestCost(
+    summaryMessages,
+    historyPacker.summaryMaxTokens,
+    model,
+    APIClient.getModelInfo(model, provider)
+  ));
+
+  if (summaryBudget?.allowed) {
+    try {
+      const response = await APIClient.chat({
+        messages: summaryMessages,
+        apiKey,
+        apiKeys,
+        model,
+        provider,
+        maxTokens: historyPacker.summaryMaxTokens,
+        temperature: 0.2
+      });
+      const content = response.choices?.[0]?.message?.content;
+
+      if (!response.fromCache) {
+        await recordUsage({
+          ...ledger,
+          model: response.metadata?.model || model,
+          provider: response.metadata?.provider,
+          usage: response.usage,
+          cost: response.cost,
+          purpose: 'summary'
+        });
+      }
+
+      if (content) {
+        summary = historyPacker.updateSummary(summary, packed.toFold, content);
+        await conversationStorage.updateConversation(conversationId, { summary });
+        packed = historyPacker.pack(messages, { model, budget: historyBudget, summary });
+      }
+    } catch (error) {
+      // Without a fresh summary the oldest turns are simply left out
+      console.warn('[DeepWeb Background] History summary failed:', error.message);
+    }
+  }
+
+  return packed;
+}
+
+// Check spend against the daily and monthly budgets
+async function checkSpendingBudget(estimatedCost) {
+  try {
+    return await usageLedger.checkBudget(estimatedCost);
   } catch (error) {
-    clearTimeout(timeout);
-    
-    if (error.name === 'AbortError') {
-      throw new Error('Request timed out after 30 seconds');
+    // An unreadable ledger must not lock users out of the assistant
+    console.warn('[DeepWeb Background] Budget check failed:', error.message);
+    return { allowed: true, warnings: [] };
+  }
+}
+
+// Add a completed request to the usage ledger
+async function recordUsage(entry) {
+  try {
+    await usageLedger.record(entry);
+  } catch (error) {
+    console.warn('[DeepWeb Background] Usage not recorded:', error.message);
+  }
+}
+
+// Usage view and budget settings for the popup
+async function handleUsageRequest(request) {
+  switch (request.type) {
+    case 'usage_get_summary': {
+      const period = request.period || 'day';
+      const [breakdown, budget] = await Promise.all([
+        usageLedger.getBreakdown(period),
+        usageLedger.checkBudget()
+      ]);
+      return { ...breakdown, budget: getConfig('budget'), status: budget.status };
     }
-    
-    throw error;
+
+    case 'usage_set_budget':
+      await ConfigManager.set('budget', { ...getConfig('budget'), ...request.budget });
+      return { success: true, budget: getConfig('budget') };
+
+    default:
+      throw new Error(`Unknown usage request type: ${request.type}`);
   }
 }
 
-async function handleStreamingRequest(port, request) {
+// Cards are read from the stored answers each time, so edited and deleted
+// answers never leave stale cards behind
+async function collectFlashcards(conversations) {
+  const cards = [];
+  for (const conversation of conversations) {
+    const messages = await conversationStorage.getMessages(conversation.id);
+    cards.push(...extractCards(messages, conversation));
+  }
+  return cards;
+}
+
+// Study cards from quiz, study-notes and practice-problems answers
+async function handleFlashcardRequest(request) {
+  switch (request.type) {
+    case 'flashcards_due': {
+      const conversations = (await conversationStorage.getAllConversations())
+        .filter(c => !request.conversationId || c.id === request.conversationId);
+      const [cards, reviews] = await Promise.all([
+        collectFlashcards(conversations),
+        conversationStorage.getFlashcardReviews()
+      ]);
+
+      // Forget the schedules of cards whose answers are gone
+      if (!request.conversationId) {
+        const ids = new Set(cards.map(card => card.id));
+        const kept = Object.fromEntries(Object.entries(reviews).filter(([id]) => ids.has(id)));
+        if (Object.keys(kept).length !== Object.keys(reviews).length) {
+          await conversationStorage.saveFlashcardReviews(kept);
+        }
+      }
+
+      return {
+        cards: selectDueCards(cards, reviews, {
+          newLimit: getConfig('flashcards.newCardsPerSession', 20)
+        }),
+        total: cards.length
+      };
+    }
+
+    case 'flashcards_review': {
+      const reviews = await conversationStorage.getFlashcardReviews();
+      const review = reviewCard(reviews[request.cardId], request.grade);
+      await conversationStorage.saveFlashcardReviews({ ...reviews, [request.cardId]: review });
+      return { success: true, review };
+    }
+
+    default:
+      throw new Error(`Unknown flashcards request type: ${request.type}`);
+  }
+}
+
+// Restore points: summaries are listed under 'backups' and each archive has a
+// key of its own, so listing them does not read every archive
+async function getBackupIndex() {
+  const { backups = [] } = await browser.storage.local.get('backups');
+  return backups;
+}
+
+// Snapshot of storage as it is, so encrypted content stays encrypted
+async function createBackup(reason) {
+  const stored = await browser.storage.local.get(['conversations', ...SETTINGS_KEYS]);
+  const conversations = stored.conversations || [];
+  const messages = {};
+  for (const { id } of conversations) {
+    const key = `messages_${id}`;
+    messages[id] = (await browser.storage.local.get(key))[key] || [];
+  }
+
+  const settings = Object.fromEntries(
+    SETTINGS_KEYS.filter(key => key in stored).map(key => [key, stored[key]])
+  );
+  const snapshot = createSnapshot(
+    { conversations, messages, settings, config: ConfigManager.export() },
+    { reason }
+  );
+  const record = await encodeSnapshot(snapshot);
+  const summary = {
+    ...summarizeSnapshot(snapshot),
+    encoding: record.encoding,
+    size: record.data.length
+  };
+
+  await browser.storage.local.set({
+    [summary.id]: record,
+    backups: [summary, ...(await getBackupIndex())]
+  });
+  await rotateBackups();
+
+  console.log('[DeepWeb Background] Backup created:', summary.id, reason);
+  return summary;
+}
+
+// Drops the oldest restore points beyond the retention count
+async function rotateBackups() {
+  const backups = await getBackupIndex();
+  const expired = selectExpiredBackups(backups, getConfig('storage.backup.retentionCount', 5));
+  if (!expired.length) {
+    return;
+  }
+
+  const expiredIds = new Set(expired.map(backup => backup.id));
+  await browser.storage.local.set({
+    backups: backups.filter(backup => !expiredIds.has(backup.id))
+  });
+  await browser.storage.local.remove([...expiredIds]);
+}
+
+async function runScheduledBackup() {
+  const [latest] = await getBackupIndex();
+  if (isBackupDue(latest?.createdAt, getConfig('storage.backup.schedule', 'weekly'))) {
+    await createBackup('scheduled');
+  }
+}
+
+// Snapshot with readable titles and messages; fails while encryption is locked
+async function loadBackup(backupId) {
+  const record = (await browser.storage.local.get(backupId))[backupId];
+  if (!record) {
+    throw new Error(`Backup not found: ${backupId}`);
+  }
+
+  const snapshot = await decodeSnapshot(record);
+  await contentEncryption.initialize();
   try {
-    console.log('[DeepWeb Background] Processing streaming request...');
-    
-    const streamId = `${port.sender.tab.id}_${Date.now()}`;
-    
-    // Check rate limit
-    if (!rateLimiter.canMakeRequest()) {
-      const waitTime = rateLimiter.getTimeUntilNextRequest();
-      port.postMessage({
-        type: 'error',
-        error: `Rate limit exceeded. Please wait ${waitTime} seconds before making another request.`
-      });
-      return;
+    snapshot.conversations = await Promise.all(
+      snapshot.conversations.map(c => contentEncryption.decryptConversation(c))
+    );
+    for (const [id, messages] of Object.entries(snapshot.messages)) {
+      snapshot.messages[id] = await Promise.all(
+        messages.map(m => contentEncryption.decryptMessage(m))
+      );
     }
-    
-    // Validate and sanitize request
-    if (!request.message || typeof request.message !== 'string') {
-      port.postMessage({
-        type: 'error',
-        error: 'Invalid message format'
+  } catch (error) {
+    throw new Error(contentEncryption.isUnlocked() ?
+      'This backup was encrypted with a different passphrase' :
+      'Unlock encryption to open this backup');
+  }
+  return snapshot;
+}
+
+// Scheduled backups, and restoring them through the importer after a preview
+async function handleBackupRequest(request) {
+  switch (request.type) {
+    case 'backup_list':
+      return {
+        backups: await getBackupIndex(),
+        schedule: getConfig('storage.backup.schedule', 'weekly'),
+        retentionCount: getConfig('storage.backup.retentionCount', 5)
+      };
+
+    case 'backup_create':
+      return { success: true, backup: await createBackup('manual') };
+
+    case 'backup_set_schedule':
+      await ConfigManager.set('storage.backup', {
+        ...getConfig('storage.backup'),
+        ...request.backup
       });
-      return;
+      await rotateBackups();
+      await runScheduledBackup();
+      return { success: true, backup: getConfig('storage.backup') };
+
+    case 'backup_preview': {
+      const snapshot = await loadBackup(request.backupId);
+      const existing = await conversationStorage.getAllConversations();
+      return {
+        backup: summarizeSnapshot(snapshot),
+        conversations: snapshot.conversations.map(conv => ({
+          id: conv.id,
+          title: conv.title,
+          createdAt: conv.createdAt,
+          messageCount: snapshot.messages[conv.id]?.length || 0,
+          duplicate: existing.some(stored => isDuplicateConversation(stored, conv))
+        })),
+        settings: Object.keys(snapshot.settings)
+      };
     }
-    
-    const sanitizedMessage = sanitizeMessage(request.message);
-    if (!sanitizedMessage) {
-      port.postMessage({
-        type: 'error',
-        error: 'Message cannot be empty'
-      });
-      return;
+
+    case 'backup_restore': {
+      const snapshot = await loadBackup(request.backupId);
+      // What is stored now becomes a restore point of its own
+      await createBackup('before-restore');
+
+      const result = snapshot.conversations.length ?
+        await handleImportRequest({
+          data: JSON.stringify(toImportData(snapshot)),
+          options: {
+            format: 'json',
+            duplicateStrategy: request.duplicateStrategy || 'replace'
+          }
+        }) :
+        { imported: 0 };
+
+      if (request.includeSettings) {
+        await browser.storage.local.set(snapshot.settings);
+        if (snapshot.config?.config) {
+          // Encryption follows the data as stored now, not as it was
+          const { config } = snapshot.config;
+          await ConfigManager.import({
+            config: {
+              ...config,
+              storage: { ...config.storage, encryption: getConfig('storage.encryption') }
+            }
+          });
+        }
+      }
+
+      return {
+        success: true,
+        imported: result.imported,
+        summary: result.summary,
+        settingsRestored: Boolean(request.includeSettings)
+      };
     }
-    
-    if (sanitizedMessage.length > CONFIG.content.maxMessageLength) {
-      port.postMessage({
-        type: 'error',
-        error: `Message too long (max ${CONFIG.content.maxMessageLength} characters)`
+
+    case 'backup_delete': {
+      const backups = await getBackupIndex();
+      await browser.storage.local.set({
+        backups: backups.filter(backup => backup.id !== request.backupId)
       });
-      return;
+      await browser.storage.local.remove(request.backupId);
+      return { success: true };
     }
-    
-    // Get and validate API key
-    const settings = await browser.storage.sync.get(['apiKeys']);
-    const apiKey = settings.apiKeys?.deepseek;
-    
-    if (!apiKey) {
-      port.postMessage({
-        type: 'error',
-        error: 'API key not configured. Please set up your DeepSeek API key in the extension settings.'
+
+    default:
+      throw new Error(`Unknown backup request type: ${request.type}`);
+  }
+}
+
+if (browser.alarms) {
+  browser.alarms.create(BACKUP_ALARM, { delayInMinutes: 1, periodInMinutes: 60 });
+  browser.alarms.create(CLEANUP_ALARM, { periodInMinutes: 24 * 60 });
+  browser.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === BACKUP_ALARM) {
+      runScheduledBackup().catch(error => {
+        console.error('[DeepWeb Background] Scheduled backup failed:', error);
       });
-      return;
     }
-    
-    // Validate API key format
-    if (!validateApiKey(apiKey)) {
-      port.postMessage({
-        type: 'error',
-        error: 'Invalid API key format. Please check your DeepSeek API key.'
+    if (alarm.name === CLEANUP_ALARM) {
+      runDailyCleanup().catch(error => {
+        console.error('[DeepWeb Background] Daily cleanup failed:', error);
       });
-      return;
     }
-    
-    // Use the selected model
-    const model = request.model || 'deepseek-chat';
-    console.log('[DeepWeb Background] Using model:', model);
-    
-    // Prepare enhanced context from ContextManager
-    const context = {
-      url: request.context?.url || '',
-      title: request.context?.title || '',
-      content: request.context?.pageContent || request.context?.content || '',
-      contentType: request.context?.contentType || 'unknown',
-      relevanceScore: request.context?.relevanceScore || 0,
-      tokenEstimate: request.context?.tokenEstimate || 0,
-      metadata: request.context?.metadata || {},
-      // Enhanced context features
-      memory: request.context?.memory || {},
-      crossPage: request.context?.crossPage || {},
-      contextSummary: request.context?.contextSummary || '',
-      relevantSections: request.context?.relevantSections || []
-    };
-    
-    // Get conversation context if provided
-    const conversationId = request.conversationId;
-    let conversationContext = [];
-    if (conversationId) {
-      const messages = await conversationStorage.getMessages(conversationId);
-      // Include last few messages for context (limit to prevent token overflow)
-      conversationContext = messages.slice(-6).map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
+  });
+}
+
+runDailyCleanup().catch(error => {
+  console.error('[DeepWeb Background] Daily cleanup failed:', error);
+});
+
+// Open chats showing the locked notice load their conversations now
+function notifyUnlocked() {
+  browser.tabs.query({}).then(tabs => {
+    for (const tab of tabs) {
+      // Tabs without the content script have nobody listening
+      browser.tabs.sendMessage(tab.id, { type: 'conversations_unlocked' }).catch(() => {});
     }
-    
-    // Create abort controller
-    const controller = new AbortController();
-    activeStreams.set(streamId, controller);
-    
-    // Send stream started message
-    port.postMessage({
-      type: 'stream_started',
-      streamId: streamId
-    });
-    
-    // Make streaming API request
-    console.log('[DeepWeb Background] Making streaming API request...');
-    
-    try {
-      const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-          'Accept': 'text/event-stream'
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: [
-            {
-              role: 'system',
-              content: request.parameters?.systemPrompt || buildSystemPrompt(context)
-            },
-            ...conversationContext,
-            {
-              role: 'user',
-              content: buildUserMessage(sanitizedMessage, context, conversationContext)
-            }
-          ],
-          max_tokens: request.parameters?.maxTokens || 1000,
-          temperature: request.parameters?.temperature !== undefined ? request.parameters.temperature : 0.7,
-          top_p: request.parameters?.topP !== undefined ? request.parameters.topP : 0.95,
-          frequency_penalty: request.parameters?.frequencyPenalty || 0,
-          presence_penalty: request.parameters?.presencePenalty || 0,
-          stop: request.parameters?.stopSequences && request.parameters.stopSequences.length > 0 ? request.parameters.stopSequences : undefined,
-          stream: true
-        }),
-        signal: controller.signal
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('[DeepWeb Background] API error response:', errorText);
-        
-        try {
-          const errorData = JSON.parse(errorText);
-          throw new Error(errorData.error?.message || `API error: ${response.status}`);
-        } catch {
-          throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-        }
-      }
-      
-      // Process stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-      let accumulatedContent = '';
-      let totalUsage = {
-        prompt_tokens: 0,
-        completion_tokens: 0,
-        total_tokens: 0
+  }).catch(error => {
+    console.warn('[DeepWeb Background] Could not notify tabs of the unlock:', error);
+  });
+}
+
+// Turning encryption on or off converts everything already stored, then
+// rebuilds the search index with or without hashed terms
+async function handleEncryptionRequest(request) {
+  await contentEncryption.initialize();
+
+  switch (request.type) {
+    case 'encryption_status':
+      return {
+        enabled: contentEncryption.enabled,
+        unlocked: contentEncryption.isUnlocked()
       };
-      
-      while (true) {
-        try {
-          const { done, value } = await reader.read();
-          
-          if (done) {
-            break;
-          }
-          
-          buffer += decoder.decode(value, { stream: true });
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || '';
-          
-          for (const line of lines) {
-            const trimmedLine = line.trim();
-            
-            if (!trimmedLine) continue;
-            
-            if (trimmedLine.startsWith('data: ')) {
-              const data = trimmedLine.slice(6).trim();
-              
-              if (data === '[DONE]') {
-                // Calculate cost
-                let costPerToken = 0.00014; // Default DeepSeek Chat pricing
-                if (model === 'deepseek-reasoner') {
-                  costPerToken = 0.00055;
-                }
-                const cost = (totalUsage.total_tokens / 1000) * costPerToken;
-                
-                port.postMessage({
-                  type: 'stream_done',
-                  content: accumulatedContent,
-                  usage: totalUsage,
-                  cost: cost
-                });
-                
-                activeStreams.delete(streamId);
-                return;
-              }
-              
-              try {
-                const parsed = JSON.parse(data);
-                
-                if (parsed.choices?.[0]?.delta?.content) {
-                  const content = parsed.choices[0].delta.content;
-                  accumulatedContent += content;
-                  
-                  port.postMessage({
-                    type: 'stream_content',
-                    content: content
-                  });
-                }
-                
-                if (parsed.usage) {
-                  totalUsage = parsed.usage;
-                }
-                
-              } catch (e) {
-                console.warn('[DeepWeb Background] Failed to parse stream data:', e);
-              }
-            }
-          }
-        } catch (error) {
-          if (error.name === 'AbortError') {
-            port.postMessage({
-              type: 'stream_cancelled'
-            });
-            break;
-          }
-          throw error;
-        }
-      }
-      
-    } catch (error) {
-      console.error('[DeepWeb Background] Stream error:', error);
-      port.postMessage({
-        type: 'error',
-        error: error.message
+
+    case 'encryption_unlock':
+      await contentEncryption.unlock(request.passphrase);
+      applyContentEncryption();
+      notifyUnlocked();
+      return { success: true };
+
+    case 'encryption_lock':
+      await contentEncryption.lock();
+      return { success: true };
+
+    case 'encryption_enable': {
+      await contentEncryption.enable(request.passphrase);
+      const converted = await configMigrator.migrateStoredContent({
+        conversation: c => contentEncryption.encryptConversation(c),
+        message: m => contentEncryption.encryptMessage(m),
+        trashEntry: entry => convertTrashEntry(entry, true)
       });
-    } finally {
-      activeStreams.delete(streamId);
+      await ConfigManager.set('storage.encryption.enabled', true);
+      applyContentEncryption();
+      await searchIndex.rebuild(await conversationStorage.getAllMessages());
+      return { success: true, ...converted };
     }
-    
-  } catch (error) {
-    console.error('[DeepWeb Background] Streaming request error:', error);
-    port.postMessage({
-      type: 'error',
-      error: error.message || 'Failed to process streaming request'
-    });
+
+    case 'encryption_disable': {
+      // Check the passphrase before decrypting anything
+      await contentEncryption.unlock(request.passphrase);
+      const converted = await configMigrator.migrateStoredContent({
+        conversation: c => contentEncryption.decryptConversation(c),
+        message: m => contentEncryption.decryptMessage(m),
+        trashEntry: entry => convertTrashEntry(entry, false)
+      });
+      await contentEncryption.disable(request.passphrase);
+      await ConfigManager.set('storage.encryption.enabled', false);
+      applyContentEncryption();
+      await searchIndex.rebuild(await conversationStorage.getAllMessages());
+      return { success: true, ...converted };
+    }
+
+    default:
+      throw new Error(`Unknown encryption request type: ${request.type}`);
   }
 }
 
@@ -1419,7 +2823,9 @@ function buildSystemPrompt(context) {
   return prompt;
 }
 
-function buildUserMessage(message, context, conversationContext) {
+// With page tools the model fetches page text itself, so only the relevant
+// sections are sent up front
+function buildUserMessage(message, context, conversationContext, { pageTools = false } = {}) {
   // If we have conversation context, just send the message
   if (conversationContext.length > 0) {
     return message;
@@ -1431,7 +2837,7 @@ function buildUserMessage(message, context, conversationContext) {
   // Add relevant sections if available
   if (context.relevantSections?.length > 0) {
     userMessage += `Page Content:\n${context.relevantSections.join('\n\n')}\n\n`;
-  } else if (context.content) {
+  } else if (context.content && !pageTools) {
     userMessage += `${context.content}\n\n`;
   }
   
@@ -25,6 +25,8 @@ import { animationManager } from '../utils/AnimationManager.js';
 import { responsiveManager } from '../utils/ResponsiveManager.js';
 import { extractChatContext } from '../utils/context-extractor.js';
 import { TemplateManager } from '../../src/intelligence/templates/TemplateManager.js';
+import { PageTools } from '../../src/intelligence/tools/PageTools.js';
+import { getConfig } from '../../src/config/index.js';
 
 export default class ChatContainer extends BaseComponent {
   constructor(options = {}) {
@@ -49,7 +51,9 @@ export default class ChatContainer extends BaseComponent {
       pullToRefreshEnabled: true,
       swipeGesturesEnabled: true,
       // Template state
-      isTemplateSelectorVisible: false
+      isTemplateSelectorVisible: false,
+      // Models answering side by side; compare mode is on with two or more
+      compareModels: []
     };
     
     // Initialize bridges for communication with background script
@@ -58,6 +62,9 @@ export default class ChatContainer extends BaseComponent {
     
     // Dialog instances
     this.importDialog = null;
+
+    // Answers the model's page tool calls, created on first use
+    this.pageTools = null;
     
     // Layout and resize managers
     this.resizeManager = null;
@@ -69,6 +76,10 @@ export default class ChatContainer extends BaseComponent {
     // Template manager
     this.templateManager = null;
     this.templateSelector = null;
+    // Template with an output schema whose prompt is waiting to be sent
+    this.pendingTemplate = null;
+    // Any template's ID, recorded on the prompt when it is sent
+    this.pendingTemplateId = null;
     
     // Animation settings instance
     this.animationSettings = null;
@@ -232,7 +243,11 @@ export default class ChatContainer extends BaseComponent {
       onConversationSelect: (conversationId) => this.handleConversationSelect(conversationId),
       onNewConversation: () => this.handleNewConversation(),
       onDeleteConversation: (conversationId) => this.handleDeleteConversation(conversationId),
-      onImport: () => this.handleImport()
+      onTrashChange: () => this.refreshConversationList(),
+      onImport: () => this.handleImport(),
+      onFindRelated: (query) => this.conversationManager.findRelated(query),
+      organizer: this.conversationManager,
+      deck: this.conversationManager
     });
     await conversationList.init();
     this.addChild('conversationList', conversationList);
@@ -265,7 +280,8 @@ export default class ChatContainer extends BaseComponent {
     // Initialize Model Selector
     const modelSelector = new ModelSelector({
       selectedModel: this.state.selectedModel,
-      onModelChange: (model) => this.handleModelChange(model)
+      onModelChange: (model) => this.handleModelChange(model),
+      onCompareChange: (models) => this.handleCompareChange(models)
     });
     await modelSelector.init();
     this.addChild('modelSelector', modelSelector);
@@ -290,7 +306,11 @@ export default class ChatContainer extends BaseComponent {
     const messageList = new MessageList({
       messageManager: this.messageManager,
       onMessageUpdate: (message) => this.handleMessageUpdate(message),
-      onMessageDelete: (messageId) => this.handleMessageDelete(messageId)
+      onMessageDelete: () => this.handleMessageDelete(),
+      onMessageRestore: () => this.handleMessageRestore(),
+      onRegenerate: (message) => this.handleRegenerate(message),
+      onResend: (message, content) => this.handleResend(message, content),
+      onFork: (message) => this.handleFork(message)
     });
     await messageList.init();
     this.addChild('messageList', messageList);
@@ -303,6 +323,7 @@ export default class ChatContainer extends BaseComponent {
       onTemplateClick: () => this.toggleTemplateSelector()
     });
     await inputArea.init();
+    inputArea.setModel(this.state.selectedModel, this.getModelInfo(this.state.selectedModel));
     this.addChild('inputArea', inputArea);
     DOMUtils.$('#deepweb-input-container', this.element).appendChild(inputArea.element);
     
@@ -316,8 +337,19 @@ export default class ChatContainer extends BaseComponent {
   setupEventListeners() {
     // Listen for browser messages
     browser.runtime.onMessage.addListener((message) => {
+      if (message.type === 'page_tool') {
+        // The returned promise answers the background's tool call; a thrown
+        // error rejects it and is reported to the model
+        this.pageTools = this.pageTools || new PageTools();
+        return new Promise(resolve => {
+          resolve(this.pageTools.execute(message.name, message.arguments));
+        });
+      }
+
       if (message.type === 'toggle_chat') {
         this.toggle();
+      } else if (message.type === 'conversations_unlocked' && this.conversationsLocked) {
+        this.initializeConversation();
       } else if (message.type === 'process_selection' && message.text) {
         this.show();
         const inputArea = this.getChild('inputArea');
@@ -339,12 +371,25 @@ export default class ChatContainer extends BaseComponent {
 
   async initializeConversation() {
     try {
+      this.conversationsLocked = await this.areConversationsLocked();
+      if (this.conversationsLocked) {
+        const messageList = this.getChild('messageList');
+        if (messageList) {
+          messageList.addInfoMessage(
+            '🔒 Conversations are encrypted and locked. Unlock them in the Advanced tab ' +
+            'of the DeepWeb toolbar popup; they will load here once unlocked.'
+          );
+        }
+        return;
+      }
+
       // Get or create the current conversation
       let currentConv = await this.conversationManager.getCurrentConversation();
       if (!currentConv) {
         currentConv = await this.conversationManager.createConversation({
           title: 'New Chat',
-          model: this.state.selectedModel
+          model: this.state.selectedModel,
+          url: window.location.href
         });
       }
       
@@ -364,6 +409,17 @@ export default class ChatContainer extends BaseComponent {
     }
   }
 
+  /**
+   * Whether conversations are encrypted and still locked
+   * The passphrase is only entered in the popup, where the page cannot read it;
+   * the background tells every tab once it is unlocked.
+   * @returns {Promise<boolean>}
+   */
+  async areConversationsLocked() {
+    const status = await this.conversationManager.getEncryptionStatus();
+    return status.enabled && !status.unlocked;
+  }
+
   async loadConversation(conversationId) {
     try {
       // Get conversation details
@@ -394,6 +450,8 @@ export default class ChatContainer extends BaseComponent {
         if (modelSelector) {
           modelSelector.setSelectedModel(conversation.model);
         }
+        this.getChild('inputArea')?.setModel(conversation.model,
+          this.getModelInfo(conversation.model));
       }
     } catch (error) {
       console.error('[DeepWeb] Error loading conversation:', error);
@@ -445,10 +503,40 @@ export default class ChatContainer extends BaseComponent {
 
   handleModelChange(model) {
     this.setState({ selectedModel: model });
+    this.getChild('modelParameterControls')?.setModelLimits(this.getModelInfo(model));
+    this.getChild('inputArea')?.setModel(model, this.getModelInfo(model));
     const messageList = this.getChild('messageList');
     messageList.addInfoMessage(`🔄 Switched to ${this.getModelName(model)}`);
   }
 
+  handleCompareChange(models) {
+    const wasComparing = this.state.compareModels.length >= 2;
+    this.setState({ compareModels: models });
+
+    const messageList = this.getChild('messageList');
+    if (models.length >= 2) {
+      const names = models.map(model => this.getModelName(model));
+      messageList.addInfoMessage(`⇆ Comparing ${names.join(', ')}`);
+    } else if (wasComparing) {
+      messageList.addInfoMessage('⇆ Compare mode off');
+    }
+  }
+
+  showBudgetWarnings(warnings = []) {
+    const messageList = this.getChild('messageList');
+    warnings.forEach(warning => messageList.addInfoMessage(`⚠️ ${warning}`));
+  }
+
+  getModelInfo(modelValue) {
+    const providers = getConfig('api.providers', {});
+    for (const config of Object.values(providers)) {
+      if (config?.models?.[modelValue]) {
+        return config.models[modelValue];
+      }
+    }
+    return null;
+  }
+
   handleParameterChange(data) {
     // Store the parameters for use in API calls
     this.modelParameters = data.allParameters;
@@ -466,7 +554,7 @@ export default class ChatContainer extends BaseComponent {
       'deepseek-coder': 'DeepSeek Coder',
       'deepseek-reasoner': 'DeepSeek Reasoner'
     };
-    return names[modelValue] || modelValue;
+    return names[modelValue] || this.getModelInfo(modelValue)?.name || modelValue;
   }
 
   async handleSendMessage(message, options = {}) {
@@ -486,6 +574,13 @@ export default class ChatContainer extends BaseComponent {
       }
     }
     
+    // Answers to templates with an output schema are validated as a whole,
+    // so they are never streamed or compared
+    const structuredTemplate = this.pendingTemplate;
+    const templateId = this.pendingTemplateId;
+    this.pendingTemplate = null;
+    this.pendingTemplateId = null;
+
     // Ensure we have a conversation
     if (!this.state.currentConversationId) {
       await this.initializeConversation();
@@ -499,7 +594,9 @@ export default class ChatContainer extends BaseComponent {
       content: message,
       timestamp: Date.now(),
       metadata: {
-        model: this.state.selectedModel
+        model: this.state.selectedModel,
+        // Answers to study templates become flashcards that link back to this page
+        ...(templateId ? { templateId, url: window.location.href } : {})
       }
     };
     
@@ -513,7 +610,11 @@ export default class ChatContainer extends BaseComponent {
     const useStreaming = options.streaming !== undefined ? options.streaming : 
                         (this.state.streamingEnabled !== undefined ? this.state.streamingEnabled : true);
     
-    if (useStreaming) {
+    if (structuredTemplate) {
+      await this.handleNonStreamingMessage(message, { template: structuredTemplate });
+    } else if (this.state.compareModels.length >= 2) {
+      await this.handleCompareMessage(message);
+    } else if (useStreaming) {
       await this.handleStreamingMessage(message);
     } else {
       await this.handleNonStreamingMessage(message);
@@ -521,8 +622,141 @@ export default class ChatContainer extends BaseComponent {
     
     inputArea.resetState();
   }
+
+  /**
+   * Build the page context sent with a chat request
+   * @param {string} message - User message
+   * @returns {Promise<Object>} Context for the background script
+   */
+  async buildMessageContext(message) {
+    if (this.contextManager) {
+      await this.contextManager.processMessage({
+        role: 'user',
+        content: message
+      });
+
+      // Build comprehensive context
+      const fullContext = await this.contextManager.buildContext({
+        query: message,
+        targetModel: this.state.selectedModel
+      });
+
+      return {
+        pageContent: fullContext.current?.relevantSections?.join('\n\n') || '',
+        contentType: fullContext.meta?.primaryTopic,
+        relevantSections: fullContext.current?.relevantSections || [],
+        metadata: fullContext.meta || {},
+        memory: fullContext.memory?.insights || {},
+        crossPage: fullContext.crossPage || {},
+        contextSummary: fullContext.summary
+      };
+    }
+
+    // Fallback to smart context extraction
+    return extractChatContext({
+      userQuery: message,
+      model: this.state.selectedModel,
+      includeMetadata: true,
+      maxLength: 4000
+    });
+  }
   
-  async handleNonStreamingMessage(message) {
+  /**
+   * Ask again for the answer to the prompt before an assistant message
+   * The new answer is kept as another version of the message.
+   * @param {Object} assistantMessage - Answer to regenerate
+   */
+  async handleRegenerate(assistantMessage) {
+    const prompt = this.findAdjacentMessage(assistantMessage.id, 'user', -1);
+    if (!prompt) {
+      this.getChild('messageList').addErrorMessage('No prompt found for this answer');
+      return;
+    }
+
+    await this.handleNonStreamingMessage(prompt.content, {
+      replyTo: prompt,
+      versionOf: assistantMessage
+    });
+  }
+
+  /**
+   * Send an edited prompt again
+   * The edit and the new answer are kept as versions of the prompt and of its reply.
+   * @param {Object} userMessage - Prompt that was edited
+   * @param {string} content - Edited prompt
+   */
+  async handleResend(userMessage, content) {
+    const messageList = this.getChild('messageList');
+
+    try {
+      const updated = await this.messageManager.addVersion(
+        userMessage.id,
+        { content },
+        userMessage.conversationId
+      );
+      messageList.handleMessageUpdate(updated);
+
+      await this.handleNonStreamingMessage(content, {
+        replyTo: updated,
+        versionOf: this.findAdjacentMessage(userMessage.id, 'assistant', 1)
+      });
+    } catch (error) {
+      console.error('[DeepWeb] Failed to resend message:', error);
+      messageList.addErrorMessage(error.message || 'Failed to resend message');
+    }
+  }
+
+  /**
+   * Continue the conversation up to a message in a new thread
+   * The fork is opened right away and shown under its parent in the list.
+   * @param {Object} message - Last message to keep in the fork
+   */
+  async handleFork(message) {
+    try {
+      const fork = await this.conversationManager.forkConversation(
+        message.conversationId || this.state.currentConversationId,
+        message.id
+      );
+
+      this.setState({ currentConversationId: fork.id });
+      await this.loadConversation(fork.id);
+
+      const conversationList = this.getChild('conversationList');
+      if (conversationList) {
+        const conversations = await this.conversationManager.getAllConversations();
+        conversationList.updateConversations(conversations, fork.id);
+      }
+    } catch (error) {
+      console.error('[DeepWeb] Failed to fork conversation:', error);
+      this.getChild('messageList').addErrorMessage(error.message || 'Failed to fork conversation');
+    }
+  }
+
+  /**
+   * Nearest user or assistant message before or after another one
+   * @param {string} messageId - Message to start from
+   * @param {string} role - Role the neighbour must have
+   * @param {number} step - -1 to look back, 1 to look ahead
+   * @returns {Object|null} Message, or null when the neighbour has another role
+   */
+  findAdjacentMessage(messageId, role, step) {
+    const { messages } = this.getChild('messageList').state;
+    const index = messages.findIndex(m => m.id === messageId);
+    if (index === -1) {
+      return null;
+    }
+
+    // Info and error lines sit between the turns
+    for (let i = index + step; i >= 0 && i < messages.length; i += step) {
+      if (messages[i].role === 'user' || messages[i].role === 'assistant') {
+        return messages[i].role === role ? messages[i] : null;
+      }
+    }
+    return null;
+  }
+
+  async handleNonStreamingMessage(message, options = {}) {
+    const { template = null, replyTo = null, versionOf = null } = options;
     const messageList = this.getChild('messageList');
     
     // Show loading
@@ -532,38 +766,7 @@ export default class ChatContainer extends BaseComponent {
     
     try {
       // Process message with context manager
-      let contextData = {};
-      if (this.contextManager) {
-        const messageContext = await this.contextManager.processMessage({
-          role: 'user',
-          content: message
-        });
-        
-        // Build comprehensive context
-        const fullContext = await this.contextManager.buildContext({
-          query: message,
-          targetModel: this.state.selectedModel
-        });
-        
-        contextData = {
-          pageContent: fullContext.current?.relevantSections?.join('\n\n') || '',
-          contentType: fullContext.meta?.primaryTopic,
-          relevantSections: fullContext.current?.relevantSections || [],
-          metadata: fullContext.meta || {},
-          memory: fullContext.memory?.insights || {},
-          crossPage: fullContext.crossPage || {},
-          contextSummary: fullContext.summary
-        };
-      } else {
-        // Fallback to smart context extraction
-        const context = await extractChatContext({
-          userQuery: message,
-          model: this.state.selectedModel,
-          includeMetadata: true,
-          maxLength: 4000
-        });
-        contextData = context;
-      }
+      const contextData = await this.buildMessageContext(message);
       
       // Send to background with enhanced context and model parameters
       const response = await browser.runtime.sendMessage({
@@ -573,7 +776,12 @@ export default class ChatContainer extends BaseComponent {
         conversationId: this.state.currentConversationId,
         stream: false,
         context: contextData,
-        parameters: this.modelParameters || {}
+        parameters: this.modelParameters || {},
+        pageTools: true,
+        outputSchema: template?.outputSchema,
+        replyToMessageId: replyTo?.id,
+        // A new answer to an earlier prompt must come from the model, not the cache
+        noCache: Boolean(replyTo)
       });
 
       // Remove loading message
@@ -592,17 +800,41 @@ export default class ChatContainer extends BaseComponent {
           conversationId: this.state.currentConversationId,
           role: 'assistant',
           content: response.content,
+          reasoning: response.reasoning || null,
+          toolCalls: response.toolCalls || [],
+          structured: response.structured ?
+            { widget: template?.outputWidget || null, data: response.structured } :
+            null,
           timestamp: Date.now(),
           metadata: {
-            model: this.state.selectedModel
+            model: response.model || this.state.selectedModel,
+            provider: response.provider,
+            fallbackFrom: response.fallbackFrom,
+            fromCache: response.fromCache
           },
           cost: response.cost
         };
         
-        const assistantMessageId = await this.messageManager.addMessage(assistantMessage);
-        assistantMessage.id = assistantMessageId; // Update with actual ID from storage
+        if (versionOf) {
+          // Regenerated answers become a new version of the earlier one
+          const updated = await this.messageManager.addVersion(
+            versionOf.id,
+            assistantMessage,
+            versionOf.conversationId
+          );
+          messageList.handleMessageUpdate(updated);
+        } else {
+          const assistantMessageId = await this.messageManager.addMessage(assistantMessage);
+          assistantMessage.id = assistantMessageId; // Update with actual ID from storage
         
-        messageList.addMessage(assistantMessage);
+          messageList.addMessage(assistantMessage);
+        }
+
+        if (template && !response.structured) {
+          messageList.addInfoMessage(
+            `The answer did not match the ${template.name} format, so it is shown as text.`
+          );
+        }
         
         // Process assistant response with context manager
         if (this.contextManager) {
@@ -622,6 +854,7 @@ export default class ChatContainer extends BaseComponent {
         if (response.cost && response.cost > 0) {
           messageList.addInfoMessage(`💰 Cost: $${response.cost.toFixed(4)}`);
         }
+        this.showBudgetWarnings(response.budgetWarnings);
       } else {
         messageList.addErrorMessage('No response content received');
       }
@@ -646,6 +879,8 @@ export default class ChatContainer extends BaseComponent {
     let streamingMessageId = null;
     let port = null;
     let streamId = null;
+    // Resolves to the stored ID of the answer, so the final message can be edited
+    let answerSaved = null;
     
     try {
       // Create streaming message component
@@ -653,7 +888,7 @@ export default class ChatContainer extends BaseComponent {
       const streamingMessage = new StreamingMessage();
       
       // Add streaming message to UI
-      streamingMessageId = messageList.addStreamingMessage(streamingMessage);
+      streamingMessageId = await messageList.addStreamingMessage(streamingMessage);
       
       // Create port connection
       port = browser.runtime.connect({ name: 'streaming' });
@@ -664,6 +899,7 @@ export default class ChatContainer extends BaseComponent {
           case 'stream_started':
             streamId = msg.streamId;
             console.log('[DeepWeb] Stream started:', streamId);
+            this.showBudgetWarnings(msg.budgetWarnings);
             break;
             
           case 'stream_content':
@@ -679,15 +915,20 @@ export default class ChatContainer extends BaseComponent {
               conversationId: this.state.currentConversationId,
               role: 'assistant',
               content: msg.content,
+              reasoning: msg.reasoning || null,
+              toolCalls: msg.toolCalls || [],
               timestamp: Date.now(),
               metadata: {
-                model: this.state.selectedModel
+                model: msg.model || this.state.selectedModel,
+                provider: msg.provider,
+                fallbackFrom: msg.fallbackFrom,
+                fromCache: msg.fromCache
               },
               cost: msg.cost
             };
             
-            const assistantMessageId = await this.messageManager.addMessage(assistantMessage);
-            assistantMessage.id = assistantMessageId;
+            answerSaved = this.messageManager.addMessage(assistantMessage);
+            assistantMessage.id = await answerSaved;
             
             // Update conversation
             const conversation = await this.conversationManager.getConversation(this.state.currentConversationId);
@@ -770,9 +1011,9 @@ export default class ChatContainer extends BaseComponent {
           
           // Set up message handler
           const messageHandler = (msg) => {
-            if (msg.type === 'stream_content') {
+            if (msg.type === 'stream_content' || msg.type === 'stream_reasoning') {
               events.push({
-                type: 'content',
+                type: msg.type === 'stream_reasoning' ? 'reasoning' : 'content',
                 content: msg.content
               });
               if (resolver) {
@@ -780,12 +1021,24 @@ export default class ChatContainer extends BaseComponent {
                 resolver = null;
                 resolve();
               }
+            } else if (msg.type === 'stream_tool_call' || msg.type === 'stream_tool_result') {
+              events.push({
+                ...msg,
+                type: msg.type === 'stream_tool_call' ? 'tool_call' : 'tool_result'
+              });
+              if (resolver) {
+                const resolve = resolver;
+                resolver = null;
+                resolve();
+              }
             } else if (msg.type === 'stream_done') {
               events.push({
                 type: 'done',
                 usage: msg.usage,
                 cost: msg.cost,
-                content: msg.content
+                content: msg.content,
+                reasoning: msg.reasoning,
+                toolCalls: msg.toolCalls
               });
               done = true;
               if (resolver) {
@@ -832,38 +1085,7 @@ export default class ChatContainer extends BaseComponent {
       };
       
       // Process message with context manager
-      let contextData = {};
-      if (this.contextManager) {
-        const messageContext = await this.contextManager.processMessage({
-          role: 'user',
-          content: message
-        });
-        
-        // Build comprehensive context
-        const fullContext = await this.contextManager.buildContext({
-          query: message,
-          targetModel: this.state.selectedModel
-        });
-        
-        contextData = {
-          pageContent: fullContext.current?.relevantSections?.join('\n\n') || '',
-          contentType: fullContext.meta?.primaryTopic,
-          relevantSections: fullContext.current?.relevantSections || [],
-          metadata: fullContext.meta || {},
-          memory: fullContext.memory?.insights || {},
-          crossPage: fullContext.crossPage || {},
-          contextSummary: fullContext.summary
-        };
-      } else {
-        // Fallback to smart context extraction
-        const context = await extractChatContext({
-          userQuery: message,
-          model: this.state.selectedModel,
-          includeMetadata: true,
-          maxLength: 4000
-        });
-        contextData = context;
-      }
+      const contextData = await this.buildMessageContext(message);
       
       // Start streaming request with enhanced context and model parameters
       port.postMessage({
@@ -873,7 +1095,8 @@ export default class ChatContainer extends BaseComponent {
         conversationId: this.state.currentConversationId,
         stream: true,
         context: contextData,
-        parameters: this.modelParameters || {}
+        parameters: this.modelParameters || {},
+        pageTools: true
       });
       
       // Handle cancellation
@@ -893,8 +1116,12 @@ export default class ChatContainer extends BaseComponent {
       const finalContent = streamingMessage.getContent();
       if (finalContent) {
         messageList.replaceStreamingMessage(streamingMessageId, {
+          id: await answerSaved,
+          conversationId: this.state.currentConversationId,
           role: 'assistant',
           content: finalContent,
+          reasoning: streamingMessage.getReasoning(),
+          toolCalls: streamingMessage.getToolCalls(),
           timestamp: Date.now()
         });
       }
@@ -917,6 +1144,179 @@ export default class ChatContainer extends BaseComponent {
     }
   }
 
+  /**
+   * Stream one prompt from every compare model into parallel columns
+   * Nothing is saved until the user keeps one answer.
+   * @param {string} message - User message
+   */
+  async handleCompareMessage(message) {
+    const messageList = this.getChild('messageList');
+    const models = this.state.compareModels;
+    let compareId = null;
+    let streamId = null;
+    let port = null;
+
+    const cancel = () => {
+      if (port && streamId) {
+        port.postMessage({ type: 'cancel_stream', streamId });
+      }
+    };
+
+    try {
+      const { default: CompareView } = await import('./CompareView.js');
+      const compareView = new CompareView({
+        models: models.map(model => ({ id: model, name: this.getModelName(model) })),
+        onKeep: (kept, results) => {
+          if (compareView.isStreaming()) {
+            cancel();
+            compareView.finish();
+          }
+          this.keepComparedAnswer(compareId, kept, results);
+        },
+        onCancel: () => {
+          cancel();
+          compareView.finish();
+        }
+      });
+      compareId = await messageList.addStreamingMessage(compareView);
+
+      port = browser.runtime.connect({ name: 'streaming' });
+      port.onMessage.addListener((msg) => {
+        switch (msg.type) {
+          case 'compare_started':
+            ({ streamId } = msg);
+            this.showBudgetWarnings(msg.budgetWarnings);
+            msg.columns.forEach((column, index) => {
+              if (column.error) {
+                compareView.failColumn(index, column.error);
+              }
+            });
+            break;
+
+          case 'compare_content':
+            compareView.appendContent(msg.column, msg.content);
+            break;
+
+          case 'compare_reasoning':
+            compareView.appendReasoning(msg.column, msg.content);
+            break;
+
+          case 'compare_column_done':
+            compareView.completeColumn(msg.column, msg);
+            break;
+
+          case 'compare_error':
+            compareView.failColumn(msg.column, msg.error);
+            break;
+
+          case 'compare_cancelled':
+            compareView.failColumn(msg.column, 'Stopped');
+            break;
+
+          case 'compare_done':
+            compareView.finish();
+            port.disconnect();
+            break;
+
+          case 'error':
+            messageList.removeMessage(compareId);
+            messageList.addErrorMessage(msg.error || 'Failed to compare models');
+            port.disconnect();
+            break;
+
+          default:
+            break;
+        }
+      });
+
+      port.postMessage({
+        type: 'start_compare',
+        message,
+        models,
+        conversationId: this.state.currentConversationId,
+        context: await this.buildMessageContext(message),
+        parameters: this.modelParameters || {}
+      });
+    } catch (error) {
+      console.error('[DeepWeb] Compare error:', error);
+
+      if (compareId) {
+        messageList.removeMessage(compareId);
+      }
+      messageList.addErrorMessage(error.message || 'Failed to compare models');
+
+      if (port) {
+        port.disconnect();
+      }
+    }
+  }
+
+  /**
+   * Save the answer kept from a comparison as the canonical reply
+   * Every finished column was paid for, so all of them count toward the cost.
+   * @param {string} compareId - Compare view ID in the message list
+   * @param {Object} kept - Kept column result
+   * @param {Array} results - Results of every finished column
+   */
+  async keepComparedAnswer(compareId, kept, results) {
+    const messageList = this.getChild('messageList');
+
+    try {
+      const assistantMessage = {
+        id: `msg_${Date.now()}_assistant`,
+        conversationId: this.state.currentConversationId,
+        role: 'assistant',
+        content: kept.content,
+        reasoning: kept.reasoning || null,
+        timestamp: Date.now(),
+        metadata: {
+          model: kept.model,
+          provider: kept.provider,
+          fallbackFrom: kept.fallbackFrom,
+          fromCache: kept.fromCache,
+          latencyMs: kept.latencyMs,
+          comparedWith: results
+            .filter(result => result.column !== kept.column)
+            .map(({ model, latencyMs, usage, cost }) => ({
+              model,
+              latencyMs,
+              tokens: usage?.total_tokens || 0,
+              cost: cost || 0
+            }))
+        },
+        cost: kept.cost
+      };
+
+      assistantMessage.id = await this.messageManager.addMessage(assistantMessage);
+
+      const conversationId = this.state.currentConversationId;
+      const totalCost = results.reduce((sum, result) => sum + (result.cost || 0), 0);
+      const conversation = await this.conversationManager.getConversation(conversationId);
+      await this.conversationManager.updateConversation(conversationId, {
+        lastMessageAt: new Date().toISOString(),
+        totalCost: (conversation?.totalCost || 0) + totalCost
+      });
+
+      if (this.contextManager) {
+        await this.contextManager.processMessage({
+          role: 'assistant',
+          content: kept.content
+        });
+      }
+
+      await messageList.replaceStreamingMessage(compareId, assistantMessage);
+
+      if (totalCost > 0) {
+        messageList.addInfoMessage(
+          `💰 Cost: $${totalCost.toFixed(4)} across ${results.length} models`
+        );
+      }
+    } catch (error) {
+      console.error('[DeepWeb] Failed to keep compared answer:', error);
+      messageList.addErrorMessage('Failed to save the selected answer');
+    }
+  }
+
   toggle() {
     if (this.isVisible()) {
       this.hide();
@@ -960,7 +1360,8 @@ export default class ChatContainer extends BaseComponent {
     try {
       const newConv = await this.conversationManager.createConversation({
         title: 'New Chat',
-        model: this.state.selectedModel
+        model: this.state.selectedModel,
+        url: window.location.href
       });
       
       this.setState({ currentConversationId: newConv.id });
@@ -979,7 +1380,7 @@ export default class ChatContainer extends BaseComponent {
 
   async handleDeleteConversation(conversationId) {
     try {
-      await this.conversationManager.deleteConversation(conversationId);
+      const trashId = await this.conversationManager.deleteConversation(conversationId);
       
       // If deleted conversation was current, create a new one
       if (conversationId === this.state.currentConversationId) {
@@ -992,8 +1393,19 @@ export default class ChatContainer extends BaseComponent {
         const conversations = await this.conversationManager.getAllConversations();
         conversationList.updateConversations(conversations, this.state.currentConversationId);
       }
+
+      return trashId;
     } catch (error) {
       console.error('[DeepWeb] Error deleting conversation:', error);
+      return null;
+    }
+  }
+
+  async refreshConversationList() {
+    const conversationList = this.getChild('conversationList');
+    if (conversationList) {
+      const conversations = await this.conversationManager.getAllConversations();
+      conversationList.updateConversations(conversations, this.state.currentConversationId);
     }
   }
 
@@ -1098,7 +1510,17 @@ export default class ChatContainer extends BaseComponent {
     }
   }
 
-  handleSearchNavigate(message) {
+  async handleSearchNavigate(message) {
+    // Results can come from any conversation
+    if (message.conversationId && message.conversationId !== this.state.currentConversationId) {
+      await this.handleConversationSelect(message.conversationId);
+      this.getChild('conversationList')?.setActiveConversation(message.conversationId);
+      const messageSearch = this.getChild('messageSearch');
+      if (messageSearch) {
+        messageSearch.conversationId = message.conversationId;
+      }
+    }
+
     // Scroll to the message in the message list
     const messageList = this.getChild('messageList');
     if (messageList) {
@@ -1122,12 +1544,9 @@ export default class ChatContainer extends BaseComponent {
     }
   }
 
-  async handleMessageDelete(messageId) {
-    // Message was deleted, refresh if needed
+  async handleMessageDelete() {
+    // The message has already been moved to the trash
     try {
-      // Delete from storage
-      await this.messageManager.deleteMessage(messageId);
-      
       // Update conversation timestamp
       await this.conversationManager.updateConversation(this.state.currentConversationId, {
         lastMessageAt: new Date().toISOString()
@@ -1137,6 +1556,14 @@ export default class ChatContainer extends BaseComponent {
     }
   }
 
+  async handleMessageRestore() {
+    // Reload so the restored message shows up in its place
+    if (this.state.currentConversationId) {
+      await this.loadConversation(this.state.currentConversationId);
+    }
+    await this.refreshConversationList();
+  }
+
   handleStreamingToggle(enabled) {
     this.setState({ streamingEnabled: enabled });
     const messageList = this.getChild('messageList');
@@ -2050,8 +2477,13 @@ export default class ChatContainer extends BaseComponent {
       this.templateManager = new TemplateManager();
       await this.templateManager.initialize();
       
-      // Initialize context manager
-      this.contextManager = new ContextManager();
+      // Initialize context manager, suggesting earlier chats about similar pages
+      this.contextManager = new ContextManager({
+        findRelatedConversations: async (text) => {
+          const related = await this.conversationManager.findRelated({ text });
+          return related.filter(conv => conv.id !== this.state.currentConversationId);
+        }
+      });
       
       // Initialize page context
       await this.initializePageContext();
@@ -2113,6 +2545,7 @@ export default class ChatContainer extends BaseComponent {
         case 'navigation': icon = '🧭'; break;
         case 'answer': icon = '📚'; break;
         case 'research': icon = '🔬'; break;
+        case 'related': icon = '🗂️'; break;
       }
       
       messageList.addInfoMessage(`${icon} ${suggestion.content}`);
@@ -2195,6 +2628,10 @@ export default class ChatContainer extends BaseComponent {
       inputArea.focus();
     }
     
+    // Answer the prompt as JSON when the template declares an output schema
+    this.pendingTemplate = template?.outputSchema ? template : null;
+    this.pendingTemplateId = template?.id || null;
+
     // Track template usage
     if (template && this.templateManager) {
       this.templateManager.trackUsage(template.id);
@@ -0,0 +1,343 @@
+/**
+ * Compare View Component
+ * Streams one prompt's answers from several models into parallel columns
+ */
+
+import BaseComponent from './BaseComponent.js';
+import DOMUtils from '../utils/dom-utils.js';
+import { SecureMarkdownRenderer } from '../../src/security/SecureMarkdownRenderer.js';
+
+export default class CompareView extends BaseComponent {
+  /**
+   * @param {Object} options - View options
+   * @param {Array} options.models - Models to compare, as { id, name }
+   * @param {Function} [options.onKeep] - Called with the kept result and every result
+   * @param {Function} [options.onCancel] - Called when the user stops the comparison
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.models = options.models || [];
+    this.onKeep = options.onKeep || (() => {});
+    this.onCancel = options.onCancel || (() => {});
+
+    this.state = {
+      columns: this.models.map(model => ({
+        model: model.id,
+        content: '',
+        reasoning: '',
+        status: 'streaming', // streaming, done, error
+        result: null
+      })),
+      keptColumn: null
+    };
+
+    this.columnElements = [];
+  }
+
+  render() {
+    this.element = DOMUtils.createElement('div', {
+      class: 'deepweb-message deepweb-compare-view',
+      role: 'group',
+      'aria-label': 'Model comparison'
+    });
+    Object.assign(this.element.style, {
+      padding: '12px',
+      borderRadius: '12px',
+      marginBottom: '12px',
+      background: '#f8f9fb',
+      border: '1px solid #e0e0e0'
+    });
+
+    // Toolbar
+    const toolbar = DOMUtils.createElement('div', {
+      class: 'deepweb-compare-toolbar'
+    });
+    Object.assign(toolbar.style, {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: '8px',
+      fontSize: '12px',
+      color: '#666'
+    });
+
+    const title = DOMUtils.createElement('span');
+    DOMUtils.setTextContent(title, `⇆ Comparing ${this.models.length} models`);
+    toolbar.appendChild(title);
+
+    this.cancelButton = DOMUtils.createElement('button', {
+      class: 'deepweb-compare-cancel',
+      type: 'button'
+    });
+    Object.assign(this.cancelButton.style, buttonStyles());
+    DOMUtils.setTextContent(this.cancelButton, '⏹ Stop');
+    toolbar.appendChild(this.cancelButton);
+    this.element.appendChild(toolbar);
+
+    // One column per model
+    const grid = DOMUtils.createElement('div', {
+      class: 'deepweb-compare-columns'
+    });
+    Object.assign(grid.style, {
+      display: 'grid',
+      gridTemplateColumns: `repeat(${this.models.length}, minmax(0, 1fr))`,
+      gap: '8px'
+    });
+
+    this.columnElements = this.models.map(model => {
+      const column = this.renderColumn(model);
+      grid.appendChild(column.element);
+      return column;
+    });
+    this.element.appendChild(grid);
+  }
+
+  renderColumn(model) {
+    const element = DOMUtils.createElement('div', {
+      class: 'deepweb-compare-column',
+      'data-model': model.id
+    });
+    Object.assign(element.style, {
+      display: 'flex',
+      flexDirection: 'column',
+      minWidth: '0',
+      padding: '8px',
+      background: 'white',
+      border: '1px solid #e0e0e0',
+      borderRadius: '8px'
+    });
+
+    const header = DOMUtils.createElement('div', {
+      class: 'deepweb-compare-model'
+    });
+    Object.assign(header.style, {
+      fontSize: '11px',
+      fontWeight: 'bold',
+      textTransform: 'uppercase',
+      opacity: '0.7',
+      marginBottom: '6px'
+    });
+    DOMUtils.setTextContent(header, model.name || model.id);
+
+    const content = DOMUtils.createElement('div', {
+      class: 'deepweb-compare-content'
+    });
+    Object.assign(content.style, {
+      flex: '1',
+      fontSize: '13px',
+      lineHeight: '1.5',
+      whiteSpace: 'pre-wrap',
+      wordWrap: 'break-word',
+      color: '#333'
+    });
+
+    const stats = DOMUtils.createElement('div', {
+      class: 'deepweb-compare-stats'
+    });
+    Object.assign(stats.style, {
+      marginTop: '8px',
+      fontSize: '11px',
+      color: '#999'
+    });
+    DOMUtils.setTextContent(stats, 'Streaming...');
+
+    const keepButton = DOMUtils.createElement('button', {
+      class: 'deepweb-compare-keep',
+      type: 'button',
+      disabled: 'disabled',
+      title: 'Keep this answer in the conversation'
+    });
+    Object.assign(keepButton.style, buttonStyles(), { marginTop: '8px' });
+    DOMUtils.setTextContent(keepButton, '✓ Keep this answer');
+
+    element.append(header, content, stats, keepButton);
+    return { element, content, stats, keepButton };
+  }
+
+  setupEventListeners() {
+    this.columnElements.forEach((column, index) => {
+      column.keepButton.addEventListener('click', () => this.keep(index));
+    });
+    this.cancelButton.addEventListener('click', () => this.onCancel());
+  }
+
+  /**
+   * Append streamed text to a column
+   * @param {number} index - Column index
+   * @param {string} content - Text delta
+   */
+  appendContent(index, content) {
+    const column = this.state.columns[index];
+    if (!column || column.status !== 'streaming') {
+      return;
+    }
+
+    if (!column.content) {
+      // Answer started after the model's reasoning
+      DOMUtils.setTextContent(this.columnElements[index].stats, 'Streaming...');
+    }
+    column.content += content;
+    DOMUtils.setTextContent(this.columnElements[index].content, column.content);
+  }
+
+  /**
+   * Collect a reasoning model's chain of thought for a column
+   * Only a status is shown; the reasoning is kept with the saved answer.
+   * @param {number} index - Column index
+   * @param {string} content - Reasoning delta
+   */
+  appendReasoning(index, content) {
+    const column = this.state.columns[index];
+    if (!column || column.status !== 'streaming') {
+      return;
+    }
+
+    column.reasoning += content;
+    DOMUtils.setTextContent(this.columnElements[index].stats, 'Thinking…');
+  }
+
+  /**
+   * Mark a column as finished and show its latency, tokens and cost
+   * @param {number} index - Column index
+   * @param {Object} result - Final chunk from the background script
+   */
+  completeColumn(index, result) {
+    const column = this.state.columns[index];
+    if (!column) {
+      return;
+    }
+
+    column.status = 'done';
+    column.content = result.content || column.content;
+    column.result = result;
+
+    const elements = this.columnElements[index];
+    elements.content.innerHTML = '';
+    new SecureMarkdownRenderer().render(column.content, elements.content);
+    elements.content.classList.add('md-content');
+    DOMUtils.setTextContent(elements.stats, this.formatStats(result));
+    elements.keepButton.removeAttribute('disabled');
+    this.updateToolbar();
+  }
+
+  /**
+   * Mark a column as failed
+   * @param {number} index - Column index
+   * @param {string} error - Error message
+   */
+  failColumn(index, error) {
+    const column = this.state.columns[index];
+    if (!column || column.status === 'done') {
+      return;
+    }
+
+    column.status = 'error';
+    const { stats } = this.columnElements[index];
+    stats.style.color = '#c62828';
+    DOMUtils.setTextContent(stats, `✗ ${error}`);
+    this.updateToolbar();
+  }
+
+  /**
+   * Stop every column that is still streaming
+   * @param {string} [reason='Stopped'] - Shown in unfinished columns
+   */
+  finish(reason = 'Stopped') {
+    this.state.columns.forEach((column, index) => {
+      if (column.status === 'streaming') {
+        this.failColumn(index, reason);
+      }
+    });
+    this.updateToolbar();
+  }
+
+  /**
+   * Keep one answer as the canonical reply
+   * @param {number} index - Column index
+   */
+  keep(index) {
+    const column = this.state.columns[index];
+    if (!column || column.status !== 'done' || this.state.keptColumn !== null) {
+      return;
+    }
+
+    this.setState({ keptColumn: index });
+    this.onKeep(this.getResult(index), this.getResults());
+  }
+
+  /**
+   * Final result for a column
+   * @param {number} index - Column index
+   * @returns {Object|null} Result with model and content
+   */
+  getResult(index) {
+    const column = this.state.columns[index];
+    if (!column?.result) {
+      return null;
+    }
+
+    return {
+      ...column.result,
+      content: column.content,
+      reasoning: column.result.reasoning || column.reasoning || null
+    };
+  }
+
+  /**
+   * Results of every finished column
+   * @returns {Array} Results
+   */
+  getResults() {
+    return this.state.columns
+      .map((column, index) => this.getResult(index))
+      .filter(Boolean);
+  }
+
+  /**
+   * Whether any column is still streaming
+   * @returns {boolean}
+   */
+  isStreaming() {
+    return this.state.columns.some(column => column.status === 'streaming');
+  }
+
+  /**
+   * Format a column's latency, tokens and cost
+   * @param {Object} result - Final chunk
+   * @returns {string} Stats line
+   */
+  formatStats(result) {
+    const parts = [formatSeconds(result.latencyMs)];
+
+    if (result.firstTokenMs !== null && typeof result.firstTokenMs !== 'undefined') {
+      parts[0] += ` (first token ${formatSeconds(result.firstTokenMs)})`;
+    }
+    if (result.usage?.total_tokens) {
+      parts.push(`${result.usage.total_tokens} tokens`);
+    }
+    parts.push(result.fromCache ? 'from cache' : `$${(result.cost || 0).toFixed(4)}`);
+
+    return parts.join(' · ');
+  }
+
+  updateToolbar() {
+    this.cancelButton.style.display = this.isStreaming() ? '' : 'none';
+  }
+}
+
+function formatSeconds(ms) {
+  return `${((ms || 0) / 1000).toFixed(1)}s`;
+}
+
+function buttonStyles() {
+  return {
+    padding: '4px 8px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    background: 'white',
+    color: '#333',
+    fontSize: '12px',
+    cursor: 'pointer'
+  };
+}
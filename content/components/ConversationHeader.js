@@ -338,7 +338,7 @@ export default class ConversationHeader extends BaseComponent {
 
     // Delete button
     const deleteBtn = this.createActionButton('🗑️', 'Delete', () => {
-      if (confirm('Are you sure you want to delete this conversation? This action cannot be undone.')) {
+      if (confirm('Move this conversation to the trash? You can restore it from there.')) {
         this.onDelete(this.conversation.id);
       }
     });
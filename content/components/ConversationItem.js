@@ -16,6 +16,12 @@ export default class ConversationItem extends BaseComponent {
     this.onRename = options.onRename || (() => {});
     this.onDelete = options.onDelete || (() => {});
     this.onArchive = options.onArchive || (() => {});
+    this.onFindRelated = options.onFindRelated || null;
+    this.onTagsChange = options.onTagsChange || null;
+    this.onTagSelect = options.onTagSelect || null;
+    this.draggable = options.draggable || false; // Can be dropped on a folder
+    this.depth = options.depth || 0; // Nesting level of forks under their parent
+    this.score = options.score ?? null; // Similarity when shown as a related conversation
     
     // State
     this.state = {
@@ -54,6 +60,7 @@ export default class ConversationItem extends BaseComponent {
     Object.assign(this.element.style, {
       padding: '12px 16px',
       marginBottom: '4px',
+      marginLeft: `${this.depth * 16}px`,
       borderRadius: '8px',
       cursor: 'pointer',
       position: 'relative',
@@ -85,6 +92,20 @@ export default class ConversationItem extends BaseComponent {
       gap: '8px'
     });
 
+    // Fork indicator
+    if (this.depth > 0) {
+      const forkIcon = DOMUtils.createElement('span', {
+        class: 'deepweb-fork-icon',
+        title: 'Forked conversation'
+      });
+      DOMUtils.setTextContent(forkIcon, '↳');
+      Object.assign(forkIcon.style, {
+        fontSize: '12px',
+        color: '#999'
+      });
+      titleRow.appendChild(forkIcon);
+    }
+
     // Archive indicator
     if (this.conversation.archived) {
       const archiveIcon = DOMUtils.createElement('span', {
@@ -162,13 +183,69 @@ export default class ConversationItem extends BaseComponent {
       metaRow.appendChild(messageCount);
     }
 
+    // Similarity to what the related conversations were found for
+    if (this.score !== null) {
+      const score = DOMUtils.createElement('span', {
+        class: 'deepweb-conversation-score',
+        title: 'Similarity'
+      });
+      DOMUtils.setTextContent(score, `• ${Math.round(this.score * 100)}% match`);
+      metaRow.appendChild(score);
+    }
+
     contentContainer.appendChild(metaRow);
+
+    // Tags
+    const tags = this.conversation.tags || this.conversation.metadata?.tags || [];
+    if (tags.length) {
+      contentContainer.appendChild(this.buildTags(tags));
+    }
+
     this.element.appendChild(contentContainer);
 
     // Action buttons container
     this.buildActionButtons();
   }
 
+  buildTags(tags) {
+    const tagsRow = DOMUtils.createElement('div', {
+      class: 'deepweb-conversation-tags'
+    });
+    Object.assign(tagsRow.style, {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '4px'
+    });
+
+    tags.forEach(tag => {
+      const chip = DOMUtils.createElement('span', {
+        class: 'deepweb-conversation-tag',
+        'data-tag': tag,
+        title: this.onTagSelect ? `Show conversations tagged ${tag}` : tag
+      });
+      DOMUtils.setTextContent(chip, `#${tag}`);
+      Object.assign(chip.style, {
+        padding: '1px 6px',
+        fontSize: '11px',
+        color: '#1565c0',
+        backgroundColor: '#e3f2fd',
+        borderRadius: '8px',
+        cursor: this.onTagSelect ? 'pointer' : 'default'
+      });
+
+      if (this.onTagSelect) {
+        chip.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.onTagSelect(tag);
+        });
+      }
+
+      tagsRow.appendChild(chip);
+    });
+
+    return tagsRow;
+  }
+
   buildActionButtons() {
     const actionsContainer = DOMUtils.createElement('div', {
       class: 'deepweb-conversation-actions'
@@ -185,6 +262,22 @@ export default class ConversationItem extends BaseComponent {
       pointerEvents: this.state.showActions ? 'auto' : 'none'
     });
 
+    // Related conversations button
+    if (this.onFindRelated) {
+      const relatedBtn = this.createActionButton('🧭', 'Find conversations about this', () => {
+        this.onFindRelated(this.conversation.id);
+      });
+      actionsContainer.appendChild(relatedBtn);
+    }
+
+    // Tags button
+    if (this.onTagsChange) {
+      const tagsBtn = this.createActionButton('🏷️', 'Edit tags', () => {
+        this.editTags();
+      });
+      actionsContainer.appendChild(tagsBtn);
+    }
+
     // Rename button
     const renameBtn = this.createActionButton('✏️', 'Rename', () => {
       this.startEditing();
@@ -202,10 +295,9 @@ export default class ConversationItem extends BaseComponent {
     actionsContainer.appendChild(archiveBtn);
 
     // Delete button
+    // No confirmation: the list offers Undo and keeps the conversation in the trash
     const deleteBtn = this.createActionButton('🗑️', 'Delete', () => {
-      if (confirm('Are you sure you want to delete this conversation?')) {
-        this.onDelete(this.conversation.id);
-      }
+      this.onDelete(this.conversation.id);
     });
     actionsContainer.appendChild(deleteBtn);
 
@@ -304,7 +396,30 @@ export default class ConversationItem extends BaseComponent {
     });
   }
 
+  editTags() {
+    const current = this.conversation.tags || this.conversation.metadata?.tags || [];
+    const input = prompt('Tags, separated by commas:', current.join(', '));
+    if (input === null) {
+      return;
+    }
+
+    this.onTagsChange(this.conversation.id, input.split(',').map(tag => tag.trim()));
+  }
+
   setupEventListeners() {
+    // Drag onto a folder in the list
+    if (this.draggable) {
+      this.element.setAttribute('draggable', 'true');
+      this.element.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/x-deepweb-conversation', this.conversation.id);
+        e.dataTransfer.effectAllowed = 'move';
+        this.element.style.opacity = '0.5';
+      });
+      this.element.addEventListener('dragend', () => {
+        this.element.style.opacity = '';
+      });
+    }
+
     // Click to select
     this.element.addEventListener('click', () => {
       if (!this.state.isEditing) {
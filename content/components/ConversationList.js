@@ -5,8 +5,64 @@
 
 import BaseComponent from './BaseComponent.js';
 import ConversationItem from './ConversationItem.js';
+import StudyView from './StudyView.js';
 import DOMUtils from '../utils/dom-utils.js';
 import { responsiveManager } from '../utils/ResponsiveManager.js';
+import { animationManager } from '../utils/AnimationManager.js';
+import {
+  buildFolderTree,
+  getFolderIds,
+  getConversationTags
+} from '../../src/storage/conversations/organization.js';
+import {
+  parseSmartFilter,
+  matchesSmartFilter
+} from '../../src/storage/conversations/smartFilters.js';
+
+// Drag data types for conversations and folders dropped on a folder
+const CONVERSATION_DRAG_TYPE = 'text/x-deepweb-conversation';
+const FOLDER_DRAG_TYPE = 'text/x-deepweb-folder';
+
+/**
+ * Order conversations so forks follow their parent
+ * Forks whose parent is not in the list are shown at the top level.
+ * @param {Array} conversations - Conversations in display order
+ * @returns {Array} Entries as { conversation, depth }
+ */
+export function buildConversationTree(conversations) {
+  const ids = new Set(conversations.map(conv => conv.id));
+  const children = new Map();
+  const roots = [];
+
+  conversations.forEach(conversation => {
+    const parentId = conversation.parentConversationId;
+    if (parentId && parentId !== conversation.id && ids.has(parentId)) {
+      if (!children.has(parentId)) {
+        children.set(parentId, []);
+      }
+      children.get(parentId).push(conversation);
+    } else {
+      roots.push(conversation);
+    }
+  });
+
+  const entries = [];
+  const visited = new Set();
+  const visit = (conversation, depth) => {
+    if (visited.has(conversation.id)) {
+      return;
+    }
+    visited.add(conversation.id);
+    entries.push({ conversation, depth });
+    (children.get(conversation.id) || []).forEach(child => visit(child, depth + 1));
+  };
+  roots.forEach(conversation => visit(conversation, 0));
+
+  // Forks caught in a parent loop have no root; keep them visible
+  conversations.forEach(conversation => visit(conversation, 0));
+
+  return entries;
+}
 
 export default class ConversationList extends BaseComponent {
   constructor(options = {}) {
@@ -17,6 +73,13 @@ export default class ConversationList extends BaseComponent {
     this.onConversationSelect = options.onConversationSelect || (() => {});
     this.onNewConversation = options.onNewConversation || (() => {});
     this.onImport = options.onImport || (() => {});
+    this.onFindRelated = options.onFindRelated || null;
+    this.onDeleteConversation = options.onDeleteConversation || null;
+    this.onTrashChange = options.onTrashChange || null;
+    // Tags, folders, smart filters and the trash; anything with the ConversationManager methods
+    this.organizer = options.organizer || this.conversationManager;
+    // Flashcards to study; anything with the methods StudyView uses
+    this.deck = options.deck || null;
     
     // State
     this.state = {
@@ -29,6 +92,20 @@ export default class ConversationList extends BaseComponent {
       totalPages: 1,
       isLoading: false,
       error: null,
+      // Related conversations shown instead of the list, as { label, conversations }
+      related: null,
+      // Organization: the selected folder, tag and smart filter narrow the list
+      folders: [],
+      smartFilters: [],
+      folderId: null,
+      tag: null,
+      smartFilterId: null,
+      // Trash shown in place of the list, and what auto-cleanup would do
+      showTrash: false,
+      trashEntries: [],
+      cleanupPreview: null,
+      // Flashcard review shown in place of the list
+      showStudy: false,
       // Mobile-specific state
       isMobileMode: false
     };
@@ -67,7 +144,9 @@ export default class ConversationList extends BaseComponent {
     this.buildStructure();
     
     // Load initial data
+    await this.loadOrganization();
     await this.loadConversations();
+    await this.checkCleanup();
   }
 
   applyStyles() {
@@ -90,9 +169,26 @@ export default class ConversationList extends BaseComponent {
     
     // Filter section
     this.buildFilterSection();
+
+    // Folder tree
+    this.buildFolderSection();
+
+    // Related conversations banner
+    this.buildRelatedBanner();
     
+    // Auto-cleanup preview
+    this.buildCleanupBanner();
+
     // Conversation list container
     this.buildListContainer();
+
+    // Trash, shown in place of the list
+    this.buildTrashView();
+
+    // Flashcard review, shown in place of the list
+    if (this.deck) {
+      this.buildStudyView();
+    }
     
     // Pagination section
     this.buildPaginationSection();
@@ -165,6 +261,52 @@ export default class ConversationList extends BaseComponent {
 
     buttonsContainer.appendChild(importBtn);
 
+    // Trash button
+    if (this.organizer) {
+      const trashBtn = DOMUtils.createElement('button', {
+        class: 'deepweb-trash-btn',
+        title: 'Trash',
+        type: 'button'
+      });
+      DOMUtils.setTextContent(trashBtn, '🗑️');
+      Object.assign(trashBtn.style, {
+        padding: '8px 12px',
+        fontSize: '16px',
+        backgroundColor: '#f5f5f5',
+        border: '1px solid #e0e0e0',
+        borderRadius: '4px',
+        cursor: 'pointer'
+      });
+      trashBtn.addEventListener('click', () => {
+        this.toggleTrash();
+      });
+      buttonsContainer.appendChild(trashBtn);
+      this.trashBtn = trashBtn;
+    }
+
+    // Study button
+    if (this.deck) {
+      const studyBtn = DOMUtils.createElement('button', {
+        class: 'deepweb-study-btn',
+        title: 'Study flashcards',
+        type: 'button'
+      });
+      DOMUtils.setTextContent(studyBtn, '🎓');
+      Object.assign(studyBtn.style, {
+        padding: '8px 12px',
+        fontSize: '16px',
+        backgroundColor: '#f5f5f5',
+        border: '1px solid #e0e0e0',
+        borderRadius: '4px',
+        cursor: 'pointer'
+      });
+      studyBtn.addEventListener('click', () => {
+        this.toggleStudy();
+      });
+      buttonsContainer.appendChild(studyBtn);
+      this.studyBtn = studyBtn;
+    }
+
     // New conversation button
     const newBtn = DOMUtils.createElement('button', {
       class: 'deepweb-new-conversation-btn',
@@ -264,6 +406,35 @@ export default class ConversationList extends BaseComponent {
     });
 
     searchWrapper.appendChild(searchInput);
+
+    // Semantic search by what the text is about rather than its words
+    if (this.onFindRelated) {
+      const relatedBtn = DOMUtils.createElement('button', {
+        class: 'deepweb-related-search-btn',
+        title: 'Find conversations about this',
+        type: 'button'
+      });
+      DOMUtils.setTextContent(relatedBtn, '🧭');
+      Object.assign(relatedBtn.style, {
+        marginLeft: '8px',
+        padding: '6px 10px',
+        fontSize: '14px',
+        backgroundColor: '#f5f5f5',
+        border: '1px solid #e0e0e0',
+        borderRadius: '4px',
+        cursor: 'pointer'
+      });
+
+      relatedBtn.addEventListener('click', () => {
+        const text = searchInput.value.trim();
+        if (text) {
+          this.findRelated({ text }, text);
+        }
+      });
+
+      searchWrapper.appendChild(relatedBtn);
+    }
+
     searchContainer.appendChild(searchWrapper);
     this.element.appendChild(searchContainer);
     
@@ -311,6 +482,49 @@ export default class ConversationList extends BaseComponent {
     archiveFilter.appendChild(archiveLabel);
     filterContainer.appendChild(archiveFilter);
 
+    // Saved smart filters
+    const smartFilterSelect = DOMUtils.createElement('select', {
+      class: 'deepweb-smart-filter-select',
+      'aria-label': 'Smart filter'
+    });
+    Object.assign(smartFilterSelect.style, {
+      maxWidth: '140px',
+      fontSize: '12px'
+    });
+    smartFilterSelect.addEventListener('change', (e) => {
+      this.selectSmartFilter(e.target.value || null);
+    });
+    filterContainer.appendChild(smartFilterSelect);
+
+    const saveFilterBtn = this.createSmallButton(
+      'deepweb-smart-filter-save',
+      '＋',
+      'Save a smart filter'
+    );
+    saveFilterBtn.addEventListener('click', () => {
+      this.handleSaveSmartFilter();
+    });
+    filterContainer.appendChild(saveFilterBtn);
+
+    const deleteFilterBtn = this.createSmallButton(
+      'deepweb-smart-filter-delete',
+      '✕',
+      'Delete this smart filter'
+    );
+    deleteFilterBtn.style.display = 'none';
+    deleteFilterBtn.addEventListener('click', () => {
+      this.handleDeleteSmartFilter(this.state.smartFilterId);
+    });
+    filterContainer.appendChild(deleteFilterBtn);
+
+    // Selected tag; clicking it shows every tag again
+    const tagChip = this.createSmallButton('deepweb-tag-filter', '', 'Show all tags');
+    tagChip.style.display = 'none';
+    tagChip.addEventListener('click', () => {
+      this.selectTag(null);
+    });
+    filterContainer.appendChild(tagChip);
+
     // Conversation count
     const countLabel = DOMUtils.createElement('span', {
       class: 'deepweb-conversation-count'
@@ -323,6 +537,196 @@ export default class ConversationList extends BaseComponent {
     
     this.element.appendChild(filterContainer);
     this.countLabel = countLabel;
+    this.smartFilterSelect = smartFilterSelect;
+    this.deleteFilterBtn = deleteFilterBtn;
+    this.tagChip = tagChip;
+  }
+
+  buildFolderSection() {
+    const folderContainer = DOMUtils.createElement('div', {
+      class: 'deepweb-folder-container',
+      role: 'tree',
+      'aria-label': 'Folders'
+    });
+    Object.assign(folderContainer.style, {
+      maxHeight: '180px',
+      overflowY: 'auto',
+      padding: '4px 8px',
+      backgroundColor: '#fff',
+      borderBottom: '1px solid #e0e0e0',
+      fontSize: '13px'
+    });
+
+    this.element.appendChild(folderContainer);
+    this.folderContainer = folderContainer;
+  }
+
+  renderFolders() {
+    if (!this.folderContainer) {
+      return;
+    }
+    this.folderContainer.replaceChildren();
+
+    // "All conversations" is also where conversations are dropped to leave their folder
+    const allRow = this.buildFolderRow(null, 'All conversations', 0);
+    const addBtn = this.createSmallButton('deepweb-folder-add', '＋', 'New folder');
+    addBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.handleCreateFolder();
+    });
+    allRow.appendChild(addBtn);
+    this.folderContainer.appendChild(allRow);
+
+    buildFolderTree(this.state.folders).forEach(({ folder, depth }) => {
+      const row = this.buildFolderRow(folder.id, folder.name, depth + 1);
+
+      row.setAttribute('draggable', 'true');
+      row.addEventListener('dragstart', (e) => {
+        e.stopPropagation();
+        e.dataTransfer.setData(FOLDER_DRAG_TYPE, folder.id);
+        e.dataTransfer.effectAllowed = 'move';
+      });
+      row.addEventListener('dblclick', () => {
+        this.handleRenameFolder(folder.id);
+      });
+
+      const deleteBtn = this.createSmallButton('deepweb-folder-delete', '✕', 'Delete folder');
+      deleteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.handleDeleteFolder(folder.id);
+      });
+      row.appendChild(deleteBtn);
+
+      this.folderContainer.appendChild(row);
+    });
+  }
+
+  buildFolderRow(folderId, name, depth) {
+    const isSelected = this.state.folderId === folderId;
+    const row = DOMUtils.createElement('div', {
+      class: 'deepweb-folder-row',
+      role: 'treeitem',
+      'data-folder-id': folderId || '',
+      'aria-selected': isSelected
+    });
+    Object.assign(row.style, {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      padding: '4px 8px',
+      paddingLeft: `${8 + (depth * 14)}px`,
+      borderRadius: '4px',
+      cursor: 'pointer',
+      backgroundColor: isSelected ? '#e3f2fd' : 'transparent',
+      fontWeight: isSelected ? '600' : 'normal'
+    });
+
+    const label = DOMUtils.createElement('span', {
+      class: 'deepweb-folder-name'
+    });
+    DOMUtils.setTextContent(label, `${folderId ? '📁' : '🗂️'} ${name}`);
+    Object.assign(label.style, {
+      flex: '1',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap'
+    });
+    row.appendChild(label);
+
+    row.addEventListener('click', () => {
+      this.selectFolder(folderId);
+    });
+
+    // Drop target for conversations and other folders
+    const accepts = (e) => {
+      const types = Array.from(e.dataTransfer?.types || []);
+      return types.includes(CONVERSATION_DRAG_TYPE) || types.includes(FOLDER_DRAG_TYPE);
+    };
+    row.addEventListener('dragover', (e) => {
+      if (accepts(e)) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        row.style.outline = '2px dashed #90caf9';
+      }
+    });
+    row.addEventListener('dragleave', () => {
+      row.style.outline = '';
+    });
+    row.addEventListener('drop', (e) => {
+      e.preventDefault();
+      row.style.outline = '';
+      this.handleDrop(e.dataTransfer, folderId);
+    });
+
+    return row;
+  }
+
+  createSmallButton(className, text, title) {
+    const button = DOMUtils.createElement('button', {
+      class: className,
+      title,
+      type: 'button'
+    });
+    DOMUtils.setTextContent(button, text);
+    Object.assign(button.style, {
+      padding: '0 6px',
+      fontSize: '12px',
+      color: '#666',
+      backgroundColor: 'transparent',
+      border: '1px solid #e0e0e0',
+      borderRadius: '4px',
+      cursor: 'pointer'
+    });
+    return button;
+  }
+
+  buildRelatedBanner() {
+    const banner = DOMUtils.createElement('div', {
+      class: 'deepweb-related-banner'
+    });
+    Object.assign(banner.style, {
+      display: 'none',
+      alignItems: 'center',
+      gap: '8px',
+      padding: '8px 16px',
+      backgroundColor: '#e3f2fd',
+      borderBottom: '1px solid #e0e0e0',
+      fontSize: '13px',
+      color: '#333'
+    });
+
+    const label = DOMUtils.createElement('span', {
+      class: 'deepweb-related-label'
+    });
+    Object.assign(label.style, {
+      flex: '1',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap'
+    });
+    banner.appendChild(label);
+
+    const closeBtn = DOMUtils.createElement('button', {
+      class: 'deepweb-related-close',
+      type: 'button'
+    });
+    DOMUtils.setTextContent(closeBtn, 'Show all');
+    Object.assign(closeBtn.style, {
+      padding: '2px 8px',
+      fontSize: '12px',
+      border: '1px solid #90caf9',
+      borderRadius: '4px',
+      backgroundColor: 'white',
+      cursor: 'pointer'
+    });
+    closeBtn.addEventListener('click', () => {
+      this.clearRelated();
+    });
+    banner.appendChild(closeBtn);
+
+    this.element.appendChild(banner);
+    this.relatedBanner = banner;
+    this.relatedLabel = label;
   }
 
   buildListContainer() {
@@ -508,6 +912,9 @@ export default class ConversationList extends BaseComponent {
         pageSize: this.state.pageSize,
         archived: this.state.filterArchived,
         search: this.state.searchQuery || null,
+        folderId: this.state.folderId,
+        tag: this.state.tag,
+        filter: this.getSmartFilter()?.query || null,
         sortBy: 'updatedAt',
         sortOrder: 'desc'
       });
@@ -538,9 +945,15 @@ export default class ConversationList extends BaseComponent {
     const existingItems = this.listContainer.querySelectorAll('.deepweb-conversation-item');
     existingItems.forEach(item => item.remove());
 
-    // Show empty state if needed
-    if (this.state.conversations.length === 0) {
-      this.showEmpty(true);
+    // Related conversations are listed flat, best match first
+    const { related } = this.state;
+    const entries = related ?
+      related.conversations.map(conversation => ({ conversation, depth: 0 })) :
+      buildConversationTree(this.filterConversations(this.state.conversations));
+
+    // Show empty state if needed; the banner already says when nothing is related
+    if (entries.length === 0) {
+      this.showEmpty(!related);
       return;
     }
 
@@ -548,15 +961,21 @@ export default class ConversationList extends BaseComponent {
     this.showLoading(false);
     this.showError(null);
 
-    // Render conversation items
-    this.state.conversations.forEach(conversation => {
+    // Render conversation items, with forks nested under their parent
+    entries.forEach(({ conversation, depth }) => {
       const item = new ConversationItem({
         conversation,
+        depth,
+        score: related ? conversation.score : null,
         isActive: conversation.id === this.state.activeConversationId,
         onSelect: (id) => this.handleConversationSelect(id),
         onRename: (id, title) => this.handleRename(id, title),
         onDelete: (id) => this.handleDelete(id),
-        onArchive: (id, archived) => this.handleArchive(id, archived)
+        onArchive: (id, archived) => this.handleArchive(id, archived),
+        onFindRelated: this.onFindRelated ? (id) => this.handleFindRelated(id) : null,
+        onTagsChange: this.organizer ? (id, tags) => this.handleTagsChange(id, tags) : null,
+        onTagSelect: (tag) => this.selectTag(tag),
+        draggable: Boolean(this.organizer)
       });
 
       item.init();
@@ -565,6 +984,280 @@ export default class ConversationList extends BaseComponent {
     });
   }
 
+  /**
+   * Conversations in the selected folder, tag and smart filter
+   * @param {Array} conversations - Loaded conversations
+   * @returns {Array} Conversations to show
+   */
+  filterConversations(conversations) {
+    const { folders, folderId, tag } = this.state;
+    const folderIds = folderId ? getFolderIds(folders, folderId) : null;
+    const smartFilter = this.getSmartFilter();
+    let parsed = null;
+    try {
+      parsed = smartFilter ? parseSmartFilter(smartFilter.query) : null;
+    } catch (error) {
+      console.error('[ConversationList] Ignoring invalid smart filter:', error);
+    }
+
+    return conversations.filter(conversation => {
+      if (folderIds && !folderIds.has(conversation.folderId)) {
+        return false;
+      }
+      if (tag && !getConversationTags(conversation)
+        .some(item => item.toLowerCase() === tag.toLowerCase())) {
+        return false;
+      }
+      return !parsed || matchesSmartFilter(conversation, parsed, { folders });
+    });
+  }
+
+  getSmartFilter() {
+    return this.state.smartFilters.find(filter => filter.id === this.state.smartFilterId) || null;
+  }
+
+  /**
+   * Load folders and saved smart filters from the organizer
+   */
+  async loadOrganization() {
+    if (!this.organizer) {
+      this.renderFolders();
+      return;
+    }
+
+    try {
+      const [folders, smartFilters] = await Promise.all([
+        this.organizer.listFolders(),
+        this.organizer.listSmartFilters()
+      ]);
+      const folderId = folders.some(f => f.id === this.state.folderId) ? this.state.folderId : null;
+      const smartFilterId = smartFilters.some(f => f.id === this.state.smartFilterId) ?
+        this.state.smartFilterId :
+        null;
+      this.setState({ folders, smartFilters, folderId, smartFilterId });
+    } catch (error) {
+      console.error('[ConversationList] Failed to load folders and filters:', error);
+    }
+
+    this.renderFolders();
+    this.updateFilterControls();
+  }
+
+  updateFilterControls() {
+    if (!this.smartFilterSelect) {
+      return;
+    }
+
+    this.smartFilterSelect.replaceChildren();
+    const noneOption = DOMUtils.createElement('option', { value: '' });
+    DOMUtils.setTextContent(noneOption, 'No smart filter');
+    this.smartFilterSelect.appendChild(noneOption);
+    this.state.smartFilters.forEach(filter => {
+      const option = DOMUtils.createElement('option', { value: filter.id, title: filter.query });
+      DOMUtils.setTextContent(option, filter.name);
+      this.smartFilterSelect.appendChild(option);
+    });
+    this.smartFilterSelect.value = this.state.smartFilterId || '';
+
+    this.deleteFilterBtn.style.display = this.state.smartFilterId ? 'inline-block' : 'none';
+    this.tagChip.style.display = this.state.tag ? 'inline-block' : 'none';
+    DOMUtils.setTextContent(this.tagChip, this.state.tag ? `#${this.state.tag} ✕` : '');
+  }
+
+  /**
+   * Narrow the list after a folder, tag or smart filter changes
+   */
+  applyOrganization() {
+    this.renderFolders();
+    this.updateFilterControls();
+    if (this.state.related) {
+      this.clearRelated();
+    } else {
+      this.renderConversations();
+    }
+    this.updateCount(this.filterConversations(this.state.conversations).length);
+  }
+
+  selectFolder(folderId) {
+    this.setState({ folderId: folderId || null });
+    this.applyOrganization();
+  }
+
+  selectTag(tag) {
+    this.setState({ tag: tag && tag !== this.state.tag ? tag : null });
+    this.applyOrganization();
+  }
+
+  selectSmartFilter(filterId) {
+    this.setState({ smartFilterId: filterId });
+    this.applyOrganization();
+  }
+
+  /**
+   * Move a dropped conversation or folder into a folder
+   * @param {DataTransfer} dataTransfer - Drop data
+   * @param {string|null} folderId - Target folder; null for no folder
+   */
+  async handleDrop(dataTransfer, folderId) {
+    const conversationId = dataTransfer?.getData(CONVERSATION_DRAG_TYPE);
+    const draggedFolderId = dataTransfer?.getData(FOLDER_DRAG_TYPE);
+
+    if (conversationId) {
+      await this.handleMoveToFolder(conversationId, folderId);
+    } else if (draggedFolderId && draggedFolderId !== folderId) {
+      await this.handleMoveFolder(draggedFolderId, folderId);
+    }
+  }
+
+  async handleMoveToFolder(id, folderId) {
+    try {
+      await this.organizer.moveToFolder(id, folderId);
+      this.updateLocalConversation(id, { folderId });
+      this.applyOrganization();
+    } catch (error) {
+      console.error('[ConversationList] Failed to move conversation:', error);
+      this.showError(`Failed to move conversation: ${error.message}`);
+    }
+  }
+
+  async handleMoveFolder(id, parentId) {
+    try {
+      await this.organizer.updateFolder(id, { parentId });
+      await this.loadOrganization();
+      this.applyOrganization();
+    } catch (error) {
+      console.error('[ConversationList] Failed to move folder:', error);
+      this.showError(`Failed to move folder: ${error.message}`);
+    }
+  }
+
+  async handleCreateFolder() {
+    const name = prompt(
+      this.state.folderId ? 'Name of the new subfolder:' : 'Name of the new folder:'
+    );
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    try {
+      await this.organizer.createFolder({ name, parentId: this.state.folderId });
+      await this.loadOrganization();
+    } catch (error) {
+      console.error('[ConversationList] Failed to create folder:', error);
+      this.showError(`Failed to create folder: ${error.message}`);
+    }
+  }
+
+  async handleRenameFolder(id) {
+    const folder = this.state.folders.find(f => f.id === id);
+    const name = prompt('Rename folder:', folder?.name || '');
+    if (!name || !name.trim() || name === folder?.name) {
+      return;
+    }
+
+    try {
+      await this.organizer.updateFolder(id, { name });
+      await this.loadOrganization();
+    } catch (error) {
+      console.error('[ConversationList] Failed to rename folder:', error);
+      this.showError(`Failed to rename folder: ${error.message}`);
+    }
+  }
+
+  async handleDeleteFolder(id) {
+    const folder = this.state.folders.find(f => f.id === id);
+    const message = `Delete the folder "${folder?.name}"? ` +
+      'Its conversations move to the folder above.';
+    if (!folder || !confirm(message)) {
+      return;
+    }
+
+    try {
+      await this.organizer.deleteFolder(id);
+      this.setState({
+        conversations: this.state.conversations.map(conv =>
+          (conv.folderId === id ? { ...conv, folderId: folder.parentId } : conv)
+        ),
+        folderId: this.state.folderId === id ? folder.parentId : this.state.folderId
+      });
+      await this.loadOrganization();
+      this.applyOrganization();
+    } catch (error) {
+      console.error('[ConversationList] Failed to delete folder:', error);
+      this.showError(`Failed to delete folder: ${error.message}`);
+    }
+  }
+
+  async handleTagsChange(id, tags) {
+    try {
+      const updated = await this.organizer.setTags(id, tags);
+      this.updateLocalConversation(id, {
+        tags: updated?.tags || updated?.metadata?.tags || tags
+      });
+      this.applyOrganization();
+    } catch (error) {
+      console.error('[ConversationList] Failed to update tags:', error);
+      this.showError(`Failed to update tags: ${error.message}`);
+    }
+  }
+
+  async handleSaveSmartFilter() {
+    const query = prompt(
+      'Smart filter, e.g. domain = github.com AND model = deepseek-coder AND last 7 days:',
+      this.getSmartFilter()?.query || ''
+    );
+    if (!query || !query.trim()) {
+      return;
+    }
+
+    try {
+      parseSmartFilter(query);
+    } catch (error) {
+      this.showError(error.message);
+      return;
+    }
+
+    const name = prompt('Name for this filter:');
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    try {
+      const filter = await this.organizer.saveSmartFilter({ name, query });
+      this.setState({ smartFilterId: filter.id });
+      await this.loadOrganization();
+      this.applyOrganization();
+    } catch (error) {
+      console.error('[ConversationList] Failed to save smart filter:', error);
+      this.showError(`Failed to save smart filter: ${error.message}`);
+    }
+  }
+
+  async handleDeleteSmartFilter(id) {
+    const filter = this.state.smartFilters.find(f => f.id === id);
+    if (!filter || !confirm(`Delete the smart filter "${filter.name}"?`)) {
+      return;
+    }
+
+    try {
+      await this.organizer.deleteSmartFilter(id);
+      this.setState({ smartFilterId: null });
+      await this.loadOrganization();
+      this.applyOrganization();
+    } catch (error) {
+      console.error('[ConversationList] Failed to delete smart filter:', error);
+      this.showError(`Failed to delete smart filter: ${error.message}`);
+    }
+  }
+
+  updateLocalConversation(id, changes) {
+    this.setState({
+      conversations: this.state.conversations.map(conv =>
+        (conv.id === id ? { ...conv, ...changes } : conv)
+      )
+    });
+  }
+
   handleSearch(query) {
     this.setState({ 
       searchQuery: query,
@@ -591,6 +1284,62 @@ export default class ConversationList extends BaseComponent {
     this.onConversationSelect(id);
   }
 
+  handleFindRelated(id) {
+    const conversation = [
+      ...this.state.conversations,
+      ...(this.state.related?.conversations || [])
+    ].find(conv => conv.id === id);
+
+    return this.findRelated({ conversationId: id }, conversation?.title || 'this conversation');
+  }
+
+  /**
+   * Show conversations about a text or another conversation in place of the list
+   * @param {Object} query - { text } or { conversationId }
+   * @param {string} label - What the conversations are about, for the banner
+   */
+  async findRelated(query, label) {
+    if (!this.onFindRelated) {
+      return;
+    }
+
+    this.showLoading(true);
+
+    try {
+      const conversations = await this.onFindRelated(query);
+      this.setState({ related: { label, conversations } });
+      this.showLoading(false);
+      this.updateRelatedBanner();
+      this.renderConversations();
+    } catch (error) {
+      console.error('[ConversationList] Failed to find related conversations:', error);
+      this.showLoading(false);
+      this.showError('Failed to find related conversations');
+    }
+  }
+
+  /**
+   * Go back from related conversations to the full list
+   */
+  clearRelated() {
+    this.setState({ related: null });
+    this.updateRelatedBanner();
+    this.renderConversations();
+  }
+
+  updateRelatedBanner() {
+    const { related } = this.state;
+    this.relatedBanner.style.display = related ? 'flex' : 'none';
+    if (related) {
+      DOMUtils.setTextContent(
+        this.relatedLabel,
+        related.conversations.length ?
+          `Conversations about "${related.label}"` :
+          `Nothing found about "${related.label}"`
+      );
+    }
+  }
+
   async handleRename(id, newTitle) {
     try {
       await this.conversationManager.update(id, { title: newTitle });
@@ -615,16 +1364,29 @@ export default class ConversationList extends BaseComponent {
 
   async handleDelete(id) {
     try {
-      await this.conversationManager.delete(id);
+      let trashId;
+      if (this.onDeleteConversation) {
+        // The parent deletes and refreshes the list
+        trashId = await this.onDeleteConversation(id);
+      } else {
+        trashId = await this.conversationManager.delete(id);
       
-      // If deleted conversation was active, clear selection
-      if (this.state.activeConversationId === id) {
-        this.setState({ activeConversationId: null });
-        this.onConversationSelect(null);
+        // If deleted conversation was active, clear selection
+        if (this.state.activeConversationId === id) {
+          this.setState({ activeConversationId: null });
+          this.onConversationSelect(null);
+        }
+
+        // Reload list
+        await this.loadConversations();
       }
       
-      // Reload list
-      await this.loadConversations();
+      // Deleted conversations wait in the trash, so Undo replaces a confirmation
+      if (trashId && this.organizer) {
+        animationManager.showUndoToast('Conversation moved to the trash', () =>
+          this.handleRestore(trashId)
+        );
+      }
       
     } catch (error) {
       console.error('[ConversationList] Failed to delete conversation:', error);
@@ -632,6 +1394,402 @@ export default class ConversationList extends BaseComponent {
     }
   }
 
+  buildCleanupBanner() {
+    const banner = DOMUtils.createElement('div', {
+      class: 'deepweb-cleanup-banner',
+      role: 'status'
+    });
+    Object.assign(banner.style, {
+      display: 'none',
+      flexDirection: 'column',
+      gap: '6px',
+      padding: '8px 16px',
+      backgroundColor: '#fff8e1',
+      borderBottom: '1px solid #ffe082',
+      fontSize: '13px',
+      color: '#333'
+    });
+
+    const summary = DOMUtils.createElement('span', {
+      class: 'deepweb-cleanup-summary'
+    });
+    banner.appendChild(summary);
+
+    const details = DOMUtils.createElement('ul', {
+      class: 'deepweb-cleanup-details'
+    });
+    Object.assign(details.style, {
+      display: 'none',
+      maxHeight: '120px',
+      overflowY: 'auto',
+      margin: '0',
+      paddingLeft: '18px',
+      color: '#666'
+    });
+    banner.appendChild(details);
+
+    const actions = DOMUtils.createElement('div');
+    Object.assign(actions.style, {
+      display: 'flex',
+      gap: '8px'
+    });
+
+    const reviewBtn = this.createSmallButton(
+      'deepweb-cleanup-review',
+      'Review',
+      'Show what will be cleaned up'
+    );
+    reviewBtn.addEventListener('click', () => {
+      details.style.display = details.style.display === 'none' ? 'block' : 'none';
+    });
+    actions.appendChild(reviewBtn);
+
+    const runBtn = this.createSmallButton('deepweb-cleanup-run', 'Clean up', 'Clean up now');
+    runBtn.addEventListener('click', () => {
+      this.runCleanup();
+    });
+    actions.appendChild(runBtn);
+
+    const dismissBtn = this.createSmallButton(
+      'deepweb-cleanup-dismiss',
+      'Not now',
+      'Ask again later'
+    );
+    dismissBtn.addEventListener('click', () => {
+      this.setState({ cleanupPreview: null });
+      this.updateCleanupBanner();
+    });
+    actions.appendChild(dismissBtn);
+
+    banner.appendChild(actions);
+    this.element.appendChild(banner);
+    this.cleanupBanner = banner;
+    this.cleanupSummary = summary;
+    this.cleanupDetails = details;
+  }
+
+  /**
+   * Ask what auto-cleanup would do and show it before anything is removed
+   */
+  async checkCleanup() {
+    if (!this.organizer?.previewCleanup) {
+      return;
+    }
+
+    try {
+      const preview = await this.organizer.previewCleanup();
+      const toTrash = preview.enabled === false ? [] : preview.toTrash;
+      const pending = toTrash.length || preview.toPurge.length;
+      this.setState({ cleanupPreview: pending ? { ...preview, toTrash } : null });
+      this.updateCleanupBanner();
+    } catch (error) {
+      console.error('[ConversationList] Failed to preview cleanup:', error);
+    }
+  }
+
+  updateCleanupBanner() {
+    const preview = this.state.cleanupPreview;
+    this.cleanupBanner.style.display = preview ? 'flex' : 'none';
+    if (!preview) {
+      return;
+    }
+
+    const parts = [];
+    if (preview.toTrash.length) {
+      parts.push(`${preview.toTrash.length} old conversations will move to the trash`);
+    }
+    if (preview.toPurge.length) {
+      parts.push(`${preview.toPurge.length} items in the trash will be deleted forever`);
+    }
+    DOMUtils.setTextContent(this.cleanupSummary, `Auto-cleanup: ${parts.join('; ')}.`);
+
+    this.cleanupDetails.replaceChildren();
+    preview.toTrash.forEach(conversation => {
+      const item = DOMUtils.createElement('li');
+      const why = conversation.reason === 'limit' ?
+        'over the conversation limit' :
+        'archived and inactive';
+      DOMUtils.setTextContent(
+        item,
+        `${conversation.title} (${why}, last active ${this.formatDate(conversation.lastActivity)})`
+      );
+      this.cleanupDetails.appendChild(item);
+    });
+    preview.toPurge.forEach(entry => {
+      const item = DOMUtils.createElement('li');
+      DOMUtils.setTextContent(
+        item,
+        `${entry.label} (in the trash since ${this.formatDate(entry.deletedAt)})`
+      );
+      this.cleanupDetails.appendChild(item);
+    });
+  }
+
+  /**
+   * Run the previewed cleanup; only conversations that were shown are touched
+   */
+  async runCleanup() {
+    const preview = this.state.cleanupPreview;
+    if (!preview) {
+      return;
+    }
+
+    try {
+      const result = await this.organizer.cleanupOldConversations({
+        ids: preview.toTrash.map(conversation => conversation.id)
+      });
+      this.setState({ cleanupPreview: null });
+      this.updateCleanupBanner();
+      await this.reloadAfterTrashChange();
+      animationManager.showToast(
+        `Moved ${result.trashed} conversations to the trash, deleted ${result.purged} for good`,
+        'success',
+        3000
+      );
+    } catch (error) {
+      console.error('[ConversationList] Cleanup failed:', error);
+      this.showError(`Cleanup failed: ${error.message}`);
+    }
+  }
+
+  buildTrashView() {
+    const trashView = DOMUtils.createElement('div', {
+      class: 'deepweb-trash-view',
+      role: 'list',
+      'aria-label': 'Trash'
+    });
+    Object.assign(trashView.style, {
+      display: 'none',
+      flex: '1',
+      overflowY: 'auto',
+      padding: '8px'
+    });
+
+    const toolbar = DOMUtils.createElement('div', {
+      class: 'deepweb-trash-toolbar'
+    });
+    Object.assign(toolbar.style, {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      padding: '4px 8px 8px',
+      fontSize: '12px',
+      color: '#666'
+    });
+
+    const retention = DOMUtils.createElement('span', {
+      class: 'deepweb-trash-retention'
+    });
+    retention.style.flex = '1';
+    DOMUtils.setTextContent(retention, 'Deleted items can be restored until they expire.');
+    toolbar.appendChild(retention);
+
+    const emptyBtn = this.createSmallButton(
+      'deepweb-trash-empty',
+      'Empty trash',
+      'Delete everything in the trash forever'
+    );
+    emptyBtn.addEventListener('click', () => {
+      this.handleEmptyTrash();
+    });
+    toolbar.appendChild(emptyBtn);
+    trashView.appendChild(toolbar);
+
+    const entries = DOMUtils.createElement('div', {
+      class: 'deepweb-trash-entries'
+    });
+    trashView.appendChild(entries);
+
+    this.element.appendChild(trashView);
+    this.trashView = trashView;
+    this.trashEntriesContainer = entries;
+  }
+
+  buildStudyView() {
+    const studyView = new StudyView({
+      deck: this.deck,
+      onError: (message) => this.showError(message)
+    });
+    studyView.init();
+    this.element.appendChild(studyView.element);
+    this.addChild('studyView', studyView);
+  }
+
+  async toggleStudy(show = !this.state.showStudy) {
+    if (show && this.state.showTrash) {
+      await this.toggleTrash(false);
+    }
+    this.setState({ showStudy: show });
+    this.listContainer.style.display = show ? 'none' : 'block';
+    this.studyBtn.style.backgroundColor = show ? '#e3f2fd' : '#f5f5f5';
+    await this.getChild('studyView').setVisible(show);
+  }
+
+  async toggleTrash(show = !this.state.showTrash) {
+    if (show && this.state.showStudy) {
+      await this.toggleStudy(false);
+    }
+    this.setState({ showTrash: show });
+    this.trashView.style.display = show ? 'block' : 'none';
+    this.listContainer.style.display = show ? 'none' : 'block';
+    if (this.trashBtn) {
+      this.trashBtn.style.backgroundColor = show ? '#e3f2fd' : '#f5f5f5';
+    }
+    if (show) {
+      await this.loadTrash();
+    }
+  }
+
+  async loadTrash() {
+    try {
+      const trashEntries = await this.organizer.listTrash();
+      this.setState({ trashEntries });
+      this.renderTrash();
+    } catch (error) {
+      console.error('[ConversationList] Failed to load trash:', error);
+      this.showError('Failed to load trash');
+    }
+  }
+
+  renderTrash() {
+    this.trashEntriesContainer.replaceChildren();
+
+    if (!this.state.trashEntries.length) {
+      const empty = DOMUtils.createElement('div', {
+        class: 'deepweb-trash-empty-state'
+      });
+      DOMUtils.setTextContent(empty, 'The trash is empty');
+      Object.assign(empty.style, {
+        padding: '32px 16px',
+        textAlign: 'center',
+        color: '#999'
+      });
+      this.trashEntriesContainer.appendChild(empty);
+      return;
+    }
+
+    this.state.trashEntries.forEach(entry => {
+      const row = DOMUtils.createElement('div', {
+        class: 'deepweb-trash-entry',
+        role: 'listitem',
+        'data-trash-id': entry.id
+      });
+      Object.assign(row.style, {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        padding: '8px',
+        marginBottom: '4px',
+        borderRadius: '6px',
+        backgroundColor: '#fff',
+        border: '1px solid #eee'
+      });
+
+      const info = DOMUtils.createElement('div');
+      Object.assign(info.style, {
+        flex: '1',
+        minWidth: '0'
+      });
+
+      const label = DOMUtils.createElement('div', {
+        class: 'deepweb-trash-label'
+      });
+      const icon = entry.kind === 'conversation' ? '💬' : '✉️';
+      DOMUtils.setTextContent(label, `${icon} ${entry.label}`);
+      Object.assign(label.style, {
+        fontSize: '13px',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap'
+      });
+      info.appendChild(label);
+
+      const meta = DOMUtils.createElement('div', {
+        class: 'deepweb-trash-meta'
+      });
+      DOMUtils.setTextContent(
+        meta,
+        `${entry.messageCount} messages • deleted ${this.formatDate(entry.deletedAt)} • ` +
+          `gone for good ${this.formatDate(entry.expiresAt)}`
+      );
+      Object.assign(meta.style, {
+        fontSize: '11px',
+        color: '#999'
+      });
+      info.appendChild(meta);
+      row.appendChild(info);
+
+      const restoreBtn = this.createSmallButton('deepweb-trash-restore', 'Restore', 'Restore');
+      restoreBtn.addEventListener('click', () => {
+        this.handleRestore(entry.id);
+      });
+      row.appendChild(restoreBtn);
+
+      const deleteBtn = this.createSmallButton('deepweb-trash-delete', '✕', 'Delete forever');
+      deleteBtn.addEventListener('click', () => {
+        this.handleDeleteForever(entry.id);
+      });
+      row.appendChild(deleteBtn);
+
+      this.trashEntriesContainer.appendChild(row);
+    });
+  }
+
+  async handleRestore(trashId) {
+    try {
+      await this.organizer.restoreFromTrash(trashId);
+      await this.reloadAfterTrashChange();
+    } catch (error) {
+      console.error('[ConversationList] Failed to restore:', error);
+      this.showError(`Failed to restore: ${error.message}`);
+    }
+  }
+
+  async handleDeleteForever(trashId) {
+    const entry = this.state.trashEntries.find(e => e.id === trashId);
+    if (!entry || !confirm(`Delete "${entry.label}" forever? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await this.organizer.deleteFromTrash(trashId);
+      await this.loadTrash();
+    } catch (error) {
+      console.error('[ConversationList] Failed to delete from trash:', error);
+      this.showError('Failed to delete from trash');
+    }
+  }
+
+  async handleEmptyTrash() {
+    if (!this.state.trashEntries.length ||
+        !confirm('Delete everything in the trash forever? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await this.organizer.emptyTrash();
+      await this.loadTrash();
+    } catch (error) {
+      console.error('[ConversationList] Failed to empty trash:', error);
+      this.showError('Failed to empty trash');
+    }
+  }
+
+  async reloadAfterTrashChange() {
+    if (this.onTrashChange) {
+      await this.onTrashChange();
+    } else {
+      await this.loadConversations();
+    }
+    if (this.state.showTrash) {
+      await this.loadTrash();
+    }
+  }
+
+  formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString();
+  }
+
   async handleArchive(id, archived) {
     try {
       await this.conversationManager.archive(id, archived);
@@ -680,9 +1838,13 @@ export default class ConversationList extends BaseComponent {
   }
 
   updateCount(total) {
-    const text = this.state.filterArchived 
+    const narrowed = this.state.folderId || this.state.tag || this.state.smartFilterId;
+    let text = this.state.filterArchived
       ? `${total} archived conversations`
       : `${total} conversations`;
+    if (narrowed) {
+      text += ' shown';
+    }
     DOMUtils.setTextContent(this.countLabel, text);
   }
 
@@ -703,6 +1865,25 @@ export default class ConversationList extends BaseComponent {
     }
   }
 
+  /**
+   * Show conversations loaded by the caller
+   * @param {Array} conversations - Conversations, newest first
+   * @param {string} activeId - ID of the open conversation
+   */
+  updateConversations(conversations, activeId) {
+    this.setState({
+      conversations,
+      activeConversationId: activeId ?? this.state.activeConversationId,
+      isLoading: false,
+      error: null
+    });
+
+    this.showError(null);
+    this.renderConversations();
+    this.updateCount(this.filterConversations(conversations).length);
+    this.paginationContainer.style.display = 'none';
+  }
+
   setActiveConversation(id) {
     this.handleConversationSelect(id);
   }
@@ -32,7 +32,10 @@ export default class ExportDialog extends BaseComponent {
       { value: 'json', label: 'JSON', description: 'Complete data with all details' },
       { value: 'markdown', label: 'Markdown', description: 'Human-readable format' },
       { value: 'html', label: 'HTML', description: 'Web-viewable format' },
-      { value: 'csv', label: 'CSV', description: 'Spreadsheet compatible' }
+      { value: 'csv', label: 'CSV', description: 'Spreadsheet compatible' },
+      { value: 'pdf', label: 'PDF', description: 'Printable, paginated document' },
+      { value: 'vault', label: 'Markdown Vault', description: 'A note per conversation, zipped' },
+      { value: 'anki', label: 'Anki Deck', description: 'Flashcards from quizzes and study notes' }
     ];
     
     this.scopes = [
@@ -4,6 +4,17 @@
  */
 
 import BaseComponent from './BaseComponent.js';
+import { parseImportFile } from '../../src/utils/importFormats.js';
+
+// Conversations listed by title in the preview
+const PREVIEW_LIMIT = 5;
+
+const FORMAT_LABELS = {
+  json: 'DeepWeb JSON',
+  chatgpt: 'ChatGPT export',
+  claude: 'Claude export',
+  markdown: 'Markdown transcript'
+};
 
 export default class ImportDialog extends BaseComponent {
   constructor() {
@@ -24,7 +35,8 @@ export default class ImportDialog extends BaseComponent {
     this.duplicateOptions = [
       { value: 'skip', label: 'Skip Duplicates', description: 'Only import new conversations' },
       { value: 'replace', label: 'Replace Existing', description: 'Overwrite existing conversations' },
-      { value: 'merge', label: 'Merge Data', description: 'Combine with existing conversations' }
+      { value: 'merge', label: 'Merge Data', description: 'Combine with existing conversations' },
+      { value: 'rename', label: 'Keep Both', description: 'Import duplicates under a new title' }
     ];
   }
 
@@ -70,7 +82,7 @@ export default class ImportDialog extends BaseComponent {
                 <input 
                   type="file" 
                   id="import-file-input"
-                  accept=".json,.md,.html,.csv,.gz"
+                  accept=".json,.md,.markdown,.txt"
                   ${this.state.isImporting ? 'disabled' : ''}
                   data-action="selectFile"
                   class="file-input"
@@ -124,12 +136,28 @@ export default class ImportDialog extends BaseComponent {
                     </div>
                   </div>
                   
+                  <ul class="preview-conversations">
+                    ${this.state.previewData.conversations.map(conv => `
+                      <li class="preview-conversation">
+                        <span class="preview-title">${this.escapeHtml(conv.title)}</span>
+                        <span class="preview-meta">
+                          ${conv.messageCount} messages${conv.duplicate ? ' · duplicate' : ''}
+                        </span>
+                      </li>
+                    `).join('')}
+                    ${this.state.previewData.conversationCount > PREVIEW_LIMIT ? `
+                      <li class="preview-more">
+                        and ${this.state.previewData.conversationCount - PREVIEW_LIMIT} more
+                      </li>
+                    ` : ''}
+                  </ul>
+
                   ${this.state.previewData.duplicates > 0 ? `
                     <div class="duplicate-warning">
                       <svg class="warning-icon" width="20" height="20" viewBox="0 0 20 20">
                         <path d="M1 16h18L10 2 1 16zm9-2H8v-2h2v2zm0-3H8V7h2v4z"/>
                       </svg>
-                      Found ${this.state.previewData.duplicates} existing conversation(s) with matching IDs
+                      Found ${this.state.previewData.duplicates} conversation(s) already stored
                     </div>
                   ` : ''}
                 </div>
@@ -415,6 +443,38 @@ export default class ImportDialog extends BaseComponent {
         color: #333;
       }
       
+      .preview-conversations {
+        list-style: none;
+        margin: 0 0 16px;
+        padding: 0;
+        font-size: 13px;
+      }
+
+      .preview-conversation {
+        display: flex;
+        justify-content: space-between;
+        gap: 12px;
+        padding: 6px 0;
+        border-bottom: 1px solid #e0e0e0;
+      }
+
+      .preview-title {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        color: #333;
+      }
+
+      .preview-meta,
+      .preview-more {
+        flex-shrink: 0;
+        color: #666;
+      }
+
+      .preview-more {
+        padding-top: 6px;
+      }
+
       .duplicate-warning {
         display: flex;
         align-items: center;
@@ -682,40 +742,36 @@ export default class ImportDialog extends BaseComponent {
         reader.readAsText(file);
       });
       
-      // Parse content based on format
-      const format = this.getFileFormat(file.name);
-      let data;
-      
-      if (format === 'JSON' || format === 'JSON (gzip)') {
-        data = JSON.parse(content);
-      } else {
-        // For other formats, we'll need to send to background for parsing
-        const response = await browser.runtime.sendMessage({
-          type: 'preview_import',
-          format: format.toLowerCase(),
-          content: content
-        });
-        
-        if (response.error) {
-          throw new Error(response.error);
-        }
-        
-        data = response.data;
-      }
+      // Detect where the file comes from and convert it to our schema
+      const { format, data } = parseImportFile(content);
+      const conversations = data.conversations || (Array.isArray(data) ? data : [data]);
       
-      // Check for duplicates
+      // Check for duplicates the same way the import does
       const checkResponse = await browser.runtime.sendMessage({
         type: 'check_import_duplicates',
-        conversationIds: data.conversations.map(c => c.id)
+        conversations: conversations.map(({ id, title, createdAt }) => ({ id, title, createdAt }))
       });
       
+      if (checkResponse.error) {
+        throw new Error(checkResponse.error);
+      }
+      
+      const duplicateIds = new Set(checkResponse.duplicateIds || []);
+      
       this.setState({
+        fileInfo: { ...this.state.fileInfo, format: FORMAT_LABELS[format] },
         previewData: {
-          conversationCount: data.conversations.length,
-          messageCount: data.conversations.reduce((sum, conv) => 
+          format,
+          conversationCount: conversations.length,
+          messageCount: conversations.reduce((sum, conv) =>
             sum + (conv.messages ? conv.messages.length : 0), 0),
-          dateRange: this.getDateRange(data.conversations),
-          duplicates: checkResponse.duplicates || 0
+          dateRange: this.getDateRange(conversations),
+          duplicates: duplicateIds.size,
+          conversations: conversations.slice(0, PREVIEW_LIMIT).map(conv => ({
+            title: conv.title || 'Untitled',
+            messageCount: conv.messages?.length || 0,
+            duplicate: duplicateIds.has(conv.id)
+          }))
         }
       });
       
@@ -751,7 +807,7 @@ export default class ImportDialog extends BaseComponent {
       const response = await browser.runtime.sendMessage({
         type: 'import_data',
         options: {
-          format: this.getFileFormat(this.state.selectedFile.name).toLowerCase(),
+          format: this.state.previewData?.format || 'auto',
           content: content,
           duplicateHandling: this.state.duplicateHandling
         }
@@ -821,10 +877,9 @@ export default class ImportDialog extends BaseComponent {
     const ext = filename.split('.').pop().toLowerCase();
     const formats = {
       'json': 'JSON',
-      'gz': 'JSON (gzip)',
       'md': 'Markdown',
-      'html': 'HTML',
-      'csv': 'CSV'
+      'markdown': 'Markdown',
+      'txt': 'Text'
     };
     return formats[ext] || 'Unknown';
   }
@@ -6,6 +6,7 @@
 import BaseComponent from './BaseComponent.js';
 import TemplateLoader from '../utils/template-loader.js';
 import DOMUtils from '../utils/dom-utils.js';
+import { countTokens } from '../../src/tokenizer/index.js';
 
 export default class InputArea extends BaseComponent {
   constructor(options = {}) {
@@ -16,7 +17,9 @@ export default class InputArea extends BaseComponent {
     this.state = {
       isProcessing: false,
       lastRequestTime: 0,
-      streamingEnabled: true
+      streamingEnabled: true,
+      model: null,
+      pricing: null
     };
     this.RATE_LIMIT_MS = 10000; // 10 seconds
   }
@@ -35,6 +38,7 @@ export default class InputArea extends BaseComponent {
     this.timerSpan = this.element.querySelector('#deepweb-timer');
     this.streamingToggle = this.element.querySelector('#deepweb-streaming-toggle');
     this.templateButton = this.element.querySelector('#deepweb-template-button');
+    this.tokenCount = this.element.querySelector('#deepweb-token-count');
     
     // Load streaming preference
     this.loadStreamingPreference();
@@ -140,6 +144,17 @@ export default class InputArea extends BaseComponent {
       textAlign: 'center',
       borderRadius: '6px'
     });
+
+    // Token counter
+    if (this.tokenCount) {
+      Object.assign(this.tokenCount.style, {
+        marginTop: '6px',
+        minHeight: '16px',
+        fontSize: '12px',
+        color: '#888',
+        textAlign: 'right'
+      });
+    }
   }
 
   setupEventListeners() {
@@ -153,6 +168,9 @@ export default class InputArea extends BaseComponent {
       }
     });
 
+    // Live token count
+    this.input.addEventListener('input', () => this.updateTokenCount());
+
     // Streaming toggle click
     if (this.streamingToggle) {
       this.streamingToggle.addEventListener('click', () => this.toggleStreaming());
@@ -241,6 +259,7 @@ export default class InputArea extends BaseComponent {
     // Clear input
     const message = this.input.value;
     this.input.value = '';
+    this.updateTokenCount();
 
     // Call parent handler with streaming preference
     this.onSendMessage(message, { streaming: this.state.streamingEnabled });
@@ -272,6 +291,42 @@ export default class InputArea extends BaseComponent {
 
   setInputValue(value) {
     this.input.value = value;
+    this.updateTokenCount();
+  }
+
+  /**
+   * Set the model used for token counting and cost estimates
+   * @param {string} model - Model ID
+   * @param {Object} modelInfo - Model config with per-1K-token pricing
+   */
+  setModel(model, modelInfo = null) {
+    this.setState({ model, pricing: modelInfo?.pricing || null });
+    this.updateTokenCount();
+  }
+
+  /**
+   * Show the token count and input cost of the current draft
+   */
+  updateTokenCount() {
+    if (!this.tokenCount || !this.input) {
+      return;
+    }
+
+    const text = this.input.value;
+    if (!text.trim()) {
+      this.tokenCount.textContent = '';
+      return;
+    }
+
+    const tokens = countTokens(text, this.state.model);
+    let label = `${tokens} token${tokens === 1 ? '' : 's'}`;
+
+    if (this.state.pricing?.input) {
+      const cost = (tokens / 1000) * this.state.pricing.input;
+      label += ` · ~$${cost < 0.0001 ? '<0.0001' : cost.toFixed(4)}`;
+    }
+
+    this.tokenCount.textContent = label;
   }
 
   focusInput() {
@@ -339,6 +394,7 @@ export default class InputArea extends BaseComponent {
   setValue(value) {
     if (this.input) {
       this.input.value = value;
+      this.updateTokenCount();
     }
   }
   
@@ -355,6 +411,7 @@ export default class InputArea extends BaseComponent {
   clear() {
     if (this.input) {
       this.input.value = '';
+      this.updateTokenCount();
     }
   }
 }
\ No newline at end of file
@@ -7,6 +7,9 @@ import BaseComponent from './BaseComponent.js';
 import DOMUtils from '../utils/dom-utils.js';
 import MarkdownRenderer from '../utils/markdown-renderer.js';
 import { SecureMarkdownRenderer } from '../../src/security/SecureMarkdownRenderer.js';
+import { formatToolCall } from '../../src/intelligence/tools/PageTools.js';
+import { getMessageVersions } from '../../src/storage/messages/versions.js';
+import { animationManager } from '../utils/AnimationManager.js';
 
 export default class Message extends BaseComponent {
   constructor(options = {}) {
@@ -24,6 +27,10 @@ export default class Message extends BaseComponent {
     this.messageManager = options.messageManager || null;
     this.onUpdate = options.onUpdate || (() => {});
     this.onDelete = options.onDelete || (() => {});
+    this.onRestore = options.onRestore || (() => {});
+    this.onRegenerate = options.onRegenerate || null;
+    this.onResend = options.onResend || null;
+    this.onFork = options.onFork || null;
     
     // Initialize markdown renderer
     this.markdownRenderer = new MarkdownRenderer({
@@ -150,13 +157,26 @@ export default class Message extends BaseComponent {
     DOMUtils.setTextContent(roleDiv, this.message.role);
     this.element.appendChild(roleDiv);
 
+    // Reasoning model chain of thought, collapsed by default
+    if (this.message.reasoning) {
+      this.renderReasoning();
+    }
+
+    // Page tools the model called before answering
+    if (this.message.toolCalls?.length) {
+      this.renderToolCalls();
+    }
+
     // Message content with markdown rendering
     const contentDiv = DOMUtils.createElement('div', {
       class: 'deepweb-message-content'
     });
     
     // Use SecureMarkdownRenderer for assistant messages, plain text for user messages
-    if (this.message.role === 'assistant') {
+    if (this.message.structured?.data) {
+      // Template answers that matched their output schema
+      this.renderStructured(contentDiv);
+    } else if (this.message.role === 'assistant') {
       // Apply secure markdown rendering for assistant messages
       const secureRenderer = new SecureMarkdownRenderer();
       secureRenderer.render(this.message.content, contentDiv);
@@ -172,6 +192,11 @@ export default class Message extends BaseComponent {
     
     this.element.appendChild(contentDiv);
 
+    // Earlier answers and prompts kept when regenerating or resending
+    if (this.message.versions?.length > 1) {
+      this.renderVersionControls();
+    }
+
     // Timestamp
     if (this.message.timestamp) {
       const timeDiv = DOMUtils.createElement('div', {
@@ -207,6 +232,21 @@ export default class Message extends BaseComponent {
       this.element.querySelector('.deepweb-message-time')?.appendChild(editedDiv);
     }
 
+    // Served from cache badge
+    if (this.message.metadata?.fromCache) {
+      const cacheBadge = DOMUtils.createElement('span', {
+        class: 'deepweb-message-cached',
+        title: 'Served from cache: instant and free'
+      });
+      Object.assign(cacheBadge.style, {
+        fontSize: '11px',
+        color: '#2e7d32',
+        marginLeft: '8px'
+      });
+      DOMUtils.setTextContent(cacheBadge, '⚡ from cache');
+      this.element.querySelector('.deepweb-message-time')?.appendChild(cacheBadge);
+    }
+
     // Pin indicator
     if (this.message.state?.pinned) {
       const pinIcon = DOMUtils.createElement('div', {
@@ -223,6 +263,300 @@ export default class Message extends BaseComponent {
     }
   }
 
+  renderReasoning() {
+    const details = DOMUtils.createElement('details', {
+      class: 'deepweb-message-reasoning'
+    });
+    Object.assign(details.style, {
+      marginBottom: '8px',
+      padding: '6px 10px',
+      background: 'rgba(0,0,0,0.04)',
+      borderRadius: '6px',
+      fontSize: '13px',
+      color: '#666'
+    });
+
+    const summary = DOMUtils.createElement('summary');
+    summary.style.cursor = 'pointer';
+    DOMUtils.setTextContent(summary, '💭 Thinking');
+
+    const reasoningDiv = DOMUtils.createElement('div', {
+      class: 'deepweb-message-reasoning-text'
+    });
+    Object.assign(reasoningDiv.style, {
+      marginTop: '6px',
+      maxHeight: '240px',
+      overflowY: 'auto',
+      whiteSpace: 'pre-wrap',
+      fontStyle: 'italic'
+    });
+    DOMUtils.setTextContent(reasoningDiv, this.message.reasoning);
+
+    details.append(summary, reasoningDiv);
+    this.element.appendChild(details);
+  }
+
+  renderToolCalls() {
+    const list = DOMUtils.createElement('ul', {
+      class: 'deepweb-message-tools'
+    });
+    Object.assign(list.style, {
+      margin: '0 0 8px',
+      padding: '0',
+      listStyle: 'none',
+      fontSize: '12px',
+      color: '#666'
+    });
+
+    this.message.toolCalls.forEach(call => {
+      const item = DOMUtils.createElement('li', {
+        class: 'deepweb-message-tool-call'
+      });
+      if (call.error) {
+        item.style.color = '#c62828';
+      }
+      DOMUtils.setTextContent(
+        item,
+        `🔧 ${formatToolCall(call.name, call.arguments)} — ${call.summary || 'no result'}`
+      );
+      list.appendChild(item);
+    });
+
+    this.element.appendChild(list);
+  }
+
+  renderVersionControls() {
+    const versions = getMessageVersions(this.message);
+    const active = this.message.activeVersion || 0;
+
+    const controls = DOMUtils.createElement('div', {
+      class: 'deepweb-message-versions',
+      role: 'group',
+      'aria-label': 'Versions'
+    });
+    Object.assign(controls.style, {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '4px',
+      marginTop: '6px',
+      fontSize: '12px',
+      color: '#666'
+    });
+
+    const createArrow = (label, text, index) => {
+      const button = DOMUtils.createElement('button', {
+        class: 'deepweb-message-version-button',
+        type: 'button',
+        'aria-label': label
+      });
+      Object.assign(button.style, {
+        padding: '0 6px',
+        border: 'none',
+        background: 'transparent',
+        fontSize: '14px',
+        cursor: 'pointer'
+      });
+      if (index < 0 || index >= versions.length) {
+        button.disabled = true;
+        button.style.opacity = '0.3';
+      }
+      DOMUtils.setTextContent(button, text);
+      button.addEventListener('click', () => this.handleSelectVersion(index));
+      return button;
+    };
+
+    const label = DOMUtils.createElement('span', {
+      class: 'deepweb-message-version-label'
+    });
+    DOMUtils.setTextContent(label, `${active + 1}/${versions.length}`);
+
+    controls.append(
+      createArrow('Previous version', '‹', active - 1),
+      label,
+      createArrow('Next version', '›', active + 1)
+    );
+    this.element.appendChild(controls);
+  }
+
+  /**
+   * Render a structured template answer as its widget
+   * @param {HTMLElement} container - Content element
+   */
+  renderStructured(container) {
+    const { widget, data } = this.message.structured;
+
+    switch (widget) {
+      case 'quiz':
+        this.renderQuiz(container, data);
+        break;
+      case 'pros-cons':
+        this.renderProsCons(container, data);
+        break;
+      case 'key-points':
+        this.renderKeyPoints(container, data);
+        break;
+      default: {
+        const pre = DOMUtils.createElement('pre');
+        pre.style.whiteSpace = 'pre-wrap';
+        DOMUtils.setTextContent(pre, JSON.stringify(data, null, 2));
+        container.appendChild(pre);
+      }
+    }
+  }
+
+  renderQuiz(container, data) {
+    const list = DOMUtils.createElement('ol', {
+      class: 'deepweb-quiz'
+    });
+    Object.assign(list.style, {
+      margin: '0',
+      paddingLeft: '20px'
+    });
+
+    data.questions.forEach(item => {
+      const question = DOMUtils.createElement('li', {
+        class: 'deepweb-quiz-question'
+      });
+      question.style.marginBottom = '10px';
+
+      const text = DOMUtils.createElement('div');
+      text.style.fontWeight = '500';
+      DOMUtils.setTextContent(text, item.question);
+      question.appendChild(text);
+
+      if (item.options?.length) {
+        const options = DOMUtils.createElement('ul', {
+          class: 'deepweb-quiz-options'
+        });
+        Object.assign(options.style, {
+          margin: '4px 0',
+          paddingLeft: '18px',
+          listStyle: 'circle'
+        });
+        item.options.forEach(option => {
+          const optionItem = DOMUtils.createElement('li');
+          DOMUtils.setTextContent(optionItem, option);
+          options.appendChild(optionItem);
+        });
+        question.appendChild(options);
+      }
+
+      const answer = DOMUtils.createElement('div', {
+        class: 'deepweb-quiz-answer'
+      });
+      Object.assign(answer.style, {
+        display: 'none',
+        marginTop: '4px',
+        padding: '6px 8px',
+        background: 'rgba(46,125,50,0.08)',
+        borderRadius: '6px'
+      });
+      DOMUtils.setTextContent(
+        answer,
+        item.explanation ? `✓ ${item.answer} — ${item.explanation}` : `✓ ${item.answer}`
+      );
+
+      const reveal = DOMUtils.createElement('button', {
+        class: 'deepweb-quiz-reveal',
+        type: 'button',
+        'aria-expanded': 'false'
+      });
+      Object.assign(reveal.style, {
+        marginTop: '4px',
+        padding: '2px 8px',
+        border: '1px solid #d1d5db',
+        borderRadius: '6px',
+        background: 'white',
+        fontSize: '12px',
+        cursor: 'pointer'
+      });
+      DOMUtils.setTextContent(reveal, 'Show answer');
+      reveal.addEventListener('click', () => {
+        const hidden = answer.style.display === 'none';
+        answer.style.display = hidden ? 'block' : 'none';
+        reveal.setAttribute('aria-expanded', String(hidden));
+        DOMUtils.setTextContent(reveal, hidden ? 'Hide answer' : 'Show answer');
+      });
+
+      question.append(reveal, answer);
+      list.appendChild(question);
+    });
+
+    container.appendChild(list);
+  }
+
+  renderProsCons(container, data) {
+    const table = DOMUtils.createElement('table', {
+      class: 'deepweb-pros-cons'
+    });
+    Object.assign(table.style, {
+      width: '100%',
+      borderCollapse: 'collapse',
+      fontSize: '13px'
+    });
+
+    const cellStyles = {
+      padding: '4px 8px',
+      border: '1px solid #e0e0e0',
+      verticalAlign: 'top',
+      textAlign: 'left'
+    };
+
+    const head = DOMUtils.createElement('tr');
+    [['👍 Pros', '#2e7d32'], ['👎 Cons', '#c62828']].forEach(([label, color]) => {
+      const th = DOMUtils.createElement('th');
+      Object.assign(th.style, cellStyles, { color });
+      DOMUtils.setTextContent(th, label);
+      head.appendChild(th);
+    });
+    const thead = DOMUtils.createElement('thead');
+    thead.appendChild(head);
+
+    const tbody = DOMUtils.createElement('tbody');
+    const rows = Math.max(data.pros.length, data.cons.length);
+    for (let i = 0; i < rows; i++) {
+      const row = DOMUtils.createElement('tr');
+      [data.pros[i], data.cons[i]].forEach(value => {
+        const td = DOMUtils.createElement('td');
+        Object.assign(td.style, cellStyles);
+        DOMUtils.setTextContent(td, value || '');
+        row.appendChild(td);
+      });
+      tbody.appendChild(row);
+    }
+
+    table.append(thead, tbody);
+    container.appendChild(table);
+
+    if (data.verdict) {
+      const verdict = DOMUtils.createElement('p', {
+        class: 'deepweb-pros-cons-verdict'
+      });
+      verdict.style.margin = '8px 0 0';
+      DOMUtils.setTextContent(verdict, `⚖️ ${data.verdict}`);
+      container.appendChild(verdict);
+    }
+  }
+
+  renderKeyPoints(container, data) {
+    const list = DOMUtils.createElement('ol', {
+      class: 'deepweb-key-points'
+    });
+    Object.assign(list.style, {
+      margin: '0',
+      paddingLeft: '20px'
+    });
+
+    data.points.forEach(point => {
+      const item = DOMUtils.createElement('li');
+      item.style.marginBottom = '4px';
+      DOMUtils.setTextContent(item, point);
+      list.appendChild(item);
+    });
+
+    container.appendChild(list);
+  }
+
   renderEditMode() {
     // Edit textarea
     const textarea = DOMUtils.createElement('textarea', {
@@ -251,8 +585,16 @@ export default class Message extends BaseComponent {
       gap: '8px'
     });
 
+    // Edited prompts can be sent again; the reply becomes a new version
+    const canResend = this.message.role === 'user' && this.onResend;
+    if (canResend) {
+      actionsDiv.appendChild(this.createButton('Save & resend', 'primary', () => {
+        this.handleResend(textarea.value);
+      }));
+    }
+
     // Save button
-    const saveBtn = this.createButton('Save', 'primary', async () => {
+    const saveBtn = this.createButton('Save', canResend ? 'secondary' : 'primary', async () => {
       await this.handleSaveEdit(textarea.value);
     });
 
@@ -333,8 +675,14 @@ export default class Message extends BaseComponent {
 
     const actions = [
       { icon: '✏️', text: 'Edit', handler: () => this.handleEdit() },
+      ...(this.message.role === 'assistant' && this.onRegenerate ?
+        [{ icon: '🔄', text: 'Regenerate', handler: () => this.onRegenerate(this.message) }] :
+        []),
       { icon: '📋', text: 'Copy', handler: () => this.handleCopy() },
       { icon: '💬', text: 'Quote', handler: () => this.handleQuote() },
+      ...(this.onFork ?
+        [{ icon: '🌿', text: 'Fork from here', handler: () => this.onFork(this.message) }] :
+        []),
       { icon: '📌', text: this.message.state?.pinned ? 'Unpin' : 'Pin', handler: () => this.handlePin() },
       { icon: 'ℹ️', text: 'Details', handler: () => this.handleToggleMetadata() },
       { icon: '🗑️', text: 'Delete', handler: () => this.handleDelete(), danger: true }
@@ -417,6 +765,23 @@ export default class Message extends BaseComponent {
       metadata.push(`Model: ${this.message.metadata.model}`);
     }
     
+    if (this.message.metadata?.provider) {
+      const { provider, fallbackFrom } = this.message.metadata;
+      metadata.push(fallbackFrom ?
+        `Provider: ${provider} (fallback from ${fallbackFrom})` :
+        `Provider: ${provider}`);
+    }
+
+    if (this.message.metadata?.fromCache) {
+      metadata.push('Served from cache');
+    }
+
+    if (this.message.metadata?.comparedWith?.length) {
+      const others = this.message.metadata.comparedWith
+        .map(({ model, latencyMs }) => `${model} (${(latencyMs / 1000).toFixed(1)}s)`);
+      metadata.push(`Kept over: ${others.join(', ')}`);
+    }
+
     if (this.message.tokens) {
       metadata.push(`Tokens: ${this.message.tokens}`);
     }
@@ -454,7 +819,11 @@ export default class Message extends BaseComponent {
 
     try {
       if (this.messageManager) {
-        const updated = await this.messageManager.updateContent(this.message.id, newContent);
+        const updated = await this.messageManager.updateContent(
+          this.message.id,
+          newContent,
+          this.message.conversationId
+        );
         this.message = updated;
         this.onUpdate(updated);
       }
@@ -467,6 +836,35 @@ export default class Message extends BaseComponent {
     }
   }
 
+  handleResend(newContent) {
+    if (!newContent.trim()) {
+      alert('Message content cannot be empty');
+      return;
+    }
+
+    this.setState({ isEditing: false, editContent: '' });
+    this.renderContent();
+    this.onResend(this.message, newContent);
+  }
+
+  async handleSelectVersion(index) {
+    try {
+      if (this.messageManager) {
+        const updated = await this.messageManager.selectVersion(
+          this.message.id,
+          index,
+          this.message.conversationId
+        );
+        this.message = updated;
+        this.onUpdate(updated);
+        this.renderContent();
+        this.renderActions();
+      }
+    } catch (error) {
+      console.error('[Message] Failed to select version:', error);
+    }
+  }
+
   async handleCopy() {
     try {
       await navigator.clipboard.writeText(this.message.content);
@@ -496,7 +894,10 @@ export default class Message extends BaseComponent {
   async handlePin() {
     try {
       if (this.messageManager) {
-        const updated = await this.messageManager.togglePin(this.message.id);
+        const updated = await this.messageManager.togglePin(
+          this.message.id,
+          this.message.conversationId
+        );
         this.message = updated;
         this.onUpdate(updated);
         this.renderContent();
@@ -512,15 +913,15 @@ export default class Message extends BaseComponent {
     this.render();
   }
 
+  // Deleted messages go to the trash, so Undo replaces a confirmation
   async handleDelete() {
-    if (!confirm('Are you sure you want to delete this message?')) {
-      return;
-    }
-
     try {
       if (this.messageManager) {
-        await this.messageManager.delete(this.message.id);
+        const trashId = await this.messageManager.delete(this.message.id, {
+          conversationId: this.message.conversationId
+        });
         this.onDelete(this.message.id);
+        this.offerUndo(trashId);
       }
     } catch (error) {
       console.error('[Message] Failed to delete:', error);
@@ -528,6 +929,19 @@ export default class Message extends BaseComponent {
     }
   }
 
+  offerUndo(trashId) {
+    if (!trashId) {
+      return;
+    }
+
+    // The component is gone by the time Undo is clicked
+    const { messageManager, message, onRestore } = this;
+    animationManager.showUndoToast('Message deleted', async () => {
+      await messageManager.restore(trashId);
+      onRestore(message);
+    });
+  }
+
   // Helper methods
   toggleActions() {
     this.setState({ showActions: !this.state.showActions });
@@ -32,6 +32,10 @@ export default class MessageList extends BaseComponent {
     this.conversationId = options.conversationId || null;
     this.onMessageUpdate = options.onMessageUpdate || (() => {});
     this.onMessageDelete = options.onMessageDelete || (() => {});
+    this.onMessageRestore = options.onMessageRestore || (() => {});
+    this.onRegenerate = options.onRegenerate || null;
+    this.onResend = options.onResend || null;
+    this.onFork = options.onFork || null;
     
     // Virtual scrolling configuration
     this.virtualScrollConfig = {
@@ -225,7 +229,11 @@ export default class MessageList extends BaseComponent {
       message: messageData,
       messageManager: this.messageManager,
       onUpdate: (updated) => this.handleMessageUpdate(updated),
-      onDelete: (id) => this.handleMessageDelete(id)
+      onDelete: (id) => this.handleMessageDelete(id),
+      onRestore: (message) => this.onMessageRestore(message),
+      onRegenerate: this.onRegenerate,
+      onResend: this.onResend,
+      onFork: this.onFork
     });
     
     await messageComponent.init();
@@ -273,11 +281,15 @@ export default class MessageList extends BaseComponent {
     );
     this.setState({ messages });
     
-    // Re-render the specific message
+    // Re-render the specific message in place
     const component = this.messageComponents.get(updatedMessage.id);
     if (component) {
+      const previous = component.element;
       component.message = updatedMessage;
       component.render();
+      if (previous && previous !== component.element) {
+        previous.replaceWith(component.element);
+      }
     }
     
     // Call parent callback
@@ -596,10 +608,10 @@ export default class MessageList extends BaseComponent {
       this.messageComponents.delete(streamingId);
     }
     
-    // Add regular message
+    // Add regular message, keeping its stored ID when it has one
     const finalMessage = {
       ...messageData,
-      id: `msg_${Date.now()}_assistant`
+      id: messageData.id || `msg_${Date.now()}_assistant`
     };
     
     return this.addMessage(finalMessage);
@@ -5,7 +5,6 @@
 
 import BaseComponent from './BaseComponent.js';
 import DOMUtils from '../utils/dom-utils.js';
-import { DOMSecurity } from '../../src/security/DOMSecurity.js';
 
 export default class MessageSearch extends BaseComponent {
   constructor(options = {}) {
@@ -16,7 +15,8 @@ export default class MessageSearch extends BaseComponent {
       filters: {
         dateRange: { start: null, end: null },
         messageType: 'all', // all, user, assistant, system
-        model: 'all'
+        model: 'all',
+        scope: 'all' // all conversations, or only the open one
       },
       results: [],
       isSearching: false,
@@ -38,14 +38,21 @@ export default class MessageSearch extends BaseComponent {
   }
 
   async render() {
-    // Create search container
-    this.element = DOMUtils.createElement('div', {
-      class: 'deepweb-message-search',
-      role: 'search'
-    });
+    const hadFocus = Boolean(this.searchInput) && document.activeElement === this.searchInput;
+
+    // Re-render in place so the element stays attached
+    if (this.element) {
+      this.element.replaceChildren();
+    } else {
+      // Create search container
+      this.element = DOMUtils.createElement('div', {
+        class: 'deepweb-message-search',
+        role: 'search'
+      });
 
-    // Apply styles
-    this.applyStyles();
+      // Apply styles
+      this.applyStyles();
+    }
 
     // Render search input
     this.renderSearchInput();
@@ -62,6 +69,11 @@ export default class MessageSearch extends BaseComponent {
     if (this.state.results.length > 0) {
       this.renderResults();
     }
+
+    if (hadFocus) {
+      this.searchInput.focus();
+      this.searchInput.setSelectionRange(this.state.query.length, this.state.query.length);
+    }
   }
 
   applyStyles() {
@@ -97,7 +109,7 @@ export default class MessageSearch extends BaseComponent {
     // Search input
     const searchInput = DOMUtils.createElement('input', {
       type: 'text',
-      placeholder: 'Search messages...',
+      placeholder: 'Search messages... ("phrase", role:, model:, before:)',
       class: 'deepweb-search-input',
       value: this.state.query
     });
@@ -233,6 +245,14 @@ export default class MessageSearch extends BaseComponent {
       gap: '16px'
     });
 
+    // Scope filter
+    const scopeFilter = this.createFilterSection('Search In', [
+      { value: 'all', label: 'All Conversations' },
+      { value: 'conversation', label: 'This Conversation' }
+    ], this.state.filters.scope, (value) => {
+      this.updateFilter('scope', value);
+    });
+
     // Message type filter
     const typeFilter = this.createFilterSection('Message Type', [
       { value: 'all', label: 'All Messages' },
@@ -257,6 +277,7 @@ export default class MessageSearch extends BaseComponent {
     // Date range filter
     const dateFilter = this.createDateRangeFilter();
 
+    filtersDiv.appendChild(scopeFilter);
     filtersDiv.appendChild(typeFilter);
     filtersDiv.appendChild(modelFilter);
     filtersDiv.appendChild(dateFilter);
@@ -514,6 +535,18 @@ export default class MessageSearch extends BaseComponent {
     }));
 
     header.appendChild(role);
+
+    // Results from other conversations say where they come from
+    if (result.conversationTitle && result.conversationId !== this.conversationId) {
+      const conversation = DOMUtils.createElement('span', {
+        class: 'deepweb-search-result-conversation',
+        style: 'flex: 1; margin: 0 8px; font-size: 12px; color: #1976d2; overflow: hidden; ' +
+          'text-overflow: ellipsis; white-space: nowrap;'
+      });
+      DOMUtils.setTextContent(conversation, result.conversationTitle);
+      header.appendChild(conversation);
+    }
+
     header.appendChild(timestamp);
 
     // Content preview with highlighting
@@ -529,13 +562,8 @@ export default class MessageSearch extends BaseComponent {
       textOverflow: 'ellipsis'
     });
 
-    // Highlight search terms
-    const highlightedContent = this.highlightSearchTerms(
-      result.matchContext || result.content.substring(0, 200),
-      this.state.query
-    );
-    // Use DOMSecurity to safely append highlighted content
-    DOMSecurity.appendHTML(content, highlightedContent, true);
+    this.renderSnippet(content, result.snippet ||
+      { text: (result.content || '').substring(0, 200), highlights: [] });
 
     item.appendChild(header);
     item.appendChild(content);
@@ -572,36 +600,25 @@ export default class MessageSearch extends BaseComponent {
     this.render();
 
     try {
-      if (!this.messageManager || !this.conversationId) {
-        throw new Error('MessageManager or conversationId not provided');
+      if (!this.messageManager) {
+        throw new Error('MessageManager not provided');
       }
 
-      // Build search options
+      // Filters are applied by the search index, like role: or before: in the query
+      const { filters } = this.state;
       const searchOptions = {
-        role: this.state.filters.messageType !== 'all' ? this.state.filters.messageType : null,
-        includeSystem: this.state.filters.messageType === 'system' || this.state.filters.messageType === 'all'
+        role: filters.messageType !== 'all' ? filters.messageType : null,
+        model: filters.model !== 'all' ? filters.model : null,
+        after: filters.dateRange.start || null,
+        before: filters.dateRange.end ? filters.dateRange.end + 86400000 : null, // Include end day
+        includeSystem: filters.messageType === 'system' || filters.messageType === 'all'
       };
 
-      let results = [];
-
-      if (this.state.query.trim()) {
-        // Search with query
-        results = await this.messageManager.search(
-          this.conversationId,
-          this.state.query,
-          searchOptions
-        );
-      } else {
-        // Just filter without query
-        const allMessages = await this.messageManager.list(this.conversationId, {
-          pageSize: 1000,
-          includeSystem: searchOptions.includeSystem
-        });
-        results = allMessages.items;
-      }
-
-      // Apply additional filters
-      results = this.applyFilters(results);
+      const results = await this.messageManager.search(
+        filters.scope === 'conversation' ? this.conversationId : null,
+        this.state.query,
+        searchOptions
+      );
 
       // Update available models
       results.forEach(msg => {
@@ -626,29 +643,6 @@ export default class MessageSearch extends BaseComponent {
     }
   }
 
-  applyFilters(messages) {
-    return messages.filter(msg => {
-      // Filter by model
-      if (this.state.filters.model !== 'all' && 
-          msg.metadata?.model !== this.state.filters.model) {
-        return false;
-      }
-
-      // Filter by date range
-      if (this.state.filters.dateRange.start) {
-        const startTime = new Date(this.state.filters.dateRange.start).getTime();
-        if (msg.timestamp < startTime) return false;
-      }
-
-      if (this.state.filters.dateRange.end) {
-        const endTime = new Date(this.state.filters.dateRange.end).getTime() + 86400000; // Include end day
-        if (msg.timestamp > endTime) return false;
-      }
-
-      return true;
-    });
-  }
-
   toggleFilters() {
     this.setState({ showFilters: !this.state.showFilters });
     this.render();
@@ -680,7 +674,8 @@ export default class MessageSearch extends BaseComponent {
       filters: {
         dateRange: { start: null, end: null },
         messageType: 'all',
-        model: 'all'
+        model: 'all',
+        scope: 'all'
       }
     });
     this.render();
@@ -710,22 +705,30 @@ export default class MessageSearch extends BaseComponent {
     let count = 0;
     if (this.state.filters.messageType !== 'all') count++;
     if (this.state.filters.model !== 'all') count++;
+    if (this.state.filters.scope !== 'all') {
+      count++;
+    }
     if (this.state.filters.dateRange.start || this.state.filters.dateRange.end) count++;
     return count;
   }
 
-  highlightSearchTerms(text, query) {
-    if (!query) return text;
-
-    const terms = query.toLowerCase().split(/\s+/).filter(t => t.length > 0);
-    let highlighted = text;
-
-    terms.forEach(term => {
-      const regex = new RegExp(`(${term})`, 'gi');
-      highlighted = highlighted.replace(regex, '<mark style="background:#ffeb3b;padding:2px;">$1</mark>');
+  /**
+   * Show a result snippet with its matches marked
+   * @param {HTMLElement} container - Element to fill
+   * @param {Object} snippet - { text, highlights } from the search index
+   */
+  renderSnippet(container, snippet) {
+    let offset = 0;
+    snippet.highlights.forEach(([start, end]) => {
+      container.appendChild(document.createTextNode(snippet.text.slice(offset, start)));
+      const mark = DOMUtils.createElement('mark', {
+        style: 'background:#ffeb3b;padding:2px;'
+      });
+      DOMUtils.setTextContent(mark, snippet.text.slice(start, end));
+      container.appendChild(mark);
+      offset = end;
     });
-
-    return highlighted;
+    container.appendChild(document.createTextNode(snippet.text.slice(offset)));
   }
 
   formatDateForInput(timestamp) {
@@ -50,12 +50,13 @@ export class ModelParameterControls extends BaseComponent {
           presencePenalty: 0
         }
       },
-      activePreset: 'balanced'
+      activePreset: 'balanced',
+      maxTokensLimit: 8192
     };
   }
 
   render() {
-    const { expanded, parameters, presets, activePreset } = this.state;
+    const { expanded, parameters, presets, activePreset, maxTokensLimit } = this.state;
 
     return `
       <div class="model-parameter-controls ${expanded ? 'expanded' : ''}">
@@ -103,9 +104,9 @@ export class ModelParameterControls extends BaseComponent {
                 <span class="parameter-help" title="Maximum length of the response">?</span>
               </label>
               <div class="parameter-control">
-                <input type="range" id="max-tokens" min="100" max="8192" step="100" 
+                <input type="range" id="max-tokens" min="100" max="${maxTokensLimit}" step="100"
                        value="${parameters.maxTokens}" class="parameter-slider">
-                <input type="number" min="100" max="8192" step="100" 
+                <input type="number" min="100" max="${maxTokensLimit}" step="100"
                        value="${parameters.maxTokens}" class="parameter-input">
               </div>
             </div>
@@ -350,6 +351,25 @@ export class ModelParameterControls extends BaseComponent {
     return { ...this.state.parameters };
   }
 
+  /**
+   * Adjust limits to the selected model
+   * @param {Object} modelInfo - Model config from api.providers
+   */
+  setModelLimits(modelInfo) {
+    if (!modelInfo?.maxTokens) {
+      return;
+    }
+
+    const maxTokensLimit = modelInfo.maxTokens;
+    this.setState({
+      maxTokensLimit,
+      parameters: {
+        ...this.state.parameters,
+        maxTokens: Math.min(this.state.parameters.maxTokens, maxTokensLimit)
+      }
+    });
+  }
+
   setParameters(parameters) {
     this.setState({
       parameters: { ...this.state.parameters, ...parameters }
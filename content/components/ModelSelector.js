@@ -6,12 +6,25 @@
 import BaseComponent from './BaseComponent.js';
 import TemplateLoader from '../utils/template-loader.js';
 import DOMUtils from '../utils/dom-utils.js';
+import { getConfig } from '../../src/config/index.js';
+
+const PROVIDER_LABELS = {
+  deepseek: 'DeepSeek',
+  openai: 'OpenAI',
+  anthropic: 'Anthropic',
+  custom: 'Self-hosted'
+};
+
+// Compare mode streams two or three models side by side
+const MAX_COMPARE_MODELS = 3;
 
 export default class ModelSelector extends BaseComponent {
   constructor(options = {}) {
     super(options);
     this.selectedModel = options.selectedModel || 'deepseek-chat';
     this.onModelChange = options.onModelChange || (() => {});
+    this.onCompareChange = options.onCompareChange || (() => {});
+    this.isComparing = false;
   }
 
   async render() {
@@ -21,6 +34,12 @@ export default class ModelSelector extends BaseComponent {
     
     this.element = fragment.querySelector('.deepweb-model-selector');
     this.select = this.element.querySelector('#deepweb-model-select');
+    this.compareToggle = this.element.querySelector('#deepweb-compare-toggle');
+    this.comparePanel = this.element.querySelector('#deepweb-compare-models');
+
+    // Replace static options with every configured provider's models
+    this.populateModels();
+    this.populateCompareModels();
     
     // Set initial value
     this.select.value = this.selectedModel;
@@ -37,9 +56,15 @@ export default class ModelSelector extends BaseComponent {
       borderBottom: '1px solid #e0e0e0'
     });
 
+    Object.assign(this.element.querySelector('.deepweb-model-row').style, {
+      display: 'flex',
+      gap: '8px'
+    });
+
     // Select styles
     Object.assign(this.select.style, {
-      width: '100%',
+      flex: '1',
+      minWidth: '0',
       padding: '8px 12px',
       border: '1px solid #d1d5db',
       borderRadius: '6px',
@@ -51,6 +76,25 @@ export default class ModelSelector extends BaseComponent {
       outline: 'none',
       transition: 'border-color 0.2s'
     });
+
+    Object.assign(this.compareToggle.style, {
+      padding: '6px 10px',
+      border: '1px solid #d1d5db',
+      borderRadius: '6px',
+      fontSize: '13px',
+      background: 'white',
+      color: '#333',
+      cursor: 'pointer',
+      whiteSpace: 'nowrap'
+    });
+
+    Object.assign(this.comparePanel.style, {
+      flexWrap: 'wrap',
+      gap: '4px 12px',
+      marginTop: '8px',
+      fontSize: '12px',
+      color: '#333'
+    });
   }
 
   setupEventListeners() {
@@ -68,6 +112,103 @@ export default class ModelSelector extends BaseComponent {
     this.select.addEventListener('blur', () => {
       this.select.style.borderColor = '#d1d5db';
     });
+
+    // Compare mode
+    this.compareToggle.addEventListener('click', () => {
+      this.setComparing(!this.isComparing);
+    });
+
+    this.comparePanel.addEventListener('change', (e) => {
+      const checked = this.getCheckedCompareModels();
+      if (checked.length > MAX_COMPARE_MODELS) {
+        e.target.checked = false;
+        return;
+      }
+      this.onCompareChange(this.getCompareModels());
+    });
+  }
+
+  populateModels() {
+    const providers = getConfig('api.providers', {});
+    const groups = Object.entries(providers).filter(([, config]) => config?.models);
+
+    if (groups.length === 0) {
+      return;
+    }
+
+    while (this.select.firstChild) {
+      this.select.firstChild.remove();
+    }
+
+    for (const [providerName, config] of groups) {
+      const group = document.createElement('optgroup');
+      group.label = PROVIDER_LABELS[providerName] || providerName;
+
+      for (const [modelId, model] of Object.entries(config.models)) {
+        const option = document.createElement('option');
+        option.value = modelId;
+        option.textContent = model.description ?
+          `${model.name} (${model.description})` :
+          model.name;
+        option.dataset.provider = providerName;
+        group.appendChild(option);
+      }
+
+      this.select.appendChild(group);
+    }
+  }
+
+  populateCompareModels() {
+    const options = Array.from(this.select.querySelectorAll('option'));
+
+    while (this.comparePanel.firstChild) {
+      this.comparePanel.firstChild.remove();
+    }
+
+    for (const option of options) {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = option.value;
+      label.append(checkbox, ` ${option.value}`);
+      label.title = option.textContent;
+      this.comparePanel.appendChild(label);
+    }
+  }
+
+  /**
+   * Turn compare mode on or off
+   * Turning it on pre-selects the current model.
+   * @param {boolean} enabled - Whether to compare models
+   */
+  setComparing(enabled) {
+    this.isComparing = enabled;
+    this.compareToggle.setAttribute('aria-pressed', String(enabled));
+    this.compareToggle.style.background = enabled ? '#e8eaf6' : 'white';
+    this.comparePanel.style.display = enabled ? 'flex' : 'none';
+
+    if (enabled && this.getCheckedCompareModels().length === 0) {
+      const current = this.comparePanel.querySelector(`input[value="${this.selectedModel}"]`);
+      if (current) {
+        current.checked = true;
+      }
+    }
+
+    this.onCompareChange(this.getCompareModels());
+  }
+
+  getCheckedCompareModels() {
+    return Array.from(this.comparePanel.querySelectorAll('input:checked'))
+      .map(checkbox => checkbox.value);
+  }
+
+  /**
+   * Models to compare, or an empty list unless compare mode is on with two or more
+   * @returns {Array<string>} Model IDs
+   */
+  getCompareModels() {
+    const models = this.getCheckedCompareModels();
+    return this.isComparing && models.length >= 2 ? models : [];
   }
 
   getSelectedModel() {
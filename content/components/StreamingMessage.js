@@ -4,6 +4,8 @@
  */
 
 import BaseComponent from './BaseComponent.js';
+import DOMUtils from '../utils/dom-utils.js';
+import { formatToolCall } from '../../src/intelligence/tools/PageTools.js';
 
 export default class StreamingMessage extends BaseComponent {
   constructor() {
@@ -16,7 +18,13 @@ export default class StreamingMessage extends BaseComponent {
       error: null,
       status: 'idle', // idle, streaming, completed, cancelled, error
       reconnecting: false,
-      reconnectAttempt: 0
+      reconnectAttempt: 0,
+      // Chain of thought from reasoning models, shown in a collapsible panel
+      reasoning: '',
+      isThinking: false,
+      reasoningOpen: false,
+      // Page tools the model called, with a summary once answered
+      toolCalls: []
     };
     
     this.cursorInterval = null;
@@ -27,10 +35,38 @@ export default class StreamingMessage extends BaseComponent {
   }
   
   render() {
+    if (!this.element) {
+      this.element = DOMUtils.createElement('div', {
+        class: 'deepweb-message deepweb-message-assistant deepweb-streaming-message'
+      });
+    }
+
+    // Every interpolated value in the template is escaped
+    const template = new DOMParser().parseFromString(this.createTemplate(), 'text/html');
+    this.element.replaceChildren(...template.body.childNodes);
+    this.afterRender();
+  }
+
+  /**
+   * Re-render whenever the streamed state changes
+   */
+  onStateChange() {
+    if (this.element) {
+      this.render();
+    }
+  }
+
+  /**
+   * Create message template
+   * @returns {string} HTML template
+   */
+  createTemplate() {
     const { content, isStreaming, showCursor, error, status, reconnecting, reconnectAttempt } = this.state;
     
     return `
       <div class="streaming-message ${status}">
+        ${this.renderReasoning()}
+        ${this.renderToolCalls()}
         <div class="message-content">
           <span class="message-text">${this.escapeHtml(content)}</span>
           ${isStreaming && showCursor ? '<span class="typing-cursor">|</span>' : ''}
@@ -66,6 +102,45 @@ export default class StreamingMessage extends BaseComponent {
     `;
   }
   
+  renderReasoning() {
+    const { reasoning, isThinking, reasoningOpen } = this.state;
+    if (!reasoning) {
+      return '';
+    }
+
+    return `
+      <details class="reasoning-panel" ${reasoningOpen ? 'open' : ''}
+        style="margin-bottom: 8px; font-size: 13px; color: #666;">
+        <summary style="cursor: pointer;">${isThinking ? 'Thinking…' : '💭 Thinking'}</summary>
+        <div class="reasoning-text"
+          style="margin-top: 6px; max-height: 240px; overflow-y: auto;
+            white-space: pre-wrap; font-style: italic;"
+        >${this.escapeHtml(reasoning)}</div>
+      </details>
+    `;
+  }
+
+  renderToolCalls() {
+    const { toolCalls } = this.state;
+    if (!toolCalls.length) {
+      return '';
+    }
+
+    const items = toolCalls.map(call => `
+      <li class="tool-call ${call.error ? 'error' : ''}">
+        🔧 ${this.escapeHtml(formatToolCall(call.name, call.arguments))}
+        — ${this.escapeHtml(call.summary || 'running…')}
+      </li>
+    `).join('');
+
+    return `
+      <ul class="tool-calls"
+        style="margin: 0 0 8px; padding: 0; list-style: none; font-size: 12px; color: #666;">
+        ${items}
+      </ul>
+    `;
+  }
+
   renderStatus() {
     const { status } = this.state;
     
@@ -89,6 +164,18 @@ export default class StreamingMessage extends BaseComponent {
     if (cancelBtn) {
       cancelBtn.addEventListener('click', () => this.handleCancel());
     }
+
+    // Remember whether the reasoning panel is open across re-renders
+    const reasoningPanel = this.element.querySelector('.reasoning-panel');
+    if (reasoningPanel) {
+      reasoningPanel.addEventListener('toggle', () => {
+        this.state.reasoningOpen = reasoningPanel.open;
+      });
+    }
+  }
+
+  escapeHtml(text) {
+    return DOMUtils.sanitizeText(text || '');
   }
   
   /**
@@ -111,7 +198,37 @@ export default class StreamingMessage extends BaseComponent {
       for await (const event of generator) {
         // Handle different event types
         switch (event.type) {
+          case 'reasoning':
+            this.setState({
+              reasoning: this.state.reasoning + event.content,
+              isThinking: true
+            });
+            break;
+
+          case 'tool_call':
+            this.setState({
+              toolCalls: [...this.state.toolCalls, {
+                id: event.id,
+                name: event.name,
+                arguments: event.arguments,
+                summary: null,
+                error: null
+              }]
+            });
+            break;
+
+          case 'tool_result':
+            this.setState({
+              toolCalls: this.state.toolCalls.map(call => (call.id === event.id ?
+                { ...call, summary: event.summary, error: event.error || null } :
+                call))
+            });
+            break;
+
           case 'content':
+            if (this.state.isThinking) {
+              this.setState({ isThinking: false });
+            }
             // Add to buffer for smooth display
             this.buffer.push(event.content);
             this.processBuffer();
@@ -236,6 +353,9 @@ export default class StreamingMessage extends BaseComponent {
     }
     
     this.setState({
+      reasoning: event.reasoning || this.state.reasoning,
+      toolCalls: event.toolCalls?.length ? event.toolCalls : this.state.toolCalls,
+      isThinking: false,
       isStreaming: false,
       status: event.incomplete ? 'completed' : 'completed'
     });
@@ -246,6 +366,7 @@ export default class StreamingMessage extends BaseComponent {
     this.element.dispatchEvent(new CustomEvent('streamComplete', {
       detail: {
         content: this.state.content,
+        reasoning: this.state.reasoning || null,
         usage: event.usage,
         cost: event.cost,
         incomplete: event.incomplete
@@ -321,6 +442,20 @@ export default class StreamingMessage extends BaseComponent {
     return this.state.content;
   }
   
+  /**
+   * Get the streamed reasoning, if the model produced any
+   */
+  getReasoning() {
+    return this.state.reasoning || null;
+  }
+
+  /**
+   * Get the page tools the model called
+   */
+  getToolCalls() {
+    return this.state.toolCalls;
+  }
+
   /**
    * Set content directly (for editing)
    */
@@ -345,7 +480,10 @@ export default class StreamingMessage extends BaseComponent {
       error: null,
       status: 'idle',
       reconnecting: false,
-      reconnectAttempt: 0
+      reconnectAttempt: 0,
+      reasoning: '',
+      isThinking: false,
+      toolCalls: []
     });
   }
   
@@ -515,6 +653,29 @@ export default class StreamingMessage extends BaseComponent {
         color: #d32f2f;
         background: rgba(211, 47, 47, 0.1);
       }
+
+      .reasoning-panel {
+        margin-bottom: 8px;
+        padding: 6px 10px;
+        background: rgba(0, 0, 0, 0.04);
+        border-radius: 6px;
+        font-size: 13px;
+        color: #666;
+      }
+
+      .reasoning-panel summary {
+        cursor: pointer;
+        user-select: none;
+      }
+
+      .reasoning-text {
+        margin-top: 6px;
+        max-height: 240px;
+        overflow-y: auto;
+        white-space: pre-wrap;
+        word-wrap: break-word;
+        font-style: italic;
+      }
     `;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,289 @@
+/**
+ * Study View Component
+ * Reviews flashcards from quiz, study-notes and practice-problems answers
+ * one at a time, and downloads them as an Anki deck
+ */
+
+import BaseComponent from './BaseComponent.js';
+import DOMUtils from '../utils/dom-utils.js';
+import { SecureMarkdownRenderer } from '../../src/security/SecureMarkdownRenderer.js';
+import { REVIEW_GRADES } from '../../src/storage/flashcards/scheduler.js';
+
+const GRADE_BUTTONS = [
+  { grade: REVIEW_GRADES.again, label: 'Again', color: '#c62828' },
+  { grade: REVIEW_GRADES.hard, label: 'Hard', color: '#ef6c00' },
+  { grade: REVIEW_GRADES.good, label: 'Good', color: '#2e7d32' },
+  { grade: REVIEW_GRADES.easy, label: 'Easy', color: '#1565c0' }
+];
+
+export default class StudyView extends BaseComponent {
+  /**
+   * @param {Object} options - View options
+   * @param {Object} options.deck - Anything with getDueFlashcards(), reviewFlashcard()
+   *   and exportFlashcards(), such as the ConversationBridge
+   * @param {Function} [options.onError] - Called with a message when a request fails
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.deck = options.deck;
+    this.onError = options.onError || (() => {});
+
+    this.state = {
+      cards: [],
+      total: 0,
+      position: 0,
+      revealed: false,
+      reviewed: 0
+    };
+  }
+
+  render() {
+    this.element = DOMUtils.createElement('div', {
+      class: 'deepweb-study-view',
+      role: 'region',
+      'aria-label': 'Study flashcards'
+    });
+    Object.assign(this.element.style, {
+      display: 'none',
+      flex: '1',
+      overflowY: 'auto',
+      padding: '8px'
+    });
+
+    // Toolbar
+    const toolbar = DOMUtils.createElement('div', {
+      class: 'deepweb-study-toolbar'
+    });
+    Object.assign(toolbar.style, {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      padding: '4px 8px 8px',
+      fontSize: '12px',
+      color: '#666'
+    });
+
+    this.summary = DOMUtils.createElement('span', {
+      class: 'deepweb-study-summary'
+    });
+    this.summary.style.flex = '1';
+    toolbar.appendChild(this.summary);
+
+    this.exportButton = DOMUtils.createElement('button', {
+      class: 'deepweb-study-export',
+      type: 'button',
+      title: 'Download every card as a deck to import into Anki'
+    });
+    Object.assign(this.exportButton.style, buttonStyles());
+    DOMUtils.setTextContent(this.exportButton, '⬇ Anki deck');
+    toolbar.appendChild(this.exportButton);
+    this.element.appendChild(toolbar);
+
+    // Card
+    this.cardElement = DOMUtils.createElement('div', {
+      class: 'deepweb-study-card'
+    });
+    Object.assign(this.cardElement.style, {
+      padding: '12px',
+      borderRadius: '8px',
+      background: 'white',
+      border: '1px solid #e0e0e0'
+    });
+
+    this.front = DOMUtils.createElement('div', {
+      class: 'deepweb-study-front md-content'
+    });
+    this.back = DOMUtils.createElement('div', {
+      class: 'deepweb-study-back md-content'
+    });
+    Object.assign(this.back.style, {
+      marginTop: '12px',
+      paddingTop: '12px',
+      borderTop: '1px dashed #e0e0e0'
+    });
+    [this.front, this.back].forEach(side => {
+      Object.assign(side.style, {
+        fontSize: '13px',
+        lineHeight: '1.5',
+        wordWrap: 'break-word',
+        color: '#333'
+      });
+    });
+
+    this.source = DOMUtils.createElement('a', {
+      class: 'deepweb-study-source',
+      target: '_blank',
+      rel: 'noopener noreferrer'
+    });
+    Object.assign(this.source.style, {
+      display: 'block',
+      marginTop: '8px',
+      fontSize: '11px',
+      color: '#1976d2'
+    });
+
+    this.cardElement.append(this.front, this.back, this.source);
+    this.element.appendChild(this.cardElement);
+
+    // Actions
+    this.actions = DOMUtils.createElement('div', {
+      class: 'deepweb-study-actions'
+    });
+    Object.assign(this.actions.style, {
+      display: 'flex',
+      gap: '6px',
+      justifyContent: 'center',
+      marginTop: '8px'
+    });
+
+    this.revealButton = DOMUtils.createElement('button', {
+      class: 'deepweb-study-reveal',
+      type: 'button'
+    });
+    Object.assign(this.revealButton.style, buttonStyles());
+    DOMUtils.setTextContent(this.revealButton, 'Show answer');
+    this.actions.appendChild(this.revealButton);
+
+    this.gradeButtons = GRADE_BUTTONS.map(({ grade, label, color }) => {
+      const button = DOMUtils.createElement('button', {
+        class: 'deepweb-study-grade',
+        type: 'button',
+        'data-grade': String(grade)
+      });
+      Object.assign(button.style, buttonStyles(), { color, borderColor: color });
+      DOMUtils.setTextContent(button, label);
+      this.actions.appendChild(button);
+      return button;
+    });
+    this.element.appendChild(this.actions);
+  }
+
+  setupEventListeners() {
+    this.revealButton.addEventListener('click', () => this.reveal());
+    this.gradeButtons.forEach(button => {
+      button.addEventListener('click', () => this.grade(Number(button.dataset.grade)));
+    });
+    this.exportButton.addEventListener('click', () => this.exportDeck());
+  }
+
+  /**
+   * Show or hide the view, loading the cards due when it is shown
+   * @param {boolean} visible - Whether to show the view
+   */
+  async setVisible(visible) {
+    this.element.style.display = visible ? 'block' : 'none';
+    if (visible) {
+      await this.load();
+    }
+  }
+
+  async load() {
+    try {
+      const { cards = [], total = 0 } = await this.deck.getDueFlashcards();
+      this.setState({ cards, total, position: 0, revealed: false, reviewed: 0 });
+    } catch (error) {
+      console.error('[StudyView] Failed to load flashcards:', error);
+      this.onError('Failed to load flashcards');
+    }
+    this.update();
+  }
+
+  reveal() {
+    this.setState({ revealed: true });
+    this.update();
+  }
+
+  async grade(grade) {
+    const card = this.state.cards[this.state.position];
+    if (!card) {
+      return;
+    }
+
+    try {
+      await this.deck.reviewFlashcard(card.id, grade);
+      this.setState({
+        position: this.state.position + 1,
+        revealed: false,
+        reviewed: this.state.reviewed + 1
+      });
+    } catch (error) {
+      console.error('[StudyView] Failed to save review:', error);
+      this.onError(`Failed to save review: ${error.message}`);
+    }
+    this.update();
+  }
+
+  async exportDeck() {
+    try {
+      const file = await this.deck.exportFlashcards();
+      const url = URL.createObjectURL(new Blob([file.data], { type: file.mimeType }));
+      const link = DOMUtils.createElement('a', { href: url, download: file.filename });
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 100);
+    } catch (error) {
+      console.error('[StudyView] Failed to export deck:', error);
+      this.onError(`Failed to export deck: ${error.message}`);
+    }
+  }
+
+  update() {
+    const { cards, total, position, revealed, reviewed } = this.state;
+    const card = cards[position];
+    const remaining = cards.length - position;
+
+    this.exportButton.disabled = !total;
+    DOMUtils.setTextContent(this.summary, total ?
+      `${remaining} due · ${reviewed} reviewed · ${total} cards` :
+      'No flashcards yet');
+
+    this.actions.style.display = card ? 'flex' : 'none';
+
+    if (!card) {
+      this.renderText(this.front, total ?
+        'All caught up. Come back when more cards are due.' :
+        'Answers to the quiz, study notes and practice problems templates become cards.');
+      this.back.style.display = 'none';
+      this.source.style.display = 'none';
+      return;
+    }
+
+    this.renderText(this.front, card.front);
+    this.back.style.display = revealed ? 'block' : 'none';
+    if (revealed) {
+      this.renderText(this.back, card.back);
+    }
+
+    // Imported conversations may carry any URL; only link to web pages
+    const linkable = /^https?:\/\//i.test(card.sourceUrl || '');
+    this.source.style.display = revealed && linkable ? 'block' : 'none';
+    if (linkable) {
+      this.source.href = card.sourceUrl;
+      DOMUtils.setTextContent(this.source, `↗ ${card.sourceTitle || card.sourceUrl}`);
+    }
+
+    this.revealButton.style.display = revealed ? 'none' : '';
+    this.gradeButtons.forEach(button => {
+      button.style.display = revealed ? '' : 'none';
+    });
+  }
+
+  renderText(element, text) {
+    element.innerHTML = '';
+    new SecureMarkdownRenderer().render(text, element);
+  }
+}
+
+function buttonStyles() {
+  return {
+    padding: '4px 10px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    background: 'white',
+    color: '#333',
+    fontSize: '12px',
+    cursor: 'pointer'
+  };
+}
@@ -71,16 +71,25 @@
     }
   }
 
+  /**
+   * Report a failed message handler; the listener does not wait for it
+   */
+  function handleError(error) {
+    console.error('[DeepWeb] Failed to handle message:', error);
+  }
+
   // Listen for messages from background
-  browser.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
+  // Not async: a returned promise would answer messages meant for the chat
+  // UI's own listener, such as page tool calls
+  browser.runtime.onMessage.addListener((message) => {
     console.log('[DeepWeb] Received message:', message);
     
     if (message.type === 'toggle_chat') {
-      await toggleChat();
+      toggleChat().catch(handleError);
     }
     
     if (message.type === 'process_selection' && message.text) {
-      await processSelection(message.text);
+      processSelection(message.text).catch(handleError);
     }
     
     return false; // Synchronous response
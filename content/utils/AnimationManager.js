@@ -607,6 +607,56 @@ export default class AnimationManager {
     await this.animate(toast, 'slideOut');
     toast.remove();
   }
+
+  /**
+   * Show a toast with an Undo button
+   * @param {string} message - Toast message
+   * @param {Function} onUndo - Called if Undo is clicked before the toast closes
+   * @param {number} duration - Time to undo, in milliseconds
+   * @returns {Promise<boolean>} Whether Undo was clicked
+   */
+  async showUndoToast(message, onUndo, duration = 8000) {
+    const toast = document.createElement('div');
+    toast.className = 'deepweb-toast deepweb-toast-info deepweb-toast-undo';
+    toast.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    const undoBtn = document.createElement('button');
+    undoBtn.type = 'button';
+    undoBtn.className = 'deepweb-toast-undo-btn';
+    undoBtn.textContent = 'Undo';
+    toast.append(text, undoBtn);
+
+    // Wait for Undo or the end of the duration, whichever comes first
+    let undone = false;
+    const closed = new Promise(resolve => {
+      const timer = setTimeout(resolve, duration);
+      undoBtn.addEventListener('click', () => {
+        clearTimeout(timer);
+        undone = true;
+        resolve();
+      }, { once: true });
+    });
+
+    toast.style.transform = 'translateY(100px)';
+    document.body.appendChild(toast);
+    await this.animate(toast, 'slideIn');
+    await closed;
+
+    if (undone) {
+      try {
+        await onUndo();
+      } catch (error) {
+        console.error('[AnimationManager] Undo failed:', error);
+        this.showToast(`Undo failed: ${error.message}`, 'error');
+      }
+    }
+
+    await this.animate(toast, 'slideOut');
+    toast.remove();
+    return undone;
+  }
 }
 
 // Create singleton instance
@@ -44,12 +44,141 @@ export class ConversationBridge {
     return response.conversation;
   }
 
+  // Resolves to the trash entry ID, for undo
   async deleteConversation(conversationId) {
-    const response = await browser.runtime.sendMessage({
+    const response = await this.send({
       type: 'conversation_delete',
       conversationId
     });
-    return response.success;
+    return response.trashId;
+  }
+
+  async forkConversation(conversationId, messageId) {
+    const response = await browser.runtime.sendMessage({
+      type: 'conversation_fork',
+      conversationId,
+      messageId
+    });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to fork conversation');
+    }
+    return response.conversation;
+  }
+
+  async findRelated({ text, conversationId, ...options }) {
+    const response = await browser.runtime.sendMessage({
+      type: 'conversation_find_related',
+      text,
+      conversationId,
+      options
+    });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    return response.conversations || [];
+  }
+
+  async setTags(conversationId, tags) {
+    const response = await this.send({ type: 'conversation_set_tags', conversationId, tags });
+    return response.conversation;
+  }
+
+  async moveToFolder(conversationId, folderId) {
+    const response = await this.send({
+      type: 'conversation_move_to_folder',
+      conversationId,
+      folderId
+    });
+    return response.conversation;
+  }
+
+  async listFolders() {
+    const response = await this.send({ type: 'conversation_folders_get' });
+    return response.folders || [];
+  }
+
+  async createFolder(data) {
+    const response = await this.send({ type: 'conversation_folder_create', data });
+    return response.folder;
+  }
+
+  async updateFolder(folderId, updates) {
+    const response = await this.send({ type: 'conversation_folder_update', folderId, updates });
+    return response.folder;
+  }
+
+  async deleteFolder(folderId) {
+    await this.send({ type: 'conversation_folder_delete', folderId });
+  }
+
+  async listSmartFilters() {
+    const response = await this.send({ type: 'conversation_filters_get' });
+    return response.filters || [];
+  }
+
+  async saveSmartFilter(filter) {
+    const response = await this.send({ type: 'conversation_filter_save', filter });
+    return response.filter;
+  }
+
+  async deleteSmartFilter(filterId) {
+    await this.send({ type: 'conversation_filter_delete', filterId });
+  }
+
+  async listTrash() {
+    const response = await this.send({ type: 'trash_list' });
+    return response.entries || [];
+  }
+
+  restoreFromTrash(trashId) {
+    return this.send({ type: 'trash_restore', trashId });
+  }
+
+  async deleteFromTrash(trashId) {
+    await this.send({ type: 'trash_delete', trashId });
+  }
+
+  async emptyTrash() {
+    const response = await this.send({ type: 'trash_empty' });
+    return response.deleted;
+  }
+
+  previewCleanup() {
+    return this.send({ type: 'cleanup_preview' });
+  }
+
+  cleanupOldConversations(options = {}) {
+    return this.send({ type: 'cleanup_run', conversationIds: options.ids || null });
+  }
+
+  // Flashcards from answers to the study templates, as { cards, total }
+  getDueFlashcards(conversationId = null) {
+    return this.send({ type: 'flashcards_due', conversationId });
+  }
+
+  async reviewFlashcard(cardId, grade) {
+    const response = await this.send({ type: 'flashcards_review', cardId, grade });
+    return response.review;
+  }
+
+  // Resolves to { data, filename, mimeType } for download
+  exportFlashcards() {
+    return this.send({ type: 'export_data', options: { format: 'anki', scope: 'all' } });
+  }
+
+  // Encrypted conversations are unlocked once per browser session
+  async getEncryptionStatus() {
+    const response = await browser.runtime.sendMessage({ type: 'encryption_status' });
+    return { enabled: Boolean(response?.enabled), unlocked: Boolean(response?.unlocked) };
+  }
+
+  // Background errors arrive as { error } rather than a rejection
+  async send(message) {
+    const response = await browser.runtime.sendMessage(message);
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    return response;
   }
 
   async setCurrentConversation(conversationId) {
@@ -78,6 +207,30 @@ export class MessageBridge {
     return response.messageId;
   }
 
+  // Resolves to the trash entry ID, for undo
+  async delete(messageId, options = {}) {
+    const response = await browser.runtime.sendMessage({
+      type: 'delete_message',
+      messageId,
+      conversationId: options.conversationId
+    });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to delete message');
+    }
+    return response.trashId;
+  }
+
+  async restore(trashId) {
+    const response = await browser.runtime.sendMessage({
+      type: 'trash_restore',
+      trashId
+    });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to restore message');
+    }
+    return response;
+  }
+
   async clearMessages(conversationId) {
     const response = await browser.runtime.sendMessage({
       type: 'messages_clear',
@@ -85,4 +238,68 @@ export class MessageBridge {
     });
     return response.success;
   }
+
+  async search(conversationId, query, options = {}) {
+    const response = await browser.runtime.sendMessage({
+      type: 'search_messages',
+      conversationId,
+      query,
+      options
+    });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    return response.messages || [];
+  }
+
+  async togglePin(messageId, conversationId) {
+    const response = await browser.runtime.sendMessage({
+      type: 'message_toggle_pin',
+      messageId,
+      conversationId
+    });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to toggle pin');
+    }
+    return response.message;
+  }
+
+  async updateContent(messageId, content, conversationId) {
+    const response = await browser.runtime.sendMessage({
+      type: 'update_message',
+      messageId,
+      conversationId,
+      content
+    });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to update message');
+    }
+    return response.message;
+  }
+
+  async addVersion(messageId, version, conversationId) {
+    const response = await browser.runtime.sendMessage({
+      type: 'message_add_version',
+      messageId,
+      conversationId,
+      version
+    });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to add version');
+    }
+    return response.message;
+  }
+
+  async selectVersion(messageId, index, conversationId) {
+    const response = await browser.runtime.sendMessage({
+      type: 'message_select_version',
+      messageId,
+      conversationId,
+      index
+    });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to select version');
+    }
+    return response.message;
+  }
 }
\ No newline at end of file
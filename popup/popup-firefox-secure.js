@@ -165,6 +165,19 @@
         chatState: 'normal'
     };
 
+    const BACKUP_REASONS = {
+        scheduled: 'Scheduled',
+        manual: 'Manual',
+        'before-restore': 'Before restore'
+    };
+
+    // Restore point shown in the preview, restored by the Restore button
+    let previewedBackupId = null;
+
+    // Fallback order being edited, saved with the other settings
+    let fallbackChain = [];
+    let fallbackModels = [];
+
     async function loadSettings() {
         try {
             // Load non-sensitive settings
@@ -230,6 +243,11 @@
             // Save non-sensitive settings
             await browser.storage.sync.set(settings);
             
+            // Budgets and the fallback order are applied by the background script
+            await saveBudgets();
+            await saveFallbackChain();
+            await saveBackupSchedule();
+
             // Handle API keys separately with encryption
             const apiKeyInputs = {
                 openai: document.getElementById('openaiKey'),
@@ -291,6 +309,488 @@
         }
     }
 
+    async function loadUsage() {
+        try {
+            const period = document.getElementById('usagePeriod').value;
+            const response = await browser.runtime.sendMessage({
+                type: 'usage_get_summary',
+                period
+            });
+
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            const { budget, status } = response;
+            document.getElementById('dailyBudget').value = budget.daily;
+            document.getElementById('monthlyBudget').value = budget.monthly;
+            document.getElementById('budgetHardStop').checked = budget.hardStop !== false;
+
+            renderSpend('usageDaily', status.daily, budget.warnAt);
+            renderSpend('usageMonthly', status.monthly, budget.warnAt);
+            renderUsageRows(document.getElementById('usageByModel'), response.byModel, 'model');
+            renderUsageRows(document.getElementById('usageByDomain'), response.byDomain, 'domain');
+        } catch (error) {
+            console.error('Error loading usage:', error);
+            showError('Failed to load usage');
+        }
+    }
+
+    function renderSpend(id, { spent, limit, ratio }, warnAt = 0.8) {
+        const label = limit ? `${formatCost(spent)} / ${formatCost(limit)}` : formatCost(spent);
+        DOMSecurity.setTextContent(document.getElementById(id), label);
+
+        const bar = document.getElementById(`${id}Bar`);
+        bar.style.width = `${Math.min(100, ratio * 100)}%`;
+        bar.classList.toggle('warning', ratio >= warnAt && ratio < 1);
+        bar.classList.toggle('exceeded', ratio >= 1);
+    }
+
+    function renderUsageRows(tbody, rows, field) {
+        tbody.replaceChildren();
+
+        if (!rows.length) {
+            const cell = document.createElement('td');
+            cell.colSpan = 4;
+            DOMSecurity.setTextContent(cell, 'No usage yet');
+            const row = document.createElement('tr');
+            row.appendChild(cell);
+            tbody.appendChild(row);
+            return;
+        }
+
+        for (const entry of rows) {
+            const row = document.createElement('tr');
+            const values = [entry[field], entry.requests, entry.tokens, formatCost(entry.cost)];
+            for (const value of values) {
+                const cell = document.createElement('td');
+                DOMSecurity.setTextContent(cell, String(value));
+                row.appendChild(cell);
+            }
+            tbody.appendChild(row);
+        }
+    }
+
+    function formatCost(cost) {
+        return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+    }
+
+    async function saveBudgets() {
+        const budget = {
+            daily: Math.max(0, parseFloat(document.getElementById('dailyBudget').value) || 0),
+            monthly: Math.max(0, parseFloat(document.getElementById('monthlyBudget').value) || 0),
+            hardStop: document.getElementById('budgetHardStop').checked
+        };
+
+        const response = await browser.runtime.sendMessage({
+            type: 'usage_set_budget',
+            budget
+        });
+        if (response.error) {
+            throw new Error(response.error);
+        }
+
+        await loadUsage();
+    }
+
+    async function loadFallbackChain() {
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'fallback_get' });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            fallbackModels = response.models;
+            fallbackChain = response.chain;
+            renderFallbackChain();
+        } catch (error) {
+            console.error('Error loading fallback order:', error);
+            showError('Failed to load fallback order');
+        }
+    }
+
+    function renderFallbackChain() {
+        const tbody = document.getElementById('fallbackList');
+        tbody.replaceChildren();
+
+        if (!fallbackChain.length) {
+            const cell = document.createElement('td');
+            cell.colSpan = 3;
+            DOMSecurity.setTextContent(cell, 'No fallback models');
+            const row = document.createElement('tr');
+            row.appendChild(cell);
+            tbody.appendChild(row);
+        }
+
+        fallbackChain.forEach((modelId, index) => {
+            const model = fallbackModels.find(entry => entry.id === modelId);
+            const row = document.createElement('tr');
+            const label = `${index + 1}. ${model?.name || modelId}`;
+            for (const value of [label, model?.provider || '']) {
+                const cell = document.createElement('td');
+                DOMSecurity.setTextContent(cell, value);
+                row.appendChild(cell);
+            }
+
+            const actions = document.createElement('td');
+            const up = createRowButton('↑', 'secondary', () => moveFallback(index, -1));
+            const down = createRowButton('↓', 'secondary', () => moveFallback(index, 1));
+            up.disabled = index === 0;
+            down.disabled = index === fallbackChain.length - 1;
+            actions.append(up, down, createRowButton('Remove', 'danger', () => {
+                fallbackChain.splice(index, 1);
+                renderFallbackChain();
+            }));
+            row.appendChild(actions);
+            tbody.appendChild(row);
+        });
+
+        // Models not yet in the chain can be added at the end
+        const select = document.getElementById('fallbackModel');
+        select.replaceChildren();
+        for (const model of fallbackModels.filter(entry => !fallbackChain.includes(entry.id))) {
+            const option = document.createElement('option');
+            option.value = model.id;
+            DOMSecurity.setTextContent(option, `${model.name || model.id} (${model.provider})`);
+            select.appendChild(option);
+        }
+        document.getElementById('addFallback').disabled = !select.options.length;
+    }
+
+    function moveFallback(index, offset) {
+        const [modelId] = fallbackChain.splice(index, 1);
+        fallbackChain.splice(index + offset, 0, modelId);
+        renderFallbackChain();
+    }
+
+    async function saveFallbackChain() {
+        const response = await browser.runtime.sendMessage({
+            type: 'fallback_set',
+            chain: fallbackChain
+        });
+        if (response.error) {
+            throw new Error(response.error);
+        }
+    }
+
+    // Hosts the tokenizer vocabularies are downloaded from, including Hugging Face's CDN
+    const TOKENIZER_ORIGINS = [
+        'https://openaipublic.blob.core.windows.net/*',
+        'https://huggingface.co/*',
+        'https://*.hf.co/*'
+    ];
+
+    async function loadTokenizerSetting() {
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'tokenizer_get' });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            const { autoload } = response;
+            const label = autoload ?
+                'Exact token counts where a tokenizer is published' :
+                'Token counts are estimated';
+            DOMSecurity.setTextContent(document.getElementById('tokenizerStatus'), label);
+            document.getElementById('enableTokenizers').style.display = autoload ? 'none' : '';
+            document.getElementById('disableTokenizers').style.display = autoload ? '' : 'none';
+        } catch (error) {
+            console.error('Error loading tokenizer setting:', error);
+        }
+    }
+
+    async function setTokenizerAutoload(autoload) {
+        try {
+            // Host permissions can only be requested from a user gesture
+            if (autoload && !await browser.permissions.request({ origins: TOKENIZER_ORIGINS })) {
+                throw new Error('Permission denied');
+            }
+
+            const response = await browser.runtime.sendMessage({
+                type: 'tokenizer_set_autoload',
+                autoload
+            });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+        } catch (error) {
+            showError(`Token counting not changed: ${error.message}`);
+        }
+        await loadTokenizerSetting();
+    }
+
+    async function loadEmbeddingsProvider() {
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'embeddings_get' });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+            document.getElementById('embeddingsProvider').value = response.provider;
+        } catch (error) {
+            console.error('Error loading embeddings provider:', error);
+        }
+    }
+
+    async function setEmbeddingsProvider(provider) {
+        try {
+            const response = await browser.runtime.sendMessage({
+                type: 'embeddings_set_provider',
+                provider
+            });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+            showStatus(provider === 'local' ?
+                'Related conversations use keyword matching' :
+                'Related conversations use embeddings', 'success');
+        } catch (error) {
+            showError(`Related conversations not changed: ${error.message}`);
+        }
+        await loadEmbeddingsProvider();
+    }
+
+    async function loadEncryption() {
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'encryption_status' });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            const { enabled, unlocked } = response;
+            let label = 'Conversations are stored unencrypted';
+            if (enabled) {
+                label = unlocked ? 'Encrypted, unlocked for this session' : 'Encrypted and locked';
+            }
+            DOMSecurity.setTextContent(document.getElementById('encryptionStatus'), label);
+
+            const visible = {
+                enableEncryption: !enabled,
+                unlockEncryption: enabled && !unlocked,
+                lockEncryption: enabled && unlocked,
+                disableEncryption: enabled
+            };
+            for (const [id, show] of Object.entries(visible)) {
+                document.getElementById(id).style.display = show ? '' : 'none';
+            }
+        } catch (error) {
+            console.error('Error loading encryption status:', error);
+        }
+    }
+
+    async function runEncryptionAction(type, progress, done) {
+        const input = document.getElementById('encryptionPassphrase');
+        try {
+            if (type === 'encryption_disable' &&
+                !confirm('Decrypt all conversations and store them as plain text?')) {
+                return;
+            }
+
+            showStatus(progress, 'info');
+            const response = await browser.runtime.sendMessage({
+                type,
+                passphrase: input.value
+            });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            input.value = '';
+            showStatus(done, 'success');
+        } catch (error) {
+            showError(error.message);
+        }
+        await loadEncryption();
+    }
+
+    async function loadBackups() {
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'backup_list' });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            document.getElementById('backupSchedule').value = response.schedule;
+            document.getElementById('backupRetention').value = response.retentionCount;
+            renderBackupRows(response.backups);
+        } catch (error) {
+            console.error('Error loading backups:', error);
+            showError('Failed to load backups');
+        }
+    }
+
+    function renderBackupRows(backups) {
+        const tbody = document.getElementById('backupList');
+        tbody.replaceChildren();
+
+        if (!backups.length) {
+            const cell = document.createElement('td');
+            cell.colSpan = 4;
+            DOMSecurity.setTextContent(cell, 'No restore points yet');
+            const row = document.createElement('tr');
+            row.appendChild(cell);
+            tbody.appendChild(row);
+            return;
+        }
+
+        for (const backup of backups) {
+            const row = document.createElement('tr');
+            const reason = BACKUP_REASONS[backup.reason] || backup.reason;
+            const label = `${new Date(backup.createdAt).toLocaleString()} · ${reason}`;
+            for (const value of [label, backup.conversations, backup.messages]) {
+                const cell = document.createElement('td');
+                DOMSecurity.setTextContent(cell, String(value));
+                row.appendChild(cell);
+            }
+
+            const actions = document.createElement('td');
+            actions.append(
+                createRowButton('Preview', 'secondary', () => previewBackup(backup.id)),
+                createRowButton('Delete', 'danger', () => deleteBackup(backup.id))
+            );
+            row.appendChild(actions);
+            tbody.appendChild(row);
+        }
+    }
+
+    function createRowButton(label, className, onClick) {
+        const button = document.createElement('button');
+        button.className = className;
+        DOMSecurity.setTextContent(button, label);
+        DOMSecurity.addEventListener(button, 'click', onClick);
+        return button;
+    }
+
+    async function saveBackupSchedule() {
+        const retentionCount = parseInt(document.getElementById('backupRetention').value, 10) || 5;
+        const response = await browser.runtime.sendMessage({
+            type: 'backup_set_schedule',
+            backup: {
+                schedule: document.getElementById('backupSchedule').value,
+                retentionCount: Math.min(50, Math.max(1, retentionCount))
+            }
+        });
+        if (response.error) {
+            throw new Error(response.error);
+        }
+
+        await loadBackups();
+    }
+
+    async function createBackup() {
+        try {
+            showStatus('Backing up...', 'info');
+            const response = await browser.runtime.sendMessage({ type: 'backup_create' });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+            showStatus('Backup created', 'success');
+        } catch (error) {
+            showError(`Backup failed: ${error.message}`);
+        }
+        await loadBackups();
+    }
+
+    // Shows what a restore point holds, and which conversations are already here
+    async function previewBackup(backupId) {
+        try {
+            const response = await browser.runtime.sendMessage({
+                type: 'backup_preview',
+                backupId
+            });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            const { backup, conversations } = response;
+            const existing = conversations.filter(conv => conv.duplicate).length;
+            DOMSecurity.setTextContent(
+                document.getElementById('backupPreviewSummary'),
+                `${new Date(backup.createdAt).toLocaleString()}: ${backup.conversations} ` +
+                `conversations (${existing} already here), ${backup.messages} messages, ` +
+                `${backup.templates} custom templates, ${backup.themes} custom themes`
+            );
+
+            const tbody = document.getElementById('backupPreviewList');
+            tbody.replaceChildren();
+            for (const conv of conversations) {
+                const row = document.createElement('tr');
+                const values = [
+                    conv.title || 'Untitled',
+                    conv.messageCount,
+                    conv.duplicate ? 'Already here' : 'New'
+                ];
+                for (const value of values) {
+                    const cell = document.createElement('td');
+                    DOMSecurity.setTextContent(cell, String(value));
+                    row.appendChild(cell);
+                }
+                tbody.appendChild(row);
+            }
+
+            previewedBackupId = backupId;
+            document.getElementById('backupPreview').style.display = 'block';
+        } catch (error) {
+            showError(`Preview failed: ${error.message}`);
+        }
+    }
+
+    function closeBackupPreview() {
+        previewedBackupId = null;
+        document.getElementById('backupPreview').style.display = 'none';
+    }
+
+    async function restoreBackup() {
+        if (!previewedBackupId ||
+            !confirm('Restore this backup? What is stored now is kept as a restore point first.')) {
+            return;
+        }
+
+        try {
+            showStatus('Restoring backup...', 'info');
+            const response = await browser.runtime.sendMessage({
+                type: 'backup_restore',
+                backupId: previewedBackupId,
+                duplicateStrategy: document.getElementById('backupDuplicates').value,
+                includeSettings: document.getElementById('backupRestoreSettings').checked
+            });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            closeBackupPreview();
+            showStatus(`Restored ${response.imported} conversations`, 'success');
+            if (response.settingsRestored) {
+                await loadUsage();
+            }
+        } catch (error) {
+            showError(`Restore failed: ${error.message}`);
+        }
+        await loadBackups();
+    }
+
+    async function deleteBackup(backupId) {
+        if (!confirm('Delete this restore point?')) {
+            return;
+        }
+
+        try {
+            const response = await browser.runtime.sendMessage({
+                type: 'backup_delete',
+                backupId
+            });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            if (backupId === previewedBackupId) {
+                closeBackupPreview();
+            }
+        } catch (error) {
+            showError(`Delete failed: ${error.message}`);
+        }
+        await loadBackups();
+    }
+
     function showStatus(message, type = 'info') {
         const status = document.getElementById('status');
         DOMSecurity.setTextContent(status, message);
@@ -405,6 +905,66 @@
             });
         });
         
+        // Self-hosted endpoint
+        const connectButton = document.getElementById('connectCustom');
+        DOMSecurity.addEventListener(connectButton, 'click', connectCustomEndpoint);
+
+        DOMSecurity.addEventListener(document.getElementById('addFallback'), 'click', () => {
+            const { value } = document.getElementById('fallbackModel');
+            if (value) {
+                fallbackChain.push(value);
+                renderFallbackChain();
+            }
+        });
+
+        // Usage breakdown period
+        DOMSecurity.addEventListener(document.getElementById('usagePeriod'), 'change', loadUsage);
+
+        // Tokenizer downloads
+        DOMSecurity.addEventListener(document.getElementById('enableTokenizers'), 'click', () => {
+            setTokenizerAutoload(true);
+        });
+        DOMSecurity.addEventListener(document.getElementById('disableTokenizers'), 'click', () => {
+            setTokenizerAutoload(false);
+        });
+
+        // Embeddings provider for related conversations
+        const embeddingsProvider = document.getElementById('embeddingsProvider');
+        DOMSecurity.addEventListener(embeddingsProvider, 'change', () => {
+            setEmbeddingsProvider(embeddingsProvider.value);
+        });
+
+        // Content encryption
+        const encryptionActions = {
+            enableEncryption: [
+                'encryption_enable',
+                'Encrypting conversations...',
+                'Conversations encrypted'
+            ],
+            unlockEncryption: ['encryption_unlock', 'Unlocking...', 'Conversations unlocked'],
+            lockEncryption: ['encryption_lock', 'Locking...', 'Conversations locked'],
+            disableEncryption: [
+                'encryption_disable',
+                'Decrypting conversations...',
+                'Encryption turned off'
+            ]
+        };
+        for (const [id, action] of Object.entries(encryptionActions)) {
+            DOMSecurity.addEventListener(document.getElementById(id), 'click', () => {
+                runEncryptionAction(...action);
+            });
+        }
+
+        // Backups
+        const backupActions = {
+            createBackup,
+            restoreBackup,
+            cancelRestore: closeBackupPreview
+        };
+        for (const [id, action] of Object.entries(backupActions)) {
+            DOMSecurity.addEventListener(document.getElementById(id), 'click', action);
+        }
+
         // Clear data button
         DOMSecurity.addEventListener(document.getElementById('clearData'), 'click', async () => {
             if (confirm('This will clear all conversations and settings. Are you sure?')) {
@@ -462,8 +1022,51 @@
         }
     }
 
+    async function connectCustomEndpoint() {
+        const baseUrl = document.getElementById('customBaseUrl').value.trim();
+        const apiKey = document.getElementById('customKey').value.trim();
+
+        try {
+            const { protocol, hostname } = new URL(baseUrl);
+
+            // Host permissions can only be requested from a user gesture
+            const granted = await browser.permissions.request({
+                origins: [`${protocol}//${hostname}/*`]
+            });
+            if (!granted) {
+                throw new Error('Permission denied');
+            }
+
+            showStatus('Connecting to endpoint...', 'info');
+
+            if (apiKey) {
+                await apiKeySecurity.storeAPIKey('custom', apiKey);
+            }
+
+            const response = await browser.runtime.sendMessage({
+                type: 'configure_custom_endpoint',
+                baseUrl,
+                apiKey: apiKey || await apiKeySecurity.getAPIKey('custom')
+            });
+
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            showStatus(`Connected: ${response.models.length} models found`, 'success');
+        } catch (error) {
+            showError(`Custom endpoint failed: ${error.message}`);
+        }
+    }
+
     // Initialize
     setupEventListeners();
     await loadSettings();
+    await loadUsage();
+    await loadFallbackChain();
+    await loadTokenizerSetting();
+    await loadEmbeddingsProvider();
+    await loadEncryption();
+    await loadBackups();
 
 })();
\ No newline at end of file
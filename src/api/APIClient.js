@@ -4,6 +4,9 @@
  */
 
 import DeepSeekProvider from './providers/DeepSeekProvider.js';
+import OpenAIProvider from './providers/OpenAIProvider.js';
+import AnthropicProvider from './providers/AnthropicProvider.js';
+import CustomEndpointProvider from './providers/CustomEndpointProvider.js';
 import { ApiError, ValidationError } from '../errors/index.js';
 import { getConfig } from '../config/index.js';
 
@@ -28,9 +31,42 @@ class APIClient {
     // Add DeepSeek provider
     this.addProvider('deepseek', new DeepSeekProvider());
     
-    // Future providers can be added here
-    // this.addProvider('openai', new OpenAIProvider());
-    // this.addProvider('anthropic', new AnthropicProvider());
+    // Optional providers are only registered when configured
+    const openaiConfig = getConfig('api.providers.openai');
+    if (openaiConfig) {
+      this.addProvider('openai', new OpenAIProvider(openaiConfig));
+    }
+
+    const anthropicConfig = getConfig('api.providers.anthropic');
+    if (anthropicConfig) {
+      this.addProvider('anthropic', new AnthropicProvider(anthropicConfig));
+    }
+
+    const customConfig = getConfig('api.providers.custom');
+    if (customConfig?.baseUrl) {
+      try {
+        this.addProvider('custom', new CustomEndpointProvider(customConfig));
+      } catch (error) {
+        console.error('[APIClient] Custom endpoint rejected:', error);
+      }
+    }
+  }
+
+  /**
+   * Register a self-hosted OpenAI-compatible endpoint
+   * The host permission must already be granted (it can only be requested
+   * from a user gesture, e.g. in the popup).
+   * @param {Object} config - Endpoint config ({ baseUrl, name, models })
+   * @param {string} apiKey - Optional API key used for model discovery
+   * @returns {Promise<Array>} Discovered models
+   * @throws {SecurityError} If the host permission is missing
+   */
+  async addCustomEndpoint(config, apiKey) {
+    const provider = new CustomEndpointProvider(config);
+    const models = await provider.discoverModels(apiKey);
+    this.addProvider('custom', provider);
+
+    return models;
   }
 
   /**
@@ -63,14 +99,98 @@ class APIClient {
     return provider;
   }
 
+  /**
+   * Find the provider that serves a model
+   * @param {string} model - Model ID
+   * @returns {string} Provider name (default provider if no match)
+   */
+  getProviderForModel(model) {
+    if (model) {
+      for (const [name, provider] of this.providers) {
+        if (provider.getModelInfo && provider.getModelInfo(model)) {
+          return name;
+        }
+      }
+    }
+
+    return this.defaultProvider;
+  }
+
+  /**
+   * Build the ordered list of providers to try for a request
+   * The requested provider comes first, followed by the models configured in
+   * `api.fallbackChain` whose provider is registered and has a usable key, and
+   * which support the tools or JSON mode the request uses.
+   * @param {string} providerName - Requested provider
+   * @param {string} model - Requested model
+   * @param {string} apiKey - Key for the requested provider
+   * @param {Object} apiKeys - Keys for fallback providers, by provider name
+   * @param {Object} [request] - Request options ({ tools, responseFormat })
+   * @returns {Array<Object>} Candidates ({ provider, model, apiKey })
+   */
+  getFallbackChain(providerName, model, apiKey, apiKeys = {}, request = {}) {
+    const chain = [{ provider: providerName, model, apiKey }];
+
+    for (const fallbackModel of getConfig('api.fallbackChain', [])) {
+      if (chain.some(candidate => candidate.model === fallbackModel)) {
+        continue;
+      }
+
+      const name = this.getProviderForModel(fallbackModel);
+      const fallbackProvider = this.providers.get(name);
+      const modelInfo = fallbackProvider?.getModelInfo(fallbackModel);
+      if (!modelInfo || !this.supportsRequest(modelInfo, request)) {
+        continue;
+      }
+
+      const fallbackKey = name === providerName ? apiKey : apiKeys[name];
+      if (!fallbackProvider.validateApiKey(fallbackKey)) {
+        continue;
+      }
+
+      chain.push({ provider: name, model: fallbackModel, apiKey: fallbackKey });
+    }
+
+    return chain;
+  }
+
+  /**
+   * Whether a model accepts what the request needs
+   * Models marked `functionCalling: false` or `jsonMode: false` would reject
+   * the request or silently ignore its tools or response format.
+   * @param {Object} modelInfo - Model config
+   * @param {Object} request - Request options ({ tools, responseFormat })
+   * @returns {boolean} Supported
+   */
+  supportsRequest(modelInfo, request) {
+    if (request.tools?.length > 0 && modelInfo.functionCalling === false) {
+      return false;
+    }
+    return !(request.responseFormat === 'json' && modelInfo.jsonMode === false);
+  }
+
+  /**
+   * Check whether a failed request should move on to the next provider
+   * Uses the same rules as retries: rate limits, server errors and timeouts.
+   * @param {Error} error - Error from the provider
+   * @param {string} providerName - Provider that failed
+   * @returns {boolean} Should fall back
+   */
+  shouldFallback(error, providerName) {
+    return this.getProvider(providerName).shouldRetry(error);
+  }
+
   /**
    * Send chat request
    * @param {Object} params - Request parameters
-   * @returns {Promise<Object>} Response
+   * @param {Object} [params.apiKeys] - Keys for fallback providers, by provider name
+   * @param {boolean} [params.fallback=true] - Try the fallback chain on failure
+   * @returns {Promise<Object>} Response, with `metadata.provider` set to the provider that answered
    */
-  async chat({ messages, apiKey, model, provider, ...options }) {
+  async chat({ messages, apiKey, apiKeys = {}, model, provider, fallback = true, ...options }) {
     // Get provider
-    const apiProvider = this.getProvider(provider);
+    const providerName = provider || this.getProviderForModel(model);
+    const apiProvider = this.getProvider(providerName);
     
     // Validate API key
     if (!apiProvider.validateApiKey(apiKey)) {
@@ -82,51 +202,87 @@ class APIClient {
     }
     
     // Apply request interceptors
-    let processedRequest = { messages, apiKey, model, ...options };
-    for (const interceptor of this.interceptors.request) {
-      processedRequest = await interceptor(processedRequest);
+    let processedRequest = { messages, apiKey, model, provider: providerName, ...options };
+    try {
+      processedRequest = await this.applyRequestInterceptors(processedRequest);
+    } catch (error) {
+      // Interceptors may short-circuit the request (e.g. a cache hit)
+      const handled = await this.handleInterceptorError(error, processedRequest);
+      if (handled) {
+        return handled;
+      }
+      throw error;
     }
     
-    try {
-      // Make request
-      const response = await apiProvider.chat(
-        processedRequest.messages,
-        {
-          apiKey: processedRequest.apiKey,
-          model: processedRequest.model,
-          ...processedRequest
+    const { model: requestModel, apiKey: requestKey } = processedRequest;
+    const chain = this.getFallbackChain(
+      providerName, requestModel, requestKey, apiKeys, processedRequest
+    );
+    const candidates = fallback ? chain : chain.slice(0, 1);
+    const failures = [];
+    let response = null;
+    let lastError = null;
+
+    for (const candidate of candidates) {
+      try {
+        response = await this.getProvider(candidate.provider).chat(
+          processedRequest.messages,
+          {
+            ...processedRequest,
+            apiKey: candidate.apiKey,
+            model: candidate.model
+          }
+        );
+
+        response.metadata = {
+          ...response.metadata,
+          provider: candidate.provider,
+          model: candidate.model,
+          fallbackFrom: failures.length ? providerName : null,
+          failures
+        };
+        break;
+      } catch (error) {
+        lastError = error;
+        failures.push({
+          provider: candidate.provider,
+          model: candidate.model,
+          error: error.message
+        });
+
+        if (!this.shouldFallback(error, candidate.provider)) {
+          break;
         }
-      );
       
-      // Apply response interceptors
-      let processedResponse = response;
-      for (const interceptor of this.interceptors.response) {
-        processedResponse = await interceptor(processedResponse, processedRequest);
+        console.warn(`[APIClient] ${candidate.provider} failed, trying next provider:`, error);
       }
+    }
       
-      return processedResponse;
-      
-    } catch (error) {
+    if (!response) {
       // Allow interceptors to handle errors
-      for (const interceptor of this.interceptors.response) {
-        if (interceptor.onError) {
-          const handled = await interceptor.onError(error, processedRequest);
-          if (handled) return handled;
-        }
+      const handled = await this.handleInterceptorError(lastError, processedRequest);
+      if (handled) {
+        return handled;
       }
       
-      throw error;
+      throw lastError;
     }
+
+    return this.applyResponseInterceptors(response, processedRequest);
   }
 
   /**
    * Send streaming chat request
+   * Falls back to the next provider only while nothing has been streamed yet.
    * @param {Object} params - Request parameters
-   * @returns {AsyncGenerator} Response stream
+   * @param {Object} [params.apiKeys] - Keys for fallback providers, by provider name
+   * @param {boolean} [params.fallback=true] - Try the fallback chain on failure
+   * @returns {AsyncGenerator} Response stream; the `done` chunk carries `provider`
    */
-  async *stream({ messages, apiKey, model, provider, ...options }) {
+  async *stream({ messages, apiKey, apiKeys = {}, model, provider, fallback = true, ...options }) {
     // Get provider
-    const apiProvider = this.getProvider(provider);
+    const providerName = provider || this.getProviderForModel(model);
+    const apiProvider = this.getProvider(providerName);
     
     // Validate API key
     if (!apiProvider.validateApiKey(apiKey)) {
@@ -148,46 +304,187 @@ class APIClient {
     }
     
     // Apply request interceptors
-    let processedRequest = { messages, apiKey, model, ...options };
-    for (const interceptor of this.interceptors.request) {
-      processedRequest = await interceptor(processedRequest);
+    let processedRequest = { messages, apiKey, model, provider: providerName, ...options };
+    try {
+      processedRequest = await this.applyRequestInterceptors(processedRequest);
+    } catch (error) {
+      const handled = await this.handleInterceptorError(error, processedRequest);
+      if (!handled) {
+        throw error;
+      }
+
+      // Replay a short-circuited response (e.g. a cache hit) as stream chunks
+      yield* this.responseToChunks(handled);
+      return;
     }
     
-    try {
-      // Stream response
-      const stream = apiProvider.stream(
-        processedRequest.messages,
-        {
-          apiKey: processedRequest.apiKey,
-          model: processedRequest.model,
-          ...processedRequest
+    const { model: requestModel, apiKey: requestKey } = processedRequest;
+    const chain = this.getFallbackChain(
+      providerName, requestModel, requestKey, apiKeys, processedRequest
+    ).filter(candidate => this.getProvider(candidate.provider).getCapabilities().streaming);
+    const candidates = fallback ? chain : chain.slice(0, 1);
+    let fallbackFrom = null;
+
+    for (const [index, candidate] of candidates.entries()) {
+      let started = false;
+
+      try {
+        // Stream response
+        const stream = this.getProvider(candidate.provider).stream(
+          processedRequest.messages,
+          {
+            ...processedRequest,
+            apiKey: candidate.apiKey,
+            model: candidate.model
+          }
+        );
+
+        // Process stream with interceptors
+        for await (const chunk of stream) {
+          let processedChunk = chunk;
+          started = true;
+
+          if (chunk.type === 'done') {
+            processedChunk = {
+              ...chunk,
+              provider: candidate.provider,
+              model: candidate.model,
+              fallbackFrom
+            };
+          }
+
+          for (const interceptor of this.interceptors.response) {
+            if (interceptor.onStream) {
+              processedChunk = await interceptor.onStream(processedChunk, processedRequest);
+            }
+          }
+
+          yield processedChunk;
         }
-      );
       
-      // Process stream with interceptors
-      for await (const chunk of stream) {
-        let processedChunk = chunk;
+        return;
+      } catch (error) {
+        const isLast = index === candidates.length - 1;
         
-        for (const interceptor of this.interceptors.response) {
-          if (interceptor.onStream) {
-            processedChunk = await interceptor.onStream(processedChunk, processedRequest);
-          }
+        if (!started && !isLast && this.shouldFallback(error, candidate.provider)) {
+          console.warn(`[APIClient] ${candidate.provider} failed, trying next provider:`, error);
+          fallbackFrom = providerName;
+          continue;
+        }
+
+        // Allow interceptors to handle errors
+        const handled = await this.handleInterceptorError(error, processedRequest);
+        if (handled) {
+          yield* this.responseToChunks(handled);
+          return;
         }
         
-        yield processedChunk;
+        throw error;
       }
-      
-    } catch (error) {
-      // Allow interceptors to handle errors
-      for (const interceptor of this.interceptors.response) {
-        if (interceptor.onError) {
-          const handled = await interceptor.onError(error, processedRequest);
-          if (handled) yield handled;
+    }
+  }
+
+  /**
+   * Create embeddings
+   * Embedding requests skip the interceptors and fallback chain: vectors from
+   * different models cannot be compared, so a fallback answer would be wrong.
+   * @param {Object} params - Request parameters
+   * @param {Array<string>} params.texts - Texts to embed
+   * @param {string} params.provider - Provider with an embeddings endpoint
+   * @param {string} params.model - Embedding model
+   * @param {string} [params.apiKey] - API key, if the provider needs one
+   * @returns {Promise<Object>} { vectors, model, usage }
+   */
+  embed({ texts, provider, model, apiKey, ...options }) {
+    const apiProvider = this.getProvider(provider);
+    if (typeof apiProvider.embed !== 'function') {
+      throw new ValidationError(
+        'Provider does not support embeddings',
+        'provider',
+        provider
+      );
+    }
+
+    return apiProvider.embed(texts, { model, apiKey, ...options });
+  }
+
+  /**
+   * Run request interceptors in order
+   * @private
+   * @param {Object} request - Request parameters
+   * @returns {Promise<Object>} Processed request
+   */
+  async applyRequestInterceptors(request) {
+    let processedRequest = request;
+    for (const interceptor of this.interceptors.request) {
+      processedRequest = await interceptor(processedRequest);
+    }
+    return processedRequest;
+  }
+
+  /**
+   * Run response interceptors in order
+   * Interceptors are either functions or objects with a `response` method.
+   * @private
+   * @param {Object} response - Provider response
+   * @param {Object} request - Processed request
+   * @returns {Promise<Object>} Processed response
+   */
+  async applyResponseInterceptors(response, request) {
+    let processedResponse = response;
+    for (const interceptor of this.interceptors.response) {
+      const handler = typeof interceptor === 'function' ? interceptor : interceptor.response;
+      if (handler) {
+        processedResponse = await handler(processedResponse, request);
+      }
+    }
+    return processedResponse;
+  }
+
+  /**
+   * Give response interceptors a chance to handle an error
+   * @private
+   * @param {Error} error - Error raised by an interceptor or provider
+   * @param {Object} request - Processed request
+   * @returns {Promise<Object|null>} Replacement response, or null to rethrow
+   */
+  async handleInterceptorError(error, request) {
+    for (const interceptor of this.interceptors.response) {
+      if (interceptor.onError) {
+        const handled = await interceptor.onError(error, request);
+        if (handled) {
+          return handled;
         }
       }
-      
-      throw error;
     }
+    return null;
+  }
+
+  /**
+   * Convert a complete chat response into stream chunks
+   * @private
+   * @param {Object} response - Chat completion response
+   * @returns {Generator} Stream chunks
+   */
+  *responseToChunks(response) {
+    const content = response.choices?.[0]?.message?.content || '';
+    const reasoning = response.choices?.[0]?.message?.reasoning_content || null;
+
+    if (reasoning) {
+      yield { type: 'reasoning', content: reasoning, accumulated: reasoning };
+    }
+    yield { type: 'content', content, accumulated: content };
+    yield {
+      type: 'done',
+      content,
+      reasoning,
+      usage: response.usage,
+      cost: response.cost || 0,
+      provider: response.metadata?.provider,
+      model: response.metadata?.model || response.model,
+      fallbackFrom: null,
+      fromCache: Boolean(response.fromCache)
+    };
   }
 
   /**
@@ -9,6 +9,9 @@ export { default as APIClient } from './APIClient.js';
 // Export providers
 export { default as BaseProvider } from './providers/BaseProvider.js';
 export { default as DeepSeekProvider } from './providers/DeepSeekProvider.js';
+export { default as OpenAIProvider } from './providers/OpenAIProvider.js';
+export { default as AnthropicProvider } from './providers/AnthropicProvider.js';
+export { default as CustomEndpointProvider } from './providers/CustomEndpointProvider.js';
 
 // Export interceptors
 export * from './interceptors/index.js';
@@ -23,4 +26,5 @@ export const calculateCost = (usage, model, provider) => APIClient.calculateCost
 export const estimateCost = (messages, model, provider) => APIClient.estimateCost(messages, model, provider);
 export const listProviders = () => APIClient.listProviders();
 export const listModels = (provider) => APIClient.listModels(provider);
+export const getProviderForModel = (model) => APIClient.getProviderForModel(model);
 export const healthCheck = (provider) => APIClient.healthCheck(provider);
\ No newline at end of file
@@ -1,18 +1,41 @@
 /**
  * Cache Interceptor
  * Caches API responses for identical requests
+ * Keeps an in-memory LRU in front of an optional persistent store (see
+ * storage/cache/ResponseCache), which survives background page unloads.
  */
 
+// Request fields that do not change the response
+const NON_PARAMETER_KEYS = new Set([
+  'apiKey', 'apiKeys', 'messages', 'provider', 'model', 'fallback', 'noCache', 'signal', 'stream'
+]);
+
 export class CacheInterceptor {
+  /**
+   * @param {Object} options - Cache options
+   * @param {boolean} [options.enabled=true] - Whether responses are cached
+   * @param {number} [options.ttl] - In-memory entry lifetime in milliseconds
+   * @param {number} [options.maxSize] - In-memory entries kept
+   * @param {Object} [options.store] - Persistent store with async get/set/clear
+   */
   constructor(options = {}) {
     this.enabled = options.enabled ?? true;
     this.ttl = options.ttl || 300000; // 5 minutes default
     this.maxSize = options.maxSize || 100;
+    this.store = options.store || null;
     this.cache = new Map();
     this.cacheHits = 0;
     this.cacheMisses = 0;
   }
 
+  /**
+   * Use another persistent store, or none
+   * @param {Object|null} store - Persistent store with async get/set/clear
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
   /**
    * Request interceptor
    * @param {Object} request - Request object
@@ -25,15 +48,19 @@ export class CacheInterceptor {
     const cacheKey = this.generateCacheKey(request);
     request._cacheKey = cacheKey;
     
-    // Check cache
-    const cached = this.cache.get(cacheKey);
-    if (cached && !this.isExpired(cached)) {
+    // Check memory, then the persistent store
+    const cached = await this.lookup(cacheKey);
+    if (cached) {
       this.cacheHits++;
       
       // Return cached response
       throw {
         _cached: true,
-        response: this.cloneResponse(cached.data)
+        response: {
+          ...cached,
+          cost: 0,
+          fromCache: true
+        }
       };
     }
     
@@ -52,14 +79,46 @@ export class CacheInterceptor {
       return response;
     }
     
-    // Cache successful responses
-    if (response.choices && response.choices.length > 0) {
-      this.addToCache(request._cacheKey, response);
+    // Cache successful responses; a round of tool calls is not an answer
+    if (response.choices?.length > 0 && !response.choices[0].message?.tool_calls?.length) {
+      await this.save(this.getAnswerKey(request, response.metadata), response);
     }
     
     return response;
   }
 
+  /**
+   * Stream interceptor
+   * Caches the completed stream as a chat response
+   * @param {Object} chunk - Stream chunk
+   * @param {Object} request - Original request
+   * @returns {Object} Unmodified chunk
+   */
+  async onStream(chunk, request) {
+    if (!this.enabled || request.noCache || !request._cacheKey) {
+      return chunk;
+    }
+
+    if (chunk.type === 'done' && chunk.content && !chunk.fromCache && !chunk.toolCalls?.length) {
+      await this.save(this.getAnswerKey(request, chunk), {
+        choices: [{
+          message: {
+            role: 'assistant',
+            content: chunk.content,
+            ...(chunk.reasoning && { reasoning_content: chunk.reasoning })
+          },
+          finish_reason: 'stop'
+        }],
+        usage: chunk.usage,
+        cost: chunk.cost,
+        model: chunk.model,
+        metadata: { provider: chunk.provider, model: chunk.model }
+      });
+    }
+
+    return chunk;
+  }
+
   /**
    * Error interceptor
    * @param {Error} error - Error object
@@ -78,30 +137,98 @@ export class CacheInterceptor {
 
   /**
    * Generate cache key
+   * Covers provider, model, every sampling parameter and a hash of the
+   * messages with whitespace normalized, so re-sent page context still hits.
    * @private
    */
   generateCacheKey(request) {
-    const keyData = {
-      provider: request.provider || 'deepseek',
-      model: request.model,
-      messages: request.messages?.map(m => ({
-        role: m.role,
-        content: m.content
-      })),
-      temperature: request.temperature,
-      maxTokens: request.maxTokens
-    };
+    const parameters = Object.keys(request)
+      .filter(key => !NON_PARAMETER_KEYS.has(key) && !key.startsWith('_'))
+      .filter(key => typeof request[key] !== 'undefined')
+      .sort()
+      .map(key => [key, request[key]]);
+    const context = (request.messages || [])
+      .map(message => {
+        const toolCalls = message.tool_calls ? JSON.stringify(message.tool_calls) : '';
+        return `${message.role}:${normalizeContent(message.content)}${toolCalls}`;
+      })
+      .join('\n');
     
-    // Simple hash function
-    const str = JSON.stringify(keyData);
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+    return [
+      request.provider || 'deepseek',
+      request.model,
+      hashString(JSON.stringify(parameters)),
+      hashString(context)
+    ].join('-');
+  }
+
+  /**
+   * Cache key of the model that answered
+   * A fallback model's answer is stored under that model, so the requested
+   * model is asked again next time instead of getting another model's answer.
+   * @private
+   * @param {Object} request - Original request
+   * @param {Object} [answered] - { provider, model } that answered
+   * @returns {string} Cache key
+   */
+  getAnswerKey(request, answered = {}) {
+    const { provider = request.provider, model = request.model } = answered;
+    if (provider === request.provider && model === request.model) {
+      return request._cacheKey;
+    }
+    return this.generateCacheKey({ ...request, provider, model });
+  }
+
+  /**
+   * Find a cached response in memory or the persistent store
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Cached response
+   */
+  async lookup(key) {
+    const cached = this.cache.get(key);
+    if (cached) {
+      this.cache.delete(key);
+      if (!this.isExpired(cached)) {
+        // Re-insert so the Map's order tracks recency
+        this.cache.set(key, cached);
+        return this.cloneResponse(cached.data);
+      }
     }
     
-    return `${request.provider || 'deepseek'}-${request.model}-${hash}`;
+    if (!this.store) {
+      return null;
+    }
+
+    try {
+      const stored = await this.store.get(key);
+      if (stored) {
+        this.addToCache(key, stored);
+        return this.cloneResponse(stored);
+      }
+    } catch (error) {
+      console.warn('[CacheInterceptor] Persistent cache read failed:', error);
+    }
+    return null;
+  }
+
+  /**
+   * Store a response in memory and the persistent store
+   * @private
+   * @param {string} key - Cache key
+   * @param {Object} response - Chat completion response
+   * @returns {Promise<void>}
+   */
+  async save(key, response) {
+    this.addToCache(key, response);
+
+    if (this.store) {
+      try {
+        await this.store.set(key, this.cloneResponse(response));
+      } catch (error) {
+        console.warn('[CacheInterceptor] Persistent cache write failed:', error);
+      }
+    }
   }
 
   /**
@@ -109,7 +236,9 @@ export class CacheInterceptor {
    * @private
    */
   addToCache(key, data) {
-    // Implement LRU eviction
+    this.cache.delete(key);
+
+    // Least recently used entries come first in the Map
     if (this.cache.size >= this.maxSize) {
       const firstKey = this.cache.keys().next().value;
       this.cache.delete(firstKey);
@@ -138,12 +267,17 @@ export class CacheInterceptor {
   }
 
   /**
-   * Clear cache
+   * Clear cache, including the persistent store
+   * @returns {Promise<void>}
    */
-  clear() {
+  async clear() {
     this.cache.clear();
     this.cacheHits = 0;
     this.cacheMisses = 0;
+
+    if (this.store) {
+      await this.store.clear();
+    }
   }
 
   /**
@@ -181,4 +315,33 @@ export class CacheInterceptor {
     
     return expired.length;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Collapse whitespace so formatting-only differences share a cache entry
+ * @param {string|Array} content - Message content
+ * @returns {string} Normalized content
+ */
+function normalizeContent(content) {
+  const text = typeof content === 'string' ? content : JSON.stringify(content ?? '');
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 53-bit string hash (cyrb53)
+ * @param {string} str - Input
+ * @returns {string} Hash in base 36
+ */
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return ((4294967296 * (2097151 & h2)) + (h1 >>> 0)).toString(36);
+}
@@ -0,0 +1,561 @@
+/**
+ * Anthropic API Provider
+ * Implements the Anthropic Messages API
+ */
+
+import BaseProvider from './BaseProvider.js';
+import { ApiError, ValidationError } from '../../errors/index.js';
+import { getConfig } from '../../config/index.js';
+
+export default class AnthropicProvider extends BaseProvider {
+  constructor(config = getConfig('api.providers.anthropic')) {
+    super(config);
+
+    this.models = config.models || {};
+    this.endpoint = config.endpoint;
+    this.modelsEndpoint = config.modelsEndpoint;
+    this.apiVersion = config.apiVersion || '2023-06-01';
+    this.apiKeyValidation = config.apiKeyValidation || getConfig('security.apiKeyValidation');
+  }
+
+  /**
+   * Send chat request
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response normalized to the chat completion shape
+   */
+  async chat(messages, options = {}) {
+    const model = this.resolveModel(options.model);
+    const requestBody = this.buildRequestBody(messages, model, options, false);
+
+    const response = await this.makeRequest(this.endpoint, {
+      method: 'POST',
+      headers: this.buildHeaders(options.apiKey),
+      body: JSON.stringify(requestBody),
+      timeout: options.timeout,
+      signal: options.signal
+    });
+
+    const data = await this.parseResponse(response);
+    const usage = this.normalizeUsage(data.usage);
+    const content = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const toolCalls = (data.content || [])
+      .filter(block => block.type === 'tool_use')
+      .map(block => toToolCall(block.id, block.name, JSON.stringify(block.input || {})));
+
+    return {
+      id: data.id,
+      model: data.model || model,
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content,
+          ...(toolCalls.length && { tool_calls: toolCalls })
+        },
+        finish_reason: data.stop_reason
+      }],
+      usage,
+      cost: this.calculateCost(usage, model)
+    };
+  }
+
+  /**
+   * Send streaming chat request
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Request options
+   * @returns {AsyncGenerator} Response stream
+   */
+  async *stream(messages, options = {}) {
+    const model = this.resolveModel(options.model);
+    const requestId = this.generateRequestId();
+    const requestBody = this.buildRequestBody(messages, model, options, true);
+
+    const controller = new AbortController();
+    this.activeRequests.set(requestId, controller);
+    const unlink = this.linkAbortSignal(controller, options.signal);
+
+    let reader;
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          ...this.buildHeaders(options.apiKey)
+        },
+        body: JSON.stringify(requestBody),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new ApiError(
+          errorData.error?.message || `API error: ${response.status}`,
+          response.status,
+          { ...errorData, provider: this.name }
+        );
+      }
+
+      reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      const state = {
+        model,
+        content: '',
+        toolBlocks: [],
+        usage: { input_tokens: 0, output_tokens: 0 },
+        finished: false
+      };
+      let buffer = '';
+
+      while (!state.finished) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // SSE events are separated by a blank line
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop() || '';
+
+        for (const rawEvent of events) {
+          for (const chunk of this.parseEvent(rawEvent, state)) {
+            yield chunk;
+          }
+        }
+      }
+
+      // Stream ended without message_stop
+      if (!state.finished && state.content) {
+        const usage = this.normalizeUsage(state.usage);
+        yield {
+          type: 'done',
+          usage,
+          cost: this.calculateCost(usage, model),
+          content: state.content,
+          incomplete: true
+        };
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        yield { type: 'cancelled' };
+        return;
+      }
+
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      throw new ApiError(
+        `Stream error: ${error.message}`,
+        500,
+        { originalError: error.message, provider: this.name }
+      );
+    } finally {
+      if (reader) {
+        try {
+          await reader.cancel();
+        } catch (e) {
+          // Ignore cancellation errors
+        }
+      }
+      unlink();
+      this.activeRequests.delete(requestId);
+    }
+  }
+
+  /**
+   * Parse one Server-Sent Event into stream chunks
+   * @protected
+   * @param {string} rawEvent - Raw SSE event block
+   * @param {Object} state - Mutable stream state
+   * @returns {Array} Stream chunks
+   */
+  parseEvent(rawEvent, state) {
+    let eventName = null;
+    const dataLines = [];
+
+    for (const line of rawEvent.split(/\r?\n/)) {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    }
+
+    if (dataLines.length === 0) {
+      return [];
+    }
+
+    let data;
+    try {
+      data = JSON.parse(dataLines.join('\n'));
+    } catch (e) {
+      console.warn(`[${this.name}] Failed to parse stream data:`, {
+        error: e.message,
+        data: dataLines.join('\n').substring(0, 100)
+      });
+      return [{ type: 'error', error: 'Failed to parse stream data', recoverable: true }];
+    }
+
+    const chunks = [];
+
+    switch (data.type || eventName) {
+      case 'message_start':
+        Object.assign(state.usage, data.message?.usage);
+        break;
+
+      case 'content_block_start':
+        if (data.content_block?.type === 'tool_use') {
+          state.toolBlocks[data.index] = {
+            id: data.content_block.id,
+            name: data.content_block.name,
+            input: ''
+          };
+        }
+        break;
+
+      case 'content_block_delta':
+        if (data.delta?.type === 'text_delta' && data.delta.text) {
+          state.content += data.delta.text;
+          chunks.push({
+            type: 'content',
+            content: data.delta.text,
+            accumulated: state.content
+          });
+        } else if (data.delta?.type === 'input_json_delta' && state.toolBlocks[data.index]) {
+          state.toolBlocks[data.index].input += data.delta.partial_json || '';
+        }
+        break;
+
+      case 'message_delta':
+        if (data.usage) {
+          Object.assign(state.usage, data.usage);
+        }
+        if (data.delta?.stop_reason) {
+          chunks.push({ type: 'finish', reason: data.delta.stop_reason });
+        }
+        break;
+
+      case 'message_stop': {
+        const usage = this.normalizeUsage(state.usage);
+        const toolCalls = state.toolBlocks
+          .filter(Boolean)
+          .map(block => toToolCall(block.id, block.name, block.input || '{}'));
+        state.finished = true;
+        chunks.push({
+          type: 'done',
+          usage,
+          cost: this.calculateCost(usage, state.model),
+          content: state.content,
+          ...(toolCalls.length && { toolCalls })
+        });
+        break;
+      }
+
+      case 'error':
+        throw new ApiError(
+          data.error?.message || 'Stream error',
+          data.error?.type === 'overloaded_error' ? 529 : 500,
+          data.error
+        );
+
+      default:
+        // ping and content_block_stop carry no text
+        break;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Resolve and validate the requested model
+   * @protected
+   * @param {string} model - Requested model ID
+   * @returns {string} Model ID
+   * @throws {ValidationError} If model is not configured
+   */
+  resolveModel(model) {
+    const resolved = model || Object.keys(this.models)[0];
+
+    if (!this.models[resolved]) {
+      throw new ValidationError(
+        'Invalid model specified',
+        'model',
+        resolved,
+        { validModels: Object.keys(this.models) }
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Build request body
+   * @protected
+   * @param {Array} messages - Chat messages
+   * @param {string} model - Model ID
+   * @param {Object} options - Request options
+   * @param {boolean} stream - Whether to stream
+   * @returns {Object} Request body
+   */
+  buildRequestBody(messages, model, options, stream) {
+    const modelConfig = this.models[model];
+    const { system, messages: prepared } = this.prepareMessages(messages);
+
+    const body = {
+      model,
+      messages: prepared,
+      max_tokens: options.maxTokens ?? modelConfig.maxTokens,
+      temperature: Math.min(options.temperature ?? modelConfig.temperature, 1),
+      stream
+    };
+
+    if (system) {
+      body.system = system;
+    }
+
+    if (typeof options.topP === 'number') {
+      body.top_p = options.topP;
+    }
+
+    if (options.stopSequences?.length) {
+      body.stop_sequences = options.stopSequences;
+    }
+
+    // Tools are defined in the Chat Completions format
+    if (options.tools?.length) {
+      body.tools = options.tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters
+      }));
+    }
+
+    return body;
+  }
+
+  /**
+   * Build request headers
+   * @protected
+   * @param {string} apiKey - API key
+   * @returns {Object} Headers
+   */
+  buildHeaders(apiKey) {
+    return {
+      'x-api-key': apiKey,
+      'anthropic-version': this.apiVersion,
+      // Required for requests that originate from a browser extension
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  }
+
+  /**
+   * Map internal messages to the Messages API format
+   * System messages move to the top-level `system` field, and consecutive
+   * turns from the same role are merged since the API requires alternation.
+   * Tool calls become `tool_use` blocks and `tool` results are sent as
+   * `tool_result` blocks in a user turn.
+   * @protected
+   * @param {Array} messages - Raw messages
+   * @returns {Object} { system, messages }
+   */
+  prepareMessages(messages) {
+    const systemParts = [];
+    const prepared = [];
+
+    for (const msg of messages) {
+      const text = String(msg.content || '');
+      let blocks = text ? [{ type: 'text', text }] : [];
+
+      if (msg.role === 'system') {
+        if (text) {
+          systemParts.push(text);
+        }
+        continue;
+      }
+
+      if (msg.role === 'tool') {
+        blocks = [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: text }];
+      } else if (msg.role === 'assistant' && msg.tool_calls?.length) {
+        blocks.push(...msg.tool_calls.map(call => ({
+          type: 'tool_use',
+          id: call.id,
+          name: call.function.name,
+          input: parseArguments(call.function.arguments)
+        })));
+      }
+
+      if (!blocks.length) {
+        continue;
+      }
+
+      const role = msg.role === 'assistant' ? 'assistant' : 'user';
+      const previous = prepared[prepared.length - 1];
+
+      if (previous && previous.role === role) {
+        previous.content.push(...blocks);
+      } else {
+        prepared.push({ role, content: blocks });
+      }
+    }
+
+    // The conversation must open with a user turn
+    if (prepared.length && prepared[0].role !== 'user') {
+      prepared.unshift({ role: 'user', content: [{ type: 'text', text: '(continued)' }] });
+    }
+
+    return {
+      system: systemParts.join('\n\n'),
+      messages: prepared
+    };
+  }
+
+  /**
+   * Convert Anthropic usage to the shared usage shape
+   * @protected
+   * @param {Object} usage - { input_tokens, output_tokens }
+   * @returns {Object} { prompt_tokens, completion_tokens, total_tokens }
+   */
+  normalizeUsage(usage = {}) {
+    const promptTokens = usage.input_tokens || 0;
+    const completionTokens = usage.output_tokens || 0;
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * Validate API key format
+   * @param {string} key - API key to validate
+   * @returns {boolean} Is valid
+   */
+  validateApiKey(key) {
+    const validation = this.apiKeyValidation;
+    const pattern = new RegExp(validation.pattern);
+
+    return Boolean(key) &&
+      key.length >= validation.minLength &&
+      key.length <= validation.maxLength &&
+      pattern.test(key);
+  }
+
+  /**
+   * Calculate request cost
+   * @param {Object} usage - Token usage (shared shape)
+   * @param {string} model - Model used
+   * @returns {number} Cost in dollars
+   */
+  calculateCost(usage, model) {
+    if (!usage || !usage.total_tokens) {
+      return 0;
+    }
+
+    const modelConfig = this.models[model];
+    if (!modelConfig || !modelConfig.pricing) {
+      return 0;
+    }
+
+    const inputCost = (usage.prompt_tokens / 1000) * modelConfig.pricing.input;
+    const outputCost = (usage.completion_tokens / 1000) * modelConfig.pricing.output;
+
+    return Number((inputCost + outputCost).toFixed(6));
+  }
+
+  /**
+   * Validate response structure
+   * @protected
+   * @param {Object} data - Response data
+   * @throws {ApiError} If response is invalid
+   */
+  validateResponse(data) {
+    super.validateResponse(data);
+
+    if (!Array.isArray(data.content)) {
+      throw new ApiError(
+        'Invalid response: missing content blocks',
+        500,
+        { response: data }
+      );
+    }
+  }
+
+  /**
+   * Get provider capabilities
+   * @returns {Object} Provider capabilities
+   */
+  getCapabilities() {
+    return {
+      streaming: true,
+      models: Object.keys(this.models),
+      maxTokens: 200000,
+      features: [
+        'chat',
+        'code-generation',
+        'reasoning',
+        'function-calling'
+      ]
+    };
+  }
+
+  /**
+   * Get model information
+   * @param {string} modelId - Model ID
+   * @returns {Object|null} Model info
+   */
+  getModelInfo(modelId) {
+    return this.models[modelId] || null;
+  }
+
+  /**
+   * List configured models
+   * @returns {Array} Model list
+   */
+  listModels() {
+    return Object.entries(this.models).map(([id, config]) => ({
+      id,
+      name: config.name,
+      description: config.description,
+      maxTokens: config.maxTokens,
+      pricing: config.pricing
+    }));
+  }
+
+  /**
+   * Health check
+   * @returns {Promise<boolean>} Is healthy
+   */
+  async healthCheck() {
+    try {
+      await this.makeRequest(this.modelsEndpoint || this.endpoint, {
+        method: 'GET',
+        timeout: 5000
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Tool calls are exchanged in the Chat Completions format
+function toToolCall(id, name, args) {
+  return { id, type: 'function', function: { name, arguments: args } };
+}
+
+function parseArguments(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch (e) {
+    return {};
+  }
+}
@@ -66,6 +66,8 @@ export default class BaseProvider {
    * @protected
    * @param {string} url - Request URL
    * @param {Object} options - Fetch options
+   * @param {AbortSignal} [options.signal] - Caller's signal; aborting it cancels
+   *   the request and any retries
    * @returns {Promise<Response>} HTTP response
    */
   async makeRequest(url, options = {}) {
@@ -77,10 +79,12 @@ export default class BaseProvider {
     await this.rateLimiter.checkLimit();
     
     for (let attempt = 0; attempt <= retryConfig.max; attempt++) {
+      let unlink = () => {};
       try {
         // Add to active requests
         const controller = new AbortController();
         this.activeRequests.set(requestId, controller);
+        unlink = this.linkAbortSignal(controller, options.signal);
         
         // Set timeout
         const timeout = setTimeout(
@@ -99,6 +103,7 @@ export default class BaseProvider {
         });
         
         clearTimeout(timeout);
+        unlink();
         this.activeRequests.delete(requestId);
         
         // Update rate limiter
@@ -107,7 +112,13 @@ export default class BaseProvider {
         return response;
         
       } catch (error) {
+        unlink();
         this.activeRequests.delete(requestId);
+
+        // Cancelled by the caller, not timed out: nothing to retry
+        if (options.signal?.aborted) {
+          throw error;
+        }
         
         // Handle specific errors
         if (error.name === 'AbortError') {
@@ -269,6 +280,27 @@ export default class BaseProvider {
     return Math.min(baseDelay + jitter, 30000); // Max 30 seconds
   }
 
+  /**
+   * Abort a request's controller when the caller's signal aborts
+   * @protected
+   * @param {AbortController} controller - Controller of the request
+   * @param {AbortSignal} [signal] - Caller's signal, e.g. from a cancelled stream
+   * @returns {Function} Removes the link once the request is settled
+   */
+  linkAbortSignal(controller, signal) {
+    if (!signal) {
+      return () => {};
+    }
+    if (signal.aborted) {
+      controller.abort();
+      return () => {};
+    }
+
+    const abort = () => controller.abort();
+    signal.addEventListener('abort', abort, { once: true });
+    return () => signal.removeEventListener('abort', abort);
+  }
+
   /**
    * Cancel request
    * @param {string} requestId - Request ID
@@ -310,6 +342,30 @@ export default class BaseProvider {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * Merge streamed tool call deltas (Chat Completions format)
+   * The first delta for a call carries its id and function name; later ones
+   * append to the JSON arguments.
+   * @protected
+   * @param {Array} toolCalls - Calls accumulated so far, updated in place
+   * @param {Array} [deltas] - `delta.tool_calls` from one stream chunk
+   */
+  mergeToolCallDeltas(toolCalls, deltas = []) {
+    for (const delta of deltas) {
+      const index = delta.index ?? toolCalls.length;
+      if (!toolCalls[index]) {
+        toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+      }
+
+      const call = toolCalls[index];
+      if (delta.id) {
+        call.id = delta.id;
+      }
+      call.function.name += delta.function?.name || '';
+      call.function.arguments += delta.function?.arguments || '';
+    }
+  }
+
   /**
    * Get provider capabilities
    * @returns {Object} Provider capabilities
@@ -0,0 +1,232 @@
+/**
+ * Custom Endpoint Provider
+ * Talks to any self-hosted OpenAI-compatible server (Ollama, llama.cpp, LM Studio)
+ */
+
+import OpenAIProvider from './OpenAIProvider.js';
+import { SecurityError, ValidationError } from '../../errors/index.js';
+
+const DEFAULT_MODEL_CONFIG = {
+  description: 'Self-hosted model',
+  maxTokens: 4000,
+  temperature: 0.7,
+  pricing: {
+    input: 0,
+    output: 0
+  }
+};
+
+export default class CustomEndpointProvider extends OpenAIProvider {
+  /**
+   * @param {Object} config - Endpoint configuration
+   * @param {string} config.baseUrl - OpenAI-compatible base URL, e.g. http://localhost:11434/v1
+   * @param {string} [config.name] - Display name
+   * @param {boolean} [config.requiresKey] - The server was connected with an API key
+   * @param {Object} [config.models] - Per-model overrides
+   */
+  constructor(config) {
+    const baseUrl = CustomEndpointProvider.normalizeBaseUrl(config.baseUrl);
+
+    if (!['http:', 'https:'].includes(new URL(baseUrl).protocol)) {
+      throw new ValidationError('Custom endpoints must use http or https', 'baseUrl', baseUrl);
+    }
+
+    super({
+      ...config,
+      endpoint: `${baseUrl}/chat/completions`,
+      modelsEndpoint: `${baseUrl}/models`,
+      embeddingsEndpoint: `${baseUrl}/embeddings`,
+      models: {}
+    });
+
+    this.baseUrl = baseUrl;
+    this.displayName = config.name || 'Custom endpoint';
+    this.requiresKey = Boolean(config.requiresKey);
+    this.defaultMaxTokens = config.defaultMaxTokens || DEFAULT_MODEL_CONFIG.maxTokens;
+    this.modelOverrides = { ...config.models };
+
+    for (const modelId of Object.keys(this.modelOverrides)) {
+      this.models[modelId] = this.createModelConfig(modelId);
+    }
+  }
+
+  /**
+   * Strip trailing slashes and a pasted /chat/completions suffix
+   * @param {string} baseUrl - User supplied URL
+   * @returns {string} Normalized base URL
+   */
+  static normalizeBaseUrl(baseUrl) {
+    const url = new URL(String(baseUrl || '').trim());
+    return url.toString()
+      .replace(/\/chat\/completions\/?$/, '')
+      .replace(/\/+$/, '');
+  }
+
+  /**
+   * Origin pattern needed as a host permission
+   * @returns {string} Match pattern
+   */
+  getPermissionPattern() {
+    const { protocol, hostname } = new URL(this.baseUrl);
+    return `${protocol}//${hostname}/*`;
+  }
+
+  /**
+   * Make sure the user granted this server's host permission
+   * connect-src has to admit any host for self-hosted servers, so the optional
+   * host permission granted in the popup is what limits requests to this one.
+   * @returns {Promise<void>}
+   * @throws {SecurityError} If the host permission is missing
+   */
+  async requireHostPermission() {
+    const origins = [this.getPermissionPattern()];
+    if (!await browser.permissions.contains({ origins })) {
+      throw new SecurityError(
+        `Host permission required for ${this.baseUrl}`,
+        'PERMISSION_REQUIRED',
+        'host_permission',
+        { origins }
+      );
+    }
+  }
+
+  /**
+   * Send a chat request once the host permission is confirmed
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Chat response
+   */
+  async chat(messages, options = {}) {
+    await this.requireHostPermission();
+    return super.chat(messages, options);
+  }
+
+  /**
+   * Stream a chat response once the host permission is confirmed
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Request options
+   * @returns {AsyncGenerator} Response stream
+   */
+  async *stream(messages, options = {}) {
+    await this.requireHostPermission();
+    yield* super.stream(messages, options);
+  }
+
+  /**
+   * Embed texts once the host permission is confirmed
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} { vectors, model, usage }
+   */
+  async embed(texts, options = {}) {
+    await this.requireHostPermission();
+    return super.embed(texts, options);
+  }
+
+  /**
+   * List the server's models once the host permission is confirmed
+   * @param {string} apiKey - Optional API key
+   * @returns {Promise<Array>} Models
+   */
+  async fetchModels(apiKey) {
+    await this.requireHostPermission();
+    return super.fetchModels(apiKey);
+  }
+
+  /**
+   * Query the server for its models and register them
+   * @param {string} apiKey - Optional API key
+   * @returns {Promise<Array>} Discovered models
+   */
+  async discoverModels(apiKey) {
+    const models = await this.fetchModels(apiKey);
+
+    for (const model of models) {
+      this.models[model.id] = this.createModelConfig(model.id);
+    }
+
+    return this.listModels();
+  }
+
+  /**
+   * Build a model config, keeping any user overrides
+   * @protected
+   * @param {string} modelId - Model ID
+   * @returns {Object} Model config
+   */
+  createModelConfig(modelId) {
+    const override = this.modelOverrides[modelId] || {};
+
+    return {
+      ...DEFAULT_MODEL_CONFIG,
+      name: modelId,
+      maxTokens: this.defaultMaxTokens,
+      ...override,
+      pricing: { input: 0, output: 0 }
+    };
+  }
+
+  /**
+   * Accept models the server reports even if discovery has not run yet
+   * @protected
+   * @param {string} model - Requested model ID
+   * @returns {string} Model ID
+   */
+  resolveModel(model) {
+    if (model && !this.models[model]) {
+      this.models[model] = this.createModelConfig(model);
+    }
+
+    return super.resolveModel(model);
+  }
+
+  /**
+   * Local servers expose every model as a chat model
+   * @protected
+   * @returns {boolean} Always true
+   */
+  isChatModel() {
+    return true;
+  }
+
+  /**
+   * Local servers often need no key, or accept any value; one connected with
+   * a key needs it on every request
+   * @param {string} key - API key
+   * @returns {boolean} Is valid
+   */
+  validateApiKey(key) {
+    if (this.requiresKey) {
+      return typeof key === 'string' && key !== '';
+    }
+    return key === null || ['undefined', 'string'].includes(typeof key);
+  }
+
+  /**
+   * Self-hosted inference has no per-token cost
+   * @returns {number} Always zero
+   */
+  calculateCost() {
+    return 0;
+  }
+
+  /**
+   * Estimate cost for messages
+   * @returns {Object} Zero cost estimate
+   */
+  estimateCost() {
+    return { min: 0, max: 0, estimated: 0 };
+  }
+
+  /**
+   * Get provider capabilities
+   * @returns {Object} Provider capabilities
+   */
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      maxTokens: this.defaultMaxTokens,
+      features: ['chat', 'local']
+    };
+  }
+}
@@ -48,6 +48,14 @@ export default class DeepSeekProvider extends BaseProvider {
       presence_penalty: options.presencePenalty ?? 0,
       stream: false
     };
+
+    if (options.tools?.length > 0) {
+      requestBody.tools = options.tools;
+    }
+
+    if (options.responseFormat === 'json') {
+      requestBody.response_format = { type: 'json_object' };
+    }
     
     // Make request
     const response = await this.makeRequest(this.endpoint, {
@@ -56,7 +64,8 @@ export default class DeepSeekProvider extends BaseProvider {
         'Authorization': `Bearer ${options.apiKey}`,
         'X-Request-ID': this.generateRequestId()
       },
-      body: JSON.stringify(requestBody)
+      body: JSON.stringify(requestBody),
+      signal: options.signal
     });
     
     // Parse response
@@ -104,9 +113,18 @@ export default class DeepSeekProvider extends BaseProvider {
       stream: true
     };
     
-    // Create abort controller for cancellation
+    if (options.tools?.length > 0) {
+      requestBody.tools = options.tools;
+    }
+
+    if (options.responseFormat === 'json') {
+      requestBody.response_format = { type: 'json_object' };
+    }
+
+    // Create abort controller for cancellation, aborted with the caller's signal
     const controller = new AbortController();
     this.activeRequests.set(requestId, controller);
+    const unlink = this.linkAbortSignal(controller, options.signal);
     
     let response;
     let reader;
@@ -144,6 +162,8 @@ export default class DeepSeekProvider extends BaseProvider {
         total_tokens: 0
       };
       let accumulatedContent = '';
+      let accumulatedReasoning = '';
+      const toolCalls = [];
       let reconnectAttempts = 0;
       const maxReconnectAttempts = 3;
       
@@ -171,7 +191,8 @@ export default class DeepSeekProvider extends BaseProvider {
                   requestBody, 
                   options.apiKey, 
                   requestId,
-                  accumulatedContent
+                  accumulatedContent,
+                  controller.signal
                 );
                 
                 if (reconnectResponse) {
@@ -207,7 +228,9 @@ export default class DeepSeekProvider extends BaseProvider {
                   type: 'done',
                   usage: totalUsage,
                   cost: this.calculateCost(totalUsage, model),
-                  content: accumulatedContent
+                  content: accumulatedContent,
+                  reasoning: accumulatedReasoning || null,
+                  ...(toolCalls.length && { toolCalls })
                 };
                 return;
               }
@@ -215,6 +238,18 @@ export default class DeepSeekProvider extends BaseProvider {
               // Parse JSON data
               try {
                 const parsed = JSON.parse(data);
+
+                // Handle reasoning delta (deepseek-reasoner streams its chain of thought first)
+                if (parsed.choices?.[0]?.delta?.reasoning_content) {
+                  const reasoning = parsed.choices[0].delta.reasoning_content;
+                  accumulatedReasoning += reasoning;
+
+                  yield {
+                    type: 'reasoning',
+                    content: reasoning,
+                    accumulated: accumulatedReasoning
+                  };
+                }
                 
                 // Handle content delta
                 if (parsed.choices?.[0]?.delta?.content) {
@@ -227,6 +262,11 @@ export default class DeepSeekProvider extends BaseProvider {
                     accumulated: accumulatedContent
                   };
                 }
+
+                // Handle tool call deltas
+                if (parsed.choices?.[0]?.delta?.tool_calls) {
+                  this.mergeToolCallDeltas(toolCalls, parsed.choices[0].delta.tool_calls);
+                }
                 
                 // Handle finish reason
                 if (parsed.choices?.[0]?.finish_reason) {
@@ -333,12 +373,14 @@ export default class DeepSeekProvider extends BaseProvider {
       }
       
       // Final yield if stream ended without [DONE]
-      if (accumulatedContent) {
+      if (accumulatedContent || toolCalls.length) {
         yield {
           type: 'done',
           usage: totalUsage,
           cost: this.calculateCost(totalUsage, model),
           content: accumulatedContent,
+          reasoning: accumulatedReasoning || null,
+          ...(toolCalls.length && { toolCalls }),
           incomplete: true
         };
       }
@@ -347,6 +389,15 @@ export default class DeepSeekProvider extends BaseProvider {
       // Cleanup on error
       this.activeRequests.delete(requestId);
       
+      // Cancelled before the first chunk arrived
+      if (error.name === 'AbortError') {
+        yield {
+          type: 'cancelled',
+          content: ''
+        };
+        return;
+      }
+
       if (error instanceof ApiError) {
         throw error;
       }
@@ -366,6 +417,7 @@ export default class DeepSeekProvider extends BaseProvider {
           // Ignore cancellation errors
         }
       }
+      unlink();
       this.activeRequests.delete(requestId);
     }
   }
@@ -377,9 +429,10 @@ export default class DeepSeekProvider extends BaseProvider {
    * @param {string} apiKey - API key
    * @param {string} requestId - Request ID
    * @param {string} previousContent - Content received so far
+   * @param {AbortSignal} [signal] - Signal of the stream being continued
    * @returns {Promise<Response|null>} New response or null
    */
-  async reconnectStream(requestBody, apiKey, requestId, previousContent) {
+  async reconnectStream(requestBody, apiKey, requestId, previousContent, signal) {
     try {
       // Modify request to continue from where it left off
       const modifiedBody = {
@@ -405,7 +458,8 @@ export default class DeepSeekProvider extends BaseProvider {
           'X-Request-ID': `${requestId}-reconnect`,
           'Accept': 'text/event-stream'
         },
-        body: JSON.stringify(modifiedBody)
+        body: JSON.stringify(modifiedBody),
+        signal
       });
       
       if (response.ok) {
@@ -454,6 +508,8 @@ export default class DeepSeekProvider extends BaseProvider {
 
   /**
    * Prepare messages for API
+   * Only role and content are sent, plus the tool calls and results of a
+   * tool loop: the API rejects `reasoning_content` from earlier assistant turns.
    * @protected
    * @param {Array} messages - Raw messages
    * @returns {Array} Prepared messages
@@ -461,14 +517,22 @@ export default class DeepSeekProvider extends BaseProvider {
   prepareMessages(messages) {
     return messages.map(msg => {
       // Ensure valid role
-      const validRoles = ['system', 'user', 'assistant'];
+      const validRoles = ['system', 'user', 'assistant', 'tool'];
       const role = validRoles.includes(msg.role) ? msg.role : 'user';
       
       // Ensure content is string
       const content = String(msg.content || '');
+      const prepared = { role, content };
       
-      return { role, content };
-    }).filter(msg => msg.content.length > 0);
+      if (role === 'assistant' && msg.tool_calls?.length) {
+        prepared.tool_calls = msg.tool_calls;
+      }
+      if (role === 'tool') {
+        prepared.tool_call_id = msg.tool_call_id;
+      }
+
+      return prepared;
+    }).filter(msg => msg.content.length || msg.tool_calls);
   }
 
   /**
@@ -497,7 +561,7 @@ export default class DeepSeekProvider extends BaseProvider {
     }
     
     const choice = data.choices[0];
-    if (!choice.message || !choice.message.content) {
+    if (!choice.message || (!choice.message.content && !choice.message.tool_calls?.length)) {
       throw new ApiError(
         'Invalid response: missing message content',
         500,
@@ -0,0 +1,563 @@
+/**
+ * OpenAI API Provider
+ * Implements the OpenAI Chat Completions API and compatible endpoints
+ */
+
+import BaseProvider from './BaseProvider.js';
+import { ApiError, ValidationError } from '../../errors/index.js';
+import { getConfig } from '../../config/index.js';
+
+export default class OpenAIProvider extends BaseProvider {
+  constructor(config = getConfig('api.providers.openai')) {
+    super(config);
+
+    this.models = config.models || {};
+    this.endpoint = config.endpoint;
+    this.modelsEndpoint = config.modelsEndpoint;
+    this.embeddingsEndpoint = config.embeddingsEndpoint || null;
+    this.apiKeyValidation = config.apiKeyValidation || getConfig('security.apiKeyValidation');
+  }
+
+  /**
+   * Send chat completion request
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response
+   */
+  async chat(messages, options = {}) {
+    const model = this.resolveModel(options.model);
+    const requestBody = this.buildRequestBody(messages, model, options, false);
+
+    const response = await this.makeRequest(this.endpoint, {
+      method: 'POST',
+      headers: this.buildHeaders(options.apiKey),
+      body: JSON.stringify(requestBody),
+      timeout: options.timeout,
+      signal: options.signal
+    });
+
+    const data = await this.parseResponse(response);
+
+    if (data.usage) {
+      data.cost = this.calculateCost(data.usage, model);
+    }
+
+    return data;
+  }
+
+  /**
+   * Send streaming chat completion request
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Request options
+   * @returns {AsyncGenerator} Response stream
+   */
+  async *stream(messages, options = {}) {
+    const model = this.resolveModel(options.model);
+    const requestId = this.generateRequestId();
+    const requestBody = this.buildRequestBody(messages, model, options, true);
+
+    const controller = new AbortController();
+    this.activeRequests.set(requestId, controller);
+    const unlink = this.linkAbortSignal(controller, options.signal);
+
+    let reader;
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          ...this.buildHeaders(options.apiKey)
+        },
+        body: JSON.stringify(requestBody),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new ApiError(
+          errorData.error?.message || `API error: ${response.status}`,
+          response.status,
+          { ...errorData, provider: this.name }
+        );
+      }
+
+      reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let accumulatedContent = '';
+      const toolCalls = [];
+      let totalUsage = {
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          const trimmedLine = line.trim();
+          if (!trimmedLine.startsWith('data:')) {
+            continue;
+          }
+
+          const data = trimmedLine.slice(5).trim();
+
+          if (data === '[DONE]') {
+            yield {
+              type: 'done',
+              usage: totalUsage,
+              cost: this.calculateCost(totalUsage, model),
+              content: accumulatedContent,
+              ...(toolCalls.length && { toolCalls })
+            };
+            return;
+          }
+
+          let parsed;
+          try {
+            parsed = JSON.parse(data);
+          } catch (e) {
+            console.warn(`[${this.name}] Failed to parse stream data:`, {
+              error: e.message,
+              data: data.substring(0, 100)
+            });
+            yield {
+              type: 'error',
+              error: 'Failed to parse stream data',
+              recoverable: true
+            };
+            continue;
+          }
+
+          if (parsed.error) {
+            throw new ApiError(
+              parsed.error.message || 'Stream error',
+              parsed.error.code || 500,
+              parsed.error
+            );
+          }
+
+          const choice = parsed.choices?.[0];
+
+          if (choice?.delta?.content) {
+            accumulatedContent += choice.delta.content;
+            yield {
+              type: 'content',
+              content: choice.delta.content,
+              accumulated: accumulatedContent
+            };
+          }
+
+          if (choice?.delta?.tool_calls) {
+            this.mergeToolCallDeltas(toolCalls, choice.delta.tool_calls);
+          }
+
+          if (choice?.finish_reason) {
+            yield {
+              type: 'finish',
+              reason: choice.finish_reason
+            };
+          }
+
+          if (parsed.usage) {
+            totalUsage = parsed.usage;
+          }
+        }
+      }
+
+      // Stream ended without [DONE]
+      if (accumulatedContent || toolCalls.length) {
+        yield {
+          type: 'done',
+          usage: totalUsage,
+          cost: this.calculateCost(totalUsage, model),
+          content: accumulatedContent,
+          ...(toolCalls.length && { toolCalls }),
+          incomplete: true
+        };
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        yield { type: 'cancelled' };
+        return;
+      }
+
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      throw new ApiError(
+        `Stream error: ${error.message}`,
+        500,
+        { originalError: error.message, provider: this.name }
+      );
+    } finally {
+      if (reader) {
+        try {
+          await reader.cancel();
+        } catch (e) {
+          // Ignore cancellation errors
+        }
+      }
+      unlink();
+      this.activeRequests.delete(requestId);
+    }
+  }
+
+  /**
+   * Resolve and validate the requested model
+   * @protected
+   * @param {string} model - Requested model ID
+   * @returns {string} Model ID
+   * @throws {ValidationError} If model is not configured
+   */
+  resolveModel(model) {
+    const resolved = model || Object.keys(this.models)[0];
+
+    if (!this.models[resolved]) {
+      throw new ValidationError(
+        'Invalid model specified',
+        'model',
+        resolved,
+        { validModels: Object.keys(this.models) }
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Build request body
+   * @protected
+   * @param {Array} messages - Chat messages
+   * @param {string} model - Model ID
+   * @param {Object} options - Request options
+   * @param {boolean} stream - Whether to stream
+   * @returns {Object} Request body
+   */
+  buildRequestBody(messages, model, options, stream) {
+    const modelConfig = this.models[model];
+
+    const body = {
+      model,
+      messages: this.prepareMessages(messages),
+      temperature: options.temperature ?? modelConfig.temperature,
+      max_tokens: options.maxTokens ?? modelConfig.maxTokens,
+      top_p: options.topP ?? 1,
+      frequency_penalty: options.frequencyPenalty ?? 0,
+      presence_penalty: options.presencePenalty ?? 0,
+      stream
+    };
+
+    if (stream) {
+      body.stream_options = { include_usage: true };
+    }
+
+    if (options.stopSequences?.length > 0) {
+      body.stop = options.stopSequences;
+    }
+
+    if (options.tools?.length > 0) {
+      body.tools = options.tools;
+    }
+
+    if (options.responseFormat === 'json') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return body;
+  }
+
+  /**
+   * Create embeddings for a batch of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - Request options
+   * @param {string} options.model - Embedding model, e.g. text-embedding-3-small
+   * @returns {Promise<Object>} { vectors, model, usage } with vectors in input order
+   */
+  async embed(texts, options = {}) {
+    if (!this.embeddingsEndpoint) {
+      throw new ValidationError(`${this.name} has no embeddings endpoint`, 'provider', this.name);
+    }
+    if (!options.model) {
+      throw new ValidationError('An embedding model is required', 'model', options.model);
+    }
+
+    const response = await this.makeRequest(this.embeddingsEndpoint, {
+      method: 'POST',
+      headers: this.buildHeaders(options.apiKey),
+      body: JSON.stringify({ model: options.model, input: texts }),
+      timeout: options.timeout
+    });
+
+    // Not a chat completion, so parseResponse() would reject it
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new ApiError(
+        errorData.error?.message || `API error: ${response.status}`,
+        response.status,
+        { ...errorData, provider: this.name }
+      );
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data?.data) || data.data.length !== texts.length) {
+      throw new ApiError('Invalid embeddings response', 500, { provider: this.name });
+    }
+
+    return {
+      vectors: [...data.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding),
+      model: data.model || options.model,
+      usage: data.usage || null
+    };
+  }
+
+  /**
+   * Build authorization headers
+   * @protected
+   * @param {string} apiKey - API key
+   * @returns {Object} Headers
+   */
+  buildHeaders(apiKey) {
+    return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  }
+
+  /**
+   * Fetch models available to this API key
+   * @param {string} apiKey - API key
+   * @returns {Promise<Array>} Model list
+   */
+  async fetchModels(apiKey) {
+    if (!this.modelsEndpoint) {
+      return this.listModels();
+    }
+
+    const response = await this.makeRequest(this.modelsEndpoint, {
+      method: 'GET',
+      headers: this.buildHeaders(apiKey),
+      timeout: 10000
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new ApiError(
+        errorData.error?.message || `API error: ${response.status}`,
+        response.status,
+        { ...errorData, provider: this.name }
+      );
+    }
+
+    const data = await response.json();
+
+    return (data.data || [])
+      .filter(entry => this.isChatModel(entry.id))
+      .map(entry => ({
+        id: entry.id,
+        name: this.models[entry.id]?.name || entry.id,
+        description: this.models[entry.id]?.description || '',
+        maxTokens: this.models[entry.id]?.maxTokens,
+        pricing: this.models[entry.id]?.pricing,
+        ownedBy: entry.owned_by
+      }));
+  }
+
+  /**
+   * Check whether a remote model ID is a chat model
+   * @protected
+   * @param {string} modelId - Model ID
+   * @returns {boolean} Is chat model
+   */
+  isChatModel(modelId) {
+    return /^(gpt-|o\d|chatgpt-)/.test(modelId) &&
+      !/(instruct|audio|realtime|transcribe|tts|search)/.test(modelId);
+  }
+
+  /**
+   * Validate API key format
+   * @param {string} key - API key to validate
+   * @returns {boolean} Is valid
+   */
+  validateApiKey(key) {
+    const validation = this.apiKeyValidation;
+    const pattern = new RegExp(validation.pattern);
+
+    return Boolean(key) &&
+      key.length >= validation.minLength &&
+      key.length <= validation.maxLength &&
+      pattern.test(key);
+  }
+
+  /**
+   * Calculate request cost
+   * @param {Object} usage - Token usage
+   * @param {string} model - Model used
+   * @returns {number} Cost in dollars
+   */
+  calculateCost(usage, model) {
+    if (!usage || !usage.total_tokens) {
+      return 0;
+    }
+
+    const modelConfig = this.models[model];
+    if (!modelConfig || !modelConfig.pricing) {
+      return 0;
+    }
+
+    const inputCost = (usage.prompt_tokens / 1000) * modelConfig.pricing.input;
+    const outputCost = (usage.completion_tokens / 1000) * modelConfig.pricing.output;
+
+    return Number((inputCost + outputCost).toFixed(6));
+  }
+
+  /**
+   * Prepare messages for API
+   * Assistant tool calls and `tool` results from a tool loop are kept.
+   * @protected
+   * @param {Array} messages - Raw messages
+   * @returns {Array} Prepared messages
+   */
+  prepareMessages(messages) {
+    const validRoles = ['system', 'user', 'assistant', 'tool'];
+
+    return messages.map(msg => {
+      const prepared = {
+        role: validRoles.includes(msg.role) ? msg.role : 'user',
+        content: String(msg.content || '')
+      };
+
+      if (prepared.role === 'assistant' && msg.tool_calls?.length) {
+        prepared.tool_calls = msg.tool_calls;
+      }
+      if (prepared.role === 'tool') {
+        prepared.tool_call_id = msg.tool_call_id;
+      }
+
+      return prepared;
+    }).filter(msg => msg.content.length || msg.tool_calls);
+  }
+
+  /**
+   * Validate response structure
+   * @protected
+   * @param {Object} data - Response data
+   * @throws {ApiError} If response is invalid
+   */
+  validateResponse(data) {
+    super.validateResponse(data);
+
+    if (!Array.isArray(data.choices) || data.choices.length === 0) {
+      throw new ApiError(
+        'Invalid response: missing choices array',
+        500,
+        { response: data }
+      );
+    }
+
+    const [{ message }] = data.choices;
+    if (typeof message?.content !== 'string' && !message?.tool_calls?.length) {
+      throw new ApiError(
+        'Invalid response: missing message content',
+        500,
+        { response: data }
+      );
+    }
+  }
+
+  /**
+   * Get provider capabilities
+   * @returns {Object} Provider capabilities
+   */
+  getCapabilities() {
+    return {
+      streaming: true,
+      models: Object.keys(this.models),
+      maxTokens: 128000,
+      features: [
+        'chat',
+        'code-generation',
+        'function-calling',
+        'json-mode'
+      ]
+    };
+  }
+
+  /**
+   * Get model information
+   * @param {string} modelId - Model ID
+   * @returns {Object|null} Model info
+   */
+  getModelInfo(modelId) {
+    return this.models[modelId] || null;
+  }
+
+  /**
+   * List configured models
+   * @returns {Array} Model list
+   */
+  listModels() {
+    return Object.entries(this.models).map(([id, config]) => ({
+      id,
+      name: config.name,
+      description: config.description,
+      maxTokens: config.maxTokens,
+      pricing: config.pricing
+    }));
+  }
+
+  /**
+   * Estimate cost for messages
+   * @param {Array} messages - Messages to estimate
+   * @param {string} model - Model to use
+   * @returns {Object} Cost estimate
+   */
+  estimateCost(messages, model) {
+    const modelConfig = this.models[model];
+    if (!modelConfig || !modelConfig.pricing) {
+      return { min: 0, max: 0, estimated: 0 };
+    }
+
+    // Rough token estimation (4 chars ≈ 1 token)
+    const messageText = messages.map(m => m.content).join(' ');
+    const promptTokens = Math.ceil(messageText.length / 4);
+    const promptCost = (promptTokens / 1000) * modelConfig.pricing.input;
+    const completionCost = (tokens) => (tokens / 1000) * modelConfig.pricing.output;
+
+    return {
+      min: Number((promptCost + completionCost(100)).toFixed(6)),
+      max: Number((promptCost + completionCost(modelConfig.maxTokens)).toFixed(6)),
+      estimated: Number((promptCost + completionCost(modelConfig.maxTokens / 2)).toFixed(6)),
+      breakdown: {
+        promptTokens,
+        promptCost: Number(promptCost.toFixed(6))
+      }
+    };
+  }
+
+  /**
+   * Health check
+   * @returns {Promise<boolean>} Is healthy
+   */
+  async healthCheck() {
+    try {
+      await this.makeRequest(this.modelsEndpoint || this.endpoint, {
+        method: 'GET',
+        timeout: 5000
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
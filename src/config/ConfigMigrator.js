@@ -3,12 +3,16 @@
  * Handles migration of configuration between versions
  */
 
+// Version of the configuration after every migration has run
+const CURRENT_VERSION = '1.1.0';
+
 export class ConfigMigrator {
   constructor() {
     // Define migration functions for each version
     this.migrations = {
       '0.9.0': this._migrateFrom090,
-      '0.9.5': this._migrateFrom095
+      '0.9.5': this._migrateFrom095,
+      '1.1.0': this._migrateFrom100
     };
   }
 
@@ -45,7 +49,7 @@ export class ConfigMigrator {
     }
 
     // Set to current version
-    migratedConfig.version = '1.0.0';
+    migratedConfig.version = CURRENT_VERSION;
     
     console.log('[ConfigMigrator] Migration complete');
     return migratedConfig;
@@ -187,6 +191,65 @@ export class ConfigMigrator {
     return migrated;
   }
 
+  /**
+   * Migration from 1.0.0 to 1.1.0
+   * Adds content encryption settings. Encryption stays off; turning it on
+   * converts stored content with migrateStoredContent().
+   * @private
+   */
+  async _migrateFrom100(config) {
+    const migrated = { ...config };
+
+    if (!migrated.storage?.encryption) {
+      migrated.storage = {
+        ...migrated.storage,
+        encryption: { enabled: false, iterations: 310000 }
+      };
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Rewrite stored conversations and messages, including those in the trash
+   * Used when content encryption is turned on or off so data saved before the
+   * change is converted in place. Records are rewritten one conversation at a
+   * time, so an interrupted run leaves a mix the transforms accept on the next.
+   * @param {Object} transforms - Record transforms
+   * @param {Function} transforms.conversation - async (conversation) => conversation
+   * @param {Function} transforms.message - async (message) => message
+   * @param {Function} transforms.trashEntry - async (entry) => entry
+   * @returns {Promise<Object>} { conversations, messages } rewritten
+   */
+  async migrateStoredContent(transforms) {
+    const { conversations = [], trash = [] } = await browser.storage.local.get([
+      'conversations',
+      'trash'
+    ]);
+    let messageCount = 0;
+
+    for (const { id } of conversations) {
+      const key = `messages_${id}`;
+      const stored = (await browser.storage.local.get(key))[key];
+      if (stored) {
+        await browser.storage.local.set({
+          [key]: await Promise.all(stored.map(transforms.message))
+        });
+        messageCount += stored.length;
+      }
+    }
+
+    await browser.storage.local.set({
+      conversations: await Promise.all(conversations.map(transforms.conversation)),
+      trash: await Promise.all(trash.map(transforms.trashEntry))
+    });
+
+    console.log(
+      `[ConfigMigrator] Converted ${conversations.length} conversations and ${messageCount} messages`
+    );
+    return { conversations: conversations.length, messages: messageCount };
+  }
+
   /**
    * Create backup of configuration before migration
    * @param {Object} config - Configuration to backup
@@ -4,7 +4,7 @@
  */
 
 export const DEFAULT_CONFIG = {
-  version: '1.0.0',
+  version: '1.1.0',
   
   api: {
     providers: {
@@ -36,12 +36,98 @@ export const DEFAULT_CONFIG = {
             description: 'Complex reasoning and analysis',
             maxTokens: 4000,
             temperature: 0.5,
+            functionCalling: false, // Does not accept tool definitions
+            jsonMode: false, // Does not accept a JSON response format
             pricing: {
               input: 0.0005,
               output: 0.001
             }
           }
         }
+      },
+      openai: {
+        endpoint: 'https://api.openai.com/v1/chat/completions',
+        modelsEndpoint: 'https://api.openai.com/v1/models',
+        embeddingsEndpoint: 'https://api.openai.com/v1/embeddings',
+        apiKeyValidation: {
+          minLength: 20,
+          maxLength: 200,
+          pattern: '^sk-[A-Za-z0-9_-]+$'
+        },
+        models: {
+          'gpt-4o': {
+            name: 'GPT-4o',
+            description: 'Flagship multimodal model',
+            maxTokens: 16000,
+            temperature: 0.7,
+            pricing: {
+              input: 0.0025,
+              output: 0.01
+            }
+          },
+          'gpt-4o-mini': {
+            name: 'GPT-4o mini',
+            description: 'Fast and affordable everyday tasks',
+            maxTokens: 16000,
+            temperature: 0.7,
+            pricing: {
+              input: 0.00015,
+              output: 0.0006
+            }
+          },
+          'gpt-4-turbo': {
+            name: 'GPT-4 Turbo',
+            description: 'Large context reasoning and analysis',
+            maxTokens: 4000,
+            temperature: 0.7,
+            pricing: {
+              input: 0.01,
+              output: 0.03
+            }
+          }
+        }
+      },
+      anthropic: {
+        endpoint: 'https://api.anthropic.com/v1/messages',
+        modelsEndpoint: 'https://api.anthropic.com/v1/models',
+        apiVersion: '2023-06-01',
+        apiKeyValidation: {
+          minLength: 40,
+          maxLength: 200,
+          pattern: '^sk-ant-[A-Za-z0-9_-]+$'
+        },
+        models: {
+          'claude-3-5-sonnet-latest': {
+            name: 'Claude 3.5 Sonnet',
+            description: 'Balanced intelligence and speed',
+            maxTokens: 8000,
+            temperature: 0.7,
+            pricing: {
+              input: 0.003,
+              output: 0.015
+            }
+          },
+          'claude-3-5-haiku-latest': {
+            name: 'Claude 3.5 Haiku',
+            description: 'Fastest responses for everyday tasks',
+            maxTokens: 8000,
+            temperature: 0.7,
+            pricing: {
+              input: 0.0008,
+              output: 0.004
+            }
+          },
+          'claude-3-opus-latest': {
+            name: 'Claude 3 Opus',
+            description: 'Deep analysis of complex documents',
+            maxTokens: 4000,
+            temperature: 0.7,
+            pricing: {
+              input: 0.015,
+              output: 0.075
+            }
+          }
+        }
       }
     },
     timeout: 30000,      // 30 seconds
@@ -50,6 +136,7 @@ export const DEFAULT_CONFIG = {
       delay: 1000,       // Initial delay
       backoff: 2         // Exponential backoff multiplier
     },
+    fallbackChain: [],   // Model IDs tried in order once retries are exhausted
     rateLimit: {
       interval: 10000,   // 10 seconds between requests
       maxPerHour: 100,
@@ -168,7 +255,7 @@ export const DEFAULT_CONFIG = {
       persistence: 'indexedDB'
     },
     export: {
-      formats: ['json', 'markdown', 'html', 'csv', 'pdf'],
+      formats: ['json', 'markdown', 'html', 'csv', 'pdf', 'vault'],
       includeMetadata: true,
       compression: true
     },
@@ -181,7 +268,8 @@ export const DEFAULT_CONFIG = {
     templates: {
       enabled: true,
       allowCustom: true,
-      maxCustomTemplates: 50
+      maxCustomTemplates: 50,
+      structuredRetries: 2 // Retries when a structured answer does not match its schema
     }
   },
   
@@ -203,9 +291,78 @@ export const DEFAULT_CONFIG = {
       enabled: true,
       maxAge: 2592000000,  // 30 days in milliseconds
       maxConversations: 1000
+    },
+    trash: {
+      retentionDays: 30  // Deleted items can be restored for this long
+    },
+    backup: {
+      schedule: 'weekly',  // 'daily', 'weekly' or 'off'
+      retentionCount: 5  // Restore points kept; older ones are deleted
+    },
+    encryption: {
+      enabled: false,  // Set when a passphrase is chosen in the popup
+      iterations: 310000  // PBKDF2 iterations for new passphrases
     }
   },
   
+  tokenizer: {
+    autoload: false, // Opt-in download of BPE vocabularies for exact OpenAI and DeepSeek counts
+    encodings: {
+      o200k_base: 'https://openaipublic.blob.core.windows.net/encodings/o200k_base.tiktoken',
+      cl100k_base: 'https://openaipublic.blob.core.windows.net/encodings/cl100k_base.tiktoken',
+      deepseek_v3: 'https://huggingface.co/deepseek-ai/DeepSeek-V3/resolve/main/tokenizer.json'
+    }
+  },
+
+  history: {
+    summarize: true, // Fold turns that no longer fit into a rolling summary
+    summaryMaxTokens: 500,
+    foldRatio: 0.75 // Share of the budget recent turns may use after folding
+  },
+
+  budget: {
+    daily: 0, // USD, 0 = unlimited
+    monthly: 0, // USD, 0 = unlimited
+    warnAt: 0.8, // Warn at 80% of a budget
+    hardStop: true, // Refuse requests once a budget is used up
+    retentionDays: 400 // Usage records older than this are deleted
+  },
+
+  cache: {
+    enabled: true, // Reuse responses to identical requests
+    ttl: 86400000, // 24 hours in milliseconds
+    maxEntries: 200 // Least recently used responses are evicted beyond this
+  },
+
+  tools: {
+    enabled: true, // Let models read the page through tool calls
+    maxRounds: 4, // Tool rounds before the model has to answer
+    maxResultLength: 4000 // Characters of each tool result sent back
+  },
+
+  search: {
+    maxResults: 50, // Results returned by a search
+    prefixMinLength: 2, // Shorter query terms only match whole words
+    snippetLength: 160 // Characters of message content shown per result
+  },
+
+  embeddings: {
+    enabled: true, // Embed messages for semantic search and related conversations
+    // Offline keyword vectors; 'openai' or 'custom' send messages and pages to that endpoint
+    provider: 'local',
+    model: 'text-embedding-3-small', // Provider model, e.g. nomic-embed-text on Ollama
+    dimensions: 512, // Size of local vectors
+    batchSize: 32, // Texts sent per embeddings request
+    maxChars: 4000, // Longer messages are cut before embedding
+    minScore: 0.3, // Lowest similarity reported as related
+    maxResults: 5 // Related conversations returned by default
+  },
+
+  flashcards: {
+    newCardsPerSession: 20, // Cards never reviewed that a review session starts with
+    deckName: 'DeepWeb' // Parent deck in Anki; each conversation gets a subdeck
+  },
+
   telemetry: {
     enabled: false,
     anonymous: true,
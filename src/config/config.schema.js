@@ -3,13 +3,46 @@
  * Defines the structure and validation rules for configuration
  */
 
+const MODELS_SCHEMA = {
+  type: 'object',
+  required: true,
+  additionalProperties: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', required: true },
+      description: { type: 'string', required: true },
+      maxTokens: { type: 'number', min: 1, max: 32000 },
+      temperature: { type: 'number', min: 0, max: 2 },
+      functionCalling: { type: 'boolean' },
+      jsonMode: { type: 'boolean' },
+      pricing: {
+        type: 'object',
+        properties: {
+          input: { type: 'number', min: 0 },
+          output: { type: 'number', min: 0 }
+        }
+      }
+    }
+  }
+};
+
+const API_KEY_VALIDATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    minLength: { type: 'number', min: 0 },
+    maxLength: { type: 'number', min: 1 },
+    pattern: { type: 'string' },
+    required: { type: 'boolean' }
+  }
+};
+
 export const CONFIG_SCHEMA = {
   version: {
     type: 'string',
     required: true,
     pattern: /^\d+\.\d+\.\d+$/
   },
-  
+
   api: {
     type: 'object',
     required: true,
@@ -27,26 +60,61 @@ export const CONFIG_SCHEMA = {
                 required: true,
                 pattern: /^https?:\/\/.+$/
               },
-              models: {
-                type: 'object',
+              models: MODELS_SCHEMA
+            }
+          },
+          openai: {
+            type: 'object',
+            properties: {
+              endpoint: {
+                type: 'string',
                 required: true,
-                additionalProperties: {
-                  type: 'object',
-                  properties: {
-                    name: { type: 'string', required: true },
-                    description: { type: 'string', required: true },
-                    maxTokens: { type: 'number', min: 1, max: 32000 },
-                    temperature: { type: 'number', min: 0, max: 2 },
-                    pricing: {
-                      type: 'object',
-                      properties: {
-                        input: { type: 'number', min: 0 },
-                        output: { type: 'number', min: 0 }
-                      }
-                    }
-                  }
-                }
-              }
+                pattern: /^https?:\/\/.+$/
+              },
+              modelsEndpoint: {
+                type: 'string',
+                pattern: /^https?:\/\/.+$/
+              },
+              embeddingsEndpoint: {
+                type: 'string',
+                pattern: /^https?:\/\/.+$/
+              },
+              apiKeyValidation: API_KEY_VALIDATION_SCHEMA,
+              models: MODELS_SCHEMA
+            }
+          },
+          anthropic: {
+            type: 'object',
+            properties: {
+              endpoint: {
+                type: 'string',
+                required: true,
+                pattern: /^https?:\/\/.+$/
+              },
+              modelsEndpoint: {
+                type: 'string',
+                pattern: /^https?:\/\/.+$/
+              },
+              apiVersion: {
+                type: 'string',
+                pattern: /^\d{4}-\d{2}-\d{2}$/
+              },
+              apiKeyValidation: API_KEY_VALIDATION_SCHEMA,
+              models: MODELS_SCHEMA
+            }
+          },
+          custom: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', maxLength: 50 },
+              baseUrl: {
+                type: 'string',
+                required: true,
+                pattern: /^https?:\/\/.+$/
+              },
+              defaultMaxTokens: { type: 'number', min: 1, max: 32000 },
+              requiresKey: { type: 'boolean' },
+              models: { ...MODELS_SCHEMA, required: false }
             }
           }
         }
@@ -65,6 +133,11 @@ export const CONFIG_SCHEMA = {
           backoff: { type: 'number', min: 1, max: 5 }
         }
       },
+      fallbackChain: {
+        type: 'array',
+        items: { type: 'string', minLength: 1 },
+        maxItems: 10
+      },
       rateLimit: {
         type: 'object',
         properties: {
@@ -75,7 +148,7 @@ export const CONFIG_SCHEMA = {
       }
     }
   },
-  
+
   ui: {
     type: 'object',
     properties: {
@@ -135,7 +208,7 @@ export const CONFIG_SCHEMA = {
       }
     }
   },
-  
+
   security: {
     type: 'object',
     properties: {
@@ -173,7 +246,7 @@ export const CONFIG_SCHEMA = {
       }
     }
   },
-  
+
   features: {
     type: 'object',
     properties: {
@@ -216,12 +289,13 @@ export const CONFIG_SCHEMA = {
         properties: {
           enabled: { type: 'boolean' },
           allowCustom: { type: 'boolean' },
-          maxCustomTemplates: { type: 'number', min: 0, max: 1000 }
+          maxCustomTemplates: { type: 'number', min: 0, max: 1000 },
+          structuredRetries: { type: 'number', min: 0, max: 5 }
         }
       }
     }
   },
-  
+
   content: {
     type: 'object',
     properties: {
@@ -239,7 +313,7 @@ export const CONFIG_SCHEMA = {
       }
     }
   },
-  
+
   storage: {
     type: 'object',
     properties: {
@@ -251,10 +325,115 @@ export const CONFIG_SCHEMA = {
           maxAge: { type: 'number', min: 0 },
           maxConversations: { type: 'number', min: 1 }
         }
+      },
+      trash: {
+        type: 'object',
+        properties: {
+          retentionDays: { type: 'number', min: 1, max: 3650 }
+        }
+      },
+      backup: {
+        type: 'object',
+        properties: {
+          schedule: { type: 'string', enum: ['off', 'daily', 'weekly'] },
+          retentionCount: { type: 'number', min: 1, max: 50 }
+        }
+      },
+      encryption: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          iterations: { type: 'number', min: 100000, max: 10000000 }
+        }
+      }
+    }
+  },
+
+  tokenizer: {
+    type: 'object',
+    properties: {
+      autoload: { type: 'boolean' },
+      encodings: {
+        type: 'object',
+        properties: {
+          o200k_base: { type: 'string', pattern: /^https:\/\/.+$/ },
+          cl100k_base: { type: 'string', pattern: /^https:\/\/.+$/ },
+          deepseek_v3: { type: 'string', pattern: /^https:\/\/.+$/ }
+        }
       }
     }
   },
-  
+
+  history: {
+    type: 'object',
+    properties: {
+      summarize: { type: 'boolean' },
+      summaryMaxTokens: { type: 'number', min: 50, max: 4000 },
+      foldRatio: { type: 'number', min: 0.1, max: 1 }
+    }
+  },
+
+  budget: {
+    type: 'object',
+    properties: {
+      daily: { type: 'number', min: 0 },
+      monthly: { type: 'number', min: 0 },
+      warnAt: { type: 'number', min: 0, max: 1 },
+      hardStop: { type: 'boolean' },
+      // At least a month, so the monthly budget sees all of its records
+      retentionDays: { type: 'number', min: 31, max: 3650 }
+    }
+  },
+
+  cache: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      ttl: { type: 'number', min: 60000 },
+      maxEntries: { type: 'number', min: 1, max: 10000 }
+    }
+  },
+
+  tools: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      maxRounds: { type: 'number', min: 1, max: 10 },
+      maxResultLength: { type: 'number', min: 500, max: 20000 }
+    }
+  },
+
+  search: {
+    type: 'object',
+    properties: {
+      maxResults: { type: 'number', min: 1, max: 500 },
+      prefixMinLength: { type: 'number', min: 1, max: 10 },
+      snippetLength: { type: 'number', min: 40, max: 1000 }
+    }
+  },
+
+  embeddings: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      provider: { type: 'string', enum: ['local', 'openai', 'custom'] },
+      model: { type: 'string', maxLength: 100 },
+      dimensions: { type: 'number', min: 64, max: 4096 },
+      batchSize: { type: 'number', min: 1, max: 256 },
+      maxChars: { type: 'number', min: 200, max: 32000 },
+      minScore: { type: 'number', min: 0, max: 1 },
+      maxResults: { type: 'number', min: 1, max: 50 }
+    }
+  },
+
+  flashcards: {
+    type: 'object',
+    properties: {
+      newCardsPerSession: { type: 'number', min: 0, max: 1000 },
+      deckName: { type: 'string', minLength: 1, maxLength: 100 }
+    }
+  },
+
   telemetry: {
     type: 'object',
     properties: {
@@ -263,7 +442,7 @@ export const CONFIG_SCHEMA = {
       events: { type: 'array', items: { type: 'string' } }
     }
   },
-  
+
   defaults: {
     type: 'object',
     properties: {
@@ -277,7 +456,7 @@ export const CONFIG_SCHEMA = {
       }
     }
   },
-  
+
   experimental: {
     type: 'object',
     additionalProperties: { type: 'boolean' }
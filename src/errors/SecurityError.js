@@ -24,7 +24,9 @@ export class SecurityError extends DeepWebError {
       CSP_VIOLATION: 'Content security policy violation',
       INJECTION_ATTEMPT: 'Security warning: Code injection attempt blocked',
       UNAUTHORIZED_ACCESS: 'Access denied: Insufficient permissions',
-      API_KEY_EXPOSED: 'Security warning: API key may be exposed'
+      API_KEY_EXPOSED: 'Security warning: API key may be exposed',
+      CONTENT_LOCKED: 'Conversations are locked. Enter your passphrase to unlock them.',
+      WRONG_PASSPHRASE: 'Wrong passphrase'
     };
     
     return messages[this.violationType] || 'Security violation detected. Action blocked for safety.';
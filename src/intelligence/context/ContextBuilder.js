@@ -3,6 +3,8 @@
  * Manages context across pages, conversations, and sessions
  */
 
+import { countTokens } from '../../tokenizer/index.js';
+
 export class ContextBuilder {
   constructor() {
     this.sessionContext = {
@@ -128,6 +130,7 @@ export class ContextBuilder {
     } = options;
     
     const tokenLimit = maxTokens || this.tokenLimits[targetModel] || 8000;
+    this.targetModel = targetModel;
     const context = {
       current: {},
       history: {},
@@ -658,9 +661,8 @@ export class ContextBuilder {
     return matchedWords.length / queryWords.length;
   }
 
-  estimateTokens(text) {
-    // Rough estimate: ~4 characters per token
-    return Math.ceil(text.length / 4);
+  estimateTokens(text, model = this.targetModel) {
+    return countTokens(text, model);
   }
 
   detectPatterns(memoryItems) {
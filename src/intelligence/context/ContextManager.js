@@ -9,7 +9,15 @@ import { CrossPageContext } from './CrossPageContext.js';
 import { SmartContextExtractor } from './SmartContextExtractor.js';
 
 export class ContextManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Function} [options.findRelatedConversations] - Resolves saved conversations
+   *   about a text as { id, title, score }, best first
+   */
+  constructor(options = {}) {
+    // Saved conversations live outside the page, so the caller supplies the lookup
+    this.findRelatedConversations = options.findRelatedConversations || null;
+
     // Initialize subsystems
     this.contextBuilder = new ContextBuilder();
     this.conversationMemory = new ConversationMemory();
@@ -83,6 +91,9 @@ export class ContextManager {
         includeCrossPage: this.config.enableCrossPage
       });
       
+      // Previous chats about a similar page
+      const relatedConversations = await this.getRelatedConversations(pageData, extractedContext);
+
       // Update metrics
       this.updateMetrics('initialize', performance.now() - startTime);
       
@@ -90,7 +101,8 @@ export class ContextManager {
         pageContext,
         extractedContent: extractedContext,
         fullContext: context,
-        suggestions: await this.generateSuggestions(context)
+        relatedConversations,
+        suggestions: await this.generateSuggestions(context, relatedConversations)
       };
       
     } catch (error) {
@@ -293,10 +305,19 @@ export class ContextManager {
   /**
    * Get context suggestions
    * @param {Object} context - Current context
+   * @param {Array} [relatedConversations] - Saved conversations about this page
    * @returns {Array} Suggestions
    */
-  async generateSuggestions(context) {
+  async generateSuggestions(context, relatedConversations = []) {
     const suggestions = [];
+
+    // Previous chats about a similar page
+    suggestions.push(...relatedConversations.map(conversation => ({
+      type: 'related',
+      content: `You discussed something similar before: "${conversation.title}"`,
+      conversationId: conversation.id,
+      confidence: conversation.score
+    })));
     
     // Memory-based suggestions
     if (context.memory?.insights?.topTopics?.length > 0) {
@@ -343,6 +364,34 @@ export class ContextManager {
     return suggestions;
   }
 
+  /**
+   * Look up saved conversations about the page
+   * A failed lookup only costs the suggestions, so it never fails initialization.
+   * @param {Object} pageData - Page information
+   * @param {Object} extractedContext - Extracted page content
+   * @returns {Promise<Array>} Related conversations
+   */
+  async getRelatedConversations(pageData, extractedContext) {
+    // In privacy mode page text stays out of lookups that may reach an embeddings API
+    if (!this.findRelatedConversations || this.config.privacyMode) {
+      return [];
+    }
+
+    const content = typeof extractedContext.content === 'string' ? extractedContext.content : '';
+    const text = `${pageData.title || ''}\n${content}`.trim();
+    if (!text) {
+      return [];
+    }
+
+    try {
+      const related = await this.findRelatedConversations(text);
+      return related.slice(0, 2);
+    } catch (error) {
+      console.warn('Related conversation lookup failed:', error);
+      return [];
+    }
+  }
+
   /**
    * Check if research mode should be triggered
    * @param {string} query - User query
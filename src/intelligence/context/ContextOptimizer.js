@@ -3,6 +3,8 @@
  * Handles context window management, relevance scoring, and content prioritization
  */
 
+import { countTokens } from '../../tokenizer/index.js';
+
 export class ContextOptimizer {
   constructor() {
     this.modelLimits = {
@@ -15,6 +17,41 @@ export class ContextOptimizer {
         contextWindow: 32768,
         optimalSize: 8000,
         costPerToken: 0.00055
+      },
+      'deepseek-coder': {
+        contextWindow: 16384,
+        optimalSize: 4000,
+        costPerToken: 0.00014
+      },
+      'gpt-4o': {
+        contextWindow: 128000,
+        optimalSize: 8000,
+        costPerToken: 0.0025
+      },
+      'gpt-4o-mini': {
+        contextWindow: 128000,
+        optimalSize: 8000,
+        costPerToken: 0.00015
+      },
+      'gpt-4-turbo': {
+        contextWindow: 128000,
+        optimalSize: 8000,
+        costPerToken: 0.01
+      },
+      'claude-3-5-sonnet-latest': {
+        contextWindow: 200000,
+        optimalSize: 8000,
+        costPerToken: 0.003
+      },
+      'claude-3-5-haiku-latest': {
+        contextWindow: 200000,
+        optimalSize: 8000,
+        costPerToken: 0.0008
+      },
+      'claude-3-opus-latest': {
+        contextWindow: 200000,
+        optimalSize: 8000,
+        costPerToken: 0.015
       }
     };
     
@@ -34,7 +71,7 @@ export class ContextOptimizer {
    * @returns {Object} Optimized context
    */
   async optimize(analyzedContent, userQuery, model = 'deepseek-chat') {
-    const modelConfig = this.modelLimits[model] || this.modelLimits['deepseek-chat'];
+    const modelConfig = this.getModelLimits(model);
     
     try {
       // Calculate relevance scores
@@ -57,7 +94,7 @@ export class ContextOptimizer {
       );
       
       // Calculate token estimate
-      const tokenEstimate = this.estimateTokens(structuredContext);
+      const tokenEstimate = this.estimateTokens(structuredContext, model);
       
       return {
         context: structuredContext,
@@ -267,6 +304,16 @@ export class ContextOptimizer {
     });
   }
 
+  /**
+   * Get context limits for a model
+   * Unknown models (e.g. self-hosted ones) get the conservative DeepSeek Chat limits.
+   * @param {string} model - AI model
+   * @returns {Object} { contextWindow, optimalSize, costPerToken }
+   */
+  getModelLimits(model) {
+    return this.modelLimits[model] || this.modelLimits['deepseek-chat'];
+  }
+
   /**
    * Fit content to context window size
    * @param {Object} content - Prioritized content
@@ -392,11 +439,11 @@ export class ContextOptimizer {
   /**
    * Estimate token count for text
    * @param {string} text - Text to estimate
+   * @param {string} model - Model whose tokenizer is used
    * @returns {number} Estimated token count
    */
-  estimateTokens(text) {
-    // Rough estimation: ~4 characters per token on average
-    return Math.ceil(text.length / 4);
+  estimateTokens(text, model = 'deepseek-chat') {
+    return countTokens(text, model);
   }
 
   /**
@@ -0,0 +1,201 @@
+/**
+ * HistoryPacker - Packs conversation history into a model's context window
+ * Keeps pinned messages, fills the remaining budget newest-first and folds
+ * turns that no longer fit into a rolling summary stored on the conversation
+ */
+
+import { ContextOptimizer } from './ContextOptimizer.js';
+import { countTokens, truncateToTokens } from '../../tokenizer/index.js';
+import { getConfig } from '../../config/index.js';
+
+// Role markers and separators added around each message by the APIs
+const MESSAGE_OVERHEAD = 4;
+
+const SUMMARY_INSTRUCTIONS = 'You maintain a running summary of a conversation between a user ' +
+  'and an AI assistant. Merge the new messages into the current summary. Keep decisions, ' +
+  'requirements, names, numbers and open questions; drop pleasantries. Reply with the ' +
+  'updated summary only, as short bullet points.';
+
+export class HistoryPacker {
+  /**
+   * @param {Object} options - Packer options
+   * @param {ContextOptimizer} [options.optimizer] - Source of model context limits
+   * @param {number} [options.summaryMaxTokens] - Token budget for the rolling summary
+   * @param {number} [options.foldRatio] - Share of the budget recent turns may use after folding
+   */
+  constructor(options = {}) {
+    this.optimizer = options.optimizer || new ContextOptimizer();
+    this.summaryMaxTokens = options.summaryMaxTokens ?? getConfig('history.summaryMaxTokens', 500);
+    this.foldRatio = options.foldRatio ?? getConfig('history.foldRatio', 0.75);
+  }
+
+  /**
+   * Tokens available for history once the prompt and the reply are reserved
+   * @param {string} model - AI model
+   * @param {Object} options - Reservations
+   * @param {number} [options.reserved=0] - Tokens used by the system prompt and new message
+   * @param {number} [options.responseTokens=0] - Tokens reserved for the reply
+   * @returns {number} History budget in tokens
+   */
+  getBudget(model, { reserved = 0, responseTokens = 0 } = {}) {
+    const { contextWindow } = this.optimizer.getModelLimits(model);
+    return Math.max(0, contextWindow - reserved - responseTokens);
+  }
+
+  /**
+   * Pack history newest-first into the budget
+   * Pinned messages are always kept; messages already covered by the summary
+   * are left out. Turns that overflow the budget are returned in `toFold`,
+   * together with enough older turns to leave room for the next few exchanges.
+   * Only role and content are packed, so stored reasoning is never sent back.
+   * @param {Array} messages - Conversation messages, oldest first
+   * @param {Object} options - Packing options
+   * @param {string} options.model - AI model
+   * @param {number} options.budget - History budget in tokens
+   * @param {Object} [options.summary] - Rolling summary stored on the conversation
+   * @returns {Object} { messages, summary, tokens, toFold }
+   */
+  pack(messages, { model, budget, summary = null }) {
+    const history = messages.filter(message =>
+      message.content && (message.role === 'user' || message.role === 'assistant')
+    );
+    const summaryTokens = summary?.content ?
+      countTokens(summary.content, model) + MESSAGE_OVERHEAD :
+      0;
+    const kept = new Set();
+    let remaining = budget - summaryTokens;
+
+    // Pinned messages first, newest first in case even they do not fit
+    const pinned = history.filter(message => message.state?.pinned).reverse();
+    for (const message of pinned) {
+      const tokens = this.countMessage(message, model);
+      if (tokens <= remaining) {
+        kept.add(message);
+        remaining -= tokens;
+      }
+    }
+    const pinnedTokens = budget - summaryTokens - remaining;
+
+    // Then recent turns until the first one that does not fit
+    const recent = history.filter(message =>
+      !message.state?.pinned && !this.isSummarized(message, summary)
+    );
+    let overflow = 0;
+    for (let i = recent.length - 1; i >= 0; i--) {
+      const tokens = this.countMessage(recent[i], model);
+      if (tokens > remaining) {
+        overflow = i + 1;
+        break;
+      }
+      kept.add(recent[i]);
+      remaining -= tokens;
+    }
+
+    return {
+      messages: history
+        .filter(message => kept.has(message))
+        .map(({ role, content }) => ({ role, content })),
+      summary: summary?.content || null,
+      tokens: budget - remaining,
+      toFold: overflow > 0 ?
+        recent.slice(0, this.getFoldCount(recent, overflow, budget - pinnedTokens, model)) :
+        []
+    };
+  }
+
+  /**
+   * Build the request that merges folded turns into the summary
+   * @param {Object|null} summary - Current rolling summary
+   * @param {Array} messages - Messages to fold, oldest first
+   * @param {string} model - AI model used for summarizing
+   * @returns {Array} Chat messages
+   */
+  buildSummaryMessages(summary, messages, model) {
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n\n');
+    const maxTranscript = this.getBudget(model, { responseTokens: this.summaryMaxTokens * 2 });
+    const current = summary?.content ? `Current summary:\n${summary.content}\n\n` : '';
+
+    return [
+      { role: 'system', content: SUMMARY_INSTRUCTIONS },
+      {
+        role: 'user',
+        content: `${current}New messages:\n${truncateToTokens(transcript, maxTranscript, model)}`
+      }
+    ];
+  }
+
+  /**
+   * Record that messages have been folded into the summary
+   * @param {Object|null} summary - Previous rolling summary
+   * @param {Array} messages - Folded messages, oldest first
+   * @param {string} content - Updated summary text
+   * @returns {Object} Rolling summary to store on the conversation
+   */
+  updateSummary(summary, messages, content) {
+    const last = messages[messages.length - 1];
+    return {
+      content: content.trim(),
+      coveredUntil: toTime(last?.timestamp) || summary?.coveredUntil || 0,
+      messageCount: (summary?.messageCount || 0) + messages.length,
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Count the tokens a message adds to the request
+   * @private
+   * @param {Object} message - Message
+   * @param {string} model - AI model
+   * @returns {number} Token count
+   */
+  countMessage(message, model) {
+    return countTokens(message.content, model) + MESSAGE_OVERHEAD;
+  }
+
+  /**
+   * Check whether the summary already covers a message
+   * @private
+   * @param {Object} message - Message
+   * @param {Object|null} summary - Rolling summary
+   * @returns {boolean} Whether the message was folded
+   */
+  isSummarized(message, summary) {
+    return Boolean(summary?.coveredUntil) && toTime(message.timestamp) <= summary.coveredUntil;
+  }
+
+  /**
+   * Number of oldest turns to fold
+   * Folds past the overflow point until recent turns use at most `foldRatio`
+   * of the budget, so the summary is not rewritten on every request.
+   * @private
+   * @param {Array} recent - Unpinned, unsummarized messages, oldest first
+   * @param {number} overflow - Number of messages that did not fit
+   * @param {number} budget - Budget left after pinned messages
+   * @param {string} model - AI model
+   * @returns {number} Messages to fold
+   */
+  getFoldCount(recent, overflow, budget, model) {
+    const target = (budget - this.summaryMaxTokens) * this.foldRatio;
+    let total = recent.reduce((sum, message) => sum + this.countMessage(message, model), 0);
+    let count = 0;
+
+    while (count < recent.length && (count < overflow || total > target)) {
+      total -= this.countMessage(recent[count], model);
+      count++;
+    }
+
+    return count;
+  }
+}
+
+/**
+ * Normalize stored timestamps (ISO strings or epoch milliseconds)
+ * @param {string|number} timestamp - Timestamp
+ * @returns {number} Epoch milliseconds, or 0 when missing
+ */
+function toTime(timestamp) {
+  const time = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+  return Number.isNaN(time) ? 0 : time;
+}
@@ -4,6 +4,7 @@
 
 export { ContentAnalyzer } from './ContentAnalyzer.js';
 export { ContextOptimizer } from './ContextOptimizer.js';
+export { HistoryPacker } from './HistoryPacker.js';
 export { SmartContextExtractor } from './SmartContextExtractor.js';
 
 // Create and export a singleton instance for convenience
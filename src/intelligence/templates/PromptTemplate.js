@@ -3,6 +3,8 @@
  * Handles variable substitution and template validation
  */
 
+export const OUTPUT_WIDGETS = ['quiz', 'pros-cons', 'key-points'];
+
 export class PromptTemplate {
   constructor(config) {
     this.id = config.id;
@@ -19,6 +21,8 @@ export class PromptTemplate {
     this.createdAt = config.createdAt || new Date().toISOString();
     this.updatedAt = config.updatedAt || new Date().toISOString();
     this.usageCount = config.usageCount || 0;
+    this.outputSchema = config.outputSchema || null;
+    this.outputWidget = config.outputWidget || null;
     
     this.validateTemplate();
   }
@@ -45,6 +49,38 @@ export class PromptTemplate {
     for (const [varName, varConfig] of Object.entries(this.variables)) {
       this.validateVariable(varName, varConfig);
     }
+
+    this.validateOutput();
+  }
+
+  /**
+   * Validate the structured output declaration
+   * The schema uses the ConfigValidator format; the widget picks how the
+   * answer is rendered.
+   */
+  validateOutput() {
+    if (!this.outputSchema) {
+      if (this.outputWidget) {
+        throw new Error(`Output widget ${this.outputWidget} requires an output schema`);
+      }
+      return;
+    }
+
+    if (this.outputSchema.type !== 'object') {
+      throw new Error('Output schema must describe an object');
+    }
+
+    if (this.outputWidget && !OUTPUT_WIDGETS.includes(this.outputWidget)) {
+      throw new Error(`Invalid output widget: ${this.outputWidget}`);
+    }
+  }
+
+  /**
+   * Whether the answer should come back as JSON
+   * @returns {boolean}
+   */
+  hasStructuredOutput() {
+    return Boolean(this.outputSchema);
   }
 
   /**
@@ -337,7 +373,9 @@ export class PromptTemplate {
       isBuiltIn: this.isBuiltIn,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
-      usageCount: this.usageCount
+      usageCount: this.usageCount,
+      outputSchema: this.outputSchema,
+      outputWidget: this.outputWidget
     };
   }
 
@@ -0,0 +1,108 @@
+/**
+ * StructuredOutput - Validates JSON answers against a template's output schema
+ * Answers are checked with ConfigValidator; when one does not match, the
+ * model is shown the errors and asked for a corrected answer.
+ */
+
+import { ConfigValidator } from '../../config/ConfigValidator.js';
+import { getConfig } from '../../config/index.js';
+
+export class StructuredOutput {
+  /**
+   * @param {Object} options - Runner options
+   * @param {Object} options.client - API client with chat()
+   * @param {Object} options.schema - Output schema in the ConfigValidator format
+   * @param {number} [options.maxRetries] - Corrections requested before giving up
+   */
+  constructor(options = {}) {
+    this.client = options.client;
+    this.schema = options.schema;
+    this.maxRetries = options.maxRetries ??
+      getConfig('features.templates.structuredRetries', 2);
+    this.validator = new ConfigValidator(this.schema);
+  }
+
+  /**
+   * Send a chat request and validate the JSON answer
+   * The response carries `structured` with the parsed answer, or null and
+   * `structuredErrors` when no attempt matched the schema.
+   * @param {Object} params - APIClient parameters, usually with `responseFormat: 'json'`
+   * @returns {Promise<Object>} Final response with combined usage and cost
+   */
+  async chat(params) {
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    let cost = 0;
+    let { messages } = params;
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.client.chat({ ...params, messages });
+
+      // Cached attempts cost nothing and were already recorded
+      if (!response.fromCache) {
+        usage.prompt_tokens += response.usage?.prompt_tokens || 0;
+        usage.completion_tokens += response.usage?.completion_tokens || 0;
+        usage.total_tokens += response.usage?.total_tokens || 0;
+        cost += response.cost || 0;
+      }
+
+      const content = response.choices?.[0]?.message?.content || '';
+      const result = this.parse(content);
+
+      if (result.valid || attempt >= this.maxRetries) {
+        return {
+          ...response,
+          usage,
+          cost,
+          structured: result.valid ? result.data : null,
+          structuredErrors: result.errors,
+          fromCache: Boolean(response.fromCache) && attempt === 0
+        };
+      }
+
+      messages = [
+        ...messages,
+        { role: 'assistant', content },
+        { role: 'user', content: buildCorrectionPrompt(result.errors) }
+      ];
+    }
+  }
+
+  /**
+   * Parse and validate an answer
+   * Code fences and text around the JSON object are ignored.
+   * @param {string} content - Model answer
+   * @returns {Object} { valid, data, errors }
+   */
+  parse(content) {
+    const text = String(content || '').trim();
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+
+    let data;
+    try {
+      data = JSON.parse(start !== -1 && end > start ? text.slice(start, end + 1) : text);
+    } catch (error) {
+      return { valid: false, data: null, errors: [`Answer is not valid JSON: ${error.message}`] };
+    }
+
+    const { valid, errors } = this.validator.validate(data);
+    return { valid, data: valid ? data : null, errors };
+  }
+}
+
+/**
+ * System prompt addition that describes the expected JSON
+ * @param {Object} schema - Output schema in the ConfigValidator format
+ * @returns {string} Instructions
+ */
+export function buildSchemaPrompt(schema) {
+  const json = JSON.stringify(schema, null, 2);
+  return '\n\nReply with a single JSON object and nothing else. It must match this ' +
+    `schema, where "required": true marks fields that must be present:\n${json}`;
+}
+
+function buildCorrectionPrompt(errors) {
+  return 'Your answer did not match the required JSON schema:\n' +
+    `${errors.map(error => `- ${error}`).join('\n')}\n\n` +
+    'Reply again with only the corrected JSON object.';
+}
@@ -29,7 +29,7 @@ export const builtInTemplates = [
     name: 'Extract Key Points',
     description: 'Extract the main points from the page',
     category: 'summarization',
-    template: 'Extract the key points from this content:\n\n{content}\n\nList the main points as bullet points, focusing on the most important information.',
+    template: 'Extract the key points from this content:\n\n{content}\n\nAnswer in JSON, listing the main points in order of importance.',
     variables: {
       content: {
         type: 'text',
@@ -38,6 +38,18 @@ export const builtInTemplates = [
         required: true
       }
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        points: {
+          type: 'array',
+          required: true,
+          minItems: 1,
+          items: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    outputWidget: 'key-points',
     shortcuts: ['/keypoints', '/bullets'],
     icon: '🎯',
     isBuiltIn: true
@@ -74,7 +86,7 @@ export const builtInTemplates = [
     name: 'Analyze Pros and Cons',
     description: 'Analyze advantages and disadvantages',
     category: 'analysis',
-    template: 'Analyze the pros and cons of {topic} based on this content:\n\n{content}\n\nProvide a balanced analysis with clear pros and cons lists.',
+    template: 'Analyze the pros and cons of {topic} based on this content:\n\n{content}\n\nProvide a balanced analysis in JSON with clear pros and cons lists and a short verdict.',
     variables: {
       topic: {
         type: 'text',
@@ -90,6 +102,16 @@ export const builtInTemplates = [
         required: true
       }
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        topic: { type: 'string' },
+        pros: { type: 'array', required: true, items: { type: 'string' } },
+        cons: { type: 'array', required: true, items: { type: 'string' } },
+        verdict: { type: 'string' }
+      }
+    },
+    outputWidget: 'pros-cons',
     shortcuts: ['/proscons', '/analyze'],
     icon: '⚖️',
     isBuiltIn: true
@@ -399,7 +421,7 @@ export const builtInTemplates = [
     name: 'Create Quiz',
     description: 'Generate quiz questions from content',
     category: 'learning',
-    template: 'Create {count} quiz questions based on this content:\n\n{content}\n\nInclude:\n- Multiple choice questions\n- True/false questions\n- Short answer questions\n\nProvide answers at the end.',
+    template: 'Create {count} quiz questions based on this content:\n\n{content}\n\nInclude:\n- Multiple choice questions\n- True/false questions\n- Short answer questions\n\nAnswer in JSON, giving the answer and a short explanation for each question.',
     variables: {
       count: {
         type: 'number',
@@ -415,6 +437,27 @@ export const builtInTemplates = [
         required: true
       }
     },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        questions: {
+          type: 'array',
+          required: true,
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              question: { type: 'string', required: true, minLength: 1 },
+              type: { type: 'string', enum: ['multiple-choice', 'true-false', 'short-answer'] },
+              options: { type: 'array', items: { type: 'string' } },
+              answer: { type: 'string', required: true },
+              explanation: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    outputWidget: 'quiz',
     shortcuts: ['/quiz', '/test'],
     icon: '❓',
     isBuiltIn: true
@@ -2,6 +2,7 @@
  * Templates module exports
  */
 
-export { PromptTemplate } from './PromptTemplate.js';
+export { PromptTemplate, OUTPUT_WIDGETS } from './PromptTemplate.js';
+export { StructuredOutput, buildSchemaPrompt } from './StructuredOutput.js';
 export { TemplateManager } from './TemplateManager.js';
 export { builtInTemplates, getTemplatesByCategory, getCategories, searchTemplates } from './builtInTemplates.js';
\ No newline at end of file
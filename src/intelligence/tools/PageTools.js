@@ -0,0 +1,266 @@
+/**
+ * PageTools - Tools the model can call to read the current page on demand
+ * Definitions are sent to the API in the Chat Completions format; calls are
+ * answered in the content script from the live document.
+ */
+
+import { SmartContextExtractor } from '../context/SmartContextExtractor.js';
+import { ValidationError } from '../../errors/index.js';
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+
+export const PAGE_TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'get_page_section',
+      description: 'Read the text of the page section under a heading. ' +
+        'Lists the available headings when none matches.',
+      parameters: {
+        type: 'object',
+        properties: {
+          heading: { type: 'string', description: 'Heading text, or part of it' }
+        },
+        required: ['heading']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'find_in_page',
+      description: 'Find text on the page and return each match with its surrounding text.',
+      parameters: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', description: 'Text to search for, case-insensitive' }
+        },
+        required: ['text']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_links',
+      description: 'List the links on the page with their text and URL.',
+      parameters: { type: 'object', properties: {} }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_table',
+      description: 'Read a table on the page as rows of cells.',
+      parameters: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer', description: 'Zero-based table index, in page order' }
+        },
+        required: ['index']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_selection',
+      description: 'Read the text the user has selected on the page, with the text around it.',
+      parameters: { type: 'object', properties: {} }
+    }
+  }
+];
+
+export class PageTools {
+  /**
+   * @param {Object} options - Tool options
+   * @param {Document} [options.document] - Page to read
+   * @param {SmartContextExtractor} [options.extractor] - Extractor whose analyzer cleans page text
+   * @param {number} [options.maxMatches=10] - Matches returned by find_in_page
+   */
+  constructor(options = {}) {
+    this.document = options.document || document;
+    this.extractor = options.extractor || new SmartContextExtractor();
+    this.analyzer = this.extractor.analyzer;
+    this.maxMatches = options.maxMatches || 10;
+  }
+
+  /**
+   * Run a tool against the page
+   * @param {string} name - Tool name
+   * @param {Object} [args] - Parsed tool arguments
+   * @returns {Object} JSON-serializable result
+   * @throws {ValidationError} If the tool is unknown
+   */
+  execute(name, args = {}) {
+    switch (name) {
+      case 'get_page_section':
+        return this.getPageSection(args.heading);
+      case 'find_in_page':
+        return this.findInPage(args.text);
+      case 'list_links':
+        return this.listLinks();
+      case 'get_table':
+        return this.getTable(args.index);
+      case 'get_selection':
+        return this.getSelection();
+      default:
+        throw new ValidationError(`Unknown tool: ${name}`, 'name', name);
+    }
+  }
+
+  /**
+   * Text under the best matching heading, up to the next heading of the same
+   * or a higher level
+   * @param {string} heading - Heading text to match
+   * @returns {Object} { found, heading, text } or { found, headings }
+   */
+  getPageSection(heading) {
+    const query = String(heading || '').toLowerCase().trim();
+    const headings = Array.from(this.document.querySelectorAll(HEADING_SELECTOR));
+    const headingText = el => this.analyzer.cleanText(el.textContent).toLowerCase();
+    const match = headings.find(el => headingText(el) === query) ||
+      headings.find(el => query && headingText(el).includes(query));
+
+    if (!match) {
+      return {
+        found: false,
+        headings: headings.map(el => this.analyzer.cleanText(el.textContent)).filter(Boolean)
+      };
+    }
+
+    const level = Number(match.tagName[1]);
+    const parts = [];
+
+    // Headings wrapped in their own container have no siblings of interest
+    let node = match;
+    const { body } = this.document;
+    while (!node.nextElementSibling && node.parentElement && node.parentElement !== body) {
+      node = node.parentElement;
+    }
+
+    for (let el = node.nextElementSibling; el; el = el.nextElementSibling) {
+      const nested = el.matches(HEADING_SELECTOR) ? el : el.querySelector(HEADING_SELECTOR);
+      if (nested && Number(nested.tagName[1]) <= level) {
+        break;
+      }
+      parts.push(this.analyzer.cleanText(el.textContent));
+    }
+
+    return {
+      found: true,
+      heading: this.analyzer.cleanText(match.textContent),
+      text: parts.filter(Boolean).join('\n\n')
+    };
+  }
+
+  /**
+   * Case-insensitive matches in the page text with surrounding context
+   * @param {string} text - Text to find
+   * @returns {Object} { total, matches }
+   */
+  findInPage(text) {
+    const query = String(text || '').toLowerCase().trim();
+    if (!query) {
+      throw new ValidationError('Search text is required', 'text', text);
+    }
+
+    const pageText = this.analyzer.cleanText(this.document.body?.textContent || '');
+    const haystack = pageText.toLowerCase();
+    const matches = [];
+    let total = 0;
+
+    let index = haystack.indexOf(query);
+    while (index !== -1) {
+      total++;
+      if (matches.length < this.maxMatches) {
+        const start = Math.max(0, index - 100);
+        const end = Math.min(pageText.length, index + query.length + 100);
+        matches.push(pageText.slice(start, end));
+      }
+      index = haystack.indexOf(query, index + 1);
+    }
+
+    return { total, matches };
+  }
+
+  /**
+   * Links on the page
+   * @returns {Object} { links }
+   */
+  listLinks() {
+    const links = this.analyzer.extractImportantLinks(this.document);
+    return { links: links.map(({ text, href }) => ({ text, href })) };
+  }
+
+  /**
+   * Rows of one table
+   * @param {number} index - Zero-based table index
+   * @returns {Object} { index, caption, rows } or { found, tableCount }
+   */
+  getTable(index = 0) {
+    const tables = this.document.querySelectorAll('table');
+    const table = tables[Number(index)];
+
+    if (!table) {
+      return { found: false, tableCount: tables.length };
+    }
+
+    return {
+      index: Number(index),
+      caption: this.analyzer.cleanText(table.caption?.textContent || ''),
+      rows: this.analyzer.extractTableData(table)
+    };
+  }
+
+  /**
+   * The user's current selection
+   * @returns {Object} { text, before, after }
+   */
+  getSelection() {
+    const selection = this.document.defaultView?.getSelection();
+    if (!selection || selection.rangeCount === 0 || !selection.toString().trim()) {
+      return { text: '', note: 'Nothing is selected' };
+    }
+
+    const { before, after } = this.extractor.getSelectionContext(selection);
+    return { text: selection.toString().trim(), before, after };
+  }
+}
+
+/**
+ * Tool call as shown in the message list, e.g. find_in_page("price")
+ * @param {string} name - Tool name
+ * @param {Object} [args] - Parsed arguments
+ * @returns {string} Call label
+ */
+export function formatToolCall(name, args = {}) {
+  return `${name}(${Object.values(args || {}).map(value => JSON.stringify(value)).join(', ')})`;
+}
+
+/**
+ * One-line description of a tool result for the message list
+ * @param {string} name - Tool name
+ * @param {Object} result - Tool result
+ * @returns {string} Summary
+ */
+export function summarizeToolResult(name, result = {}) {
+  if (result.error) {
+    return `failed: ${result.error}`;
+  }
+
+  switch (name) {
+    case 'get_page_section':
+      return result.found ? `read "${result.heading}"` : 'no matching heading';
+    case 'find_in_page':
+      return `${result.total} ${result.total === 1 ? 'match' : 'matches'}`;
+    case 'list_links':
+      return `${result.links?.length || 0} links`;
+    case 'get_table':
+      return result.rows ? `${result.rows.length} rows` : 'no such table';
+    case 'get_selection':
+      return result.text ? `${result.text.length} characters selected` : 'nothing selected';
+    default:
+      return 'done';
+  }
+}
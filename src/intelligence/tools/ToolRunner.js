@@ -0,0 +1,205 @@
+/**
+ * ToolRunner - Runs the tool-calling loop around chat requests
+ * Sends the request with tool definitions, runs the tools the model asks
+ * for, feeds their results back and repeats until the model answers.
+ */
+
+import { summarizeToolResult } from './PageTools.js';
+import { getConfig } from '../../config/index.js';
+
+export class ToolRunner {
+  /**
+   * @param {Object} options - Runner options
+   * @param {Object} options.client - API client with chat() and stream()
+   * @param {Function} options.execute - Runs a tool: (name, args) => Promise<Object>
+   * @param {number} [options.maxRounds] - Tool rounds before the model must answer
+   * @param {number} [options.maxResultLength] - Characters of each result sent back
+   */
+  constructor(options = {}) {
+    this.client = options.client;
+    this.execute = options.execute;
+    this.maxRounds = options.maxRounds ?? getConfig('tools.maxRounds', 4);
+    this.maxResultLength = options.maxResultLength ?? getConfig('tools.maxResultLength', 4000);
+  }
+
+  /**
+   * Stream a chat request, running tool calls between rounds
+   * Yields the client's chunks plus `tool_call` and `tool_result` chunks. The
+   * final `done` chunk carries the usage and cost of every round and the
+   * `toolCalls` that were made.
+   * @param {Object} params - APIClient parameters, including `tools`
+   * @returns {AsyncGenerator} Stream chunks
+   */
+  async *stream(params) {
+    const totals = createTotals();
+    let { messages } = params;
+    let content = '';
+
+    for (let round = 0; ; round++) {
+      let done = null;
+
+      for await (const chunk of this.client.stream(this.buildRequest(params, messages, round))) {
+        if (chunk.type === 'done') {
+          done = chunk;
+        } else {
+          yield chunk;
+        }
+        if (chunk.type === 'cancelled') {
+          return;
+        }
+      }
+
+      if (!done) {
+        return;
+      }
+
+      addUsage(totals, done);
+      content += done.content || '';
+
+      if (!done.toolCalls?.length || round >= this.maxRounds) {
+        yield {
+          ...done,
+          content,
+          usage: totals.usage,
+          cost: totals.cost,
+          toolCalls: totals.calls,
+          fromCache: Boolean(done.fromCache) && totals.calls.length === 0
+        };
+        return;
+      }
+
+      messages = [...messages, toAssistantMessage(done.content, done.toolCalls)];
+      for (const call of done.toolCalls) {
+        const { name } = call.function;
+        const args = parseArguments(call.function.arguments);
+        yield { type: 'tool_call', id: call.id, name, arguments: args };
+
+        const { entry, result, message } = await this.runToolCall(call.id, name, args);
+        yield { type: 'tool_result', ...entry, result };
+        totals.calls.push(entry);
+        messages.push(message);
+      }
+    }
+  }
+
+  /**
+   * Send a chat request, running tool calls between rounds
+   * @param {Object} params - APIClient parameters, including `tools`
+   * @returns {Promise<Object>} Final response with combined usage and cost and `toolCalls`
+   */
+  async chat(params) {
+    const totals = createTotals();
+    let { messages } = params;
+
+    for (let round = 0; ; round++) {
+      const response = await this.client.chat(this.buildRequest(params, messages, round));
+      const message = response.choices?.[0]?.message;
+      addUsage(totals, response);
+
+      if (!message?.tool_calls?.length || round >= this.maxRounds) {
+        return {
+          ...response,
+          usage: totals.usage,
+          cost: totals.cost,
+          toolCalls: totals.calls,
+          fromCache: Boolean(response.fromCache) && totals.calls.length === 0
+        };
+      }
+
+      messages = [...messages, toAssistantMessage(message.content, message.tool_calls)];
+      for (const call of message.tool_calls) {
+        const { name } = call.function;
+        const { entry, message: toolMessage } = await this.runToolCall(
+          call.id,
+          name,
+          parseArguments(call.function.arguments)
+        );
+        totals.calls.push(entry);
+        messages.push(toolMessage);
+      }
+    }
+  }
+
+  /**
+   * Request for one round; tools are withheld from the last round so the
+   * model has to answer with what it has
+   * @private
+   */
+  buildRequest(params, messages, round) {
+    const { tools, ...rest } = params;
+    return round < this.maxRounds && tools?.length ?
+      { ...rest, messages, tools } :
+      { ...rest, messages };
+  }
+
+  /**
+   * Run one tool call; failures are reported back to the model as results
+   * @private
+   * @param {string} id - Tool call ID
+   * @param {string} name - Tool name
+   * @param {Object} args - Parsed arguments
+   * @returns {Promise<Object>} { entry, result, message }
+   */
+  async runToolCall(id, name, args) {
+    let result;
+    try {
+      result = await this.execute(name, args);
+    } catch (error) {
+      result = { error: error.message || 'Tool failed' };
+    }
+
+    let text = JSON.stringify(result ?? null);
+    if (text.length > this.maxResultLength) {
+      text = `${text.slice(0, this.maxResultLength)}… (truncated)`;
+    }
+
+    return {
+      entry: {
+        id,
+        name,
+        arguments: args,
+        summary: summarizeToolResult(name, result || {}),
+        error: result?.error || null
+      },
+      result,
+      message: { role: 'tool', tool_call_id: id, content: text }
+    };
+  }
+}
+
+function createTotals() {
+  return {
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    cost: 0,
+    calls: []
+  };
+}
+
+function toAssistantMessage(content, toolCalls) {
+  return { role: 'assistant', content: content || '', tool_calls: toolCalls };
+}
+
+// Cached rounds cost nothing and were already recorded
+function addUsage(totals, response) {
+  if (response.fromCache) {
+    return;
+  }
+
+  const usage = response.usage || {};
+  totals.usage.prompt_tokens += usage.prompt_tokens || 0;
+  totals.usage.completion_tokens += usage.completion_tokens || 0;
+  totals.usage.total_tokens += usage.total_tokens || 0;
+  totals.cost += response.cost || 0;
+}
+
+function parseArguments(args) {
+  if (typeof args !== 'string') {
+    return args || {};
+  }
+
+  try {
+    return JSON.parse(args || '{}');
+  } catch (error) {
+    return {};
+  }
+}
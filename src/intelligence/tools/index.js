@@ -0,0 +1,11 @@
+/**
+ * Tool calling module exports
+ */
+
+export {
+  PageTools,
+  PAGE_TOOL_DEFINITIONS,
+  formatToolCall,
+  summarizeToolResult
+} from './PageTools.js';
+export { ToolRunner } from './ToolRunner.js';
@@ -0,0 +1,506 @@
+/**
+ * Content Encryption Module
+ * Optional at-rest encryption of conversation titles, history summaries and
+ * message bodies.
+ * A passphrase is stretched with PBKDF2 into an AES-GCM key for content and
+ * an HMAC key for search terms. Only a salt and an encrypted check value are
+ * stored; the derived keys live in memory, and in session storage where the
+ * browser has it, so one unlock lasts until the browser closes.
+ */
+
+import { SecurityError, ValidationError } from '../errors/index.js';
+import { getConfig } from '../config/index.js';
+
+// Encrypted values are strings with this prefix, followed by base64 IV + ciphertext
+const PREFIX = 'enc:v1:';
+
+const STORAGE_KEY = 'contentEncryption';
+const SESSION_KEY = 'contentEncryptionSession';
+
+// Encrypted under the derived key so a wrong passphrase is caught on unlock
+const CHECK_VALUE = 'deepweb-content-encryption';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Message fields holding content, on the message and on each of its versions
+const MESSAGE_FIELDS = ['content', 'reasoning'];
+
+// Message fields holding structured answers and tool arguments, encrypted as JSON
+const MESSAGE_JSON_FIELDS = ['structured', 'toolCalls'];
+
+// Conversation fields holding content; the rolling history summary keeps its
+// text in `summary.content`
+const CONVERSATION_FIELDS = ['title'];
+const SUMMARY_FIELDS = ['content'];
+
+/**
+ * Whether a stored value was encrypted by ContentEncryption
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+export class ContentEncryption {
+  /**
+   * @param {Object} [options] - Encryption options
+   * @param {Object} [options.storage] - Where the salt and check value are kept
+   * @param {Object} [options.sessionStorage] - Where derived keys survive a
+   *   background page reload; memory only when missing
+   * @param {number} [options.iterations] - PBKDF2 iterations for new passphrases
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || browser.storage.local;
+    this.sessionStorage = typeof options.sessionStorage !== 'undefined' ?
+      options.sessionStorage :
+      browser.storage.session || null;
+    this.iterations = options.iterations ?? getConfig('storage.encryption.iterations', 310000);
+    this.settings = null;
+    this.keys = null;
+    this.ready = null;
+  }
+
+  /**
+   * Load the stored settings and any keys unlocked earlier in this session
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    if (!this.ready) {
+      this.ready = this.load().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Whether content is encrypted at rest
+   * @returns {boolean}
+   */
+  get enabled() {
+    return Boolean(this.settings);
+  }
+
+  /**
+   * Whether content can be read and written
+   * @returns {boolean}
+   */
+  isUnlocked() {
+    return Boolean(this.keys);
+  }
+
+  /**
+   * Turn encryption on with a new passphrase
+   * Content saved before stays readable; the caller re-saves it encrypted.
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If encryption is on or the passphrase is too short
+   */
+  async enable(passphrase) {
+    await this.initialize();
+    if (this.enabled) {
+      throw new ValidationError('Encryption is already enabled', 'encryption', true);
+    }
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new ValidationError(
+        `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`,
+        'passphrase'
+      );
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const bits = await deriveBits(passphrase, salt, this.iterations);
+    this.keys = await importKeys(bits);
+
+    const settings = {
+      salt: toBase64(salt),
+      iterations: this.iterations,
+      check: await this.encryptText(CHECK_VALUE),
+      createdAt: Date.now()
+    };
+    await this.storage.set({ [STORAGE_KEY]: settings });
+    this.settings = settings;
+    await this.saveSession(bits);
+  }
+
+  /**
+   * Unlock with the passphrase for the rest of the session
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<void>}
+   * @throws {SecurityError} If the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    await this.initialize();
+    if (!this.enabled) {
+      throw new ValidationError('Encryption is not enabled', 'encryption', false);
+    }
+
+    const bits = await deriveBits(
+      String(passphrase ?? ''),
+      fromBase64(this.settings.salt),
+      this.settings.iterations
+    );
+    const keys = await importKeys(bits);
+    if (await decryptWith(keys.cipher, this.settings.check).catch(() => null) !== CHECK_VALUE) {
+      throw new SecurityError('Wrong passphrase', 'WRONG_PASSPHRASE', 'unlock');
+    }
+
+    this.keys = keys;
+    await this.saveSession(bits);
+  }
+
+  /**
+   * Forget the keys until the next unlock
+   * @returns {Promise<void>}
+   */
+  async lock() {
+    this.keys = null;
+    if (this.sessionStorage) {
+      await this.sessionStorage.remove(SESSION_KEY);
+    }
+  }
+
+  /**
+   * Turn encryption off
+   * The caller decrypts stored content first, while still unlocked.
+   * @param {string} passphrase - Passphrase, confirmed before anything changes
+   * @returns {Promise<void>}
+   */
+  async disable(passphrase) {
+    await this.unlock(passphrase);
+    await this.storage.remove(STORAGE_KEY);
+    this.settings = null;
+    await this.lock();
+  }
+
+  /**
+   * Encrypt a text
+   * @param {string} text - Plain text
+   * @returns {Promise<string>} Encrypted value
+   * @throws {SecurityError} If locked
+   */
+  async encryptText(text) {
+    const key = this.requireKeys().cipher;
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(text)
+    );
+
+    const combined = new Uint8Array(iv.length + encrypted.byteLength);
+    combined.set(iv, 0);
+    combined.set(new Uint8Array(encrypted), iv.length);
+    return PREFIX + toBase64(combined);
+  }
+
+  /**
+   * Decrypt a value; anything that was not encrypted is returned as is
+   * @param {*} value - Stored value
+   * @returns {Promise<*>} Plain value
+   * @throws {SecurityError} If locked and the value is encrypted
+   */
+  decryptText(value) {
+    if (!isEncrypted(value)) {
+      return Promise.resolve(value);
+    }
+    return Promise.resolve().then(() => decryptWith(this.requireKeys().cipher, value));
+  }
+
+  /**
+   * Keyed hash of a search term, so the index can be searched without
+   * storing the words of encrypted messages
+   * @param {string} term - Analyzed term
+   * @returns {Promise<string>} Hash
+   * @throws {SecurityError} If locked
+   */
+  async hashTerm(term) {
+    const signature = await crypto.subtle.sign(
+      'HMAC',
+      this.requireKeys().hmac,
+      new TextEncoder().encode(term)
+    );
+    return toBase64(new Uint8Array(signature).slice(0, 16));
+  }
+
+  /**
+   * Record as stored: the given text fields are encrypted when encryption is on
+   * @param {Object} record - Record
+   * @param {Array<string>} fields - Fields to encrypt
+   * @returns {Promise<Object>} Record to store
+   */
+  encryptFields(record, fields) {
+    return this.enabled ?
+      this.mapFields(record, fields, this.encryptField) :
+      Promise.resolve(record);
+  }
+
+  /**
+   * Record as read back
+   * @param {Object} record - Stored record
+   * @param {Array<string>} fields - Fields that may be encrypted
+   * @returns {Promise<Object>} Record with readable fields
+   */
+  decryptFields(record, fields) {
+    return this.mapFields(record, fields, this.decryptText);
+  }
+
+  /**
+   * Conversation as stored: the title and the history summary are encrypted
+   * when encryption is on
+   * @param {Object} conversation - Conversation
+   * @returns {Promise<Object>} Conversation to store
+   */
+  encryptConversation(conversation) {
+    return this.enabled ?
+      this.mapConversation(conversation, this.encryptField) :
+      Promise.resolve(conversation);
+  }
+
+  /**
+   * Conversation as read back
+   * @param {Object} conversation - Stored conversation
+   * @returns {Promise<Object>} Conversation with a readable title and summary
+   */
+  decryptConversation(conversation) {
+    return this.mapConversation(conversation, this.decryptText);
+  }
+
+  /**
+   * Message as stored: content, reasoning, structured answer and tool calls,
+   * of every version too, are encrypted when encryption is on
+   * @param {Object} message - Message
+   * @returns {Promise<Object>} Message to store
+   */
+  encryptMessage(message) {
+    return this.enabled ?
+      this.mapMessage(message, this.encryptField, this.encryptJSON) :
+      Promise.resolve(message);
+  }
+
+  /**
+   * Message as read back
+   * @param {Object} message - Stored message
+   * @returns {Promise<Object>} Message with readable content
+   */
+  decryptMessage(message) {
+    return this.mapMessage(message, this.decryptText, this.decryptJSON);
+  }
+
+  /**
+   * Trash entry as stored: its label and its copies of the conversation and
+   * messages are encrypted when encryption is on
+   * @param {Object} entry - Trash entry
+   * @returns {Promise<Object>} Entry to store
+   */
+  encryptTrashEntry(entry) {
+    return this.mapTrashEntry(entry, 'encryptFields', 'encryptConversation', 'encryptMessage');
+  }
+
+  /**
+   * Trash entry as read back
+   * @param {Object} entry - Stored trash entry
+   * @returns {Promise<Object>} Entry with readable content
+   */
+  decryptTrashEntry(entry) {
+    return this.mapTrashEntry(entry, 'decryptFields', 'decryptConversation', 'decryptMessage');
+  }
+
+  /**
+   * Encoders and decoders for the IndexedDB stores holding content, for
+   * Database.setCodecs; they follow `enabled`, so they can stay attached
+   * @returns {Object} { encode, decode } by store name
+   */
+  getStoreCodecs() {
+    return {
+      conversations: {
+        encode: conversation => this.encryptConversation(conversation),
+        decode: conversation => this.decryptConversation(conversation)
+      },
+      messages: {
+        encode: message => this.encryptMessage(message),
+        decode: message => this.decryptMessage(message)
+      },
+      trash: {
+        encode: entry => this.encryptTrashEntry(entry),
+        decode: entry => this.decryptTrashEntry(entry)
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  async load() {
+    const stored = await this.storage.get(STORAGE_KEY);
+    this.settings = stored?.[STORAGE_KEY] || null;
+    if (!this.settings || !this.sessionStorage) {
+      return;
+    }
+
+    const session = await this.sessionStorage.get(SESSION_KEY);
+    if (session?.[SESSION_KEY]) {
+      this.keys = await importKeys(fromBase64(session[SESSION_KEY]));
+    }
+  }
+
+  /**
+   * @private
+   */
+  async saveSession(bits) {
+    if (this.sessionStorage) {
+      await this.sessionStorage.set({ [SESSION_KEY]: toBase64(new Uint8Array(bits)) });
+    }
+  }
+
+  /**
+   * @private
+   */
+  requireKeys() {
+    if (!this.keys) {
+      throw new SecurityError(
+        'Conversations are locked. Enter your passphrase to unlock them.',
+        'CONTENT_LOCKED',
+        'read'
+      );
+    }
+    return this.keys;
+  }
+
+  /**
+   * @private
+   */
+  encryptField(value) {
+    // Values that are already encrypted, empty or not text are stored as they are
+    if (typeof value !== 'string' || !value || isEncrypted(value)) {
+      return Promise.resolve(value);
+    }
+    return this.encryptText(value);
+  }
+
+  /**
+   * @private
+   */
+  async mapConversation(conversation, transform) {
+    const result = await this.mapFields(conversation, CONVERSATION_FIELDS, transform);
+    if (result?.summary) {
+      result.summary = await this.mapFields(result.summary, SUMMARY_FIELDS, transform);
+    }
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  async mapTrashEntry(entry, convertLabel, convertConversation, convertMessage) {
+    return {
+      ...(await this[convertLabel](entry, ['label'])),
+      conversation: entry.conversation && await this[convertConversation](entry.conversation),
+      messages: await Promise.all((entry.messages || []).map(m => this[convertMessage](m)))
+    };
+  }
+
+  /**
+   * @private
+   */
+  encryptJSON(value) {
+    if (value === null || typeof value === 'undefined' || isEncrypted(value)) {
+      return Promise.resolve(value);
+    }
+    return this.encryptText(JSON.stringify(value));
+  }
+
+  /**
+   * @private
+   */
+  async decryptJSON(value) {
+    return isEncrypted(value) ? JSON.parse(await this.decryptText(value)) : value;
+  }
+
+  /**
+   * @private
+   */
+  async mapMessage(message, transform, transformJSON) {
+    const mapVersion = async version => this.mapFields(
+      await this.mapFields(version, MESSAGE_FIELDS, transform),
+      MESSAGE_JSON_FIELDS,
+      transformJSON
+    );
+
+    const result = await mapVersion(message);
+    if (Array.isArray(message?.versions)) {
+      result.versions = await Promise.all(message.versions.map(mapVersion));
+    }
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  async mapFields(record, fields, transform) {
+    if (!record) {
+      return record;
+    }
+    const result = { ...record };
+    for (const field of fields) {
+      if (field in result) {
+        result[field] = await transform.call(this, result[field]);
+      }
+    }
+    return result;
+  }
+}
+
+// 512 bits: the first half keys AES-GCM, the second half the term HMAC
+async function deriveBits(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    { name: 'PBKDF2' },
+    false,
+    ['deriveBits']
+  );
+  return crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    512
+  );
+}
+
+async function importKeys(bits) {
+  const bytes = new Uint8Array(bits);
+  const [cipher, hmac] = await Promise.all([
+    crypto.subtle.importKey('raw', bytes.slice(0, 32), { name: 'AES-GCM' }, false, [
+      'encrypt',
+      'decrypt'
+    ]),
+    crypto.subtle.importKey('raw', bytes.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, [
+      'sign'
+    ])
+  ]);
+  return { cipher, hmac };
+}
+
+async function decryptWith(key, value) {
+  const combined = fromBase64(value.slice(PREFIX.length));
+  const decrypted = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: combined.slice(0, 12) },
+    key,
+    combined.slice(12)
+  );
+  return new TextDecoder().decode(decrypted);
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
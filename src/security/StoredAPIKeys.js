@@ -0,0 +1,96 @@
+/**
+ * Stored API Keys
+ * Reads the API keys the settings popup saves: AES-GCM encrypted in local
+ * storage under `encrypted_api_key_<provider>`, with a key derived from the
+ * per-install salt in `api_key_salt`. Keys saved in sync storage by the older
+ * popup are still read when no encrypted key exists for a provider.
+ */
+
+const STORAGE_PREFIX = 'encrypted_api_key_';
+const SALT_KEY = 'api_key_salt';
+
+// Key material the popup derives its AES key from, with the install salt
+const KEY_MATERIAL = 'deepweb-extension-key';
+
+export class StoredAPIKeys {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {Object} [options.storage] - Where encrypted keys and the salt are kept
+   * @param {Object} [options.legacyStorage] - Where the older popup kept plain keys
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || browser.storage.local;
+    this.legacyStorage = options.legacyStorage || browser.storage.sync;
+  }
+
+  /**
+   * API key of one provider
+   * @param {string} provider - Provider name
+   * @returns {Promise<string|undefined>} Key, or undefined when none is saved
+   */
+  async get(provider) {
+    const keys = await this.getAll([provider]);
+    return keys[provider];
+  }
+
+  /**
+   * API keys of several providers
+   * @param {Array<string>} providers - Provider names
+   * @returns {Promise<Object>} Keys by provider name, for providers that have one
+   */
+  async getAll(providers) {
+    const { apiKeys: legacy = {} } = await this.legacyStorage.get(['apiKeys']);
+    const stored = await this.storage.get([
+      SALT_KEY,
+      ...providers.map(provider => STORAGE_PREFIX + provider)
+    ]);
+
+    const keys = {};
+    for (const provider of providers) {
+      const encrypted = stored[STORAGE_PREFIX + provider];
+      const key = encrypted && stored[SALT_KEY] ?
+        await this.decrypt(encrypted, stored[SALT_KEY]) :
+        null;
+
+      if (key || legacy[provider]) {
+        keys[provider] = key || legacy[provider];
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Decrypt a key saved by the popup
+   * @private
+   * @param {Object} encrypted - { encrypted, iv } as byte arrays
+   * @param {Array<number>} salt - Install salt
+   * @returns {Promise<string|null>} Key, or null when it cannot be decrypted
+   */
+  async decrypt({ encrypted, iv }, salt) {
+    try {
+      const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(KEY_MATERIAL),
+        { name: 'PBKDF2' },
+        false,
+        ['deriveKey']
+      );
+      const key = await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: new Uint8Array(salt), iterations: 100000, hash: 'SHA-256' },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['decrypt']
+      );
+      const decrypted = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: new Uint8Array(iv) },
+        key,
+        new Uint8Array(encrypted)
+      );
+      return new TextDecoder().decode(decrypted);
+    } catch (error) {
+      console.error('[StoredAPIKeys] Failed to decrypt API key:', error);
+      return null;
+    }
+  }
+}
@@ -6,5 +6,7 @@
 export { DOMSecurity } from './DOMSecurity.js';
 export { SecureMarkdownRenderer } from './SecureMarkdownRenderer.js';
 export { APIKeySecurity } from './APIKeySecurity.js';
+export { StoredAPIKeys } from './StoredAPIKeys.js';
+export { ContentEncryption, isEncrypted } from './ContentEncryption.js';
 export { CSPConfig } from './CSPConfig.js';
 export { SecurityManager } from './SecurityManager.js';
\ No newline at end of file
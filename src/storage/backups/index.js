@@ -0,0 +1,17 @@
+/**
+ * Backups Module
+ * Scheduled restore points of conversations, templates, themes and settings
+ */
+
+export {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  SETTINGS_KEYS,
+  createSnapshot,
+  summarizeSnapshot,
+  isBackupDue,
+  selectExpiredBackups,
+  toImportData,
+  encodeSnapshot,
+  decodeSnapshot
+} from './snapshots.js';
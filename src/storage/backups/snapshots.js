@@ -0,0 +1,191 @@
+/**
+ * Backup Snapshots
+ * A restore point holds everything needed to rebuild the extension's data:
+ * conversations with their messages, custom templates, themes, folders,
+ * smart filters, review schedules and the configuration. Records are kept as
+ * stored, so content that was encrypted stays encrypted inside the backup.
+ * Snapshots are gzipped where the browser can compress, and rotated so only
+ * the newest `storage.backup.retentionCount` are kept.
+ */
+
+import { ValidationError } from '../../errors/index.js';
+
+export const BACKUP_FORMAT = 'deepweb-backup';
+export const BACKUP_VERSION = 1;
+
+// Storage keys backed up besides conversations, messages and config
+export const SETTINGS_KEYS = [
+  'customTemplates',
+  'templateUsage',
+  'recentTemplates',
+  'deepweb-theme',
+  'deepweb-custom-themes',
+  'conversationFolders',
+  'smartFilters',
+  'flashcardReviews'
+];
+
+const SCHEDULE_INTERVALS = {
+  daily: 86400000,
+  weekly: 7 * 86400000
+};
+
+/**
+ * Build a snapshot
+ * @param {Object} data - What to back up
+ * @param {Array} data.conversations - Conversations as stored
+ * @param {Object} data.messages - Stored messages by conversation ID
+ * @param {Object} [data.settings] - Values of SETTINGS_KEYS that are set
+ * @param {Object} [data.config] - Configuration export, { version, timestamp, config }
+ * @param {Object} [options] - Snapshot options
+ * @param {string} [options.reason] - 'scheduled', 'manual' or 'before-restore'
+ * @param {number} [options.now] - Snapshot time
+ * @returns {Object} Snapshot
+ */
+export function createSnapshot(data, options = {}) {
+  const { reason = 'manual', now = Date.now() } = options;
+  const conversations = data.conversations || [];
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    id: `backup_${now}_${Math.random().toString(36).substr(2, 9)}`,
+    createdAt: now,
+    reason,
+    conversations,
+    messages: Object.fromEntries(
+      conversations.map(conv => [conv.id, data.messages?.[conv.id] || []])
+    ),
+    settings: data.settings || {},
+    config: data.config || null
+  };
+}
+
+/**
+ * Restore point as listed, without the backed up data
+ * @param {Object} snapshot - Snapshot
+ * @returns {Object} { id, createdAt, reason, conversations, messages, templates, themes,
+ *   configVersion }
+ */
+export function summarizeSnapshot(snapshot) {
+  const { settings = {} } = snapshot;
+  return {
+    id: snapshot.id,
+    createdAt: snapshot.createdAt,
+    reason: snapshot.reason,
+    conversations: snapshot.conversations.length,
+    messages: Object.values(snapshot.messages).reduce((sum, list) => sum + list.length, 0),
+    templates: (settings.customTemplates || []).length,
+    themes: (settings['deepweb-custom-themes'] || []).length,
+    configVersion: snapshot.config?.version || null
+  };
+}
+
+/**
+ * Whether the schedule calls for a new backup
+ * @param {number|null} lastBackupAt - Time of the newest restore point
+ * @param {string} schedule - 'daily', 'weekly' or 'off'
+ * @param {number} [now] - Current time
+ * @returns {boolean}
+ */
+export function isBackupDue(lastBackupAt, schedule, now = Date.now()) {
+  const interval = SCHEDULE_INTERVALS[schedule];
+  if (!interval) {
+    return false;
+  }
+  return !lastBackupAt || now - lastBackupAt >= interval;
+}
+
+/**
+ * Restore points beyond the retention count, oldest last
+ * @param {Array} backups - Restore point summaries
+ * @param {number} retentionCount - Restore points to keep
+ * @returns {Array} Summaries to delete
+ */
+export function selectExpiredBackups(backups, retentionCount) {
+  return [...backups]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(Math.max(1, retentionCount));
+}
+
+/**
+ * Snapshot conversations in the shape the importer reads
+ * @param {Object} snapshot - Snapshot, with readable titles and messages
+ * @returns {Object} Import data, { version, exportedAt, conversations }
+ */
+export function toImportData(snapshot) {
+  return {
+    version: '2.0',
+    exportedAt: new Date(snapshot.createdAt).toISOString(),
+    conversations: snapshot.conversations.map(conv => ({
+      ...conv,
+      messages: snapshot.messages[conv.id] || []
+    }))
+  };
+}
+
+/**
+ * Serialize a snapshot for storage
+ * @param {Object} snapshot - Snapshot
+ * @returns {Promise<Object>} { encoding, data } with base64 data; 'gzip' when
+ *   the browser can compress, 'json' otherwise
+ */
+export async function encodeSnapshot(snapshot) {
+  const bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+  if (typeof CompressionStream === 'undefined') {
+    return { encoding: 'json', data: toBase64(bytes) };
+  }
+  return {
+    encoding: 'gzip',
+    data: toBase64(await pipe(bytes, new CompressionStream('gzip')))
+  };
+}
+
+/**
+ * Read a stored snapshot back
+ * @param {Object} record - Stored { encoding, data }
+ * @returns {Promise<Object>} Snapshot
+ * @throws {ValidationError} If the record is not a snapshot this version can read
+ */
+export async function decodeSnapshot(record) {
+  if (!record?.data || !['gzip', 'json'].includes(record.encoding)) {
+    throw new ValidationError('Backup is missing or damaged', 'backup', record?.encoding);
+  }
+
+  let bytes = fromBase64(record.data);
+  if (record.encoding === 'gzip') {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new ValidationError('This browser cannot read compressed backups', 'encoding');
+    }
+    bytes = await pipe(bytes, new DecompressionStream('gzip'));
+  }
+
+  const snapshot = JSON.parse(new TextDecoder().decode(bytes));
+  if (snapshot?.format !== BACKUP_FORMAT || snapshot.version > BACKUP_VERSION) {
+    throw new ValidationError('Not a backup this version can restore', 'format', snapshot?.version);
+  }
+  return snapshot;
+}
+
+async function pipe(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  // Chunks keep the argument list of fromCharCode short
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -0,0 +1,168 @@
+/**
+ * Response Cache
+ * Persists API responses in IndexedDB so they survive background page unloads
+ */
+
+import Database from '../database/Database.js';
+import { ValidationError, handleError } from '../../errors/index.js';
+import { getConfig } from '../../config/index.js';
+
+export default class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} [options.ttl] - Entry lifetime in milliseconds
+   * @param {number} [options.maxEntries] - Entries kept before the least recently used are evicted
+   */
+  constructor(options = {}) {
+    this.db = new Database();
+    this.storeName = 'responses';
+    this.ttl = options.ttl ?? getConfig('cache.ttl', 86400000);
+    this.maxEntries = options.maxEntries ?? getConfig('cache.maxEntries', 200);
+  }
+
+  /**
+   * Initialize the response cache
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      await this.db.initialize();
+      console.log('[ResponseCache] Initialized successfully');
+    } catch (error) {
+      handleError(error, { component: 'ResponseCache', method: 'initialize' });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a cached response
+   * Expired entries are deleted; hits refresh the entry's LRU position.
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Cached response
+   */
+  async get(key) {
+    await this.db.initialize();
+    const entry = await this.db.get(this.storeName, key);
+    if (!entry) {
+      return null;
+    }
+
+    if (this.isExpired(entry)) {
+      await this.db.delete(this.storeName, key);
+      return null;
+    }
+
+    await this.db.put(this.storeName, {
+      ...entry,
+      accessedAt: Date.now(),
+      hits: (entry.hits || 0) + 1
+    });
+    return entry.response;
+  }
+
+  /**
+   * Store a response and evict the least recently used entries over the limit
+   * @param {string} key - Cache key
+   * @param {Object} response - Chat completion response
+   * @returns {Promise<void>}
+   */
+  async set(key, response) {
+    if (!key || !response) {
+      throw new ValidationError('Cached responses require a key and a response');
+    }
+
+    const now = Date.now();
+    try {
+      await this.db.initialize();
+      await this.db.put(this.storeName, {
+        key,
+        response,
+        createdAt: now,
+        accessedAt: now,
+        hits: 0
+      });
+      await this.evict();
+    } catch (error) {
+      handleError(error, { component: 'ResponseCache', method: 'set' });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a cached response
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.db.initialize();
+    await this.db.delete(this.storeName, key);
+  }
+
+  /**
+   * Delete the least recently used entries beyond `maxEntries`
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async evict() {
+    const count = await this.db.count(this.storeName);
+    const excess = count - this.maxEntries;
+    if (excess <= 0) {
+      return 0;
+    }
+
+    const entries = await this.db.getAll(this.storeName, {
+      index: 'by_accessed',
+      limit: excess
+    });
+    await this.db.deleteMany(this.storeName, entries.map(entry => entry.key));
+    return entries.length;
+  }
+
+  /**
+   * Delete expired entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune() {
+    await this.db.initialize();
+    const entries = await this.db.getAll(this.storeName, {
+      index: 'by_created',
+      range: { end: Date.now() - this.ttl, endExclusive: true }
+    });
+
+    if (entries.length) {
+      await this.db.deleteMany(this.storeName, entries.map(entry => entry.key));
+    }
+    return entries.length;
+  }
+
+  /**
+   * Delete every cached response
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.db.initialize();
+    await this.db.clear(this.storeName);
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} { entries, maxEntries, ttl }
+   */
+  async getStats() {
+    await this.db.initialize();
+    return {
+      entries: await this.db.count(this.storeName),
+      maxEntries: this.maxEntries,
+      ttl: this.ttl
+    };
+  }
+
+  /**
+   * Check if a cache entry is expired
+   * @private
+   * @param {Object} entry - Stored entry
+   * @returns {boolean} Whether the entry is past its TTL
+   */
+  isExpired(entry) {
+    return Date.now() - entry.createdAt > this.ttl;
+  }
+}
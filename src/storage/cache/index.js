@@ -0,0 +1,7 @@
+/**
+ * Cache Module
+ * Persistent API response cache
+ */
+
+// Export main ResponseCache
+export { default as ResponseCache } from './ResponseCache.js';
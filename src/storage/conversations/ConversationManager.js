@@ -5,19 +5,32 @@
 
 import Database from '../database/Database.js';
 import { ValidationError, handleError } from '../../errors/index.js';
+import { getConfig } from '../../config/index.js';
+import TrashManager from '../trash/TrashManager.js';
+import { buildCleanupPreview, selectCleanupCandidates } from '../trash/retention.js';
+import {
+  normalizeTags,
+  countTags,
+  createFolder,
+  updateFolder,
+  removeFolder,
+  getFolderIds
+} from './organization.js';
+import { createSmartFilter, parseSmartFilter, matchesSmartFilter } from './smartFilters.js';
 
 export default class ConversationManager {
   constructor() {
     this.db = new Database();
     this.storeName = 'conversations';
     this.messagesStoreName = 'messages';
+    this.settingsStoreName = 'settings';
+    this.trash = new TrashManager();
     
     // Configuration
     this.config = {
       maxConversations: 1000,
       maxTitleLength: 200,
       defaultPageSize: 20,
-      archiveAfterDays: 30,
       cleanupBatchSize: 50
     };
     
@@ -40,6 +53,15 @@ export default class ConversationManager {
     }
   }
 
+  /**
+   * Keep titles, summaries, messages and trash entries encrypted at rest
+   * @param {ContentEncryption|null} encryption - Content encryption; null stores plain text
+   */
+  setEncryption(encryption) {
+    Database.setCodecs(encryption ? encryption.getStoreCodecs() : {});
+    this.cache.clear();
+  }
+
   /**
    * Create a new conversation
    * @param {Object} data - Conversation data
@@ -50,11 +72,8 @@ export default class ConversationManager {
       // Validate input
       this.validateConversationData(data);
       
-      // Check conversation limit
-      const count = await this.getCount();
-      if (count >= this.config.maxConversations) {
-        await this.cleanupOldConversations();
-      }
+      // Conversations over the limit are only cleaned up after the user
+      // reviews previewCleanup(), never as a side effect of creating one
       
       // Generate conversation object
       const conversation = {
@@ -65,10 +84,13 @@ export default class ConversationManager {
         messageCount: 0,
         lastMessage: null,
         archived: false,
+        parentConversationId: data.parentConversationId || null,
+        forkedFromMessageId: data.forkedFromMessageId || null,
+        folderId: data.folderId || null,
         metadata: {
           url: data.url || null,
           domain: data.url ? new URL(data.url).hostname : null,
-          tags: data.tags || [],
+          tags: normalizeTags(data.tags || []),
           ...data.metadata
         },
         state: {
@@ -135,6 +157,10 @@ export default class ConversationManager {
   /**
    * List conversations with pagination and sorting
    * @param {Object} options - Query options
+   * @param {string} [options.folderId] - Only conversations in this folder or its subfolders
+   * @param {string} [options.tag] - Only conversations with this tag
+   * @param {string} [options.filter] - Smart filter query,
+   *   e.g. `domain = github.com AND last 7 days`
    * @returns {Promise<Object>} Paginated results
    */
   async list(options = {}) {
@@ -145,8 +171,17 @@ export default class ConversationManager {
         sortBy = 'updatedAt',
         sortOrder = 'desc',
         archived = false,
-        search = null
+        search = null,
+        folderId = null,
+        tag = null,
+        filter = null
       } = options;
+
+      // Organization filters need the folder tree
+      const folders = folderId || filter ? await this.listFolders() : [];
+      const folderIds = folderId ? getFolderIds(folders, folderId) : null;
+      const smartFilter = filter ? parseSmartFilter(filter) : null;
+      const tagLower = tag ? tag.toLowerCase() : null;
       
       // Build query options
       const queryOptions = {
@@ -172,6 +207,17 @@ export default class ConversationManager {
                           conv.metadata.url.toLowerCase().includes(searchLower);
           if (!titleMatch && !urlMatch) return false;
         }
+
+        // Apply folder, tag and smart filters
+        if (folderIds && !folderIds.has(conv.folderId)) {
+          return false;
+        }
+        if (tagLower && !(conv.metadata.tags || []).some(t => t.toLowerCase() === tagLower)) {
+          return false;
+        }
+        if (smartFilter && !matchesSmartFilter(conv, smartFilter, { folders })) {
+          return false;
+        }
         
         return true;
       });
@@ -263,16 +309,31 @@ export default class ConversationManager {
 
   /**
    * Delete conversation and all associated messages
+   * They go to the trash, where restoreFromTrash() can bring them back until
+   * the retention period ends.
    * @param {string} id - Conversation ID
-   * @returns {Promise<void>}
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.permanent] - Skip the trash
+   * @returns {Promise<string|null>} Trash entry ID, or null when deleted permanently
    */
-  async delete(id) {
+  async delete(id, options = {}) {
     try {
       // Get conversation
       const conversation = await this.get(id);
       if (!conversation) {
         throw new ValidationError(`Conversation not found: ${id}`);
       }
+
+      // Keep a copy in the trash
+      let trashId = null;
+      if (!options.permanent) {
+        const entry = await this.trash.add({
+          kind: 'conversation',
+          conversation,
+          messages: await this.getConversationMessages(id)
+        });
+        trashId = entry.id;
+      }
       
       // Delete all associated messages
       await this.deleteConversationMessages(id);
@@ -284,6 +345,7 @@ export default class ConversationManager {
       this.cache.delete(id);
       
       console.log('[ConversationManager] Deleted conversation:', id);
+      return trashId;
       
     } catch (error) {
       handleError(error, { 
@@ -491,38 +553,43 @@ export default class ConversationManager {
     }
   }
 
+  /**
+   * What cleanupOldConversations() would do, to show before running it
+   * @returns {Promise<Object>} { toTrash, toPurge }: conversations it would move
+   *   to the trash and trash entries it would delete permanently
+   */
+  async previewCleanup() {
+    const [conversations, entries] = await Promise.all([
+      this.db.getAll(this.storeName),
+      this.trash.getAll()
+    ]);
+    return buildCleanupPreview(conversations, entries, this.getCleanupSettings());
+  }
+
   /**
    * Cleanup old conversations
-   * @returns {Promise<number>} Number of conversations cleaned up
+   * Inactive archived conversations, and the oldest ones beyond
+   * `storage.autoCleanup.maxConversations`, move to the trash; trash entries
+   * past their retention period are deleted permanently.
+   * @param {Object} [options] - Cleanup options
+   * @param {Array<string>} [options.ids] - Only clean up these previewed conversations
+   * @returns {Promise<Object>} { trashed, purged } counts
    */
-  async cleanupOldConversations() {
+  async cleanupOldConversations(options = {}) {
     try {
-      const cutoffDate = Date.now() - (this.config.archiveAfterDays * 24 * 60 * 60 * 1000);
       const conversations = await this.db.getAll(this.storeName);
+      const only = options.ids ? new Set(options.ids) : null;
+      const toDelete = selectCleanupCandidates(conversations, this.getCleanupSettings())
+        .map(candidate => candidate.conversation.id)
+        .filter(id => !only || only.has(id));
       
-      let cleaned = 0;
-      const toDelete = [];
-      
-      for (const conv of conversations) {
-        // Delete archived conversations older than cutoff
-        if (conv.archived && conv.updatedAt < cutoffDate) {
-          toDelete.push(conv.id);
-          cleaned++;
-          
-          if (toDelete.length >= this.config.cleanupBatchSize) {
-            await this.deleteBatch(toDelete);
-            toDelete.length = 0;
-          }
-        }
-      }
-      
-      // Delete remaining batch
-      if (toDelete.length > 0) {
-        await this.deleteBatch(toDelete);
+      for (let start = 0; start < toDelete.length; start += this.config.cleanupBatchSize) {
+        await this.deleteBatch(toDelete.slice(start, start + this.config.cleanupBatchSize));
       }
+      const purged = await this.trash.purgeExpired();
       
-      console.log('[ConversationManager] Cleaned up conversations:', cleaned);
-      return cleaned;
+      console.log('[ConversationManager] Cleaned up conversations:', toDelete.length);
+      return { trashed: toDelete.length, purged };
       
     } catch (error) {
       handleError(error, { 
@@ -533,6 +600,69 @@ export default class ConversationManager {
     }
   }
 
+  /**
+   * Deleted conversations and messages that can still be restored
+   * @returns {Promise<Array>} Entries as { id, kind, conversationId, label,
+   *   messageCount, deletedAt, expiresAt }, most recent first
+   */
+  listTrash() {
+    return this.trash.list();
+  }
+
+  /**
+   * Restore a deleted conversation or deleted messages
+   * @param {string} trashId - Trash entry ID
+   * @returns {Promise<Object>} The conversation the entry belongs to
+   */
+  async restoreFromTrash(trashId) {
+    try {
+      const entry = await this.trash.restore(trashId);
+      this.cache.delete(entry.conversationId);
+
+      if (entry.kind === 'messages') {
+        const messages = await this.getConversationMessages(entry.conversationId);
+        return await this.update(entry.conversationId, { messageCount: messages.length });
+      }
+      return await this.get(entry.conversationId);
+    } catch (error) {
+      handleError(error, {
+        component: 'ConversationManager',
+        method: 'restoreFromTrash',
+        trashId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete one trash entry
+   * @param {string} trashId - Trash entry ID
+   * @returns {Promise<void>}
+   */
+  async deleteFromTrash(trashId) {
+    await this.trash.remove(trashId);
+  }
+
+  /**
+   * Permanently delete everything in the trash
+   * @returns {Promise<number>} Entries deleted
+   */
+  emptyTrash() {
+    return this.trash.empty();
+  }
+
+  /**
+   * Auto-cleanup settings
+   * @private
+   * @returns {Object} { maxAge, maxConversations }
+   */
+  getCleanupSettings() {
+    return {
+      maxAge: getConfig('storage.autoCleanup.maxAge', 2592000000),
+      maxConversations: getConfig('storage.autoCleanup.maxConversations', 1000)
+    };
+  }
+
   /**
    * Export conversation
    * @param {string} id - Conversation ID
@@ -616,8 +746,229 @@ export default class ConversationManager {
     }
   }
 
+  /**
+   * Fork a conversation into a new thread
+   * Messages up to and including the given one are copied with new IDs; the
+   * fork links back to its parent so the list can show it as a branch.
+   * @param {string} id - Conversation ID
+   * @param {string} messageId - Last message to copy
+   * @returns {Promise<Object>} Forked conversation
+   */
+  async fork(id, messageId) {
+    try {
+      const parent = await this.get(id);
+      if (!parent) {
+        throw new ValidationError(`Conversation not found: ${id}`);
+      }
+
+      const messages = (await this.getConversationMessages(id))
+        .sort((a, b) => a.timestamp - b.timestamp);
+      const index = messages.findIndex(msg => msg.id === messageId);
+      if (index === -1) {
+        throw new ValidationError(`Message not found: ${messageId}`);
+      }
+
+      const conversation = await this.create({
+        title: `${parent.title} (fork)`.slice(0, this.config.maxTitleLength),
+        url: parent.metadata?.url,
+        metadata: parent.metadata,
+        folderId: parent.folderId,
+        parentConversationId: id,
+        forkedFromMessageId: messageId
+      });
+
+      const copied = messages.slice(0, index + 1).map(message => ({
+        ...message,
+        id: this.generateId().replace('conv_', 'msg_')
+      }));
+      for (const message of copied) {
+        await this.addMessage(conversation.id, message);
+      }
+
+      const last = copied[copied.length - 1];
+      return await this.update(conversation.id, {
+        messageCount: copied.length,
+        lastMessage: {
+          id: last.id,
+          role: last.role,
+          content: (last.content || '').substring(0, 100),
+          timestamp: last.timestamp
+        }
+      });
+    } catch (error) {
+      handleError(error, {
+        component: 'ConversationManager',
+        method: 'fork',
+        id,
+        messageId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the tags of a conversation
+   * @param {string} id - Conversation ID
+   * @param {Array<string>} tags - Tags; duplicates and blanks are dropped
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async setTags(id, tags) {
+    try {
+      return await this.update(id, { metadata: { tags: normalizeTags(tags) } });
+    } catch (error) {
+      handleError(error, { component: 'ConversationManager', method: 'setTags', id, tags });
+      throw error;
+    }
+  }
+
+  /**
+   * Every tag in use
+   * @returns {Promise<Array>} { tag, count }, most used first
+   */
+  async getAllTags() {
+    const conversations = await this.db.getAll(this.storeName);
+    return countTags(conversations);
+  }
+
+  /**
+   * Move a conversation into a folder
+   * @param {string} id - Conversation ID
+   * @param {string|null} folderId - Folder ID, or null for no folder
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async moveToFolder(id, folderId) {
+    try {
+      if (folderId && !(await this.listFolders()).some(folder => folder.id === folderId)) {
+        throw new ValidationError(`Folder not found: ${folderId}`);
+      }
+      return await this.update(id, { folderId: folderId || null });
+    } catch (error) {
+      handleError(error, {
+        component: 'ConversationManager',
+        method: 'moveToFolder',
+        id,
+        folderId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Every folder, as a flat list linked by `parentId`
+   * @returns {Promise<Array>} Folders
+   */
+  async listFolders() {
+    const record = await this.db.get(this.settingsStoreName, 'conversationFolders');
+    return record?.items || [];
+  }
+
+  /**
+   * Create a folder
+   * @param {Object} data - { name, parentId }
+   * @returns {Promise<Object>} Created folder
+   */
+  async createFolder(data) {
+    try {
+      const folders = await this.listFolders();
+      const folder = createFolder(folders, data);
+      await this.saveFolders([...folders, folder]);
+      return folder;
+    } catch (error) {
+      handleError(error, { component: 'ConversationManager', method: 'createFolder', data });
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a folder or move it under another folder
+   * @param {string} id - Folder ID
+   * @param {Object} updates - { name } and/or { parentId }
+   * @returns {Promise<Object>} Updated folder
+   */
+  async updateFolder(id, updates) {
+    try {
+      const folders = updateFolder(await this.listFolders(), id, updates);
+      await this.saveFolders(folders);
+      return folders.find(folder => folder.id === id);
+    } catch (error) {
+      handleError(error, { component: 'ConversationManager', method: 'updateFolder', id, updates });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a folder
+   * Its subfolders and conversations move up to its parent folder.
+   * @param {string} id - Folder ID
+   * @returns {Promise<void>}
+   */
+  async deleteFolder(id) {
+    try {
+      const { folders, parentId } = removeFolder(await this.listFolders(), id);
+      const conversations = await this.db.getAll(this.storeName);
+      for (const conversation of conversations.filter(conv => conv.folderId === id)) {
+        await this.update(conversation.id, { folderId: parentId });
+      }
+      await this.saveFolders(folders);
+    } catch (error) {
+      handleError(error, { component: 'ConversationManager', method: 'deleteFolder', id });
+      throw error;
+    }
+  }
+
+  /**
+   * Saved smart filters
+   * @returns {Promise<Array>} Filters as { id, name, query, createdAt }
+   */
+  async listSmartFilters() {
+    const record = await this.db.get(this.settingsStoreName, 'smartFilters');
+    return record?.items || [];
+  }
+
+  /**
+   * Save a smart filter, replacing the one with the same ID
+   * @param {Object} data - { name, query } and optionally { id }
+   * @returns {Promise<Object>} Saved filter
+   */
+  async saveSmartFilter(data) {
+    try {
+      const filter = createSmartFilter(data);
+      const filters = (await this.listSmartFilters()).filter(item => item.id !== filter.id);
+      await this.db.put(this.settingsStoreName, {
+        key: 'smartFilters',
+        items: [...filters, filter]
+      });
+      return filter;
+    } catch (error) {
+      handleError(error, { component: 'ConversationManager', method: 'saveSmartFilter', data });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a saved smart filter
+   * @param {string} id - Filter ID
+   * @returns {Promise<void>}
+   */
+  async deleteSmartFilter(id) {
+    const filters = await this.listSmartFilters();
+    await this.db.put(this.settingsStoreName, {
+      key: 'smartFilters',
+      items: filters.filter(filter => filter.id !== id)
+    });
+  }
+
   // Helper Methods
 
+  /**
+   * Save the folder list
+   * @private
+   * @param {Array} folders - Folders
+   */
+  async saveFolders(folders) {
+    await this.db.put(this.settingsStoreName, { key: 'conversationFolders', items: folders });
+  }
+
   /**
    * Generate unique ID
    * @private
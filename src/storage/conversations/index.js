@@ -6,6 +6,20 @@
 // Export main ConversationManager
 export { default as ConversationManager } from './ConversationManager.js';
 
+// Export tag, folder and smart filter helpers shared with the background store
+export {
+  normalizeTags,
+  getConversationTags,
+  countTags,
+  createFolder,
+  updateFolder,
+  removeFolder,
+  getFolderIds,
+  getFolderPath,
+  buildFolderTree
+} from './organization.js';
+export { parseSmartFilter, matchesSmartFilter, createSmartFilter } from './smartFilters.js';
+
 // Re-export commonly used methods from ConversationManager
 import ConversationManager from './ConversationManager.js';
 
@@ -0,0 +1,252 @@
+/**
+ * Conversation Organization
+ * Tags and nested folders. Folders are a flat list linked by `parentId`, and a
+ * conversation sits in at most one folder through its `folderId`. The helpers
+ * are pure so the IndexedDB manager and the background store share them.
+ */
+
+import { ValidationError } from '../../errors/index.js';
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS = 20;
+const MAX_FOLDER_NAME_LENGTH = 80;
+const MAX_FOLDER_DEPTH = 8;
+
+/**
+ * Clean up user-entered tags
+ * Tags are trimmed, inner whitespace is collapsed and duplicates are dropped
+ * regardless of case; the first spelling wins.
+ * @param {Array<string>} tags - Tags as entered
+ * @returns {Array<string>} Tags to store
+ * @throws {ValidationError} If a tag is too long or there are too many
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    throw new ValidationError('Tags must be an array', 'tags', tags);
+  }
+
+  const seen = new Set();
+  const result = [];
+  for (const tag of tags) {
+    const clean = String(tag ?? '').trim().replace(/^#+/, '').replace(/\s+/g, ' ').trim();
+    if (!clean || seen.has(clean.toLowerCase())) {
+      continue;
+    }
+    if (clean.length > MAX_TAG_LENGTH) {
+      throw new ValidationError(`Tag too long: ${clean.length} characters`, 'tags', clean);
+    }
+    seen.add(clean.toLowerCase());
+    result.push(clean);
+  }
+
+  if (result.length > MAX_TAGS) {
+    throw new ValidationError(`Too many tags: ${result.length}`, 'tags', result.length);
+  }
+  return result;
+}
+
+/**
+ * Tags of a conversation
+ * The IndexedDB manager keeps them in `metadata.tags`, the background store
+ * on the conversation itself.
+ * @param {Object} conversation - Conversation
+ * @returns {Array<string>} Tags
+ */
+export function getConversationTags(conversation) {
+  return conversation?.tags || conversation?.metadata?.tags || [];
+}
+
+/**
+ * Count how many conversations use each tag
+ * @param {Array} conversations - Conversations
+ * @returns {Array} { tag, count }, most used first
+ */
+export function countTags(conversations) {
+  const counts = new Map();
+  conversations.forEach(conversation => {
+    getConversationTags(conversation).forEach(tag => {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { tag, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    });
+  });
+
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Create a folder
+ * @param {Array} folders - Existing folders
+ * @param {Object} data - Folder data
+ * @param {string} data.name - Folder name
+ * @param {string} [data.parentId] - Parent folder; top level when omitted
+ * @returns {Object} New folder, to be appended to the list
+ * @throws {ValidationError} If the name is invalid or the parent is missing or too deep
+ */
+export function createFolder(folders, data = {}) {
+  const name = validateFolderName(data.name);
+  const parentId = data.parentId || null;
+  if (parentId) {
+    assertFolderExists(folders, parentId);
+    if (getFolderDepth(folders, parentId) + 1 >= MAX_FOLDER_DEPTH) {
+      throw new ValidationError('Folders are nested too deeply', 'parentId', parentId);
+    }
+  }
+
+  return {
+    id: `folder_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name,
+    parentId,
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Rename a folder or move it under another folder
+ * @param {Array} folders - Existing folders
+ * @param {string} id - Folder ID
+ * @param {Object} updates - { name } and/or { parentId }; a null parent moves it to the top
+ * @returns {Array} Updated folder list
+ * @throws {ValidationError} If the folder is missing, the name is invalid or the
+ *   move would put a folder inside itself
+ */
+export function updateFolder(folders, id, updates = {}) {
+  const folder = assertFolderExists(folders, id);
+  const changes = {};
+
+  if (typeof updates.name !== 'undefined') {
+    changes.name = validateFolderName(updates.name);
+  }
+
+  if (typeof updates.parentId !== 'undefined') {
+    const parentId = updates.parentId || null;
+    if (parentId) {
+      assertFolderExists(folders, parentId);
+      if (getFolderIds(folders, id).has(parentId)) {
+        throw new ValidationError('A folder cannot be moved into itself', 'parentId', parentId);
+      }
+      const height = getSubtreeHeight(folders, id);
+      if (getFolderDepth(folders, parentId) + 1 + height >= MAX_FOLDER_DEPTH) {
+        throw new ValidationError('Folders are nested too deeply', 'parentId', parentId);
+      }
+    }
+    changes.parentId = parentId;
+  }
+
+  return folders.map(item => (item.id === folder.id ? { ...item, ...changes } : item));
+}
+
+/**
+ * Remove a folder
+ * Its subfolders move up to its parent; the caller moves its conversations
+ * to the returned `parentId` the same way.
+ * @param {Array} folders - Existing folders
+ * @param {string} id - Folder ID
+ * @returns {Object} { folders, parentId }
+ * @throws {ValidationError} If the folder is missing
+ */
+export function removeFolder(folders, id) {
+  const folder = assertFolderExists(folders, id);
+
+  return {
+    folders: folders
+      .filter(item => item.id !== id)
+      .map(item => (item.parentId === id ? { ...item, parentId: folder.parentId } : item)),
+    parentId: folder.parentId
+  };
+}
+
+/**
+ * A folder and every folder nested in it
+ * @param {Array} folders - Folders
+ * @param {string} id - Folder ID
+ * @returns {Set<string>} Folder IDs
+ */
+export function getFolderIds(folders, id) {
+  const ids = new Set([id]);
+  const pending = [id];
+  while (pending.length) {
+    const parentId = pending.pop();
+    for (const folder of folders) {
+      if (folder.parentId === parentId && !ids.has(folder.id)) {
+        ids.add(folder.id);
+        pending.push(folder.id);
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * A folder and the folders above it
+ * @param {Array} folders - Folders
+ * @param {string} id - Folder ID
+ * @returns {Array} Folders from the top level down; empty if the folder is missing
+ */
+export function getFolderPath(folders, id) {
+  const byId = new Map(folders.map(folder => [folder.id, folder]));
+  const path = [];
+  let folder = byId.get(id);
+  while (folder && !path.includes(folder)) {
+    path.unshift(folder);
+    folder = byId.get(folder.parentId);
+  }
+  return path;
+}
+
+/**
+ * Order folders for display, each followed by its subfolders
+ * @param {Array} folders - Folders
+ * @returns {Array} Entries as { folder, depth }, sorted by name within a parent
+ */
+export function buildFolderTree(folders) {
+  const ids = new Set(folders.map(folder => folder.id));
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const entries = [];
+  const visit = (parentId, depth) => {
+    folders
+      .filter(folder => (folder.parentId && ids.has(folder.parentId) ?
+        folder.parentId :
+        null) === parentId)
+      .sort(byName)
+      .forEach(folder => {
+        entries.push({ folder, depth });
+        visit(folder.id, depth + 1);
+      });
+  };
+  visit(null, 0);
+  return entries;
+}
+
+function validateFolderName(name) {
+  const clean = String(name ?? '').replace(/\s+/g, ' ').trim();
+  if (!clean) {
+    throw new ValidationError('Folder name is required', 'name', name);
+  }
+  if (clean.length > MAX_FOLDER_NAME_LENGTH) {
+    throw new ValidationError(`Folder name too long: ${clean.length} characters`, 'name', clean);
+  }
+  return clean;
+}
+
+function assertFolderExists(folders, id) {
+  const folder = folders.find(item => item.id === id);
+  if (!folder) {
+    throw new ValidationError(`Folder not found: ${id}`, 'folderId', id);
+  }
+  return folder;
+}
+
+// Zero for a top-level folder
+function getFolderDepth(folders, id) {
+  return Math.max(0, getFolderPath(folders, id).length - 1);
+}
+
+// Zero for a folder without subfolders
+function getSubtreeHeight(folders, id) {
+  const children = folders.filter(folder => folder.parentId === id);
+  return children.length ?
+    1 + Math.max(...children.map(child => getSubtreeHeight(folders, child.id))) :
+    0;
+}
@@ -0,0 +1,217 @@
+/**
+ * Smart Filters
+ * Saved conversation queries such as
+ * `domain = github.com AND model = deepseek-coder AND last 7 days`.
+ * Conditions are joined with AND. Each is `<field> <operator> <value>` or
+ * `last <n> hours|days|weeks|months`; values with spaces go in double quotes.
+ *
+ * Fields: title, domain, url, model, tag, folder, archived, messages.
+ * Operators: `=` and `!=` compare whole values, `~` matches part of a value,
+ * and `>` and `<` compare message counts. Text never depends on case, and a
+ * domain also matches its subdomains.
+ */
+
+import { ValidationError } from '../../errors/index.js';
+import { getConversationTags, getFolderPath } from './organization.js';
+
+const TEXT_FIELDS = ['title', 'domain', 'url', 'model', 'tag', 'folder'];
+const TEXT_OPERATORS = ['=', '!=', '~'];
+const NUMBER_OPERATORS = ['=', '!=', '>', '<'];
+
+const CONDITION_PATTERN = /^([a-z]+)\s*(!=|=|~|>|<)\s*(.+)$/i;
+const RECENT_PATTERN = /^last\s+(\d+)\s+(hour|day|week|month)s?$/i;
+
+const UNIT_MS = {
+  hour: 3600000,
+  day: 86400000,
+  week: 7 * 86400000,
+  month: 30 * 86400000
+};
+
+/**
+ * Parse a smart filter query
+ * @param {string} query - Filter query
+ * @returns {Object} { conditions } where each condition is { field, operator, value }
+ * @throws {ValidationError} If a condition cannot be understood
+ */
+export function parseSmartFilter(query) {
+  const tokens = String(query ?? '').match(/"[^"]*"?|\S+/g) || [];
+  const clauses = [[]];
+  tokens.forEach(token => {
+    if (/^and$/i.test(token)) {
+      clauses.push([]);
+    } else {
+      clauses[clauses.length - 1].push(token);
+    }
+  });
+
+  const conditions = clauses.map(clause => parseCondition(clause.join(' ')));
+  if (!conditions.length || conditions.some(condition => !condition)) {
+    throw new ValidationError('Smart filter has an empty condition', 'query', query);
+  }
+  return { conditions };
+}
+
+/**
+ * Whether a conversation matches a smart filter
+ * @param {Object} conversation - Conversation
+ * @param {Object|string} filter - Parsed filter or query
+ * @param {Object} [context] - Matching context
+ * @param {Array} [context.folders] - Folders, for `folder` conditions
+ * @param {number} [context.now] - Current time, for `last` conditions
+ * @returns {boolean} Whether every condition holds
+ */
+export function matchesSmartFilter(conversation, filter, context = {}) {
+  const { conditions } = typeof filter === 'string' ? parseSmartFilter(filter) : filter;
+  const { folders = [], now = Date.now() } = context;
+
+  return conditions.every(condition => {
+    const { field, operator, value } = condition;
+
+    if (field === 'updated') {
+      return getActivityTime(conversation) >= now - value;
+    }
+    if (field === 'messages') {
+      return compare(conversation.messageCount || 0, operator, value);
+    }
+    if (field === 'archived') {
+      return Boolean(conversation.archived) === (operator === '=' ? value : !value);
+    }
+
+    const values = getFieldValues(conversation, field, folders);
+    if (operator === '!=') {
+      return !values.some(candidate => matchText(field, candidate, '=', value));
+    }
+    return values.some(candidate => matchText(field, candidate, operator, value));
+  });
+}
+
+/**
+ * Build a smart filter to save
+ * @param {Object} data - Filter data
+ * @param {string} data.name - Display name
+ * @param {string} data.query - Filter query
+ * @param {string} [data.id] - ID of the filter being replaced
+ * @returns {Object} { id, name, query, createdAt }
+ * @throws {ValidationError} If the name is missing or the query is invalid
+ */
+export function createSmartFilter(data = {}) {
+  const name = String(data.name ?? '').trim();
+  if (!name) {
+    throw new ValidationError('Smart filter name is required', 'name', data.name);
+  }
+  parseSmartFilter(data.query);
+
+  return {
+    id: data.id || `filter_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name,
+    query: String(data.query).trim(),
+    createdAt: data.createdAt || Date.now()
+  };
+}
+
+function parseCondition(text) {
+  if (!text) {
+    return null;
+  }
+
+  const recent = text.match(RECENT_PATTERN);
+  if (recent) {
+    return {
+      field: 'updated',
+      operator: '>',
+      value: Number(recent[1]) * UNIT_MS[recent[2].toLowerCase()]
+    };
+  }
+
+  const match = text.match(CONDITION_PATTERN);
+  if (!match) {
+    throw new ValidationError(`Smart filter condition not understood: ${text}`, 'query', text);
+  }
+
+  const field = match[1].toLowerCase();
+  const operator = match[2];
+  const value = match[3].trim().replace(/^"|"$/g, '').trim();
+
+  if (field === 'messages') {
+    const count = Number(value);
+    if (!NUMBER_OPERATORS.includes(operator) || !Number.isFinite(count)) {
+      throw new ValidationError(`Use a number with messages: ${text}`, 'query', text);
+    }
+    return { field, operator, value: count };
+  }
+
+  if (field === 'archived') {
+    if (!['=', '!='].includes(operator) || !/^(true|false|yes|no)$/i.test(value)) {
+      throw new ValidationError(`Use archived = true or false: ${text}`, 'query', text);
+    }
+    return { field, operator, value: /^(true|yes)$/i.test(value) };
+  }
+
+  if (!TEXT_FIELDS.includes(field)) {
+    throw new ValidationError(`Unknown smart filter field: ${field}`, 'query', text);
+  }
+  if (!TEXT_OPERATORS.includes(operator)) {
+    throw new ValidationError(`Operator ${operator} does not work with ${field}`, 'query', text);
+  }
+  return { field, operator, value: value.toLowerCase() };
+}
+
+function getFieldValues(conversation, field, folders) {
+  const url = conversation.url || conversation.metadata?.url || '';
+  switch (field) {
+    case 'title':
+      return [conversation.title || ''];
+    case 'url':
+      return [url];
+    case 'domain':
+      return [conversation.metadata?.domain || getHostname(url)];
+    case 'model':
+      return [conversation.model || conversation.metadata?.model || ''];
+    case 'tag':
+      return getConversationTags(conversation);
+    case 'folder':
+      // A conversation is in its folder and every folder above it
+      return getFolderPath(folders, conversation.folderId)
+        .flatMap(folder => [folder.id, folder.name]);
+    default:
+      return [];
+  }
+}
+
+function matchText(field, candidate, operator, value) {
+  const text = String(candidate || '').toLowerCase();
+  if (operator === '~') {
+    return text.includes(value);
+  }
+  if (field === 'domain') {
+    return text === value || text.endsWith(`.${value}`);
+  }
+  return text === value;
+}
+
+function compare(actual, operator, expected) {
+  switch (operator) {
+    case '>':
+      return actual > expected;
+    case '<':
+      return actual < expected;
+    case '!=':
+      return actual !== expected;
+    default:
+      return actual === expected;
+  }
+}
+
+function getActivityTime(conversation) {
+  const time = conversation.updatedAt || conversation.lastMessageAt || conversation.createdAt;
+  return typeof time === 'number' ? time : Date.parse(time) || 0;
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
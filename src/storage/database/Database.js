@@ -5,10 +5,14 @@
 
 import { ValidationError } from '../../errors/index.js';
 
+// Per-store { encode, decode } applied to records written and read, shared by
+// every Database instance (see Database.setCodecs)
+let codecs = {};
+
 export default class Database {
   constructor() {
     this.dbName = 'DeepWebDB';
-    this.version = 1;
+    this.version = 6;
     this.db = null;
     this.isInitialized = false;
     
@@ -35,6 +39,55 @@ export default class Database {
       settings: {
         name: 'settings',
         keyPath: 'key'
+      },
+      usage: {
+        name: 'usage',
+        keyPath: 'id',
+        indexes: [
+          { name: 'by_timestamp', keyPath: 'timestamp' },
+          { name: 'by_day', keyPath: 'day' },
+          { name: 'by_month', keyPath: 'month' },
+          { name: 'by_model', keyPath: 'model' },
+          { name: 'by_conversation', keyPath: 'conversationId' },
+          { name: 'by_domain', keyPath: 'domain' }
+        ]
+      },
+      responses: {
+        name: 'responses',
+        keyPath: 'key',
+        indexes: [
+          { name: 'by_accessed', keyPath: 'accessedAt' },
+          { name: 'by_created', keyPath: 'createdAt' }
+        ]
+      },
+      searchTerms: {
+        name: 'search_terms',
+        keyPath: 'id',
+        indexes: [
+          { name: 'by_message', keyPath: 'messageId' }
+        ]
+      },
+      searchDocuments: {
+        name: 'search_documents',
+        keyPath: 'id',
+        indexes: [
+          { name: 'by_conversation', keyPath: 'conversationId' }
+        ]
+      },
+      embeddings: {
+        name: 'embeddings',
+        keyPath: 'id',
+        indexes: [
+          { name: 'by_conversation', keyPath: 'conversationId' }
+        ]
+      },
+      trash: {
+        name: 'trash',
+        keyPath: 'id',
+        indexes: [
+          { name: 'by_conversation', keyPath: 'conversationId' },
+          { name: 'by_expires', keyPath: 'expiresAt' }
+        ]
       }
     };
   }
@@ -117,6 +170,46 @@ export default class Database {
         { keyPath: this.stores.settings.keyPath }
       );
     }
+
+    // Create usage ledger store (added in version 2)
+    if (!db.objectStoreNames.contains(this.stores.usage.name)) {
+      const usageStore = db.createObjectStore(
+        this.stores.usage.name,
+        { keyPath: this.stores.usage.keyPath }
+      );
+
+      this.stores.usage.indexes.forEach(index => {
+        usageStore.createIndex(index.name, index.keyPath, { unique: false });
+      });
+    }
+
+    // Create response cache store (added in version 3)
+    if (!db.objectStoreNames.contains(this.stores.responses.name)) {
+      const responseStore = db.createObjectStore(
+        this.stores.responses.name,
+        { keyPath: this.stores.responses.keyPath }
+      );
+
+      this.stores.responses.indexes.forEach(index => {
+        responseStore.createIndex(index.name, index.keyPath, { unique: false });
+      });
+    }
+
+    // Create search index stores (added in version 4), embeddings (version 5)
+    // and trash (version 6)
+    [
+      this.stores.searchTerms,
+      this.stores.searchDocuments,
+      this.stores.embeddings,
+      this.stores.trash
+    ].forEach(definition => {
+      if (!db.objectStoreNames.contains(definition.name)) {
+        const store = db.createObjectStore(definition.name, { keyPath: definition.keyPath });
+        definition.indexes.forEach(index => {
+          store.createIndex(index.name, index.keyPath, { unique: false });
+        });
+      }
+    });
   }
 
   /**
@@ -166,6 +259,17 @@ export default class Database {
     });
   }
 
+  /**
+   * Transform records on their way into and out of the stores, e.g. to keep
+   * content encrypted at rest (see ContentEncryption.getStoreCodecs)
+   * Applies to every Database instance.
+   * @param {Object} [storeCodecs] - { encode, decode } by store name, both
+   *   async functions of one record; none removes them all
+   */
+  static setCodecs(storeCodecs = {}) {
+    codecs = { ...storeCodecs };
+  }
+
   /**
    * Add a record to a store
    * @param {string} storeName - Store name
@@ -173,9 +277,11 @@ export default class Database {
    * @returns {Promise<any>}
    */
   async add(storeName, data) {
+    // Encoded first: a transaction closes once it waits on anything else
+    const record = await this.encode(storeName, data);
     return this.transaction(storeName, 'readwrite', (transaction) => {
       const store = transaction.objectStore(storeName);
-      return this.promisifyRequest(store.add(data));
+      return this.promisifyRequest(store.add(record));
     });
   }
 
@@ -186,9 +292,10 @@ export default class Database {
    * @returns {Promise<any>}
    */
   async put(storeName, data) {
+    const record = await this.encode(storeName, data);
     return this.transaction(storeName, 'readwrite', (transaction) => {
       const store = transaction.objectStore(storeName);
-      return this.promisifyRequest(store.put(data));
+      return this.promisifyRequest(store.put(record));
     });
   }
 
@@ -199,20 +306,22 @@ export default class Database {
    * @returns {Promise<any>}
    */
   async get(storeName, key) {
-    return this.transaction(storeName, 'readonly', (transaction) => {
+    const record = await this.transaction(storeName, 'readonly', (transaction) => {
       const store = transaction.objectStore(storeName);
       return this.promisifyRequest(store.get(key));
     });
+    return this.decode(storeName, record);
   }
 
   /**
    * Get all records from a store
    * @param {string} storeName - Store name
    * @param {Object} options - Query options
+   * @param {boolean} [options.raw] - Return records as stored, without decoding
    * @returns {Promise<Array>}
    */
   async getAll(storeName, options = {}) {
-    return this.transaction(storeName, 'readonly', (transaction) => {
+    const records = await this.transaction(storeName, 'readonly', (transaction) => {
       const store = transaction.objectStore(storeName);
       
       let source = store;
@@ -225,6 +334,7 @@ export default class Database {
       
       return this.cursorToArray(source.openCursor(range, direction), options.limit);
     });
+    return options.raw ? records : this.decodeAll(storeName, records);
   }
 
   /**
@@ -294,13 +404,45 @@ export default class Database {
    * @returns {Promise<Array>}
    */
   async search(storeName, indexName, query) {
-    return this.transaction(storeName, 'readonly', (transaction) => {
+    const records = await this.transaction(storeName, 'readonly', (transaction) => {
       const store = transaction.objectStore(storeName);
       const index = store.index(indexName);
       
       const range = IDBKeyRange.only(query);
       return this.cursorToArray(index.openCursor(range));
     });
+    return this.decodeAll(storeName, records);
+  }
+
+  /**
+   * Record as stored
+   * @private
+   * @param {string} storeName - Store name
+   * @param {Object} record - Record to write
+   * @returns {Promise<Object>}
+   */
+  encode(storeName, record) {
+    const codec = codecs[storeName];
+    return codec && record ? codec.encode(record) : Promise.resolve(record);
+  }
+
+  /**
+   * Record as read back
+   * @private
+   * @param {string} storeName - Store name
+   * @param {Object} record - Stored record
+   * @returns {Promise<Object>}
+   */
+  decode(storeName, record) {
+    const codec = codecs[storeName];
+    return codec && record ? codec.decode(record) : Promise.resolve(record);
+  }
+
+  /**
+   * @private
+   */
+  decodeAll(storeName, records) {
+    return Promise.all(records.map(record => this.decode(storeName, record)));
   }
 
   /**
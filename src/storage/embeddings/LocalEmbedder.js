@@ -0,0 +1,75 @@
+/**
+ * Local Embedder
+ * Keyword fallback for when no embeddings provider is usable. Vectors are
+ * built by feature hashing: every word stem and its character trigrams land
+ * in a fixed-size vector. It needs no model or network but only matches
+ * shared vocabulary and word forms, not meaning; paraphrases with no words in
+ * common need a provider model such as text-embedding-3-small or nomic-embed-text.
+ */
+
+import { getConfig } from '../../config/index.js';
+import { tokenize } from '../search/analyzer.js';
+import { normalize, hashString } from './vectors.js';
+
+// Weight of each trigram relative to the whole word it came from
+const TRIGRAM_WEIGHT = 0.25;
+
+export default class LocalEmbedder {
+  /**
+   * @param {Object} options - Embedder options
+   * @param {number} [options.dimensions] - Vector size
+   */
+  constructor(options = {}) {
+    this.dimensions = options.dimensions ?? getConfig('embeddings.dimensions', 512);
+    // Vectors are only comparable with vectors from the same embedder
+    this.id = `local-hash-${this.dimensions}`;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Float32Array>>} Unit vectors in input order
+   */
+  embed(texts) {
+    return Promise.resolve(texts.map(text => this.vectorize(text)));
+  }
+
+  /**
+   * Embed one text
+   * @param {string} text - Text to embed
+   * @returns {Float32Array} Unit vector
+   */
+  vectorize(text) {
+    const vector = new Float32Array(this.dimensions);
+    const counts = new Map();
+    tokenize(text).forEach(({ term }) => {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    });
+
+    for (const [term, count] of counts) {
+      const weight = 1 + Math.log(count);
+      this.addFeature(vector, `w:${term}`, weight);
+
+      // Trigrams let related word forms and typos overlap
+      const padded = `<${term}>`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        this.addFeature(vector, `t:${padded.slice(i, i + 3)}`, weight * TRIGRAM_WEIGHT);
+      }
+    }
+
+    return normalize(vector);
+  }
+
+  /**
+   * Add a hashed feature to a vector
+   * The sign bit keeps colliding features from only ever adding up.
+   * @private
+   * @param {Float32Array} vector - Vector to update
+   * @param {string} feature - Feature name
+   * @param {number} weight - Feature weight
+   */
+  addFeature(vector, feature, weight) {
+    const hash = hashString(feature);
+    vector[hash % this.dimensions] += hash & 0x80000000 ? -weight : weight;
+  }
+}
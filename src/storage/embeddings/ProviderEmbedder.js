@@ -0,0 +1,58 @@
+/**
+ * Provider Embedder
+ * Embeddings from an API provider's embeddings endpoint, such as OpenAI or a
+ * self-hosted OpenAI-compatible server running a small local model.
+ */
+
+import { ValidationError } from '../../errors/index.js';
+import { getConfig } from '../../config/index.js';
+
+export default class ProviderEmbedder {
+  /**
+   * @param {Object} options - Embedder options
+   * @param {Object} options.client - Client with an embed() method, usually APIClient
+   * @param {string} options.provider - Provider name, e.g. 'openai' or 'custom'
+   * @param {string} options.model - Embedding model
+   * @param {number} [options.batchSize] - Texts sent per request
+   * @param {Function} [options.getApiKey] - Resolves the API key for a provider name
+   */
+  constructor(options = {}) {
+    if (!options.client || !options.provider || !options.model) {
+      throw new ValidationError(
+        'Provider embeddings need a client, provider and model',
+        'options',
+        { provider: options.provider, model: options.model }
+      );
+    }
+
+    this.client = options.client;
+    this.provider = options.provider;
+    this.model = options.model;
+    this.batchSize = options.batchSize ?? getConfig('embeddings.batchSize', 32);
+    this.getApiKey = options.getApiKey || (() => null);
+    // Vectors are only comparable with vectors from the same model
+    this.id = `${this.provider}:${this.model}`;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} Vectors in input order
+   */
+  async embed(texts) {
+    const apiKey = await this.getApiKey(this.provider);
+    const vectors = [];
+
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      const result = await this.client.embed({
+        texts: texts.slice(start, start + this.batchSize),
+        provider: this.provider,
+        model: this.model,
+        apiKey
+      });
+      vectors.push(...result.vectors);
+    }
+
+    return vectors;
+  }
+}
@@ -0,0 +1,340 @@
+/**
+ * Semantic Index
+ * Message and conversation embeddings in IndexedDB. Each message keeps its
+ * own vector; a conversation's vector is the mean of its messages, so a
+ * conversation can be matched as a whole or through its closest message.
+ */
+
+import Database from '../database/Database.js';
+import { ValidationError, handleError } from '../../errors/index.js';
+import { getConfig } from '../../config/index.js';
+import LocalEmbedder from './LocalEmbedder.js';
+import { normalize, cosineSimilarity, meanVector, hashString } from './vectors.js';
+
+// Bump when stored records change shape so existing vectors are rebuilt
+const INDEX_VERSION = 1;
+
+// Only conversation turns are embedded; info and error notes are not
+const EMBEDDED_ROLES = ['user', 'assistant'];
+
+export default class SemanticIndex {
+  /**
+   * @param {Object} options - Index options
+   * @param {Object} [options.embedder] - Object with `id` and `embed(texts)`; local by default
+   * @param {number} [options.maxChars] - Longer messages are cut before embedding
+   * @param {number} [options.minScore] - Lowest similarity returned when no minimum is given
+   * @param {number} [options.maxResults] - Results returned when no limit is given
+   */
+  constructor(options = {}) {
+    this.db = new Database();
+    this.storeName = 'embeddings';
+    this.settingsStoreName = 'settings';
+    this.embedder = options.embedder || new LocalEmbedder();
+    this.maxChars = options.maxChars ?? getConfig('embeddings.maxChars', 4000);
+    this.minScore = options.minScore ?? getConfig('embeddings.minScore', 0.3);
+    this.maxResults = options.maxResults ?? getConfig('embeddings.maxResults', 5);
+
+    // Writes run one at a time so a conversation's vectors never interleave
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Initialize the semantic index
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      await this.db.initialize();
+      console.log('[SemanticIndex] Initialized successfully');
+    } catch (error) {
+      handleError(error, { component: 'SemanticIndex', method: 'initialize' });
+      throw error;
+    }
+  }
+
+  /**
+   * Bring a conversation's vectors in line with its stored messages
+   * Only added or changed messages are embedded, so this can run after every save.
+   * @param {string} conversationId - Conversation ID
+   * @param {Array} messages - Every message of the conversation
+   * @returns {Promise<void>}
+   */
+  sync(conversationId, messages) {
+    return this.enqueue(() => this.write(conversationId, messages));
+  }
+
+  /**
+   * Remove a conversation and its messages from the index
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<void>}
+   */
+  removeConversation(conversationId) {
+    return this.enqueue(async () => {
+      const records = await this.getRecords(conversationId);
+      if (records.length) {
+        await this.db.deleteMany(this.storeName, records.map(record => record.id));
+      }
+    });
+  }
+
+  /**
+   * Whether the index is missing or was built by another embedder
+   * @returns {Promise<boolean>}
+   */
+  async needsRebuild() {
+    await this.db.initialize();
+    const record = await this.db.get(this.settingsStoreName, 'semanticIndex');
+    return record?.version !== INDEX_VERSION || record.embedder !== this.embedder.id;
+  }
+
+  /**
+   * Drop every vector and embed the given messages again
+   * @param {Array} messages - Every stored message, with conversationId
+   * @returns {Promise<number>} Number of conversations indexed
+   */
+  rebuild(messages) {
+    return this.enqueue(async () => {
+      await this.db.initialize();
+      await this.db.clear(this.storeName);
+
+      const conversations = new Map();
+      messages.forEach(message => {
+        if (message?.id && message.conversationId) {
+          if (!conversations.has(message.conversationId)) {
+            conversations.set(message.conversationId, []);
+          }
+          conversations.get(message.conversationId).push(message);
+        }
+      });
+
+      for (const [conversationId, conversationMessages] of conversations) {
+        await this.write(conversationId, conversationMessages);
+      }
+
+      await this.db.put(this.settingsStoreName, {
+        key: 'semanticIndex',
+        version: INDEX_VERSION,
+        embedder: this.embedder.id,
+        builtAt: Date.now()
+      });
+      return conversations.size;
+    });
+  }
+
+  /**
+   * Drop every vector and forget which embedder built the index
+   * Vectors and fingerprints are derived from message text, so they go
+   * while the text itself is encrypted.
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this.enqueue(async () => {
+      await this.db.initialize();
+      await this.db.clear(this.storeName);
+      await this.db.delete(this.settingsStoreName, 'semanticIndex');
+    });
+  }
+
+  /**
+   * Find conversations about a text, such as a page or a search phrase
+   * @param {string} text - Text to compare against
+   * @param {Object} [options] - Ranking options
+   * @param {number} [options.limit] - Maximum number of results
+   * @param {number} [options.minScore] - Lowest similarity to include
+   * @param {string} [options.excludeConversationId] - Conversation to leave out
+   * @returns {Promise<Array>} { conversationId, score, messageId }, best first,
+   *   where messageId is the closest message
+   */
+  async findRelated(text, options = {}) {
+    const content = String(text || '').trim().slice(0, this.maxChars);
+    if (!content) {
+      throw new ValidationError('Text to compare is required', 'text', text);
+    }
+
+    const [vector] = await this.embedder.embed([content]);
+    return this.rank(normalize(vector), options);
+  }
+
+  /**
+   * Find conversations about the same things as a stored conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} [options] - Ranking options, as for findRelated()
+   * @returns {Promise<Array>} { conversationId, score, messageId }, best first
+   */
+  async findSimilar(conversationId, options = {}) {
+    await this.db.initialize();
+    const record = await this.db.get(this.storeName, conversationKey(conversationId));
+    if (!record || record.embedder !== this.embedder.id) {
+      return [];
+    }
+
+    return this.rank(record.vector, { ...options, excludeConversationId: conversationId });
+  }
+
+  /**
+   * Score every conversation against a vector
+   * A conversation scores as its best match: its mean vector or one message.
+   * @private
+   * @param {ArrayLike<number>} vector - Unit query vector
+   * @param {Object} options - Ranking options
+   * @returns {Promise<Array>} Ranked results
+   */
+  async rank(vector, options = {}) {
+    const {
+      limit = this.maxResults,
+      minScore = this.minScore,
+      excludeConversationId = null
+    } = options;
+
+    await this.db.initialize();
+    const matches = new Map();
+    for (const record of await this.db.getAll(this.storeName)) {
+      if (record.embedder !== this.embedder.id ||
+          record.conversationId === excludeConversationId) {
+        continue;
+      }
+
+      const score = cosineSimilarity(vector, record.vector);
+      const match = matches.get(record.conversationId) ||
+        { conversationId: record.conversationId, score: -1, messageId: null, messageScore: -1 };
+      match.score = Math.max(match.score, score);
+      if (record.kind === 'message' && score > match.messageScore) {
+        match.messageId = record.id;
+        match.messageScore = score;
+      }
+      matches.set(record.conversationId, match);
+    }
+
+    return [...matches.values()]
+      .filter(match => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ conversationId, score, messageId }) => ({ conversationId, score, messageId }));
+  }
+
+  /**
+   * Embed new and changed messages and refresh the conversation vector
+   * @private
+   * @param {string} conversationId - Conversation ID
+   * @param {Array} messages - Every message of the conversation
+   */
+  async write(conversationId, messages) {
+    const stored = new Map();
+    let conversationRecord = null;
+    (await this.getRecords(conversationId)).forEach(record => {
+      if (record.kind === 'conversation') {
+        conversationRecord = record;
+      } else {
+        stored.set(record.id, record);
+      }
+    });
+
+    const vectors = [];
+    const pending = [];
+    for (const message of messages) {
+      const text = this.getText(message);
+      if (!text) {
+        continue;
+      }
+
+      const record = stored.get(message.id);
+      stored.delete(message.id);
+      const hash = fingerprint(text);
+      if (record?.hash === hash && record.embedder === this.embedder.id) {
+        vectors.push(record.vector);
+      } else {
+        pending.push({ id: message.id, text, hash });
+      }
+    }
+
+    if (pending.length) {
+      const embedded = await this.embedder.embed(pending.map(entry => entry.text));
+      for (const [index, entry] of pending.entries()) {
+        const vector = normalize(embedded[index]);
+        await this.db.put(this.storeName, {
+          id: entry.id,
+          kind: 'message',
+          conversationId,
+          embedder: this.embedder.id,
+          hash: entry.hash,
+          vector
+        });
+        vectors.push(vector);
+      }
+    }
+
+    // Whatever is left was deleted from the conversation
+    if (stored.size) {
+      await this.db.deleteMany(this.storeName, [...stored.keys()]);
+    }
+
+    const unchanged = !pending.length && !stored.size &&
+      conversationRecord?.embedder === this.embedder.id;
+    if (unchanged) {
+      return;
+    }
+
+    if (vectors.length) {
+      await this.db.put(this.storeName, {
+        id: conversationKey(conversationId),
+        kind: 'conversation',
+        conversationId,
+        embedder: this.embedder.id,
+        messageCount: vectors.length,
+        vector: normalize(meanVector(vectors))
+      });
+    } else if (conversationRecord) {
+      await this.db.delete(this.storeName, conversationRecord.id);
+    }
+  }
+
+  /**
+   * Text embedded for a message, or an empty string to skip it
+   * @private
+   * @param {Object} message - Message
+   * @returns {string} Text
+   */
+  getText(message) {
+    if (!message?.id || !EMBEDDED_ROLES.includes(message.role || 'user')) {
+      return '';
+    }
+    return String(message.content || '').trim().slice(0, this.maxChars);
+  }
+
+  /**
+   * Stored records of a conversation
+   * @private
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Array>} Message and conversation records
+   */
+  async getRecords(conversationId) {
+    await this.db.initialize();
+    return this.db.getAll(this.storeName, {
+      index: 'by_conversation',
+      range: { start: conversationId, end: conversationId }
+    });
+  }
+
+  /**
+   * Run a write after the ones already queued
+   * @private
+   * @param {Function} task - Async write
+   * @returns {Promise<any>} Result of the task
+   */
+  enqueue(task) {
+    const run = this.writes.then(task);
+    this.writes = run.catch(error => {
+      console.error('[SemanticIndex] Index update failed:', error);
+    });
+    return run;
+  }
+}
+
+// Conversation vectors share the store with message vectors
+function conversationKey(conversationId) {
+  return `conversation:${conversationId}`;
+}
+
+function fingerprint(text) {
+  return `${text.length}:${hashString(text)}`;
+}
@@ -0,0 +1,14 @@
+/**
+ * Embeddings Module
+ * Vectors for semantic search and related conversations
+ */
+
+// Export main SemanticIndex
+export { default as SemanticIndex } from './SemanticIndex.js';
+
+// Export the embedders: offline by default, or an API provider's model
+export { default as LocalEmbedder } from './LocalEmbedder.js';
+export { default as ProviderEmbedder } from './ProviderEmbedder.js';
+
+// Export vector helpers
+export { normalize, cosineSimilarity, meanVector } from './vectors.js';
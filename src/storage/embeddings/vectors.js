@@ -0,0 +1,76 @@
+/**
+ * Vector Helpers
+ * Small numeric helpers shared by the embedders and the semantic index.
+ */
+
+/**
+ * Scale a vector to unit length
+ * Stored vectors are normalized, so their dot product is the cosine similarity.
+ * @param {ArrayLike<number>} vector - Vector
+ * @returns {Float32Array} Unit vector, or the zero vector unchanged
+ */
+export function normalize(vector) {
+  const result = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < result.length; i++) {
+    norm += result[i] * result[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < result.length; i++) {
+      result[i] /= norm;
+    }
+  }
+  return result;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector of the same length
+ * @returns {number} Similarity from -1 to 1; 0 when either vector is empty
+ */
+export function cosineSimilarity(a, b) {
+  if (!a?.length || a.length !== b?.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Element-wise mean of vectors of the same length
+ * @param {Array<ArrayLike<number>>} vectors - Vectors
+ * @returns {Float32Array} Mean vector
+ */
+export function meanVector(vectors) {
+  const mean = new Float32Array(vectors[0]?.length || 0);
+  vectors.forEach(vector => {
+    for (let i = 0; i < mean.length; i++) {
+      mean[i] += vector[i] / vectors.length;
+    }
+  });
+  return mean;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned hash
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
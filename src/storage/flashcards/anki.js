@@ -0,0 +1,85 @@
+/**
+ * Anki Deck Export
+ * Writes cards as a tab-separated file that Anki imports with its header
+ * lines: the note type, deck and tags come from columns, fields are HTML,
+ * and the card ID is the note GUID so importing again updates the notes
+ * instead of duplicating them.
+ */
+
+// Columns of each row, after the header lines
+const COLUMNS = ['guid', 'notetype', 'deck', 'front', 'back', 'tags'];
+
+// Anki's stock note types; definitions also get the reversed card
+const NOTE_TYPES = {
+  basic: 'Basic',
+  reversed: 'Basic (and reversed card)'
+};
+
+/**
+ * Cards as an Anki import file
+ * @param {Array} cards - Cards from extractCards()
+ * @param {Object} [options] - Deck options
+ * @param {string} [options.deckName] - Parent deck; each conversation gets a subdeck
+ * @param {boolean} [options.includeSources] - Link the back of each card to its page
+ * @param {Function} [options.redact] - Applied to the front and back text, e.g. to anonymize it
+ * @returns {string} Tab-separated text
+ */
+export function buildAnkiDeck(cards, options = {}) {
+  const { deckName = 'DeepWeb', includeSources = true, redact = text => text } = options;
+  const column = name => COLUMNS.indexOf(name) + 1;
+
+  const header = [
+    '#separator:tab',
+    '#html:true',
+    `#guid column:${column('guid')}`,
+    `#notetype column:${column('notetype')}`,
+    `#deck column:${column('deck')}`,
+    `#tags column:${column('tags')}`
+  ];
+
+  const rows = cards.map(card => [
+    card.id,
+    card.reversible ? NOTE_TYPES.reversed : NOTE_TYPES.basic,
+    card.sourceTitle ? `${deckName}::${toDeckName(card.sourceTitle)}` : deckName,
+    toHtml(redact(card.front)),
+    toHtml(redact(card.back)) + (includeSources && card.sourceUrl ? sourceLink(card) : ''),
+    toTags(card)
+  ].map(toField).join('\t'));
+
+  return `${[...header, ...rows].join('\n')}\n`;
+}
+
+function sourceLink(card) {
+  const label = escapeHtml(card.sourceTitle || card.sourceUrl);
+  return `<br><br><small>Source: <a href="${escapeHtml(card.sourceUrl)}">${label}</a></small>`;
+}
+
+// '::' would nest the deck another level
+function toDeckName(title) {
+  return title.replace(/:{2,}/g, ':').replace(/\s+/g, ' ').trim();
+}
+
+// Anki tags are separated by spaces
+function toTags(card) {
+  return ['deepweb', card.template, ...(card.tags || [])]
+    .filter(Boolean)
+    .map(tag => String(tag).trim().replace(/\s+/g, '_'))
+    .join(' ');
+}
+
+function toHtml(text) {
+  return escapeHtml(String(text ?? '')).replace(/\r?\n/g, '<br>');
+}
+
+// Tabs and line breaks would split the row
+function toField(value) {
+  return String(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
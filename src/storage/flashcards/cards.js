@@ -0,0 +1,218 @@
+/**
+ * Flashcards
+ * Question and answer pairs taken from the answers to the study templates.
+ * Quiz answers are structured; study notes and practice problems are read
+ * from the text by their usual layout. Cards are derived from the stored
+ * messages whenever they are needed, so they follow edits and deletions, and
+ * a card keeps its ID as long as its message does.
+ */
+
+// Templates whose answers hold study material
+export const STUDY_TEMPLATES = ['create-quiz', 'study-notes', 'practice-problems'];
+
+// "**Term**: definition" or "- **Term** - definition"
+const DEFINITION_PATTERN = /^\s*(?:[-*+]\s+)?\*\*([^*\n]{1,80}?):?\*\*\s*(?::|-|–|—)?\s*(.+)$/;
+// "Q: ..." followed by "A: ..."
+const QUESTION_PATTERN = /^\s*(?:[-*+]\s+)?(?:\*\*)?(?:Q|Question)\s*\d*\s*[:.](?:\*\*)?\s*(.+)$/i;
+const ANSWER_PATTERN = /^\s*(?:[-*+]\s+)?(?:\*\*)?(?:A|Answer)\s*\d*\s*[:.](?:\*\*)?\s*(.*)$/i;
+// "### Problem 2: Title", "**Problem 2**" or "Problem 2."
+const PROBLEM_PATTERN = /^\s*(?:#{1,6}\s*)?(?:\*\*)?(?:Practice\s+)?Problem\s+\d+\b/i;
+const SOLUTION_PATTERN = /^\s*(?:#{1,6}\s*)?(?:\*\*)?(?:Step-by-step\s+)?Solution\b/i;
+
+/**
+ * Cards from a conversation's messages
+ * An answer counts as study material when it is a quiz, or when the prompt
+ * before it was written with one of the study templates.
+ * @param {Array} messages - Messages of one conversation, in order
+ * @param {Object} [conversation] - The conversation, for its title, URL and tags
+ * @returns {Array} Cards as { id, conversationId, messageId, template, reversible,
+ *   front, back, sourceUrl, sourceTitle, tags, createdAt }
+ */
+export function extractCards(messages, conversation = {}) {
+  const cards = [];
+  let prompt = null;
+
+  for (const message of messages) {
+    if (message.role === 'user') {
+      prompt = message;
+      continue;
+    }
+    if (message.role !== 'assistant') {
+      continue;
+    }
+
+    const template = message.structured?.widget === 'quiz' ?
+      'create-quiz' :
+      prompt?.metadata?.templateId;
+    if (!STUDY_TEMPLATES.includes(template)) {
+      continue;
+    }
+
+    const sourceUrl = prompt?.metadata?.url || conversation.url ||
+      conversation.metadata?.url || null;
+    extractPairs(template, message).forEach((pair, index) => {
+      cards.push({
+        id: `${message.id}_${index}`,
+        conversationId: conversation.id || message.conversationId || null,
+        messageId: message.id,
+        template,
+        reversible: Boolean(pair.reversible),
+        front: pair.front,
+        back: pair.back,
+        sourceUrl,
+        sourceTitle: conversation.title || null,
+        tags: conversation.tags || [],
+        createdAt: toTime(message.timestamp)
+      });
+    });
+  }
+
+  return cards;
+}
+
+/**
+ * Question and answer pairs in one answer
+ * @param {string} template - Template the answer was written for
+ * @param {Object} message - Assistant message
+ * @returns {Array} { front, back, reversible }
+ */
+export function extractPairs(template, message) {
+  const content = String(message.content || '');
+
+  switch (template) {
+    case 'create-quiz':
+      return fromQuiz(message.structured?.data || parseJsonObject(content));
+    case 'study-notes':
+      return [...fromDefinitions(content), ...fromQuestions(content)];
+    case 'practice-problems': {
+      const problems = fromProblems(content);
+      return problems.length ? problems : fromQuestions(content);
+    }
+    default:
+      return [];
+  }
+}
+
+function fromQuiz(data) {
+  return (data?.questions || [])
+    .filter(item => item?.question && item.answer)
+    .map(item => {
+      const choices = Array.isArray(item.options) ?
+        item.options.map((option, i) => `${String.fromCharCode(65 + i)}. ${option}`) :
+        [];
+      const options = choices.length ? `\n\n${choices.join('\n')}` : '';
+      const explanation = item.explanation ? `\n\n${item.explanation}` : '';
+      return {
+        front: `${item.question}${options}`,
+        back: `${item.answer}${explanation}`
+      };
+    });
+}
+
+// Terms with their definitions can be asked both ways
+function fromDefinitions(content) {
+  return outsideCode(content)
+    .filter(line => !QUESTION_PATTERN.test(line) && !ANSWER_PATTERN.test(line))
+    .map(line => line.match(DEFINITION_PATTERN))
+    .filter(match => match && match[2].trim().length > 2)
+    .map(match => ({
+      front: match[1].trim(),
+      back: match[2].trim(),
+      reversible: true
+    }));
+}
+
+function fromQuestions(content) {
+  const pairs = [];
+  let question = null;
+  let answer = null;
+
+  const finish = () => {
+    if (question && answer?.trim()) {
+      pairs.push({ front: question, back: answer.trim() });
+    }
+    question = null;
+    answer = null;
+  };
+
+  for (const line of outsideCode(content)) {
+    const questionMatch = line.match(QUESTION_PATTERN);
+    const answerMatch = question && line.match(ANSWER_PATTERN);
+    if (questionMatch) {
+      finish();
+      question = questionMatch[1].trim();
+    } else if (answerMatch) {
+      answer = answerMatch[1];
+    } else if (answer !== null) {
+      if (!line.trim()) {
+        finish();
+      } else {
+        answer += `\n${line}`;
+      }
+    }
+  }
+  finish();
+
+  return pairs;
+}
+
+// Each problem runs to the next one; hints stay on the front, under the problem
+function fromProblems(content) {
+  const sections = [];
+  for (const line of content.split(/\r?\n/)) {
+    if (PROBLEM_PATTERN.test(line)) {
+      sections.push([]);
+    }
+    sections[sections.length - 1]?.push(line);
+  }
+
+  return sections
+    .map(lines => {
+      const solutionAt = lines.findIndex((line, i) => i > 0 && SOLUTION_PATTERN.test(line));
+      if (solutionAt === -1) {
+        return null;
+      }
+      return {
+        front: [stripHeading(lines[0]), ...lines.slice(1, solutionAt)].join('\n').trim(),
+        back: [stripHeading(lines[solutionAt]), ...lines.slice(solutionAt + 1)]
+          .join('\n')
+          .replace(/^(?:Step-by-step\s+)?Solution\s*:?\s*/i, '')
+          .trim()
+      };
+    })
+    .filter(pair => pair?.front && pair.back);
+}
+
+// Lines outside code fences, where code would only look like a term
+function outsideCode(content) {
+  let inFence = false;
+  return content.split(/\r?\n/).filter(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return false;
+    }
+    return !inFence;
+  });
+}
+
+function stripHeading(line = '') {
+  return line.replace(/^\s*#{1,6}\s*/, '').replace(/\*\*/g, '').trim();
+}
+
+// Quizzes that failed validation are still JSON, sometimes in a code fence
+function parseJsonObject(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+  try {
+    return JSON.parse(content.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function toTime(value) {
+  return typeof value === 'number' ? value : Date.parse(value) || Date.now();
+}
@@ -0,0 +1,8 @@
+/**
+ * Flashcards Module
+ * Study cards from template answers, spaced repetition and Anki export
+ */
+
+export { STUDY_TEMPLATES, extractCards, extractPairs } from './cards.js';
+export { REVIEW_GRADES, createReviewState, reviewCard, selectDueCards } from './scheduler.js';
+export { buildAnkiDeck } from './anki.js';
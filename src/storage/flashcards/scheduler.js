@@ -0,0 +1,106 @@
+/**
+ * Review Scheduler
+ * SM-2 spaced repetition: each answer is graded from 0 to 5, a grade below 3
+ * starts the card over, and the interval to the next review grows by the
+ * card's ease factor, which follows how easily it was recalled. A review
+ * state holds no card content, only when the card is due.
+ */
+
+import { ValidationError } from '../../errors/index.js';
+
+const DAY_MS = 86400000;
+
+// SM-2 never lets a card get harder than this
+const MIN_EASE_FACTOR = 1.3;
+
+// Buttons shown while reviewing, with the SM-2 grade each gives
+export const REVIEW_GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+};
+
+/**
+ * Review state of a card that was never reviewed
+ * @param {number} [now] - Current time; new cards are due right away
+ * @returns {Object} { repetitions, interval, easeFactor, dueAt, reviewedAt }
+ */
+export function createReviewState(now = Date.now()) {
+  return {
+    repetitions: 0,
+    interval: 0,
+    easeFactor: 2.5,
+    dueAt: now,
+    reviewedAt: null
+  };
+}
+
+/**
+ * Schedule a card after it was reviewed
+ * @param {Object} [state] - Review state, or nothing for a new card
+ * @param {number} grade - 0 (no recall) to 5 (perfect recall)
+ * @param {number} [now] - Review time
+ * @returns {Object} New review state; the interval is in days
+ * @throws {ValidationError} If the grade is not a whole number from 0 to 5
+ */
+export function reviewCard(state, grade, now = Date.now()) {
+  if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+    throw new ValidationError('Grade must be a whole number from 0 to 5', 'grade', grade);
+  }
+
+  const previous = state || createReviewState(now);
+  let repetitions = previous.repetitions + 1;
+  let interval;
+
+  if (grade < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else if (repetitions === 1) {
+    interval = 1;
+  } else if (repetitions === 2) {
+    interval = 6;
+  } else {
+    interval = Math.round(previous.interval * previous.easeFactor);
+  }
+
+  const miss = 5 - grade;
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    previous.easeFactor + 0.1 - (miss * (0.08 + (miss * 0.02)))
+  );
+
+  return {
+    repetitions,
+    interval,
+    easeFactor: Math.round(easeFactor * 1000) / 1000,
+    dueAt: now + (interval * DAY_MS),
+    reviewedAt: now
+  };
+}
+
+/**
+ * Cards to review now, most overdue first
+ * Cards never reviewed come after the overdue ones, up to `newLimit`.
+ * @param {Array} cards - Cards with an `id`
+ * @param {Object} reviews - Review states by card ID
+ * @param {Object} [options] - Selection options
+ * @param {number} [options.newLimit] - New cards to include at most
+ * @param {number} [options.now] - Current time
+ * @returns {Array} Due cards, each with its `review` state
+ */
+export function selectDueCards(cards, reviews = {}, options = {}) {
+  const { newLimit = Infinity, now = Date.now() } = options;
+
+  const due = cards
+    .filter(card => reviews[card.id] && reviews[card.id].dueAt <= now)
+    .map(card => ({ ...card, review: reviews[card.id] }))
+    .sort((a, b) => a.review.dueAt - b.review.dueAt);
+
+  const fresh = cards
+    .filter(card => !reviews[card.id])
+    .slice(0, newLimit)
+    .map(card => ({ ...card, review: createReviewState(now) }));
+
+  return [...due, ...fresh];
+}
@@ -12,6 +12,27 @@ export { default as ConversationManager } from './conversations/ConversationMana
 // Export message management
 export { default as MessageManager } from './messages/MessageManager.js';
 
+// Export usage tracking
+export { default as UsageLedger } from './usage/UsageLedger.js';
+
+// Export persistent response cache
+export { default as ResponseCache } from './cache/ResponseCache.js';
+
+// Export full-text message search
+export { default as SearchIndex } from './search/SearchIndex.js';
+
+// Export message and conversation embeddings
+export { default as SemanticIndex } from './embeddings/SemanticIndex.js';
+
+// Export the trash for deleted conversations and messages
+export { default as TrashManager } from './trash/TrashManager.js';
+
 // Re-export utilities for convenience
 export * from './conversations/index.js';
-export * from './messages/index.js';
\ No newline at end of file
+export * from './messages/index.js';
+export * from './usage/index.js';
+export * from './search/index.js';
+export * from './embeddings/index.js';
+export * from './trash/index.js';
+export * from './flashcards/index.js';
+export * from './backups/index.js';
\ No newline at end of file
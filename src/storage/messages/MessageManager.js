@@ -5,10 +5,18 @@
 
 import Database from '../database/Database.js';
 import { ValidationError, handleError } from '../../errors/index.js';
+import { countTokens } from '../../tokenizer/index.js';
+import { addMessageVersion, selectMessageVersion } from './versions.js';
+import SearchIndex from '../search/SearchIndex.js';
+import TrashManager from '../trash/TrashManager.js';
+import { buildSnippet } from '../search/analyzer.js';
+import { getConfig } from '../../config/index.js';
 
 export default class MessageManager {
   constructor() {
     this.db = new Database();
+    this.searchIndex = new SearchIndex();
+    this.trash = new TrashManager();
     this.storeName = 'messages';
     this.conversationsStoreName = 'conversations';
     
@@ -44,6 +52,19 @@ export default class MessageManager {
     }
   }
 
+  /**
+   * Keep messages encrypted at rest, and index keyed hashes of their words
+   * instead of the words while encryption is on
+   * @param {ContentEncryption|null} encryption - Content encryption; null stores plain text
+   */
+  setEncryption(encryption) {
+    Database.setCodecs(encryption ? encryption.getStoreCodecs() : {});
+    this.searchIndex.hashTerm = encryption?.enabled ?
+      term => encryption.hashTerm(term) :
+      null;
+    this.cache.clear();
+  }
+
   /**
    * Add message to conversation
    * @param {string} conversationId - Conversation ID
@@ -73,8 +94,15 @@ export default class MessageManager {
         conversationId,
         role: data.role || 'user',
         content: data.content,
+        // Chain of thought from reasoning models; never sent back to the API
+        reasoning: data.reasoning || null,
+        // Page tools called for this answer, as { name, arguments, summary, error }
+        toolCalls: data.toolCalls || [],
+        // Template answer that matched its output schema, as { widget, data }
+        structured: data.structured || null,
         timestamp: Date.now(),
-        tokens: data.tokens || this.estimateTokens(data.content),
+        tokens: data.tokens ||
+          this.estimateTokens(data.content, data.model || data.metadata?.model),
         cost: data.cost || 0,
         metadata: {
           model: data.model || null,
@@ -95,6 +123,7 @@ export default class MessageManager {
       
       // Save to database
       await this.db.add(this.storeName, message);
+      await this.updateSearchIndex(message);
       
       // Update conversation
       await this.updateConversationLastMessage(conversationId, message);
@@ -255,7 +284,7 @@ export default class MessageManager {
       const updated = {
         ...message,
         content,
-        tokens: this.estimateTokens(content),
+        tokens: this.estimateTokens(content, message.metadata?.model),
         state: {
           ...message.state,
           edited: true,
@@ -265,6 +294,7 @@ export default class MessageManager {
       
       // Save to database
       await this.db.put(this.storeName, updated);
+      await this.updateSearchIndex(updated);
       
       // Update cache
       this.updateCache(id, updated);
@@ -288,19 +318,35 @@ export default class MessageManager {
 
   /**
    * Delete message
+   * It goes to the trash, where restore() can bring it back until the
+   * retention period ends.
    * @param {string} id - Message ID
-   * @returns {Promise<void>}
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.permanent] - Skip the trash
+   * @returns {Promise<string|null>} Trash entry ID, or null when deleted permanently
    */
-  async delete(id) {
+  async delete(id, options = {}) {
     try {
       // Get message
       const message = await this.get(id);
       if (!message) {
         throw new ValidationError(`Message not found: ${id}`);
       }
+
+      // Keep a copy in the trash
+      let trashId = null;
+      if (!options.permanent) {
+        const entry = await this.trash.add({
+          kind: 'messages',
+          conversationId: message.conversationId,
+          messages: [message]
+        });
+        trashId = entry.id;
+      }
       
       // Delete from database
       await this.db.delete(this.storeName, id);
+      await this.updateSearchIndex({ id }, true);
       
       // Remove from cache
       this.cache.delete(id);
@@ -313,6 +359,7 @@ export default class MessageManager {
       await this.updateConversationAfterDelete(message.conversationId);
       
       console.log('[MessageManager] Deleted message:', id);
+      return trashId;
       
     } catch (error) {
       handleError(error, { 
@@ -325,47 +372,44 @@ export default class MessageManager {
   }
 
   /**
-   * Search messages within conversation
-   * @param {string} conversationId - Conversation ID
+   * Search messages through the full-text index
+   * The query supports "quoted phrases" and role:, model:, before: and after:
+   * filters; see SearchIndex.search. An empty query lists the messages that
+   * match the filters, newest first.
+   * @param {string|null} conversationId - Conversation ID, or null to search every conversation
    * @param {string} query - Search query
-   * @param {Object} options - Search options
-   * @returns {Promise<Array>} Matching messages
+   * @param {Object} options - Search options: limit, role, model, before, after, includeSystem
+   * @returns {Promise<Array>} Matching messages, best first, with `score` and a
+   *   highlighted `snippet` as { text, highlights }
    */
   async search(conversationId, query, options = {}) {
     try {
-      if (!query || query.trim().length === 0) {
-        throw new ValidationError('Search query cannot be empty');
+      const { includeSystem = false, ...searchOptions } = options;
+
+      await this.db.initialize();
+      if (await this.searchIndex.needsRebuild()) {
+        await this.searchIndex.rebuild(await this.db.getAll(this.storeName));
       }
       
-      const {
-        limit = 50,
-        role = null,
-        includeSystem = false
-      } = options;
-      
-      const queryLower = query.toLowerCase();
-      const messages = await this.db.getAll(this.storeName, {
-        index: 'by_conversation',
-        range: { start: conversationId, end: conversationId }
+      const { hits, terms } = await this.searchIndex.search(query, {
+        ...searchOptions,
+        conversationId: conversationId || null
       });
+      const snippetLength = getConfig('search.snippetLength', 160);
       
       const results = [];
-      
-      for (const message of messages) {
-        // Filter by role if specified
-        if (role && message.role !== role) continue;
-        
+      for (const hit of hits) {
         // Skip system messages if not included
-        if (!includeSystem && message.role === 'system') continue;
-        
-        // Check content match
-        if (message.content && message.content.toLowerCase().includes(queryLower)) {
+        if (!includeSystem && hit.role === 'system') {
+          continue;
+        }
+        const message = await this.get(hit.id);
+        if (message) {
           results.push({
             ...message,
-            matchContext: this.extractMatchContext(message.content, query)
+            score: hit.score,
+            snippet: buildSnippet(message.content, terms, { length: snippetLength })
           });
-          
-          if (results.length >= limit) break;
         }
       }
       
@@ -464,10 +508,13 @@ export default class MessageManager {
 
   /**
    * Bulk delete messages
+   * Deleted messages go to the trash, one entry per conversation and batch.
    * @param {Array<string>} ids - Message IDs
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.permanent] - Skip the trash
    * @returns {Promise<number>} Number of deleted messages
    */
-  async bulkDelete(ids) {
+  async bulkDelete(ids, options = {}) {
     try {
       if (!Array.isArray(ids) || ids.length === 0) {
         throw new ValidationError('No message IDs provided');
@@ -479,15 +526,30 @@ export default class MessageManager {
       
       for (const batch of batches) {
         // Get messages to track affected conversations
+        const batchMessages = new Map();
         for (const id of batch) {
           const message = await this.get(id);
           if (message) {
             affectedConversations.add(message.conversationId);
+            if (!batchMessages.has(message.conversationId)) {
+              batchMessages.set(message.conversationId, []);
+            }
+            batchMessages.get(message.conversationId).push(message);
+          }
+        }
+
+        // Keep copies in the trash
+        if (!options.permanent) {
+          for (const [conversationId, messages] of batchMessages) {
+            await this.trash.add({ kind: 'messages', conversationId, messages });
           }
         }
         
         // Delete batch
         await this.db.deleteMany(this.storeName, batch);
+        for (const id of batch) {
+          await this.updateSearchIndex({ id }, true);
+        }
         
         // Clean up cache and state
         batch.forEach(id => {
@@ -517,6 +579,34 @@ export default class MessageManager {
     }
   }
 
+  /**
+   * Restore deleted messages from the trash
+   * @param {string} trashId - Trash entry ID returned by delete()
+   * @returns {Promise<Array>} Restored messages
+   */
+  async restore(trashId) {
+    try {
+      const entry = await this.trash.restore(trashId);
+
+      for (const message of entry.messages) {
+        this.cache.delete(message.id);
+        await this.updateSearchIndex(message);
+      }
+      // Refreshes the conversation's message count and last message
+      await this.updateConversationAfterDelete(entry.conversationId);
+
+      console.log('[MessageManager] Restored messages:', entry.messages.length);
+      return entry.messages;
+    } catch (error) {
+      handleError(error, {
+        component: 'MessageManager',
+        method: 'restore',
+        trashId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Export messages
    * @param {string} conversationId - Conversation ID
@@ -552,6 +642,12 @@ export default class MessageManager {
             exported.metadata = msg.metadata;
             exported.tokens = msg.tokens;
             exported.cost = msg.cost;
+            if (msg.reasoning) {
+              exported.reasoning = msg.reasoning;
+            }
+            if (msg.structured) {
+              exported.structured = msg.structured;
+            }
           }
           
           if (includeState) {
@@ -648,6 +744,77 @@ export default class MessageManager {
     return this.updateState(id, { pinned: !message.state.pinned });
   }
 
+  /**
+   * Keep a regenerated answer or edited prompt as a new version
+   * Earlier versions stay on the message and can be selected again.
+   * @param {string} id - Message ID
+   * @param {Object} data - Version data: content, reasoning, toolCalls, structured,
+   *   cost and metadata
+   * @returns {Promise<Object>} Updated message showing the new version
+   */
+  async addVersion(id, data) {
+    try {
+      const message = await this.get(id);
+      if (!message) {
+        throw new ValidationError(`Message not found: ${id}`);
+      }
+
+      if (data.content?.length > this.config.maxMessageLength) {
+        throw new ValidationError(`Message too long: ${data.content.length} characters`);
+      }
+
+      const model = data.metadata?.model || message.metadata?.model;
+      const updated = addMessageVersion(message, {
+        ...data,
+        tokens: data.tokens || this.estimateTokens(data.content || '', model)
+      });
+
+      await this.db.put(this.storeName, updated);
+      await this.updateSearchIndex(updated);
+      this.updateCache(id, updated);
+
+      return updated;
+    } catch (error) {
+      handleError(error, {
+        component: 'MessageManager',
+        method: 'addVersion',
+        id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Show another version of a message
+   * @param {string} id - Message ID
+   * @param {number} index - Version index
+   * @returns {Promise<Object>} Updated message
+   */
+  async selectVersion(id, index) {
+    try {
+      const message = await this.get(id);
+      if (!message) {
+        throw new ValidationError(`Message not found: ${id}`);
+      }
+
+      const updated = selectMessageVersion(message, index);
+
+      await this.db.put(this.storeName, updated);
+      await this.updateSearchIndex(updated);
+      this.updateCache(id, updated);
+
+      return updated;
+    } catch (error) {
+      handleError(error, {
+        component: 'MessageManager',
+        method: 'selectVersion',
+        id,
+        index
+      });
+      throw error;
+    }
+  }
+
   /**
    * Handle streaming message updates
    * @param {string} conversationId - Conversation ID
@@ -781,11 +948,11 @@ export default class MessageManager {
    * Estimate token count
    * @private
    * @param {string} content - Message content
+   * @param {string} model - Model the message was written for
    * @returns {number} Estimated tokens
    */
-  estimateTokens(content) {
-    // Simple estimation: ~4 characters per token
-    return Math.ceil(content.length / 4);
+  estimateTokens(content, model) {
+    return countTokens(content, model);
   }
 
   /**
@@ -884,26 +1051,24 @@ export default class MessageManager {
   }
 
   /**
-   * Extract match context
+   * Update a message's search index entry
+   * Index failures are logged but never fail the message write; the message
+   * is indexed again the next time it changes.
    * @private
-   * @param {string} content - Full content
-   * @param {string} query - Search query
-   * @returns {string} Context snippet
+   * @param {Object} message - Saved message, or { id } when removing
+   * @param {boolean} removed - Whether the message was deleted
    */
-  extractMatchContext(content, query) {
-    const index = content.toLowerCase().indexOf(query.toLowerCase());
-    if (index === -1) return '';
-    
-    const contextLength = 100;
-    const start = Math.max(0, index - contextLength);
-    const end = Math.min(content.length, index + query.length + contextLength);
-    
-    let context = content.substring(start, end);
-    
-    if (start > 0) context = '...' + context;
-    if (end < content.length) context = context + '...';
-    
-    return context;
+  async updateSearchIndex(message, removed = false) {
+    try {
+      if (removed) {
+        await this.searchIndex.remove(message.id);
+      } else {
+        await this.searchIndex.index(message);
+      }
+    } catch (error) {
+      // Non-critical error, log but don't throw
+      console.error('[MessageManager] Failed to update search index:', error);
+    }
   }
 
   /**
@@ -939,15 +1104,17 @@ export default class MessageManager {
     const newContent = message.content + additionalContent;
     
     // Update message
-    await this.db.put(this.storeName, {
+    const updated = {
       ...message,
       content: newContent,
-      tokens: this.estimateTokens(newContent)
-    });
+      tokens: this.estimateTokens(newContent, message.metadata?.model)
+    };
+    await this.db.put(this.storeName, updated);
+    await this.updateSearchIndex(updated);
     
     // Clear buffer
     streamState.buffer = [];
-    streamState.tokenCount = this.estimateTokens(newContent);
+    streamState.tokenCount = this.estimateTokens(newContent, message.metadata?.model);
   }
 
   /**
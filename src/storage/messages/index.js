@@ -5,6 +5,7 @@
 
 // Export main MessageManager
 export { default as MessageManager } from './MessageManager.js';
+export { getMessageVersions, addMessageVersion, selectMessageVersion } from './versions.js';
 
 // Re-export commonly used methods from MessageManager
 import MessageManager from './MessageManager.js';
@@ -15,10 +16,11 @@ export const addMessage = (conversationId, data) => manager.add(conversationId,
 export const getMessage = (id) => manager.get(id);
 export const listMessages = (conversationId, options) => manager.list(conversationId, options);
 export const updateMessageContent = (id, content) => manager.updateContent(id, content);
-export const deleteMessage = (id) => manager.delete(id);
+export const deleteMessage = (id, options) => manager.delete(id, options);
+export const restoreMessages = (trashId) => manager.restore(trashId);
 export const searchMessages = (conversationId, query, options) => manager.search(conversationId, query, options);
 export const getMessageStatistics = (id, isConversation) => manager.getStatistics(id, isConversation);
-export const bulkDeleteMessages = (ids) => manager.bulkDelete(ids);
+export const bulkDeleteMessages = (ids, options) => manager.bulkDelete(ids, options);
 export const exportMessages = (conversationId, options) => manager.export(conversationId, options);
 export const updateMessageState = (id, state) => manager.updateState(id, state);
 export const markMessageAsRead = (id) => manager.markAsRead(id);
@@ -0,0 +1,90 @@
+/**
+ * Message Versions
+ * Regenerated answers and edited prompts are kept as versions of the same
+ * message. The message's own fields always hold the active version, so
+ * history, search and export read messages as before.
+ */
+
+import { ValidationError } from '../../errors/index.js';
+
+// Fields that differ between versions, with the value a version gets when unset
+const VERSION_DEFAULTS = {
+  content: '',
+  reasoning: null,
+  toolCalls: [],
+  structured: null,
+  tokens: null,
+  cost: 0,
+  metadata: {}
+};
+
+/**
+ * Every version of a message, oldest first
+ * Messages that were never regenerated or edited have a single version.
+ * @param {Object} message - Message
+ * @returns {Array} Versions as { content, reasoning, toolCalls, structured, tokens, cost,
+ *   metadata, createdAt }
+ */
+export function getMessageVersions(message) {
+  return message.versions?.length ? message.versions : [toVersion(message)];
+}
+
+/**
+ * Add a version and make it the active one
+ * @param {Object} message - Message
+ * @param {Object} data - Version fields; at least `content`
+ * @returns {Object} Updated message
+ * @throws {ValidationError} If the content is empty
+ */
+export function addMessageVersion(message, data) {
+  if (!data?.content || !String(data.content).trim()) {
+    throw new ValidationError('Version content cannot be empty', 'content', data?.content);
+  }
+
+  const versions = syncActiveVersion(message);
+  versions.push(toVersion({ metadata: message.metadata, ...data, createdAt: Date.now() }));
+
+  return applyVersion(message, versions, versions.length - 1);
+}
+
+/**
+ * Make another version the active one
+ * @param {Object} message - Message
+ * @param {number} index - Version index
+ * @returns {Object} Updated message
+ * @throws {ValidationError} If there is no such version
+ */
+export function selectMessageVersion(message, index) {
+  const versions = syncActiveVersion(message);
+  if (!Number.isInteger(index) || index < 0 || index >= versions.length) {
+    throw new ValidationError(`Version not found: ${index}`, 'index', index);
+  }
+
+  return applyVersion(message, versions, index);
+}
+
+function toVersion(source) {
+  const version = { createdAt: source.createdAt || source.versionCreatedAt || source.timestamp };
+  for (const [field, fallback] of Object.entries(VERSION_DEFAULTS)) {
+    version[field] = source[field] ?? fallback;
+  }
+  return version;
+}
+
+// The message's fields may have been edited since its version was stored
+function syncActiveVersion(message) {
+  const versions = [...getMessageVersions(message)];
+  versions[message.activeVersion || 0] = toVersion(message);
+  return versions;
+}
+
+function applyVersion(message, versions, index) {
+  const { createdAt, ...fields } = versions[index];
+  return {
+    ...message,
+    ...fields,
+    versions,
+    activeVersion: index,
+    versionCreatedAt: createdAt
+  };
+}
@@ -0,0 +1,439 @@
+/**
+ * Search Index
+ * Incremental inverted index over message content in IndexedDB. Each posting
+ * is its own record keyed `<term>:<messageId>`, so prefix matching is a key
+ * range scan and updating one message never rewrites another's postings.
+ * When content is encrypted at rest, `hashTerm` replaces every term with a
+ * keyed hash so the index holds no readable words; exact and phrase matches
+ * keep working, prefix matching does not.
+ */
+
+import Database from '../database/Database.js';
+import { ValidationError, handleError } from '../../errors/index.js';
+import { getConfig } from '../../config/index.js';
+import { tokenize, parseQuery } from './analyzer.js';
+
+// Bump when the analyzer changes so existing indexes are rebuilt
+const INDEX_VERSION = 1;
+
+// Weight of a prefix match relative to an exact term match
+const PREFIX_WEIGHT = 0.5;
+
+export default class SearchIndex {
+  /**
+   * @param {Object} options - Index options
+   * @param {number} [options.maxResults] - Results returned when no limit is given
+   * @param {number} [options.prefixMinLength] - Shortest query term matched as a prefix
+   * @param {Function} [options.hashTerm] - async (term) => key stored in place of the term
+   */
+  constructor(options = {}) {
+    this.db = new Database();
+    this.termsStoreName = 'search_terms';
+    this.documentsStoreName = 'search_documents';
+    this.settingsStoreName = 'settings';
+    this.maxResults = options.maxResults ?? getConfig('search.maxResults', 50);
+    this.prefixMinLength = options.prefixMinLength ?? getConfig('search.prefixMinLength', 2);
+    this.hashTerm = options.hashTerm || null;
+
+    // Writes run one at a time so postings of the same message never interleave
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Initialize the search index
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      await this.db.initialize();
+      console.log('[SearchIndex] Initialized successfully');
+    } catch (error) {
+      handleError(error, { component: 'SearchIndex', method: 'initialize' });
+      throw error;
+    }
+  }
+
+  /**
+   * Add or replace a message in the index
+   * @param {Object} message - Message with id, conversationId, role and content
+   * @returns {Promise<void>}
+   */
+  index(message) {
+    if (!message?.id) {
+      throw new ValidationError('Indexed messages require an id');
+    }
+    return this.enqueue(() => this.write(message));
+  }
+
+  /**
+   * Remove a message from the index
+   * @param {string} messageId - Message ID
+   * @returns {Promise<void>}
+   */
+  remove(messageId) {
+    return this.enqueue(() => this.erase(messageId));
+  }
+
+  /**
+   * Remove every message of a conversation from the index
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<void>}
+   */
+  removeConversation(conversationId) {
+    return this.enqueue(async () => {
+      const documents = await this.getDocuments(conversationId);
+      for (const document of documents) {
+        await this.erase(document.id);
+      }
+    });
+  }
+
+  /**
+   * Bring a conversation's entries in line with its stored messages
+   * Only messages that were added, changed or removed are touched, so this
+   * can run after every save.
+   * @param {string} conversationId - Conversation ID
+   * @param {Array} messages - Every message of the conversation
+   * @returns {Promise<void>}
+   */
+  sync(conversationId, messages) {
+    return this.enqueue(async () => {
+      const documents = new Map(
+        (await this.getDocuments(conversationId)).map(document => [document.id, document])
+      );
+
+      for (const message of messages) {
+        const document = documents.get(message.id);
+        documents.delete(message.id);
+        if (!document || document.hash !== fingerprint(message)) {
+          await this.write({ conversationId, ...message });
+        }
+      }
+
+      for (const id of documents.keys()) {
+        await this.erase(id);
+      }
+    });
+  }
+
+  /**
+   * Whether the index is missing, was built by an older analyzer or was built
+   * with terms hashed when they are not now, or the other way round
+   * @returns {Promise<boolean>}
+   */
+  async needsRebuild() {
+    await this.db.initialize();
+    const record = await this.db.get(this.settingsStoreName, 'searchIndex');
+    return record?.version !== INDEX_VERSION || Boolean(record.hashed) !== Boolean(this.hashTerm);
+  }
+
+  /**
+   * Drop the index and build it again from the given messages
+   * @param {Array} messages - Every stored message
+   * @returns {Promise<number>} Number of messages indexed
+   */
+  rebuild(messages) {
+    return this.enqueue(async () => {
+      await this.db.initialize();
+      await this.db.clear(this.termsStoreName);
+      await this.db.clear(this.documentsStoreName);
+
+      let count = 0;
+      for (const message of messages) {
+        if (message?.id) {
+          await this.write(message);
+          count++;
+        }
+      }
+
+      await this.db.put(this.settingsStoreName, {
+        key: 'searchIndex',
+        version: INDEX_VERSION,
+        hashed: Boolean(this.hashTerm),
+        builtAt: Date.now()
+      });
+      return count;
+    });
+  }
+
+  /**
+   * Search messages
+   * Every term must match, either exactly or as the prefix of a longer term;
+   * "quoted phrases" must appear in order. role:, model:, before: and after:
+   * in the query narrow the results like the matching options.
+   * @param {string} query - Search query
+   * @param {Object} [options] - Search options
+   * @param {string} [options.conversationId] - Only search this conversation
+   * @param {string} [options.role] - Only messages with this role
+   * @param {string} [options.model] - Only messages from models whose name contains this
+   * @param {number} [options.before] - Only messages older than this timestamp
+   * @param {number} [options.after] - Only messages newer than this timestamp
+   * @param {number} [options.limit] - Maximum number of results
+   * @returns {Promise<Object>} { hits, terms } where hits are
+   *   { id, conversationId, role, model, timestamp, score }, best first, and
+   *   terms are the analyzed query terms for snippets
+   */
+  async search(query, options = {}) {
+    try {
+      await this.db.initialize();
+      const { terms, phrases, filters } = parseQuery(query);
+      const criteria = { ...options, ...filters };
+      const limit = options.limit || this.maxResults;
+
+      if (terms.length === 0) {
+        if (!hasFilters(criteria)) {
+          throw new ValidationError('Search query cannot be empty');
+        }
+        const documents = (await this.getDocuments(criteria.conversationId))
+          .filter(document => matchesFilters(document, criteria))
+          .sort((a, b) => b.timestamp - a.timestamp)
+          .slice(0, limit);
+        return { hits: documents.map(document => toHit(document, 0)), terms };
+      }
+
+      const total = await this.db.count(this.documentsStoreName);
+      const scores = await this.scoreTerms(terms, total);
+      const phrasePostings = await this.getPhrasePostings(phrases);
+
+      const hits = [];
+      for (const [messageId, score] of scores) {
+        if (!phrases.every((phrase, i) => containsPhrase(phrasePostings[i], messageId, phrase))) {
+          continue;
+        }
+        const document = await this.db.get(this.documentsStoreName, messageId);
+        if (document && matchesFilters(document, criteria)) {
+          hits.push(toHit(document, score + phrases.length));
+        }
+      }
+
+      hits.sort((a, b) => b.score - a.score || b.timestamp - a.timestamp);
+      return { hits: hits.slice(0, limit), terms };
+    } catch (error) {
+      handleError(error, { component: 'SearchIndex', method: 'search', query, options });
+      throw error;
+    }
+  }
+
+  /**
+   * Score messages that match every term
+   * @private
+   * @param {Array<string>} terms - Analyzed query terms
+   * @param {number} total - Number of indexed messages
+   * @returns {Promise<Map>} messageId -> score
+   */
+  async scoreTerms(terms, total) {
+    let scores = null;
+
+    for (const queryTerm of terms) {
+      const term = await this.toKey(queryTerm);
+      const prefix = !this.hashTerm && term.length >= this.prefixMinLength;
+      const postings = await this.getPostings(term, prefix);
+
+      // Document frequency per indexed term, for its inverse document frequency
+      const frequency = new Map();
+      postings.forEach(posting => {
+        frequency.set(posting.term, (frequency.get(posting.term) || 0) + 1);
+      });
+
+      const termScores = new Map();
+      postings.forEach(posting => {
+        const idf = Math.log(1 + (total / frequency.get(posting.term)));
+        const weight = posting.term === term ? 1 : PREFIX_WEIGHT;
+        const score = idf * (1 + Math.log(posting.positions.length)) * weight;
+        termScores.set(posting.messageId, Math.max(termScores.get(posting.messageId) || 0, score));
+      });
+
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        for (const [messageId, score] of scores) {
+          if (termScores.has(messageId)) {
+            scores.set(messageId, score + termScores.get(messageId));
+          } else {
+            scores.delete(messageId);
+          }
+        }
+      }
+      if (scores.size === 0) {
+        break;
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Exact postings of every term in each phrase
+   * @private
+   * @param {Array} phrases - Parsed phrases
+   * @returns {Promise<Array>} Per phrase, a Map of term -> Map of messageId -> positions
+   */
+  async getPhrasePostings(phrases) {
+    const result = [];
+    for (const phrase of phrases) {
+      const byTerm = new Map();
+      for (const { term } of phrase) {
+        const postings = await this.getPostings(await this.toKey(term), false);
+        byTerm.set(term, new Map(postings.map(posting => [posting.messageId, posting.positions])));
+      }
+      result.push(byTerm);
+    }
+    return result;
+  }
+
+  /**
+   * Postings of a term, or of every term starting with it
+   * @private
+   * @param {string} term - Analyzed term
+   * @param {boolean} prefix - Whether longer terms match too
+   * @returns {Promise<Array>} Postings
+   */
+  getPostings(term, prefix) {
+    const start = prefix ? term : `${term}:`;
+    return this.db.getAll(this.termsStoreName, {
+      range: { start, end: `${start}\uffff` }
+    });
+  }
+
+  /**
+   * Indexed messages, optionally of one conversation
+   * @private
+   * @param {string} [conversationId] - Conversation ID
+   * @returns {Promise<Array>} Document records
+   */
+  async getDocuments(conversationId) {
+    await this.db.initialize();
+    return this.db.getAll(this.documentsStoreName, conversationId ? {
+      index: 'by_conversation',
+      range: { start: conversationId, end: conversationId }
+    } : {});
+  }
+
+  /**
+   * Replace a message's postings and document record
+   * @private
+   * @param {Object} message - Message
+   */
+  async write(message) {
+    await this.erase(message.id);
+
+    const positions = new Map();
+    const tokens = tokenize(message.content);
+    tokens.forEach(token => {
+      if (!positions.has(token.term)) {
+        positions.set(token.term, []);
+      }
+      positions.get(token.term).push(token.position);
+    });
+
+    for (const [word, termPositions] of positions) {
+      const term = await this.toKey(word);
+      await this.db.put(this.termsStoreName, {
+        id: `${term}:${message.id}`,
+        term,
+        messageId: message.id,
+        conversationId: message.conversationId,
+        positions: termPositions
+      });
+    }
+
+    await this.db.put(this.documentsStoreName, {
+      id: message.id,
+      conversationId: message.conversationId,
+      role: message.role || 'user',
+      model: message.metadata?.model || message.model || null,
+      timestamp: toTime(message.timestamp),
+      length: tokens.length,
+      hash: fingerprint(message)
+    });
+  }
+
+  /**
+   * Delete a message's postings and document record
+   * @private
+   * @param {string} messageId - Message ID
+   */
+  async erase(messageId) {
+    await this.db.initialize();
+    const postings = await this.db.getAll(this.termsStoreName, {
+      index: 'by_message',
+      range: { start: messageId, end: messageId }
+    });
+    if (postings.length) {
+      await this.db.deleteMany(this.termsStoreName, postings.map(posting => posting.id));
+    }
+    await this.db.delete(this.documentsStoreName, messageId);
+  }
+
+  /**
+   * Term as stored in the index
+   * @private
+   * @param {string} term - Analyzed term
+   * @returns {Promise<string>} The term, or its hash
+   */
+  toKey(term) {
+    return this.hashTerm ? this.hashTerm(term) : Promise.resolve(term);
+  }
+
+  /**
+   * Run a write after the ones already queued
+   * @private
+   * @param {Function} task - Async write
+   * @returns {Promise<any>} Result of the task
+   */
+  enqueue(task) {
+    const run = this.writes.then(task);
+    this.writes = run.catch(error => {
+      console.error('[SearchIndex] Index update failed:', error);
+    });
+    return run;
+  }
+}
+
+function toTime(timestamp) {
+  return typeof timestamp === 'number' ? timestamp : Date.parse(timestamp) || 0;
+}
+
+// Cheap change detection for sync(); collisions only delay a re-index
+function fingerprint(message) {
+  const text = `${message.role}\u0000${message.metadata?.model || message.model || ''}` +
+    `\u0000${message.content || ''}`;
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return `${text.length}:${hash}`;
+}
+
+function containsPhrase(postings, messageId, phrase) {
+  const [first, ...rest] = phrase;
+  const starts = postings.get(first.term).get(messageId) || [];
+  return starts.some(start => rest.every(({ term, offset }) =>
+    (postings.get(term).get(messageId) || []).includes(start + offset)
+  ));
+}
+
+function hasFilters(criteria) {
+  return ['conversationId', 'role', 'model', 'before', 'after']
+    .some(key => criteria[key] !== null && typeof criteria[key] !== 'undefined');
+}
+
+function matchesFilters(document, criteria) {
+  const { conversationId, role, model, before, after } = criteria;
+  return (!conversationId || document.conversationId === conversationId) &&
+    (!role || document.role === role) &&
+    (!model || (document.model || '').toLowerCase().includes(String(model).toLowerCase())) &&
+    (!before || document.timestamp < before) &&
+    (!after || document.timestamp >= after);
+}
+
+function toHit(document, score) {
+  return {
+    id: document.id,
+    conversationId: document.conversationId,
+    role: document.role,
+    model: document.model,
+    timestamp: document.timestamp,
+    score
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * Search Analyzer
+ * Turns message text and search queries into index terms. Indexing and
+ * searching must use the same analysis, so both go through this module.
+ */
+
+// Words too common to be worth indexing; their positions are still counted
+// so phrase queries can span them
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in',
+  'into', 'is', 'it', 'no', 'not', 'of', 'on', 'or', 'so', 'such', 'that',
+  'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+  'will', 'with'
+]);
+
+// Suffixes stripped by the stemmer, longest first, with their replacement
+const SUFFIXES = [
+  ['ational', 'ate'],
+  ['ization', 'ize'],
+  ['fulness', 'ful'],
+  ['iveness', 'ive'],
+  ['ations', ''],
+  ['ation', ''],
+  ['ements', ''],
+  ['ement', ''],
+  ['ments', ''],
+  ['ment', ''],
+  ['ness', ''],
+  ['ings', ''],
+  ['ing', ''],
+  ['edly', ''],
+  ['ies', 'y'],
+  ['ied', 'y'],
+  ['sses', 'ss'],
+  ['ers', ''],
+  ['er', ''],
+  ['ed', ''],
+  ['ly', ''],
+  ['s', '']
+];
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const MAX_TERM_LENGTH = 40;
+
+const FILTER_PATTERN = /^(role|model|before|after):(.+)$/i;
+
+/**
+ * Reduce a word to its stem
+ * A light suffix stripper: it only has to map word forms onto the same term,
+ * not produce dictionary words.
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+
+  const base = stripSuffix(word);
+  // create, created and creating all become "creat"
+  return base.length > 3 && base.endsWith('e') ? base.slice(0, -1) : base;
+}
+
+/**
+ * Split text into index tokens
+ * @param {string} text - Text to analyze
+ * @returns {Array} Tokens as { term, position, start, end }; stop words are left out
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+
+  for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+    const word = match[0].toLowerCase();
+    if (!STOP_WORDS.has(word) && word.length <= MAX_TERM_LENGTH) {
+      tokens.push({
+        term: stem(word),
+        position,
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+    position++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a search query
+ * Supports "quoted phrases" and role:, model:, before: and after: filters;
+ * dates are anything `Date` understands, such as 2025-06-30.
+ * @param {string} query - Search query
+ * @returns {Object} { terms, phrases, filters } where each phrase is a list of
+ *   { term, offset } relative to its first term
+ */
+export function parseQuery(query) {
+  const terms = [];
+  const phrases = [];
+  const filters = {};
+
+  const parts = String(query || '').match(/"[^"]*"?|\S+/g) || [];
+  for (const part of parts) {
+    const filter = part.match(FILTER_PATTERN);
+    if (filter) {
+      const value = parseFilter(filter[1].toLowerCase(), filter[2]);
+      if (value !== null) {
+        filters[filter[1].toLowerCase()] = value;
+        continue;
+      }
+    }
+
+    const tokens = tokenize(part.replace(/"/g, ''));
+    if (tokens.length === 0) {
+      continue;
+    }
+    if (part.startsWith('"') && tokens.length > 1) {
+      const first = tokens[0].position;
+      phrases.push(tokens.map(token => ({ term: token.term, offset: token.position - first })));
+    }
+    tokens.forEach(token => {
+      if (!terms.includes(token.term)) {
+        terms.push(token.term);
+      }
+    });
+  }
+
+  return { terms, phrases, filters };
+}
+
+/**
+ * Cut a snippet around the best match in a text
+ * Highlights are character ranges into the snippet text, so callers can mark
+ * them without building HTML from message content.
+ * @param {string} text - Message content
+ * @param {Array<string>} terms - Query terms, already analyzed
+ * @param {Object} [options] - Snippet options
+ * @param {number} [options.length=160] - Maximum snippet length in characters
+ * @param {boolean} [options.prefix=true] - Whether terms also match longer words
+ * @returns {Object} { text, highlights } with highlights as [start, end] pairs
+ */
+export function buildSnippet(text, terms, options = {}) {
+  const { length = 160, prefix = true } = options;
+  const content = String(text || '');
+  const matches = tokenize(content).filter(token =>
+    terms.some(term => token.term === term || (prefix && token.term.startsWith(term)))
+  );
+
+  // Start just before the densest run of matches that fits in the snippet
+  let best = 0;
+  let bestCount = 0;
+  matches.forEach((match, index) => {
+    const count = matches.slice(index).filter(m => m.end - match.start <= length).length;
+    if (count > bestCount) {
+      best = index;
+      bestCount = count;
+    }
+  });
+
+  let start = matches.length ?
+    Math.max(0, matches[best].start - Math.floor(length / 4)) :
+    0;
+  let end = Math.min(content.length, start + length);
+  start = Math.max(0, Math.min(start, end - length));
+
+  // Avoid cutting words in half
+  if (start > 0) {
+    const space = content.indexOf(' ', start);
+    if (space !== -1 && space < (matches[best]?.start ?? end)) {
+      start = space + 1;
+    }
+  }
+  if (end < content.length) {
+    const space = content.lastIndexOf(' ', end);
+    if (space > start) {
+      end = space;
+    }
+  }
+
+  const before = start > 0 ? '…' : '';
+  const after = end < content.length ? '…' : '';
+  const highlights = matches
+    .filter(match => match.start >= start && match.end <= end)
+    .map(match => [
+      match.start - start + before.length,
+      match.end - start + before.length
+    ]);
+
+  return {
+    text: `${before}${content.slice(start, end)}${after}`,
+    highlights
+  };
+}
+
+function stripSuffix(word) {
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (!word.endsWith(suffix)) {
+      continue;
+    }
+    const base = word.slice(0, -suffix.length);
+    if (suffix === 's' && /[siu]$/.test(base)) {
+      return word;
+    }
+    if (base.length + replacement.length < 3) {
+      continue;
+    }
+    // running -> runn -> run
+    if (/([^aeiouls])\1$/.test(base)) {
+      return base.slice(0, -1) + replacement;
+    }
+    return base + replacement;
+  }
+  return word;
+}
+
+function parseFilter(name, value) {
+  if (name === 'before' || name === 'after') {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+  return value.toLowerCase();
+}
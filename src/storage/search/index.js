@@ -0,0 +1,10 @@
+/**
+ * Search Module
+ * Full-text index over messages of every conversation
+ */
+
+// Export main SearchIndex
+export { default as SearchIndex } from './SearchIndex.js';
+
+// Export the analyzer shared by indexing, queries and snippets
+export { stem, tokenize, parseQuery, buildSnippet } from './analyzer.js';
@@ -0,0 +1,143 @@
+/**
+ * Trash Manager
+ * Soft-deleted conversations and messages in IndexedDB. Entries can be
+ * restored until `storage.trash.retentionDays` have passed, after which
+ * purgeExpired() removes them for good.
+ */
+
+import Database from '../database/Database.js';
+import { ValidationError, handleError } from '../../errors/index.js';
+import { getConfig } from '../../config/index.js';
+import { createTrashEntry, summarizeEntry } from './retention.js';
+
+export default class TrashManager {
+  constructor() {
+    this.db = new Database();
+    this.storeName = 'trash';
+    this.conversationsStoreName = 'conversations';
+    this.messagesStoreName = 'messages';
+  }
+
+  /**
+   * Initialize the trash manager
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      await this.db.initialize();
+      console.log('[TrashManager] Initialized successfully');
+    } catch (error) {
+      handleError(error, { component: 'TrashManager', method: 'initialize' });
+      throw error;
+    }
+  }
+
+  /**
+   * Keep deleted data in the trash
+   * The caller removes the data from its own store afterwards.
+   * @param {Object} data - { kind, conversationId, conversation, messages, label }
+   * @returns {Promise<Object>} Trash entry
+   */
+  async add(data) {
+    await this.db.initialize();
+    const entry = createTrashEntry(data, {
+      retentionDays: getConfig('storage.trash.retentionDays', 30)
+    });
+    await this.db.put(this.storeName, entry);
+    return entry;
+  }
+
+  /**
+   * Entries in the trash, most recently deleted first
+   * @returns {Promise<Array>} Summaries without the stored data
+   */
+  async list() {
+    return (await this.getAll())
+      .sort((a, b) => b.deletedAt - a.deletedAt)
+      .map(summarizeEntry);
+  }
+
+  /**
+   * Every entry with its stored data
+   * @returns {Promise<Array>} Trash entries
+   */
+  async getAll() {
+    await this.db.initialize();
+    return this.db.getAll(this.storeName);
+  }
+
+  /**
+   * Put an entry's conversation and messages back
+   * @param {string} id - Trash entry ID
+   * @returns {Promise<Object>} The restored entry
+   * @throws {ValidationError} If the entry is gone, or its messages belong to a
+   *   conversation that is itself in the trash
+   */
+  async restore(id) {
+    try {
+      await this.db.initialize();
+      const entry = await this.db.get(this.storeName, id);
+      if (!entry) {
+        throw new ValidationError(`Trash entry not found: ${id}`);
+      }
+
+      if (entry.kind === 'conversation') {
+        await this.db.put(this.conversationsStoreName, entry.conversation);
+      } else if (!(await this.db.get(this.conversationsStoreName, entry.conversationId))) {
+        throw new ValidationError('Restore the conversation these messages belong to first');
+      }
+
+      for (const message of entry.messages) {
+        await this.db.put(this.messagesStoreName, message);
+      }
+      await this.db.delete(this.storeName, id);
+
+      console.log('[TrashManager] Restored:', id);
+      return entry;
+    } catch (error) {
+      handleError(error, { component: 'TrashManager', method: 'restore', id });
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete one entry
+   * @param {string} id - Trash entry ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    await this.db.initialize();
+    await this.db.delete(this.storeName, id);
+  }
+
+  /**
+   * Permanently delete everything in the trash
+   * @returns {Promise<number>} Entries deleted
+   */
+  async empty() {
+    const count = (await this.getAll()).length;
+    await this.db.clear(this.storeName);
+    return count;
+  }
+
+  /**
+   * Permanently delete entries whose retention period has ended
+   * @param {number} [now] - Current time
+   * @returns {Promise<number>} Entries deleted
+   */
+  async purgeExpired(now = Date.now()) {
+    await this.db.initialize();
+    // Only ids are needed, so encrypted entries are purged while locked too
+    const expired = await this.db.getAll(this.storeName, {
+      index: 'by_expires',
+      range: { end: now },
+      raw: true
+    });
+
+    if (expired.length) {
+      await this.db.deleteMany(this.storeName, expired.map(entry => entry.id));
+      console.log('[TrashManager] Purged expired entries:', expired.length);
+    }
+    return expired.length;
+  }
+}
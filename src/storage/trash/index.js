@@ -0,0 +1,16 @@
+/**
+ * Trash Module
+ * Soft delete with restore and a retention period
+ */
+
+// Export main TrashManager
+export { default as TrashManager } from './TrashManager.js';
+
+// Export retention helpers shared with the background store
+export {
+  createTrashEntry,
+  isExpired,
+  selectCleanupCandidates,
+  buildCleanupPreview,
+  summarizeEntry
+} from './retention.js';
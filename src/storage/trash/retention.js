@@ -0,0 +1,151 @@
+/**
+ * Trash Retention
+ * Deleted conversations and messages are kept as trash entries until their
+ * retention period ends. Auto-cleanup moves inactive archived conversations to
+ * the trash and permanently removes expired entries, but only after showing
+ * what it is about to do. The helpers are pure so the IndexedDB managers and
+ * the background store share them.
+ */
+
+import { ValidationError } from '../../errors/index.js';
+
+const DAY_MS = 86400000;
+
+/**
+ * Build a trash entry for deleted data
+ * @param {Object} data - What was deleted
+ * @param {string} data.kind - 'conversation' or 'messages'
+ * @param {string} data.conversationId - Conversation the data belongs to
+ * @param {Object} [data.conversation] - Deleted conversation, for 'conversation'
+ * @param {Array} [data.messages] - Deleted messages
+ * @param {string} [data.label] - What to call the entry in the trash
+ * @param {Object} [options] - Entry options
+ * @param {number} [options.retentionDays] - Days before permanent removal
+ * @param {number} [options.now] - Deletion time
+ * @returns {Object} Entry with id, deletedAt and expiresAt
+ * @throws {ValidationError} If the entry would restore nothing
+ */
+export function createTrashEntry(data = {}, options = {}) {
+  const { retentionDays = 30, now = Date.now() } = options;
+  const messages = data.messages || [];
+
+  if (!['conversation', 'messages'].includes(data.kind)) {
+    throw new ValidationError(`Unknown trash entry kind: ${data.kind}`, 'kind', data.kind);
+  }
+  if (data.kind === 'conversation' ? !data.conversation : !messages.length) {
+    throw new ValidationError('Nothing to move to the trash', 'data', data.kind);
+  }
+
+  return {
+    id: `trash_${now}_${Math.random().toString(36).substr(2, 9)}`,
+    kind: data.kind,
+    conversationId: data.conversationId || data.conversation?.id || null,
+    label: data.label || describeEntry(data),
+    conversation: data.conversation || null,
+    messages,
+    deletedAt: now,
+    expiresAt: now + (retentionDays * DAY_MS)
+  };
+}
+
+/**
+ * Whether an entry's retention period has ended
+ * @param {Object} entry - Trash entry
+ * @param {number} [now] - Current time
+ * @returns {boolean}
+ */
+export function isExpired(entry, now = Date.now()) {
+  return entry.expiresAt <= now;
+}
+
+/**
+ * Conversations auto-cleanup would move to the trash
+ * Archived conversations without activity for `maxAge` go first; if there are
+ * still more than `maxConversations`, the least recently active follow.
+ * @param {Array} conversations - Every conversation
+ * @param {Object} options - Cleanup settings, as in `storage.autoCleanup`
+ * @param {number} options.maxAge - Inactivity before an archived conversation is due
+ * @param {number} [options.maxConversations] - Conversations to keep at most
+ * @param {number} [options.now] - Current time
+ * @returns {Array} { conversation, reason } where reason is 'inactive' or 'limit'
+ */
+export function selectCleanupCandidates(conversations, options = {}) {
+  const { maxAge, maxConversations = Infinity, now = Date.now() } = options;
+  const byActivity = [...conversations]
+    .sort((a, b) => getActivityTime(a) - getActivityTime(b));
+
+  const candidates = byActivity
+    .filter(conv => conv.archived && getActivityTime(conv) < now - maxAge)
+    .map(conversation => ({ conversation, reason: 'inactive' }));
+
+  const selected = new Set(candidates.map(candidate => candidate.conversation.id));
+  let remaining = conversations.length - selected.size;
+  for (const conversation of byActivity) {
+    if (remaining <= maxConversations) {
+      break;
+    }
+    if (!selected.has(conversation.id)) {
+      candidates.push({ conversation, reason: 'limit' });
+      remaining--;
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Everything the next cleanup would do, to show before it runs
+ * @param {Array} conversations - Every conversation
+ * @param {Array} entries - Trash entries
+ * @param {Object} options - As for selectCleanupCandidates()
+ * @returns {Object} { toTrash, toPurge } with summaries of conversations and entries
+ */
+export function buildCleanupPreview(conversations, entries, options = {}) {
+  const { now = Date.now() } = options;
+
+  return {
+    toTrash: selectCleanupCandidates(conversations, { ...options, now })
+      .map(({ conversation, reason }) => ({
+        id: conversation.id,
+        title: conversation.title || 'Untitled',
+        lastActivity: getActivityTime(conversation),
+        reason
+      })),
+    toPurge: entries
+      .filter(entry => isExpired(entry, now))
+      .map(summarizeEntry)
+  };
+}
+
+/**
+ * Trash entry without its stored data, for listing
+ * @param {Object} entry - Trash entry
+ * @returns {Object} { id, kind, conversationId, label, messageCount, deletedAt, expiresAt }
+ */
+export function summarizeEntry(entry) {
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    conversationId: entry.conversationId,
+    label: entry.label,
+    messageCount: entry.messages?.length || 0,
+    deletedAt: entry.deletedAt,
+    expiresAt: entry.expiresAt
+  };
+}
+
+function describeEntry(data) {
+  if (data.kind === 'conversation') {
+    return data.conversation.title || 'Untitled conversation';
+  }
+  const first = String(data.messages[0].content || '').replace(/\s+/g, ' ').trim();
+  const preview = first.length > 60 ? `${first.slice(0, 60)}…` : first;
+  return data.messages.length > 1 ?
+    `${data.messages.length} messages` :
+    preview || 'Message';
+}
+
+function getActivityTime(conversation) {
+  const time = conversation.updatedAt || conversation.lastMessageAt || conversation.createdAt;
+  return typeof time === 'number' ? time : Date.parse(time) || 0;
+}
@@ -0,0 +1,240 @@
+/**
+ * Usage Ledger
+ * Records tokens and cost per request and enforces daily/monthly budgets
+ */
+
+import Database from '../database/Database.js';
+import { ValidationError, handleError } from '../../errors/index.js';
+import { getConfig } from '../../config/index.js';
+
+const PERIODS = {
+  day: { index: 'by_day', budget: 'daily', label: 'Daily' },
+  month: { index: 'by_month', budget: 'monthly', label: 'Monthly' }
+};
+
+export default class UsageLedger {
+  constructor() {
+    this.db = new Database();
+    this.storeName = 'usage';
+  }
+
+  /**
+   * Initialize the usage ledger
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      await this.db.initialize();
+      console.log('[UsageLedger] Initialized successfully');
+    } catch (error) {
+      handleError(error, { component: 'UsageLedger', method: 'initialize' });
+      throw error;
+    }
+  }
+
+  /**
+   * Record one completed request
+   * @param {Object} data - Request usage
+   * @param {string} data.model - Model that answered
+   * @param {string} [data.provider] - Provider that answered
+   * @param {string} [data.conversationId] - Conversation the request belongs to
+   * @param {string} [data.url] - Page the request was made from
+   * @param {Object} [data.usage] - Token usage as reported by the API
+   * @param {number} [data.cost] - Cost in USD
+   * @param {string} [data.purpose] - 'chat', 'compare' or 'summary'
+   * @returns {Promise<Object>} Ledger entry
+   */
+  async record(data) {
+    if (!data?.model) {
+      throw new ValidationError('Usage entries require a model');
+    }
+
+    const timestamp = data.timestamp || Date.now();
+    const date = new Date(timestamp);
+    const entry = {
+      id: this.generateId(),
+      timestamp,
+      day: toDayKey(date),
+      month: toMonthKey(date),
+      model: data.model,
+      provider: data.provider || null,
+      conversationId: data.conversationId || null,
+      domain: data.domain || getDomain(data.url),
+      purpose: data.purpose || 'chat',
+      promptTokens: data.usage?.prompt_tokens || 0,
+      completionTokens: data.usage?.completion_tokens || 0,
+      totalTokens: data.usage?.total_tokens || 0,
+      cost: Number(data.cost) || 0
+    };
+
+    try {
+      await this.db.initialize();
+      await this.db.add(this.storeName, entry);
+      return entry;
+    } catch (error) {
+      handleError(error, { component: 'UsageLedger', method: 'record' });
+      throw error;
+    }
+  }
+
+  /**
+   * Get ledger entries for a period
+   * @param {string} period - 'day' or 'month'
+   * @param {Date} [date] - Any date within the period
+   * @returns {Promise<Array>} Entries
+   */
+  async getEntries(period, date = new Date()) {
+    const config = PERIODS[period];
+    if (!config) {
+      throw new ValidationError(`Unknown usage period: ${period}`);
+    }
+
+    await this.db.initialize();
+    const key = period === 'day' ? toDayKey(date) : toMonthKey(date);
+    return this.db.search(this.storeName, config.index, key);
+  }
+
+  /**
+   * Total spend and tokens for a period
+   * @param {string} period - 'day' or 'month'
+   * @param {Date} [date] - Any date within the period
+   * @returns {Promise<Object>} { cost, tokens, requests }
+   */
+  async getTotals(period, date = new Date()) {
+    return summarize(await this.getEntries(period, date));
+  }
+
+  /**
+   * Spend for a period broken down by model and by site
+   * @param {string} period - 'day' or 'month'
+   * @param {Date} [date] - Any date within the period
+   * @returns {Promise<Object>} { period, totals, byModel, byDomain }
+   */
+  async getBreakdown(period, date = new Date()) {
+    const entries = await this.getEntries(period, date);
+
+    return {
+      period,
+      totals: summarize(entries),
+      byModel: groupBy(entries, 'model'),
+      byDomain: groupBy(entries, 'domain')
+    };
+  }
+
+  /**
+   * Check spend against the configured budgets
+   * Budgets of 0 are unlimited. With `budget.hardStop` on, a request is refused
+   * once its period's budget is used up or its estimated cost would exceed it.
+   * @param {number} [estimatedCost=0] - Estimated cost of the next request
+   * @returns {Promise<Object>} { allowed, reason, warnings, status }
+   */
+  async checkBudget(estimatedCost = 0) {
+    const budget = getConfig('budget', {});
+    const warnAt = budget.warnAt ?? 0.8;
+    const result = { allowed: true, reason: null, warnings: [], status: {} };
+
+    for (const [period, config] of Object.entries(PERIODS)) {
+      const limit = budget[config.budget] || 0;
+      const { cost: spent } = await this.getTotals(period);
+      result.status[config.budget] = { spent, limit, ratio: limit ? spent / limit : 0 };
+
+      if (!limit) {
+        continue;
+      }
+
+      const projected = spent + estimatedCost;
+      if (budget.hardStop !== false && (spent >= limit || projected > limit)) {
+        result.allowed = false;
+        result.reason = result.reason ||
+          `${config.label} budget of ${formatCost(limit)} reached ` +
+          `(${formatCost(spent)} spent). Raise it in the extension settings to continue.`;
+      } else if (projected >= limit * warnAt) {
+        result.warnings.push(
+          `${config.label} spend is at ${formatCost(spent)} of ${formatCost(limit)}`
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete entries older than a timestamp
+   * @param {number} before - Timestamp in milliseconds
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune(before) {
+    await this.db.initialize();
+    const entries = await this.db.getAll(this.storeName, {
+      index: 'by_timestamp',
+      range: { end: before, endExclusive: true }
+    });
+
+    if (entries.length) {
+      await this.db.deleteMany(this.storeName, entries.map(entry => entry.id));
+    }
+    return entries.length;
+  }
+
+  /**
+   * Generate unique ID
+   * @private
+   * @returns {string} Entry ID
+   */
+  generateId() {
+    return `usage_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+/**
+ * Local calendar day key, e.g. 2025-01-31
+ * @param {Date} date - Date
+ * @returns {string} Day key
+ */
+export function toDayKey(date) {
+  return `${toMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Local calendar month key, e.g. 2025-01
+ * @param {Date} date - Date
+ * @returns {string} Month key
+ */
+export function toMonthKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function getDomain(url) {
+  try {
+    return url ? new URL(url).hostname : null;
+  } catch {
+    return null;
+  }
+}
+
+function summarize(entries) {
+  return entries.reduce((totals, entry) => ({
+    cost: totals.cost + entry.cost,
+    tokens: totals.tokens + entry.totalTokens,
+    requests: totals.requests + 1
+  }), { cost: 0, tokens: 0, requests: 0 });
+}
+
+function groupBy(entries, field) {
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const key = entry[field] || 'unknown';
+    const group = groups.get(key) || { [field]: key, cost: 0, tokens: 0, requests: 0 };
+    group.cost += entry.cost;
+    group.tokens += entry.totalTokens;
+    group.requests++;
+    groups.set(key, group);
+  }
+
+  return Array.from(groups.values()).sort((a, b) => b.cost - a.cost);
+}
+
+function formatCost(cost) {
+  return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+}
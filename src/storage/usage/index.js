@@ -0,0 +1,16 @@
+/**
+ * Usage Module
+ * Tracks token usage and spend against budgets
+ */
+
+// Export main UsageLedger
+export { default as UsageLedger, toDayKey, toMonthKey } from './UsageLedger.js';
+
+// Re-export commonly used methods from UsageLedger
+import UsageLedger from './UsageLedger.js';
+
+const ledger = new UsageLedger();
+
+export const recordUsage = (data) => ledger.record(data);
+export const getUsageBreakdown = (period, date) => ledger.getBreakdown(period, date);
+export const checkBudget = (estimatedCost) => ledger.checkBudget(estimatedCost);
@@ -0,0 +1,259 @@
+/**
+ * Byte-level BPE Tokenizer
+ * Encodes text with a tiktoken-style merge-rank vocabulary
+ */
+
+// CJK ranges DeepSeek splits off before its main pattern
+const DEEPSEEK_CJK = '\\u4e00-\\u9fa5\\u3040-\\u309f\\u30a0-\\u30ff';
+
+// Building blocks for the o200k pattern, which splits on letter case
+const UPPER = '[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]';
+const LOWER = '[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]';
+const CONTRACTION = '(?:\'[sSdDmMtT]|\'[lL][lL]|\'[vV][eE]|\'[rR][eE])?';
+
+// Pre-tokenization patterns used by the OpenAI encodings, and the split
+// sequence of DeepSeek's published tokenizer, applied one after another
+export const PATTERNS = {
+  cl100k_base: new RegExp([
+    '\'(?:[sdmt]|ll|ve|re)',
+    '[^\\r\\n\\p{L}\\p{N}]?\\p{L}+',
+    '\\p{N}{1,3}',
+    ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*',
+    '\\s*[\\r\\n]+',
+    '\\s+(?!\\S)',
+    '\\s+'
+  ].join('|'), 'giu'),
+  o200k_base: new RegExp([
+    `[^\\r\\n\\p{L}\\p{N}]?${UPPER}*${LOWER}+${CONTRACTION}`,
+    `[^\\r\\n\\p{L}\\p{N}]?${UPPER}+${LOWER}*${CONTRACTION}`,
+    '\\p{N}{1,3}',
+    ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*',
+    '\\s*[\\r\\n]+',
+    '\\s+(?!\\S)',
+    '\\s+'
+  ].join('|'), 'gu'),
+  deepseek_v3: [
+    /\p{N}{1,3}/gu,
+    new RegExp(`[${DEEPSEEK_CJK}]+`, 'gu'),
+    new RegExp([
+      '[!"#$%&\'()*+,\\-./:;<=>?@\\[\\\\\\]^_`{|}~][A-Za-z]+',
+      '[^\\r\\n\\p{L}\\p{P}\\p{S}]?[\\p{L}\\p{M}]+',
+      ' ?[\\p{P}\\p{S}]+[\\r\\n]*',
+      '\\s*[\\r\\n]+',
+      '\\s+(?!\\S)',
+      '\\s+'
+    ].join('|'), 'gu')
+  ]
+};
+
+// Printable characters byte-level vocabularies use in place of each byte
+const BYTE_CHARS = (() => {
+  const chars = new Map();
+  let shifted = 0;
+  for (let byte = 0; byte < 256; byte++) {
+    const printable = (byte >= 0x21 && byte <= 0x7e) || (byte >= 0xa1 && byte <= 0xac) ||
+      byte >= 0xae;
+    chars.set(String.fromCharCode(printable ? byte : 256 + shifted++), String.fromCharCode(byte));
+  }
+  return chars;
+})();
+
+const CACHE_SIZE = 5000;
+
+export class BPETokenizer {
+  /**
+   * @param {Object} options - Tokenizer options
+   * @param {Map<string, number>} options.ranks - Byte sequence (latin1 string) to merge rank
+   * @param {RegExp|Array<RegExp>} options.pattern - Global pre-tokenization pattern,
+   *   or patterns whose matches are split off in turn
+   * @param {string} [options.name] - Encoding name
+   */
+  constructor({ ranks, pattern, name = 'bpe' }) {
+    this.name = name;
+    this.ranks = ranks;
+    this.pattern = pattern;
+    this.encoder = new TextEncoder();
+    this.cache = new Map();
+  }
+
+  /**
+   * Build a tokenizer from a `.tiktoken` vocabulary file
+   * Each line holds a base64 encoded token and its rank.
+   * @param {string} text - Vocabulary file contents
+   * @param {Object} options - Tokenizer options ({ pattern, name })
+   * @returns {BPETokenizer} Tokenizer
+   */
+  static fromTiktoken(text, options) {
+    const ranks = new Map();
+
+    for (const line of text.split('\n')) {
+      const [token, rank] = line.trim().split(' ');
+      if (token && rank) {
+        ranks.set(atob(token), Number(rank));
+      }
+    }
+
+    return new BPETokenizer({ ...options, ranks });
+  }
+
+  /**
+   * Build a tokenizer from a Hugging Face `tokenizer.json` with a byte-level BPE model
+   * Token IDs are assigned in merge order, so they serve as merge ranks.
+   * @param {Object} json - Parsed tokenizer file
+   * @param {Object} options - Tokenizer options ({ pattern, name })
+   * @returns {BPETokenizer} Tokenizer
+   */
+  static fromHuggingFace(json, options) {
+    if (json?.model?.type !== 'BPE' || !json.model.vocab) {
+      throw new Error('Not a byte-level BPE tokenizer');
+    }
+
+    const ranks = new Map();
+    for (const [token, id] of Object.entries(json.model.vocab)) {
+      const bytes = Array.from(token, char => BYTE_CHARS.get(char));
+      if (bytes.every(Boolean)) {
+        ranks.set(bytes.join(''), id);
+      }
+    }
+
+    return new BPETokenizer({ ...options, ranks });
+  }
+
+  /**
+   * Encode text into token ranks
+   * @param {string} text - Text to encode
+   * @returns {Array<number>} Token ranks
+   */
+  encode(text) {
+    const tokens = [];
+    for (const piece of this.pretokenize(text)) {
+      tokens.push(...this.encodePiece(piece));
+    }
+    return tokens;
+  }
+
+  /**
+   * Count tokens in text
+   * @param {string} text - Text to count
+   * @returns {number} Token count
+   */
+  count(text) {
+    let total = 0;
+    for (const piece of this.pretokenize(text)) {
+      total += this.encodePiece(piece).length;
+    }
+    return total;
+  }
+
+  /**
+   * Cut text to at most `maxTokens` tokens on a pre-token boundary
+   * @param {string} text - Text to truncate
+   * @param {number} maxTokens - Token budget
+   * @returns {string} Truncated text
+   */
+  truncate(text, maxTokens) {
+    let total = 0;
+    let end = 0;
+
+    for (const piece of this.pretokenize(text)) {
+      const pieceTokens = this.encodePiece(piece).length;
+      if (total + pieceTokens > maxTokens) {
+        break;
+      }
+      total += pieceTokens;
+      end += piece.length;
+    }
+
+    return text.slice(0, end);
+  }
+
+  /**
+   * Split text into pre-tokens
+   * @protected
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Pre-tokens
+   */
+  pretokenize(text) {
+    if (!Array.isArray(this.pattern)) {
+      return String(text || '').match(this.pattern) || [];
+    }
+
+    // Each pattern splits its matches off the pieces left by the previous one
+    let pieces = text ? [String(text)] : [];
+    for (const pattern of this.pattern) {
+      pieces = pieces.flatMap(piece => {
+        const split = [];
+        let last = 0;
+        for (const match of piece.matchAll(pattern)) {
+          if (match.index > last) {
+            split.push(piece.slice(last, match.index));
+          }
+          split.push(match[0]);
+          last = match.index + match[0].length;
+        }
+        if (last < piece.length) {
+          split.push(piece.slice(last));
+        }
+        return split;
+      });
+    }
+    return pieces;
+  }
+
+  /**
+   * Encode one pre-token with byte pair merges
+   * @protected
+   * @param {string} piece - Pre-token
+   * @returns {Array<number>} Token ranks
+   */
+  encodePiece(piece) {
+    const cached = this.cache.get(piece);
+    if (cached) {
+      return cached;
+    }
+
+    const bytes = String.fromCharCode(...this.encoder.encode(piece));
+    const direct = this.ranks.get(bytes);
+    const tokens = typeof direct === 'number' ?
+      [direct] :
+      this.bytePairMerge(bytes).map(part => this.ranks.get(part) ?? -1);
+
+    if (this.cache.size >= CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(piece, tokens);
+
+    return tokens;
+  }
+
+  /**
+   * Repeatedly merge the adjacent pair with the lowest rank
+   * @protected
+   * @param {string} bytes - Byte sequence as a latin1 string
+   * @returns {Array<string>} Merged parts
+   */
+  bytePairMerge(bytes) {
+    const parts = Array.from(bytes);
+
+    while (parts.length > 1) {
+      let bestRank = Infinity;
+      let bestIndex = -1;
+
+      for (let i = 0; i < parts.length - 1; i++) {
+        const rank = this.ranks.get(parts[i] + parts[i + 1]);
+        if (typeof rank === 'number' && rank < bestRank) {
+          bestRank = rank;
+          bestIndex = i;
+        }
+      }
+
+      if (bestIndex === -1) {
+        break;
+      }
+
+      parts.splice(bestIndex, 2, parts[bestIndex] + parts[bestIndex + 1]);
+    }
+
+    return parts;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Estimating Tokenizer
+ * Calibrated token estimates for model families without a loaded vocabulary
+ */
+
+// Hiragana/Katakana, CJK ideographs, Hangul and compatibility ideographs
+const CJK_RANGES = '\\u3040-\\u30ff\\u3400-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff';
+
+// Word, number, punctuation and whitespace runs, with CJK characters kept apart
+const PIECE_PATTERN = new RegExp(
+  `[${CJK_RANGES}]|[^\\s\\p{L}\\p{N}]+|\\p{N}{1,3}| ?(?:(?![${CJK_RANGES}])\\p{L})+|\\s+`,
+  'gu'
+);
+const CJK_PATTERN = new RegExp(`^[${CJK_RANGES}]$`, 'u');
+
+export class EstimatingTokenizer {
+  /**
+   * @param {Object} options - Calibration
+   * @param {number} [options.charsPerToken=4] - Average characters per token for Latin text
+   * @param {number} [options.tokensPerCJK=1] - Tokens per CJK character
+   * @param {string} [options.name] - Tokenizer name
+   */
+  constructor({ charsPerToken = 4, tokensPerCJK = 1, name = 'estimate' } = {}) {
+    this.name = name;
+    this.charsPerToken = charsPerToken;
+    this.tokensPerCJK = tokensPerCJK;
+  }
+
+  /**
+   * Estimate tokens in text
+   * @param {string} text - Text to count
+   * @returns {number} Token estimate
+   */
+  count(text) {
+    let total = 0;
+    for (const piece of this.pretokenize(text)) {
+      total += this.countPiece(piece);
+    }
+    return Math.ceil(total);
+  }
+
+  /**
+   * Cut text to roughly `maxTokens` tokens on a piece boundary
+   * @param {string} text - Text to truncate
+   * @param {number} maxTokens - Token budget
+   * @returns {string} Truncated text
+   */
+  truncate(text, maxTokens) {
+    let total = 0;
+    let end = 0;
+
+    for (const piece of this.pretokenize(text)) {
+      const pieceTokens = this.countPiece(piece);
+      if (total + pieceTokens > maxTokens) {
+        break;
+      }
+      total += pieceTokens;
+      end += piece.length;
+    }
+
+    return text.slice(0, end);
+  }
+
+  /**
+   * Split text into countable pieces
+   * @protected
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Pieces
+   */
+  pretokenize(text) {
+    return String(text || '').match(PIECE_PATTERN) || [];
+  }
+
+  /**
+   * Estimate tokens for one piece
+   * Short words are usually a single token; longer ones split by length.
+   * @protected
+   * @param {string} piece - Piece of text
+   * @returns {number} Token estimate
+   */
+  countPiece(piece) {
+    if (CJK_PATTERN.test(piece)) {
+      return this.tokensPerCJK;
+    }
+
+    if (!piece.trim()) {
+      return piece.includes('\n') ? 1 : 0;
+    }
+
+    return Math.max(1, piece.length / this.charsPerToken);
+  }
+}
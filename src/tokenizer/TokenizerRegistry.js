@@ -0,0 +1,194 @@
+/**
+ * Tokenizer Registry
+ * Maps models to tokenizer families and loads BPE vocabularies once the user
+ * has opted in to downloading them
+ */
+
+import { BPETokenizer, PATTERNS } from './BPETokenizer.js';
+import { EstimatingTokenizer } from './EstimatingTokenizer.js';
+import { getConfig } from '../config/index.js';
+
+// Families are matched in order; the first match wins.
+// Anthropic does not publish a vocabulary, so it always uses an estimator
+// calibrated to its documented token ratio; the others estimate until loaded.
+const DEFAULT_FAMILIES = [
+  {
+    name: 'o200k',
+    match: /^(gpt-4o|gpt-4\.1|gpt-5|o\d|chatgpt-)/,
+    encoding: 'o200k_base',
+    estimate: { charsPerToken: 4, tokensPerCJK: 1 }
+  },
+  {
+    name: 'cl100k',
+    match: /^gpt-(4|3\.5)/,
+    encoding: 'cl100k_base',
+    estimate: { charsPerToken: 4, tokensPerCJK: 1 }
+  },
+  {
+    name: 'deepseek',
+    match: /^deepseek/,
+    encoding: 'deepseek_v3',
+    format: 'huggingface',
+    estimate: { charsPerToken: 3.3, tokensPerCJK: 0.6 }
+  },
+  {
+    name: 'anthropic',
+    match: /^claude/,
+    estimate: { charsPerToken: 3.5, tokensPerCJK: 1 }
+  }
+];
+
+const DEFAULT_FAMILY = {
+  name: 'default',
+  estimate: { charsPerToken: 4, tokensPerCJK: 1 }
+};
+
+class TokenizerRegistry {
+  constructor() {
+    this.families = [...DEFAULT_FAMILIES];
+    this.tokenizers = new Map();
+    this.estimators = new Map();
+    this.loading = new Map();
+    this.autoload = false;
+  }
+
+  /**
+   * Load vocabularies when a model's tokenizer is first needed
+   * Only the background page turns this on, so pages never download them.
+   * @param {boolean} enabled - Whether to load
+   */
+  setAutoload(enabled) {
+    this.autoload = Boolean(enabled);
+  }
+
+  /**
+   * Register a model family ahead of the built-in ones
+   * @param {Object} family - { name, match: RegExp, encoding?, estimate? }
+   */
+  registerFamily(family) {
+    this.families = [family, ...this.families.filter(f => f.name !== family.name)];
+    this.estimators.delete(family.name);
+  }
+
+  /**
+   * Use a specific tokenizer for a family
+   * @param {string} familyName - Family name
+   * @param {Object} tokenizer - Object with count(text) and truncate(text, maxTokens)
+   */
+  registerTokenizer(familyName, tokenizer) {
+    this.tokenizers.set(familyName, tokenizer);
+  }
+
+  /**
+   * Find the family for a model
+   * @param {string} model - Model ID
+   * @returns {Object} Family
+   */
+  getFamily(model) {
+    return this.families.find(family => family.match.test(model || '')) || DEFAULT_FAMILY;
+  }
+
+  /**
+   * Get the best tokenizer currently available for a model
+   * Returns the family estimator until its vocabulary has loaded.
+   * @param {string} model - Model ID
+   * @returns {Object} Tokenizer
+   */
+  getTokenizer(model) {
+    const family = this.getFamily(model);
+
+    if (this.tokenizers.has(family.name)) {
+      return this.tokenizers.get(family.name);
+    }
+
+    if (family.encoding && this.autoload) {
+      this.load(model).catch(error => {
+        console.warn(`[Tokenizer] Using estimates for ${family.name}:`, error.message);
+      });
+    }
+
+    if (!this.estimators.has(family.name)) {
+      this.estimators.set(family.name, new EstimatingTokenizer({
+        ...family.estimate,
+        name: family.name
+      }));
+    }
+
+    return this.estimators.get(family.name);
+  }
+
+  /**
+   * Load the BPE vocabulary for a model's family
+   * @param {string} model - Model ID
+   * @returns {Promise<Object>} Tokenizer
+   */
+  load(model) {
+    const family = this.getFamily(model);
+
+    if (this.tokenizers.has(family.name)) {
+      return Promise.resolve(this.tokenizers.get(family.name));
+    }
+
+    if (!family.encoding) {
+      return Promise.resolve(this.getTokenizer(model));
+    }
+
+    if (!this.loading.has(family.name)) {
+      this.loading.set(family.name, this.fetchEncoding(family).then(tokenizer => {
+        this.registerTokenizer(family.name, tokenizer);
+        return tokenizer;
+      }).finally(() => {
+        this.loading.delete(family.name);
+      }));
+    }
+
+    return this.loading.get(family.name);
+  }
+
+  /**
+   * Download and parse a `.tiktoken` or Hugging Face `tokenizer.json` vocabulary
+   * @private
+   * @param {Object} family - Family with the encoding to load
+   * @returns {Promise<BPETokenizer>} Tokenizer
+   */
+  async fetchEncoding({ encoding, format }) {
+    const url = getConfig(`tokenizer.encodings.${encoding}`);
+    if (!url) {
+      throw new Error(`No vocabulary configured for ${encoding}`);
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${encoding}: ${response.status}`);
+    }
+
+    const options = { pattern: PATTERNS[encoding], name: encoding };
+    return format === 'huggingface' ?
+      BPETokenizer.fromHuggingFace(await response.json(), options) :
+      BPETokenizer.fromTiktoken(await response.text(), options);
+  }
+
+  /**
+   * Count tokens for a model
+   * @param {string} text - Text to count
+   * @param {string} model - Model ID
+   * @returns {number} Token count
+   */
+  count(text, model) {
+    return text ? this.getTokenizer(model).count(String(text)) : 0;
+  }
+
+  /**
+   * Truncate text to a token budget for a model
+   * @param {string} text - Text to truncate
+   * @param {number} maxTokens - Token budget
+   * @param {string} model - Model ID
+   * @returns {string} Truncated text
+   */
+  truncate(text, maxTokens, model) {
+    return text ? this.getTokenizer(model).truncate(String(text), maxTokens) : '';
+  }
+}
+
+// Export singleton instance
+export default new TokenizerRegistry();
@@ -0,0 +1,16 @@
+/**
+ * Tokenizer Module
+ * Shared token counting for budgeting, truncation and cost estimates
+ */
+
+export { default as TokenizerRegistry } from './TokenizerRegistry.js';
+export { BPETokenizer, PATTERNS } from './BPETokenizer.js';
+export { EstimatingTokenizer } from './EstimatingTokenizer.js';
+
+// Re-export commonly used functions from TokenizerRegistry
+import TokenizerRegistry from './TokenizerRegistry.js';
+
+export const countTokens = (text, model) => TokenizerRegistry.count(text, model);
+export const truncateToTokens = (text, maxTokens, model) =>
+  TokenizerRegistry.truncate(text, maxTokens, model);
+export const loadTokenizer = (model) => TokenizerRegistry.load(model);
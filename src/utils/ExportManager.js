@@ -4,8 +4,13 @@
  */
 
 import { handleError } from '../errors/index.js';
+import { getConfig } from '../config/index.js';
 import ConversationManager from '../storage/conversations/ConversationManager.js';
 import MessageManager from '../storage/messages/MessageManager.js';
+import PdfWriter from './PdfWriter.js';
+import { convertToVault } from './markdownVault.js';
+import { getConversationTags } from '../storage/conversations/organization.js';
+import { extractCards, buildAnkiDeck } from '../storage/flashcards/index.js';
 
 export default class ExportManager {
   constructor() {
@@ -17,7 +22,7 @@ export default class ExportManager {
       maxFileSize: 50 * 1024 * 1024, // 50MB
       compressionLevel: 6,
       chunkSize: 1024 * 1024, // 1MB chunks for large exports
-      supportedFormats: ['json', 'markdown', 'html', 'csv'],
+      supportedFormats: ['json', 'markdown', 'html', 'csv', 'pdf', 'vault', 'anki'],
       defaultOptions: {
         includeMetadata: true,
         includeTimestamps: true,
@@ -148,6 +153,30 @@ export default class ExportManager {
           mimeType = 'text/csv';
           extension = 'csv';
           break;
+
+        case 'pdf':
+          fileData = PdfWriter.fromExport(exportData, exportOptions);
+          mimeType = 'application/pdf';
+          extension = 'pdf';
+          break;
+
+        case 'vault':
+          fileData = convertToVault(exportData, exportOptions);
+          mimeType = 'application/zip';
+          extension = 'zip';
+          break;
+
+        case 'anki':
+          fileData = buildAnkiDeck(
+            exportData.conversations.flatMap(conv => extractCards(conv.messages, conv)),
+            {
+              deckName: getConfig('flashcards.deckName', 'DeepWeb'),
+              includeSources: !exportOptions.anonymize
+            }
+          );
+          mimeType = 'text/tab-separated-values';
+          extension = 'txt';
+          break;
       }
       
       // Compress if requested
@@ -289,7 +318,9 @@ export default class ExportManager {
       id: conversation.id,
       title: conversation.title,
       createdAt: conversation.createdAt,
-      updatedAt: conversation.updatedAt
+      updatedAt: conversation.updatedAt,
+      tags: getConversationTags(conversation),
+      parentConversationId: conversation.parentConversationId || null
     };
     
     // Include metadata if requested
@@ -336,6 +367,11 @@ export default class ExportManager {
       content: options.anonymize ? this.anonymizeContent(message.content) : message.content,
       timestamp: message.timestamp
     };
+
+    // Quiz answers, kept for flashcards
+    if (message.structured) {
+      processed.structured = message.structured;
+    }
     
     if (options.includeMetadata) {
       processed.metadata = options.anonymize
@@ -651,9 +687,8 @@ export default class ExportManager {
    * @private
    */
   async compressData(data) {
-    // Convert string to Uint8Array
-    const encoder = new TextEncoder();
-    const inputArray = encoder.encode(data);
+    // Convert string to Uint8Array; binary formats such as PDF already are
+    const inputArray = data instanceof Uint8Array ? data : new TextEncoder().encode(data);
     
     // Use CompressionStream API if available
     if (typeof CompressionStream !== 'undefined') {
@@ -6,6 +6,13 @@
 import { handleError, ValidationError } from '../errors/index.js';
 import ConversationManager from '../storage/conversations/ConversationManager.js';
 import MessageManager from '../storage/messages/MessageManager.js';
+import {
+  IMPORT_FORMATS,
+  convertImportData,
+  parseImportFile,
+  isDuplicateConversation,
+  selectNewMessages
+} from './importFormats.js';
 
 export default class ImportManager {
   constructor() {
@@ -16,7 +23,7 @@ export default class ImportManager {
     this.config = {
       maxFileSize: 100 * 1024 * 1024, // 100MB
       batchSize: 50, // Process conversations in batches
-      supportedFormats: ['json'],
+      supportedFormats: [...IMPORT_FORMATS, 'auto'],
       validationRules: {
         minConversationFields: ['id', 'title', 'messages'],
         minMessageFields: ['role', 'content'],
@@ -88,14 +95,7 @@ export default class ImportManager {
       }
       
       // Parse data based on format
-      let parsedData;
-      switch (format) {
-        case 'json':
-          parsedData = await this.parseJSON(data);
-          break;
-        default:
-          throw new ValidationError(`Unsupported format: ${format}`);
-      }
+      let parsedData = await this.parseData(data, format);
       
       // Validate data structure
       if (validateData) {
@@ -168,11 +168,12 @@ export default class ImportManager {
   /**
    * Validate import file before processing
    * @param {any} data - File data to validate
+   * @param {string} [format] - Import format, as for import()
    * @returns {Promise<Object>} Validation result
    */
-  async validateFile(data) {
+  async validateFile(data, format = 'json') {
     try {
-      const parsed = await this.parseJSON(data);
+      const parsed = await this.parseData(data, format);
       const validation = await this.validateImportData(parsed);
       
       return {
@@ -197,38 +198,68 @@ export default class ImportManager {
 
   // Private methods
 
+  /**
+   * Parse file data in the given format into our own schema
+   * 'json' also takes ChatGPT and Claude exports, which are JSON too; 'auto'
+   * tells JSON and Markdown apart.
+   * @private
+   */
+  async parseData(data, format) {
+    switch (format) {
+      case 'json':
+      case 'chatgpt':
+      case 'claude': {
+        const parsed = await this.parseJSON(data);
+        return format === 'json' ? convertImportData(parsed) : convertImportData(parsed, format);
+      }
+      case 'markdown':
+      case 'auto':
+        return parseImportFile(await this.decodeText(data), format).data;
+      default:
+        throw new ValidationError(`Unsupported format: ${format}`);
+    }
+  }
+
   /**
    * Parse JSON data
    * @private
    */
   async parseJSON(data) {
     try {
-      // Handle different input types
-      let jsonString;
-      
-      if (typeof data === 'string') {
-        jsonString = data;
-      } else if (data instanceof ArrayBuffer) {
-        const decoder = new TextDecoder();
-        jsonString = decoder.decode(data);
-      } else if (data instanceof Uint8Array) {
-        const decoder = new TextDecoder();
-        jsonString = decoder.decode(data);
-      } else {
-        throw new Error('Invalid data type');
-      }
-      
-      // Check if compressed (gzip magic number)
-      if (jsonString.charCodeAt(0) === 0x1f && jsonString.charCodeAt(1) === 0x8b) {
-        jsonString = await this.decompressData(data);
-      }
-      
-      return JSON.parse(jsonString);
+      return JSON.parse(await this.decodeText(data));
     } catch (error) {
       throw new ValidationError(`Failed to parse JSON: ${error.message}`);
     }
   }
 
+  /**
+   * Decode file data to text, decompressing gzip
+   * @private
+   */
+  async decodeText(data) {
+    // Handle different input types
+    let text;
+
+    if (typeof data === 'string') {
+      text = data;
+    } else if (data instanceof ArrayBuffer) {
+      const decoder = new TextDecoder();
+      text = decoder.decode(data);
+    } else if (data instanceof Uint8Array) {
+      const decoder = new TextDecoder();
+      text = decoder.decode(data);
+    } else {
+      throw new Error('Invalid data type');
+    }
+
+    // Check if compressed (gzip magic number)
+    if (text.charCodeAt(0) === 0x1f && text.charCodeAt(1) === 0x8b) {
+      text = await this.decompressData(data);
+    }
+
+    return text;
+  }
+
   /**
    * Validate import data structure
    * @private
@@ -566,15 +597,8 @@ export default class ImportManager {
       includeArchived: true
     });
     
-    for (const candidate of candidates) {
-      // Consider it duplicate if title matches and created within 1 hour
-      if (candidate.title === conversation.title &&
-          Math.abs(candidate.createdAt - (conversation.createdAt || 0)) < 3600000) {
-        return candidate;
-      }
-    }
-    
-    return null;
+    // Consider it duplicate if title matches and created within 1 hour
+    return candidates.find(candidate => isDuplicateConversation(candidate, conversation)) || null;
   }
 
   /**
@@ -588,13 +612,7 @@ export default class ImportManager {
     });
     
     // Find new messages to add
-    const existingContents = new Set(
-      existingMessages.items.map(m => `${m.role}:${m.content}`)
-    );
-    
-    const newMessages = imported.messages.filter(m => 
-      !existingContents.has(`${m.role}:${m.content}`)
-    );
+    const newMessages = selectNewMessages(existingMessages.items, imported.messages);
     
     // Add new messages
     for (const message of newMessages) {
@@ -0,0 +1,387 @@
+/**
+ * PDF Writer
+ * Lays out text on paginated A4 pages and serializes a PDF 1.4 file without
+ * any library or network access. Only the standard Helvetica and Courier
+ * fonts are used, which every PDF reader ships, so nothing is embedded; text
+ * outside the WinAnsi character set is replaced with '?'.
+ */
+
+const FONTS = {
+  regular: { name: 'F1', base: 'Helvetica' },
+  bold: { name: 'F2', base: 'Helvetica-Bold' },
+  mono: { name: 'F3', base: 'Courier' }
+};
+
+// Glyph widths in 1/1000 em for the printable ASCII range, from the font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsi codes for the characters outside Latin-1 that readers can show
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, '‰': 0x89,
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+  '™': 0x99
+};
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+export default class PdfWriter {
+  /**
+   * @param {Object} [options] - Layout options
+   * @param {string} [options.title] - Document title, shown in the reader
+   * @param {number} [options.margin] - Page margin in points
+   * @param {number} [options.fontSize] - Body text size in points
+   */
+  constructor(options = {}) {
+    this.title = options.title || 'DeepWeb Conversation Export';
+    this.margin = options.margin || 50;
+    this.fontSize = options.fontSize || 10;
+    this.width = PAGE_WIDTH - (2 * this.margin);
+    this.pages = [];
+    this.y = 0;
+    this.addPage();
+  }
+
+  /**
+   * Bold heading
+   * @param {string} text - Heading text
+   * @param {number} [size] - Font size in points
+   */
+  heading(text, size = 14) {
+    this.space(size * 0.6);
+    this.paragraph(text, { font: 'bold', size });
+    this.space(size * 0.3);
+  }
+
+  /**
+   * Wrapped text; line breaks in the text are kept
+   * @param {string} text - Text
+   * @param {Object} [style] - { font: 'regular' | 'bold', size, color: [r, g, b] }
+   */
+  paragraph(text, style = {}) {
+    const font = style.font || 'regular';
+    const size = style.size || this.fontSize;
+    const lineHeight = size * 1.4;
+
+    for (const line of String(text ?? '').split(/\r?\n/)) {
+      for (const wrapped of this.wrap(line, font, size)) {
+        this.ensureSpace(lineHeight);
+        this.y -= lineHeight;
+        this.drawText(wrapped, this.margin, this.y + (size * 0.3), font, size, style.color);
+      }
+    }
+  }
+
+  /**
+   * Monospace block on a shaded background; long lines are broken, not reflowed
+   * @param {string} text - Code
+   */
+  code(text) {
+    const size = this.fontSize - 1;
+    const lineHeight = size * 1.35;
+    const padding = 4;
+    const maxChars = Math.floor((this.width - (2 * padding)) / (size * 0.6));
+
+    this.space(padding);
+    for (const line of String(text ?? '').replace(/\t/g, '  ').split(/\r?\n/)) {
+      const pieces = line.length ? [] : [''];
+      for (let i = 0; i < line.length; i += maxChars) {
+        pieces.push(line.slice(i, i + maxChars));
+      }
+
+      for (const piece of pieces) {
+        this.ensureSpace(lineHeight);
+        this.y -= lineHeight;
+        this.page.push(`0.95 g ${fixed(this.margin)} ${fixed(this.y)} ${fixed(this.width)} ` +
+          `${fixed(lineHeight)} re f 0 g`);
+        this.drawText(piece, this.margin + padding, this.y + (size * 0.35), 'mono', size);
+      }
+    }
+    this.space(padding * 2);
+  }
+
+  /**
+   * Horizontal line across the text width
+   */
+  rule() {
+    this.space(6);
+    this.ensureSpace(6);
+    this.page.push(`0.8 G 0.5 w ${fixed(this.margin)} ${fixed(this.y)} m ` +
+      `${fixed(this.margin + this.width)} ${fixed(this.y)} l S 0 G`);
+    this.space(6);
+  }
+
+  /**
+   * Vertical gap; never carries over to the next page
+   * @param {number} height - Gap in points
+   */
+  space(height) {
+    this.y = Math.max(this.margin, this.y - height);
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Uint8Array} PDF file
+   */
+  output() {
+    const objects = [];
+    // Object 1 is the page tree; it is added last because it lists every page
+    const add = body => objects.push(body) + 1;
+
+    const fontIds = {};
+    for (const [key, font] of Object.entries(FONTS)) {
+      fontIds[key] = add(
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`
+      );
+    }
+    const resources = `<< /Font << ${Object.entries(FONTS)
+      .map(([key, font]) => `/${font.name} ${fontIds[key]} 0 R`)
+      .join(' ')} >> >>`;
+
+    const pageIds = this.pages.map((operations, index) => {
+      const footer = `Page ${index + 1} of ${this.pages.length}`;
+      const stream = [
+        ...operations,
+        textOperation(footer, PAGE_WIDTH - this.margin - measure(footer, 'regular', 8),
+          this.margin / 2, FONTS.regular.name, 8, [0.5, 0.5, 0.5])
+      ].join('\n');
+      const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      return add(
+        `<< /Type /Page /Parent 1 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources ${resources} /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    const catalogId = add('<< /Type /Catalog /Pages 1 0 R >>');
+    const infoId = add(
+      `<< /Title (${escapeString(this.title)}) /Producer (DeepWeb) ` +
+      `/CreationDate (${formatDate(new Date())}) >>`
+    );
+    objects.unshift(
+      `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] ` +
+      `/Count ${pageIds.length} >>`
+    );
+
+    let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((body, index) => {
+      const offset = pdf.length;
+      pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R ` +
+      `/Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    // Every character is already a single byte
+    return Uint8Array.from(pdf, c => c.charCodeAt(0));
+  }
+
+  /**
+   * Export data, as built by ExportManager, laid out as a PDF
+   * Each conversation starts on a new page with a header of its page URL, model
+   * and date; fenced code blocks in messages are set in monospace.
+   * @param {Object} data - Export data with `conversations`
+   * @param {Object} [options] - Export options
+   * @returns {Uint8Array} PDF file
+   */
+  static fromExport(data, options = {}) {
+    const writer = new PdfWriter();
+
+    writer.heading('DeepWeb Conversation Export', 18);
+    writer.paragraph(`Exported: ${formatTimestamp(data.exportedAt)}`);
+    writer.paragraph(`Total Conversations: ${data.conversations.length}`);
+    if (data.statistics && options.includeStatistics) {
+      writer.paragraph(`Total Messages: ${data.statistics.totalMessages}`);
+    }
+
+    data.conversations.forEach((conv, index) => {
+      if (index > 0) {
+        writer.addPage();
+      } else {
+        writer.rule();
+      }
+      writer.heading(conv.title || 'Untitled', 16);
+
+      const meta = conv.metadata || {};
+      const details = [
+        ['URL', meta.url],
+        ['Model', meta.model || conv.model],
+        ['Date', formatTimestamp(conv.createdAt)]
+      ].filter(([, value]) => value);
+      details.forEach(([label, value]) => {
+        writer.paragraph(`${label}: ${value}`, { size: 9, color: [0.35, 0.35, 0.35] });
+      });
+      writer.rule();
+
+      for (const msg of conv.messages) {
+        const time = options.includeTimestamps && msg.timestamp ?
+          `  ·  ${formatTimestamp(msg.timestamp)}` :
+          '';
+        writer.heading(`${String(msg.role || '').toUpperCase()}${time}`, 11);
+        splitCodeBlocks(msg.content).forEach(block => {
+          if (block.code) {
+            writer.code(block.text);
+          } else if (block.text.trim()) {
+            writer.paragraph(block.text.trim());
+          }
+        });
+      }
+    });
+
+    return writer.output();
+  }
+
+  /**
+   * Start a new page
+   * @private
+   */
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    this.y = PAGE_HEIGHT - this.margin;
+  }
+
+  /**
+   * @private
+   */
+  ensureSpace(height) {
+    if (this.y - height < this.margin) {
+      this.addPage();
+    }
+  }
+
+  /**
+   * @private
+   */
+  drawText(text, x, y, font, size, color) {
+    this.page.push(textOperation(text, x, y, FONTS[font].name, size, color));
+  }
+
+  /**
+   * Break a line into pieces that fit the text width
+   * @private
+   */
+  wrap(line, font, size) {
+    const lines = [];
+    let current = '';
+    for (const word of line.split(/(?<=\s)/)) {
+      if (measure(current + word.trimEnd(), font, size) <= this.width) {
+        current += word;
+        continue;
+      }
+      if (current) {
+        lines.push(current.trimEnd());
+        current = '';
+      }
+      // A word wider than the line is broken wherever it overflows
+      let rest = word;
+      while (measure(rest.trimEnd(), font, size) > this.width) {
+        let end = rest.length - 1;
+        while (end > 1 && measure(rest.slice(0, end), font, size) > this.width) {
+          end--;
+        }
+        lines.push(rest.slice(0, end));
+        rest = rest.slice(end);
+      }
+      current = rest;
+    }
+    lines.push(current.trimEnd());
+    return lines;
+  }
+}
+
+/**
+ * Split message text into prose and fenced code blocks
+ * @param {string} content - Message content
+ * @returns {Array} { code, text } blocks in order
+ */
+export function splitCodeBlocks(content) {
+  const blocks = [];
+  const pattern = /```[^\n]*\n([\s\S]*?)(?:```|$)/g;
+  let last = 0;
+  let match;
+  const text = String(content ?? '');
+  while ((match = pattern.exec(text)) !== null) {
+    blocks.push({ code: false, text: text.slice(last, match.index) });
+    blocks.push({ code: true, text: match[1].replace(/\n$/, '') });
+    last = pattern.lastIndex;
+  }
+  blocks.push({ code: false, text: text.slice(last) });
+  return blocks.filter(block => block.code || block.text);
+}
+
+function measure(text, font, size) {
+  if (font === 'mono') {
+    return text.length * size * 0.6;
+  }
+  const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (total * size) / 1000;
+}
+
+function textOperation(text, x, y, fontName, size, color) {
+  const fill = color ? `${color.join(' ')} rg ` : '';
+  const reset = color ? ' 0 g' : '';
+  return `${fill}BT /${fontName} ${size} Tf ${fixed(x)} ${fixed(y)} Td ` +
+    `(${escapeString(text)}) Tj ET${reset}`;
+}
+
+// Literal string in WinAnsi bytes, with the delimiters escaped
+function escapeString(text) {
+  let result = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    let byte;
+    if (WIN_ANSI[char]) {
+      byte = WIN_ANSI[char];
+    } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+      byte = code;
+    } else {
+      byte = 63; // '?'
+    }
+
+    const encoded = String.fromCharCode(byte);
+    result += encoded === '(' || encoded === ')' || encoded === '\\' ? `\\${encoded}` : encoded;
+  }
+  return result;
+}
+
+function fixed(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+function formatTimestamp(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return String(value ?? '');
+  }
+  return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+// PDF date string, e.g. D:20240615103000Z
+function formatDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
@@ -0,0 +1,128 @@
+/**
+ * ZIP Writer
+ * Bundles files into a ZIP archive without compression ("stored" entries),
+ * which every unzip tool reads. Text compresses poorly enough at export sizes
+ * that a deflate implementation is not worth carrying.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// General purpose flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+export default class ZipWriter {
+  constructor() {
+    this.files = [];
+  }
+
+  /**
+   * Add a file
+   * @param {string} path - Path inside the archive, with '/' between folders
+   * @param {string|Uint8Array} content - File content; text is stored as UTF-8
+   * @param {Date|number} [modified] - Modification time
+   */
+  addFile(path, content, modified = Date.now()) {
+    const encoder = new TextEncoder();
+    this.files.push({
+      name: encoder.encode(path),
+      data: typeof content === 'string' ? encoder.encode(content) : content,
+      modified: new Date(modified)
+    });
+  }
+
+  /**
+   * Serialize the archive
+   * @returns {Uint8Array} ZIP file
+   */
+  output() {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of this.files) {
+      const crc = crc32(file.data);
+      const { time, date } = toDosTime(file.modified);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, LOCAL_HEADER, true);
+      local.setUint16(4, 20, true); // Version needed to extract: 2.0
+      local.setUint16(6, UTF8_FLAG, true);
+      local.setUint16(8, 0, true); // Stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, file.data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, file.name.length, true);
+      local.setUint16(28, 0, true);
+      chunks.push(new Uint8Array(local.buffer), file.name, file.data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, CENTRAL_HEADER, true);
+      entry.setUint16(4, 20, true); // Version made by
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, UTF8_FLAG, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, file.data.length, true);
+      entry.setUint32(24, file.data.length, true);
+      entry.setUint16(28, file.name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(new Uint8Array(entry.buffer), file.name);
+
+      offset += 30 + file.name.length + file.data.length;
+    }
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, this.files.length, true);
+    end.setUint16(10, this.files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+      result.set(part, position);
+      position += part.length;
+    }
+    return result;
+  }
+}
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time, local time, two-second resolution, from 1980
+function toDosTime(date) {
+  const valid = Number.isNaN(date.getTime()) ? new Date() : date;
+  const year = Math.max(1980, valid.getFullYear());
+  return {
+    time: (valid.getHours() << 11) | (valid.getMinutes() << 5) | Math.floor(valid.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((valid.getMonth() + 1) << 5) | valid.getDate()
+  };
+}
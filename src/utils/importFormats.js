@@ -0,0 +1,423 @@
+/**
+ * Import Formats
+ * Converts export files from other assistants into the conversation shape
+ * ImportManager works with: { id, title, createdAt, updatedAt, metadata,
+ * messages: [{ id, role, content, timestamp, metadata }] }. Understood are our
+ * own JSON, ChatGPT's conversations.json, Claude's export JSON and Markdown
+ * transcripts. The helpers, duplicate matching included, are pure so the
+ * import dialog can preview a file and the IndexedDB manager and the
+ * background store import it the same way.
+ */
+
+import { ValidationError } from '../errors/index.js';
+
+export const IMPORT_FORMATS = ['json', 'chatgpt', 'claude', 'markdown'];
+
+const MAX_TITLE_LENGTH = 200;
+const HOUR_MS = 3600000;
+
+// Speaker names used by transcripts, mapped to our roles
+const ROLE_NAMES = {
+  user: 'user',
+  human: 'user',
+  you: 'user',
+  assistant: 'assistant',
+  ai: 'assistant',
+  bot: 'assistant',
+  chatgpt: 'assistant',
+  gpt: 'assistant',
+  claude: 'assistant',
+  deepseek: 'assistant',
+  system: 'system'
+};
+
+/**
+ * Work out which format file content is in
+ * @param {string|Object|Array} content - File text, or JSON already parsed
+ * @returns {string} One of IMPORT_FORMATS
+ * @throws {ValidationError} If the content is in none of them
+ */
+export function detectImportFormat(content) {
+  const data = typeof content === 'string' ? tryParseJSON(content) : content;
+  if (data === null) {
+    if (fromMarkdown(content).length) {
+      return 'markdown';
+    }
+    throw new ValidationError('Unrecognized import file: expected JSON or a Markdown transcript');
+  }
+
+  const first = Array.isArray(data) ? data[0] : data;
+  if (first?.mapping && typeof first.mapping === 'object') {
+    return 'chatgpt';
+  }
+  if (Array.isArray(first?.chat_messages)) {
+    return 'claude';
+  }
+  return 'json';
+}
+
+/**
+ * Parse an import file into import data
+ * @param {string} content - File text
+ * @param {string} [format] - One of IMPORT_FORMATS, or 'auto' to detect it
+ * @returns {Object} { format, data } where data is in our own export schema
+ * @throws {ValidationError} If the format is unknown or the content does not parse
+ */
+export function parseImportFile(content, format = 'auto') {
+  const resolved = format === 'auto' ? detectImportFormat(content) : format;
+
+  switch (resolved) {
+    case 'markdown':
+      return { format: resolved, data: { version: '2.0', conversations: fromMarkdown(content) } };
+
+    case 'json':
+    case 'chatgpt':
+    case 'claude': {
+      const parsed = tryParseJSON(content);
+      if (parsed === null) {
+        throw new ValidationError('Failed to parse JSON');
+      }
+      return { format: resolved, data: convertImportData(parsed, resolved) };
+    }
+
+    default:
+      throw new ValidationError(`Unsupported format: ${format}`);
+  }
+}
+
+/**
+ * Bring parsed JSON from another assistant into our own export schema
+ * Our own data is returned as it is.
+ * @param {Object|Array} data - Parsed JSON
+ * @param {string} [format] - 'chatgpt', 'claude' or 'json'; detected when omitted
+ * @returns {Object|Array} Import data
+ */
+export function convertImportData(data, format = detectImportFormat(data)) {
+  if (format === 'chatgpt') {
+    return { version: '2.0', conversations: fromChatGPT(data) };
+  }
+  if (format === 'claude') {
+    return { version: '2.0', conversations: fromClaude(data) };
+  }
+  return data;
+}
+
+/**
+ * Conversations from ChatGPT's conversations.json
+ * Each conversation is a tree of messages; regenerated answers and edited
+ * prompts branch it. The branch that was last shown, ending at `current_node`,
+ * is kept and the others are dropped.
+ * @param {Array|Object} data - Parsed conversations.json
+ * @returns {Array} Conversations
+ */
+export function fromChatGPT(data) {
+  return toArray(data).map(conversation => {
+    const mapping = conversation.mapping || {};
+    const messages = [];
+    let model = null;
+
+    for (const node of getChatGPTBranch(mapping, conversation.current_node)) {
+      const { message } = node;
+      const role = message?.author?.role;
+      const content = getChatGPTContent(message?.content);
+      if (!['user', 'assistant', 'system'].includes(role) || !content.trim() ||
+          message.metadata?.is_visually_hidden_from_conversation) {
+        continue;
+      }
+
+      model = message.metadata?.model_slug || model;
+      messages.push({
+        id: message.id || node.id,
+        role,
+        content,
+        timestamp: fromSeconds(message.create_time),
+        metadata: message.metadata?.model_slug ? { model: message.metadata.model_slug } : {}
+      });
+    }
+
+    const id = conversation.conversation_id || conversation.id;
+    return buildConversation({
+      id,
+      title: conversation.title,
+      createdAt: fromSeconds(conversation.create_time),
+      updatedAt: fromSeconds(conversation.update_time),
+      metadata: { source: 'chatgpt', originalId: id || null, model },
+      messages
+    });
+  });
+}
+
+/**
+ * Conversations from Claude's export JSON
+ * @param {Array|Object} data - Parsed conversations.json
+ * @returns {Array} Conversations
+ */
+export function fromClaude(data) {
+  return toArray(data).map(conversation => buildConversation({
+    id: conversation.uuid,
+    title: conversation.name,
+    createdAt: Date.parse(conversation.created_at),
+    updatedAt: Date.parse(conversation.updated_at),
+    metadata: { source: 'claude', originalId: conversation.uuid || null },
+    messages: (conversation.chat_messages || [])
+      .map(message => ({
+        id: message.uuid,
+        role: message.sender === 'human' ? 'user' : 'assistant',
+        content: getClaudeContent(message),
+        timestamp: Date.parse(message.created_at),
+        metadata: {}
+      }))
+      .filter(message => message.content.trim())
+  }));
+}
+
+/**
+ * Conversations from a Markdown transcript
+ * Messages start at a speaker heading (`## User`, `### ASSISTANT`), a bold
+ * speaker (`**Claude:**`) or a speaker label at the start of a paragraph
+ * (`Human: ...`). The first other heading names the conversation; after a
+ * `---` line, a heading at that level starts the next one, as in our own
+ * Markdown export. Nothing inside code fences is treated as structure.
+ * @param {string} text - Markdown
+ * @returns {Array} Conversations with at least one message
+ */
+export function fromMarkdown(text) {
+  const conversations = [];
+  let conversation = null;
+  let message = null;
+  let inFence = false;
+  let previous = '';
+
+  const startConversation = (title, level) => {
+    conversation = { title, level, url: null, createdAt: null, messages: [] };
+    conversations.push(conversation);
+    message = null;
+  };
+  startConversation(null, 0);
+
+  for (const line of String(text ?? '').split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (/^(```|~~~)/.test(trimmed)) {
+      inFence = !inFence;
+    }
+
+    const speaker = inFence ? null : matchSpeaker(line, previous);
+    const heading = !inFence && !speaker && /^(#{1,6})\s+(.+?)\s*#*$/.exec(trimmed);
+    previous = trimmed;
+
+    if (speaker) {
+      message = { role: speaker.role, lines: speaker.rest ? [speaker.rest] : [], timestamp: null };
+      conversation.messages.push(message);
+    } else if (heading && !conversation.messages.length) {
+      conversation.title = heading[2];
+      conversation.level = heading[1].length;
+    } else if (heading && heading[1].length <= conversation.level && endsWithRule(message)) {
+      startConversation(heading[2], heading[1].length);
+    } else if (message) {
+      // An italic date right under the speaker is the message time
+      const time = !message.lines.length && /^\*([^*]+)\*$/.exec(trimmed);
+      if (time && !Number.isNaN(Date.parse(time[1]))) {
+        message.timestamp = Date.parse(time[1]);
+      } else {
+        message.lines.push(line);
+      }
+    } else {
+      readMarkdownHeader(conversation, trimmed);
+    }
+  }
+
+  return conversations
+    .filter(item => item.messages.length)
+    .map(item => buildConversation({
+      title: item.title,
+      createdAt: item.createdAt,
+      metadata: { source: 'markdown', url: item.url },
+      messages: item.messages
+        .map(({ role, lines, timestamp }) => ({
+          role,
+          content: stripTrailingRule(lines.join('\n')),
+          timestamp,
+          metadata: {}
+        }))
+        .filter(msg => msg.content)
+    }))
+    .filter(item => item.messages.length);
+}
+
+/**
+ * Whether an imported conversation is already stored
+ * The same ID, or the same title created within an hour of each other.
+ * @param {Object} existing - Stored conversation
+ * @param {Object} imported - Conversation being imported
+ * @returns {boolean}
+ */
+export function isDuplicateConversation(existing, imported) {
+  if (imported.id && existing.id === imported.id) {
+    return true;
+  }
+  return existing.title === imported.title &&
+    Math.abs(toTime(existing.createdAt) - toTime(imported.createdAt)) < HOUR_MS;
+}
+
+/**
+ * Imported messages a stored conversation does not have yet
+ * Messages match on role and content.
+ * @param {Array} existingMessages - Stored messages
+ * @param {Array} importedMessages - Messages being imported
+ * @returns {Array} Messages to add
+ */
+export function selectNewMessages(existingMessages, importedMessages) {
+  const existingContents = new Set(existingMessages.map(m => `${m.role}:${m.content}`));
+  return importedMessages.filter(m => !existingContents.has(`${m.role}:${m.content}`));
+}
+
+/**
+ * Time of the latest message
+ * Timestamps may be numbers or date strings, as in our own JSON export;
+ * ones that do not parse are skipped.
+ * @param {Array} messages - Messages
+ * @returns {number} Milliseconds since the epoch, or 0 when no message has a time
+ */
+export function getLastMessageTime(messages) {
+  return messages
+    .map(message => toTime(message.timestamp))
+    .filter(Number.isFinite)
+    .reduce((latest, time) => Math.max(latest, time), 0);
+}
+
+function buildConversation({ id, title, createdAt, updatedAt, metadata, messages }) {
+  const times = messages.map(message => message.timestamp).filter(Number.isFinite);
+  const created = Number.isFinite(createdAt) ? createdAt : (times[0] ?? Date.now());
+  const updated = Number.isFinite(updatedAt) ? updatedAt : (times[times.length - 1] ?? created);
+  const cleanTitle = String(title || '').replace(/\s+/g, ' ').trim() ||
+    summarizeTitle(messages) ||
+    'Untitled';
+
+  return {
+    id: id || `import_${created}_${Math.random().toString(36).substr(2, 9)}`,
+    title: cleanTitle.slice(0, MAX_TITLE_LENGTH),
+    createdAt: created,
+    updatedAt: updated,
+    metadata: Object.fromEntries(
+      Object.entries(metadata).filter(([, value]) => value !== null && typeof value !== 'undefined')
+    ),
+    messages: messages.map(message => ({
+      ...message,
+      timestamp: Number.isFinite(message.timestamp) ? message.timestamp : created
+    }))
+  };
+}
+
+// Nodes from the root to the last shown message
+function getChatGPTBranch(mapping, currentNode) {
+  let id = currentNode;
+  if (!mapping[id]) {
+    // Without a current node, follow the latest reply down from the root
+    id = Object.values(mapping).find(node => !node.parent || !mapping[node.parent])?.id;
+    while (mapping[id]?.children?.length) {
+      id = mapping[id].children[mapping[id].children.length - 1];
+    }
+  }
+
+  const branch = [];
+  const seen = new Set();
+  while (mapping[id] && !seen.has(id)) {
+    seen.add(id);
+    branch.unshift(mapping[id]);
+    id = mapping[id].parent;
+  }
+  return branch;
+}
+
+function getChatGPTContent(content) {
+  if (!content) {
+    return '';
+  }
+  if (content.content_type === 'code' && content.text) {
+    return `\`\`\`${content.language && content.language !== 'unknown' ? content.language : ''}\n` +
+      `${content.text}\n\`\`\``;
+  }
+  if (typeof content.text === 'string') {
+    return content.text;
+  }
+  // Images and other attachments are objects among the parts
+  return (content.parts || []).filter(part => typeof part === 'string').join('\n');
+}
+
+function getClaudeContent(message) {
+  if (typeof message.text === 'string' && message.text.trim()) {
+    return message.text;
+  }
+  return (message.content || [])
+    .filter(block => block.type === 'text' && typeof block.text === 'string')
+    .map(block => block.text)
+    .join('\n\n');
+}
+
+// A speaker heading, bold speaker or speaker label that starts a message
+function matchSpeaker(line, previous) {
+  const patterns = [
+    /^#{1,6}\s+\**([A-Za-z]+)\**:?\s*(?:[-–—·|].*)?$/,
+    /^\*\*([A-Za-z]+):?\*\*:?\s*(.*)$/
+  ];
+  // A plain label only counts at the start of a paragraph
+  if (previous === '') {
+    patterns.push(/^([A-Za-z]+):\s+(.*)$/);
+  }
+
+  for (const pattern of patterns) {
+    const match = pattern.exec(line.trim());
+    const role = match && ROLE_NAMES[match[1].toLowerCase()];
+    if (role) {
+      return { role, rest: pattern === patterns[0] ? '' : match[2] || '' };
+    }
+  }
+  return null;
+}
+
+// Lines such as "**URL:** ..." and "*Created: ...*" before the first message
+function readMarkdownHeader(conversation, line) {
+  const url = /^\**URL\**:\**\s*(\S+)/i.exec(line);
+  if (url) {
+    conversation.url = url[1];
+  }
+  const created = /^\*Created:\s*([^*]+)\*$/i.exec(line);
+  if (created && !Number.isNaN(Date.parse(created[1]))) {
+    conversation.createdAt = Date.parse(created[1]);
+  }
+}
+
+function endsWithRule(message) {
+  const lines = message?.lines.filter(line => line.trim()) || [];
+  return /^(-{3,}|\*{3,}|_{3,})$/.test(lines[lines.length - 1]?.trim() || '');
+}
+
+function stripTrailingRule(content) {
+  return content.trim().replace(/\n+(-{3,}|\*{3,}|_{3,})$/, '').trim();
+}
+
+function summarizeTitle(messages) {
+  const first = messages.find(message => message.role === 'user') || messages[0];
+  const text = String(first?.content || '').replace(/\s+/g, ' ').trim();
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+}
+
+function toArray(data) {
+  return Array.isArray(data) ? data : [data];
+}
+
+function fromSeconds(seconds) {
+  return typeof seconds === 'number' ? Math.round(seconds * 1000) : null;
+}
+
+function toTime(value) {
+  return typeof value === 'number' ? value : Date.parse(value) || 0;
+}
+
+function tryParseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
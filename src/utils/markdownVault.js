@@ -0,0 +1,139 @@
+/**
+ * Markdown Vault
+ * Lays out exported conversations as one Markdown note each, for knowledge
+ * bases such as Obsidian and Logseq. Notes carry YAML front-matter and link
+ * forks and related conversations with [[wiki-links]]. A note is named after
+ * its conversation ID rather than its title, so re-exporting after a rename
+ * updates the same note instead of adding another; the title is kept as an
+ * alias so the note is still found by name.
+ */
+
+import ZipWriter from './ZipWriter.js';
+import { getConversationTags } from '../storage/conversations/organization.js';
+
+// Folder the notes are placed in inside the archive
+const VAULT_FOLDER = 'DeepWeb';
+
+const ROLE_HEADINGS = {
+  user: 'User',
+  assistant: 'Assistant',
+  system: 'System'
+};
+
+/**
+ * Stable note name for a conversation
+ * @param {Object} conversation - Conversation with an `id`
+ * @returns {string} File name without extension
+ */
+export function getNoteName(conversation) {
+  return `deepweb-${String(conversation.id).replace(/[^A-Za-z0-9_-]+/g, '-')}`;
+}
+
+/**
+ * Notes for exported conversations
+ * @param {Array} conversations - Conversations as in export data, with messages
+ * @param {Object} [options] - Export options
+ * @param {Map<string, Array<string>>} [options.related] - Related conversation
+ *   IDs by conversation ID; only conversations in the export are linked
+ * @param {boolean} [options.includeTimestamps] - Show message times
+ * @returns {Array} { path, content, modified } per note
+ */
+export function buildVaultNotes(conversations, options = {}) {
+  const byId = new Map(conversations.map(conv => [conv.id, conv]));
+  const link = id => `[[${getNoteName(byId.get(id))}|${escapeLinkText(byId.get(id).title)}]]`;
+
+  return conversations.map(conv => {
+    const parentId = byId.has(conv.parentConversationId) ? conv.parentConversationId : null;
+    const forks = conversations
+      .filter(other => other.parentConversationId === conv.id)
+      .map(other => other.id);
+    const related = (options.related?.get(conv.id) || [])
+      .filter(id => byId.has(id) && id !== conv.id && id !== parentId && !forks.includes(id));
+
+    const sections = [
+      buildFrontMatter(conv, parentId ? getNoteName(byId.get(parentId)) : null),
+      `# ${conv.title || 'Untitled'}`
+    ];
+    if (parentId) {
+      sections.push(`> Forked from ${link(parentId)}`);
+    }
+
+    for (const msg of conv.messages || []) {
+      const heading = `## ${ROLE_HEADINGS[msg.role] || msg.role}`;
+      const time = options.includeTimestamps && msg.timestamp ?
+        `\n*${new Date(msg.timestamp).toISOString()}*` :
+        '';
+      sections.push(`${heading}${time}\n\n${String(msg.content ?? '').trim()}`);
+    }
+
+    if (forks.length) {
+      sections.push(`## Forks\n\n${forks.map(id => `- ${link(id)}`).join('\n')}`);
+    }
+    if (related.length) {
+      sections.push(`## Related\n\n${related.map(id => `- ${link(id)}`).join('\n')}`);
+    }
+
+    return {
+      path: `${VAULT_FOLDER}/${getNoteName(conv)}.md`,
+      content: `${sections.join('\n\n')}\n`,
+      modified: toTime(conv.updatedAt || conv.createdAt)
+    };
+  });
+}
+
+/**
+ * Export data as a ZIP of Markdown notes
+ * @param {Object} data - Export data with `conversations`
+ * @param {Object} [options] - As for buildVaultNotes()
+ * @returns {Uint8Array} ZIP file
+ */
+export function convertToVault(data, options = {}) {
+  const zip = new ZipWriter();
+  for (const note of buildVaultNotes(data.conversations, options)) {
+    zip.addFile(note.path, note.content, note.modified);
+  }
+  return zip.output();
+}
+
+function buildFrontMatter(conv, parentNote) {
+  const metadata = conv.metadata || {};
+  const sources = [...new Set([
+    metadata.url || conv.url,
+    ...(conv.messages || []).map(msg => msg.metadata?.url)
+  ].filter(Boolean))];
+  // Tags cannot contain spaces in either knowledge base
+  const tags = getConversationTags(conv).map(tag => tag.replace(/\s+/g, '-'));
+
+  const lines = [
+    '---',
+    `title: ${yamlString(conv.title || 'Untitled')}`,
+    `aliases: [${yamlString(conv.title || 'Untitled')}]`,
+    `tags: [${tags.map(yamlString).join(', ')}]`,
+    ...(sources.length ? ['sources:', ...sources.map(url => `  - ${yamlString(url)}`)] : []),
+    ...(metadata.model || conv.model ? [`model: ${yamlString(metadata.model || conv.model)}`] : []),
+    `created: ${toIso(conv.createdAt)}`,
+    `updated: ${toIso(conv.updatedAt || conv.createdAt)}`,
+    `deepweb-id: ${yamlString(conv.id)}`,
+    ...(parentNote ? [`forked-from: ${yamlString(`[[${parentNote}]]`)}`] : []),
+    '---'
+  ];
+  return lines.join('\n');
+}
+
+// Double-quoted YAML scalar
+function yamlString(value) {
+  return JSON.stringify(String(value));
+}
+
+// Brackets and '|' would end the link text early
+function escapeLinkText(text) {
+  return String(text || 'Untitled').replace(/[[\]|]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function toTime(value) {
+  return typeof value === 'number' ? value : Date.parse(value) || Date.now();
+}
+
+function toIso(value) {
+  return new Date(toTime(value)).toISOString();
+}
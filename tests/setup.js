@@ -21,6 +21,19 @@ expect.extend({
   }
 });
 
+// jsdom does not provide the Encoding API used by streaming providers
+const { TextEncoder, TextDecoder } = require('util');
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+// jsdom has no matchMedia; the animation manager checks for reduced motion
+window.matchMedia = window.matchMedia || (query => ({
+  matches: false,
+  media: query,
+  addEventListener: () => {},
+  removeEventListener: () => {}
+}));
+
 // Mock fetch API
 global.fetch = jest.fn();
 
@@ -0,0 +1,156 @@
+/**
+ * APIClient Fallback Chain Test Suite
+ */
+
+import APIClient from '../../../src/api/APIClient.js';
+import { ApiError } from '../../../src/errors/index.js';
+
+jest.mock('../../../src/config/index.js', () => {
+  const model = (name) => ({
+    name,
+    description: name,
+    maxTokens: 4000,
+    temperature: 0.7,
+    pricing: { input: 0.001, output: 0.002 }
+  });
+  const config = {
+    api: {
+      providers: {
+        deepseek: {
+          endpoint: 'https://api.deepseek.com/v1/chat/completions',
+          models: {
+            'deepseek-chat': model('DeepSeek Chat'),
+            'deepseek-reasoner': { ...model('DeepSeek Reasoner'), functionCalling: false, jsonMode: false }
+          }
+        },
+        openai: {
+          endpoint: 'https://api.openai.com/v1/chat/completions',
+          apiKeyValidation: { pattern: '^sk-[A-Za-z0-9_-]+$', minLength: 20, maxLength: 200 },
+          models: { 'gpt-4o-mini': model('GPT-4o mini') }
+        }
+      },
+      fallbackChain: ['deepseek-chat', 'gpt-4o-mini'],
+      timeout: 30000,
+      retries: { max: 0, delay: 100, backoff: 2 },
+      rateLimit: { interval: 0, maxPerHour: 1000 }
+    },
+    defaults: { model: 'deepseek-chat' },
+    security: {
+      apiKeyValidation: { pattern: '^sk-[a-zA-Z0-9]+$', minLength: 20, maxLength: 200 }
+    }
+  };
+  return {
+    getConfig: jest.fn((path, defaultValue) =>
+      path.split('.').reduce((obj, key) => obj?.[key], config) ?? defaultValue)
+  };
+});
+
+const DEEPSEEK_KEY = 'sk-1234567890abcdefghij';
+const OPENAI_KEY = 'sk-proj-abc_DEF-1234567890';
+
+function jsonResponse(status, body) {
+  return {
+    ok: status < 400,
+    status,
+    headers: new Map(),
+    json: async () => body
+  };
+}
+
+const completion = (content) => jsonResponse(200, {
+  choices: [{ message: { role: 'assistant', content } }],
+  usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+});
+
+describe('APIClient fallback chain', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  it('should build the chain from configured models with usable keys', () => {
+    expect(APIClient.getFallbackChain('deepseek', 'deepseek-chat', DEEPSEEK_KEY, {
+      openai: OPENAI_KEY
+    })).toEqual([
+      { provider: 'deepseek', model: 'deepseek-chat', apiKey: DEEPSEEK_KEY },
+      { provider: 'openai', model: 'gpt-4o-mini', apiKey: OPENAI_KEY }
+    ]);
+
+    expect(APIClient.getFallbackChain('deepseek', 'deepseek-chat', DEEPSEEK_KEY))
+      .toHaveLength(1);
+  });
+
+  it('should leave out models without the tools or JSON mode a request uses', () => {
+    const { getConfig } = jest.requireMock('../../../src/config/index.js');
+    const models = request => {
+      getConfig.mockReturnValueOnce(['deepseek-chat', 'deepseek-reasoner', 'gpt-4o-mini']);
+      return APIClient.getFallbackChain(
+        'deepseek', 'deepseek-chat', DEEPSEEK_KEY, { openai: OPENAI_KEY }, request
+      ).map(candidate => candidate.model);
+    };
+
+    expect(models({ tools: [{ type: 'function', function: { name: 'read_page' } }] }))
+      .toEqual(['deepseek-chat', 'gpt-4o-mini']);
+    expect(models({ responseFormat: 'json' })).toEqual(['deepseek-chat', 'gpt-4o-mini']);
+    expect(models({ tools: [] })).toContain('deepseek-reasoner');
+  });
+
+  it('should move to the next provider on a server error', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(503, { error: { message: 'Service unavailable' } }))
+      .mockResolvedValueOnce(completion('From OpenAI'));
+
+    const response = await APIClient.chat({
+      messages: [{ role: 'user', content: 'Hi' }],
+      apiKey: DEEPSEEK_KEY,
+      apiKeys: { openai: OPENAI_KEY },
+      model: 'deepseek-chat'
+    });
+
+    expect(response.choices[0].message.content).toBe('From OpenAI');
+    expect(response.metadata).toMatchObject({
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      fallbackFrom: 'deepseek'
+    });
+    expect(fetch.mock.calls[1][0]).toBe('https://api.openai.com/v1/chat/completions');
+  });
+
+  it('should record the primary provider when it answers', async () => {
+    fetch.mockResolvedValueOnce(completion('From DeepSeek'));
+
+    const response = await APIClient.chat({
+      messages: [{ role: 'user', content: 'Hi' }],
+      apiKey: DEEPSEEK_KEY,
+      apiKeys: { openai: OPENAI_KEY },
+      model: 'deepseek-chat'
+    });
+
+    expect(response.metadata).toMatchObject({ provider: 'deepseek', fallbackFrom: null });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not fall back on client errors', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(401, { error: { message: 'Bad key' } }));
+
+    await expect(APIClient.chat({
+      messages: [{ role: 'user', content: 'Hi' }],
+      apiKey: DEEPSEEK_KEY,
+      apiKeys: { openai: OPENAI_KEY },
+      model: 'deepseek-chat'
+    })).rejects.toThrow(ApiError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should respect fallback: false', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(429, { error: { message: 'Rate limited' } }));
+
+    await expect(APIClient.chat({
+      messages: [{ role: 'user', content: 'Hi' }],
+      apiKey: DEEPSEEK_KEY,
+      apiKeys: { openai: OPENAI_KEY },
+      model: 'deepseek-chat',
+      fallback: false
+    })).rejects.toThrow('Rate limited');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
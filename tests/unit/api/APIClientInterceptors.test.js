@@ -0,0 +1,132 @@
+/**
+ * APIClient Interceptor Test Suite
+ */
+
+import APIClient from '../../../src/api/APIClient.js';
+import { CacheInterceptor } from '../../../src/api/interceptors/index.js';
+
+jest.mock('../../../src/config/index.js', () => {
+  const config = {
+    api: {
+      providers: {
+        deepseek: {
+          endpoint: 'https://api.deepseek.com/v1/chat/completions',
+          models: {
+            'deepseek-chat': {
+              name: 'DeepSeek Chat',
+              description: 'General purpose',
+              maxTokens: 4000,
+              temperature: 0.7,
+              pricing: { input: 0.001, output: 0.002 }
+            }
+          }
+        }
+      },
+      timeout: 30000,
+      retries: { max: 0, delay: 100, backoff: 2 },
+      rateLimit: { interval: 0, maxPerHour: 1000 }
+    },
+    defaults: { model: 'deepseek-chat' },
+    security: {
+      apiKeyValidation: { pattern: '^sk-[a-zA-Z0-9]+$', minLength: 20, maxLength: 200 }
+    }
+  };
+  return {
+    getConfig: jest.fn((path, defaultValue) =>
+      path.split('.').reduce((obj, key) => obj?.[key], config) ?? defaultValue)
+  };
+});
+
+const API_KEY = 'sk-1234567890abcdefghij';
+
+const request = {
+  messages: [{ role: 'user', content: 'Hi' }],
+  apiKey: API_KEY,
+  model: 'deepseek-chat'
+};
+
+describe('APIClient interceptors', () => {
+  let removers;
+
+  beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: new Map(),
+      json: async () => ({
+        choices: [{ message: { role: 'assistant', content: 'Hello' } }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      })
+    });
+    removers = [];
+  });
+
+  afterEach(() => {
+    removers.forEach(remove => remove());
+  });
+
+  it('should call object interceptors through their response method', async () => {
+    const response = jest.fn(async (res) => ({ ...res, intercepted: true }));
+    removers.push(APIClient.addResponseInterceptor({ response }));
+
+    const result = await APIClient.chat(request);
+
+    expect(result.intercepted).toBe(true);
+    expect(response).toHaveBeenCalledWith(
+      expect.objectContaining({ metadata: expect.objectContaining({ provider: 'deepseek' }) }),
+      expect.objectContaining({ provider: 'deepseek', model: 'deepseek-chat' })
+    );
+  });
+
+  it('should serve repeated requests from the cache interceptor', async () => {
+    const cache = new CacheInterceptor();
+    removers.push(APIClient.addRequestInterceptor(cache.request.bind(cache)));
+    removers.push(APIClient.addResponseInterceptor({
+      response: cache.response.bind(cache),
+      onError: cache.onError.bind(cache)
+    }));
+
+    await APIClient.chat(request);
+    const cached = await APIClient.chat(request);
+
+    expect(cached.choices[0].message.content).toBe('Hello');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(cache.getStats().hits).toBe(1);
+  });
+
+  it('should send regenerate requests to the provider even when cached', async () => {
+    const cache = new CacheInterceptor();
+    removers.push(APIClient.addRequestInterceptor(cache.request.bind(cache)));
+    removers.push(APIClient.addResponseInterceptor({
+      response: cache.response.bind(cache),
+      onError: cache.onError.bind(cache)
+    }));
+
+    await APIClient.chat(request);
+    const regenerated = await APIClient.chat({ ...request, noCache: true });
+
+    expect(regenerated.fromCache).toBeFalsy();
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(cache.getStats().hits).toBe(0);
+  });
+
+  it('should replay cached responses as stream chunks', async () => {
+    const cache = new CacheInterceptor();
+    removers.push(APIClient.addRequestInterceptor(cache.request.bind(cache)));
+    removers.push(APIClient.addResponseInterceptor({
+      response: cache.response.bind(cache),
+      onError: cache.onError.bind(cache)
+    }));
+
+    await APIClient.chat(request);
+
+    const chunks = [];
+    for await (const chunk of APIClient.stream(request)) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.map(c => c.type)).toEqual(['content', 'done']);
+    expect(chunks[1]).toMatchObject({ content: 'Hello', provider: 'deepseek', fromCache: true });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * AnthropicProvider Test Suite
+ */
+
+import AnthropicProvider from '../../../src/api/providers/AnthropicProvider.js';
+import { ApiError } from '../../../src/errors/index.js';
+
+jest.mock('../../../src/config/index.js', () => {
+  const config = {
+    api: {
+      timeout: 30000,
+      retries: { max: 0, delay: 10, backoff: 2 },
+      rateLimit: { interval: 0, maxPerHour: 1000 }
+    }
+  };
+  return {
+    getConfig: jest.fn((path) => path.split('.').reduce((obj, key) => obj?.[key], config))
+  };
+});
+
+const providerConfig = {
+  endpoint: 'https://api.anthropic.com/v1/messages',
+  apiVersion: '2023-06-01',
+  apiKeyValidation: { pattern: '^sk-ant-[A-Za-z0-9_-]+$', minLength: 40, maxLength: 200 },
+  models: {
+    'claude-3-5-haiku-latest': {
+      name: 'Claude 3.5 Haiku',
+      description: 'Fast',
+      maxTokens: 8000,
+      temperature: 0.7,
+      pricing: { input: 0.0008, output: 0.004 }
+    }
+  }
+};
+
+const API_KEY = 'sk-ant-REDACTED';
+
+function createStreamResponse(events) {
+  const encoder = new TextEncoder();
+  const chunks = events.map(event => encoder.encode(event));
+  let index = 0;
+
+  return {
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: async () => (index < chunks.length ?
+          { done: false, value: chunks[index++] } :
+          { done: true }),
+        cancel: async () => {}
+      })
+    }
+  };
+}
+
+function sse(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`;
+}
+
+describe('AnthropicProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    provider = new AnthropicProvider(providerConfig);
+  });
+
+  describe('prepareMessages', () => {
+    it('should move system messages to the system field', () => {
+      const { system, messages } = provider.prepareMessages([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hello' }
+      ]);
+
+      expect(system).toBe('Be brief.');
+      expect(messages).toEqual([
+        { role: 'user', content: [{ type: 'text', text: 'Hello' }] }
+      ]);
+    });
+
+    it('should merge consecutive turns from the same role', () => {
+      const { messages } = provider.prepareMessages([
+        { role: 'user', content: 'Page content' },
+        { role: 'user', content: 'Question' },
+        { role: 'assistant', content: 'Answer' }
+      ]);
+
+      expect(messages).toHaveLength(2);
+      expect(messages[0].content).toHaveLength(2);
+    });
+
+    it('should open with a user turn', () => {
+      const { messages } = provider.prepareMessages([
+        { role: 'assistant', content: 'Earlier answer' },
+        { role: 'user', content: 'Follow-up' }
+      ]);
+
+      expect(messages[0].role).toBe('user');
+    });
+
+    it('should send tool calls and results as content blocks', () => {
+      const { messages } = provider.prepareMessages([
+        { role: 'user', content: 'How much is it?' },
+        {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{
+            id: 'toolu_1',
+            type: 'function',
+            function: { name: 'find_in_page', arguments: '{"text":"price"}' }
+          }]
+        },
+        { role: 'tool', tool_call_id: 'toolu_1', content: '{"total":1}' }
+      ]);
+
+      expect(messages).toEqual([
+        { role: 'user', content: [{ type: 'text', text: 'How much is it?' }] },
+        {
+          role: 'assistant',
+          content: [{ type: 'tool_use', id: 'toolu_1', name: 'find_in_page', input: { text: 'price' } }]
+        },
+        {
+          role: 'user',
+          content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '{"total":1}' }]
+        }
+      ]);
+    });
+  });
+
+  describe('chat', () => {
+    it('should send a Messages API request and normalize the response', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          id: 'msg_1',
+          model: 'claude-3-5-haiku-latest',
+          content: [{ type: 'text', text: 'Hi there' }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 1000, output_tokens: 1000 }
+        })
+      });
+
+      const response = await provider.chat(
+        [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hello' }],
+        { apiKey: API_KEY, model: 'claude-3-5-haiku-latest' }
+      );
+
+      expect(response.choices[0].message.content).toBe('Hi there');
+      expect(response.usage).toEqual({
+        prompt_tokens: 1000,
+        completion_tokens: 1000,
+        total_tokens: 2000
+      });
+      expect(response.cost).toBeCloseTo(0.0048);
+
+      const [, options] = fetch.mock.calls[0];
+      const body = JSON.parse(options.body);
+      expect(options.headers['x-api-key']).toBe(API_KEY);
+      expect(options.headers['anthropic-version']).toBe('2023-06-01');
+      expect(body.system).toBe('Be brief.');
+      expect(body.max_tokens).toBe(8000);
+    });
+
+    it('should surface API errors', async () => {
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 401,
+        headers: new Map(),
+        json: async () => ({ type: 'error', error: { message: 'invalid x-api-key' } })
+      });
+
+      await expect(provider.chat([{ role: 'user', content: 'Hi' }], {
+        apiKey: API_KEY,
+        model: 'claude-3-5-haiku-latest'
+      })).rejects.toThrow(ApiError);
+    });
+  });
+
+  describe('stream', () => {
+    it('should translate Messages API events into stream chunks', async () => {
+      fetch.mockResolvedValue(createStreamResponse([
+        sse('message_start', { message: { usage: { input_tokens: 12, output_tokens: 1 } } }),
+        sse('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }),
+        sse('ping', {}),
+        sse('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Hel' } }),
+        sse('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'lo' } }),
+        sse('content_block_stop', { index: 0 }),
+        sse('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 5 } }),
+        sse('message_stop', {})
+      ]));
+
+      const chunks = [];
+      for await (const chunk of provider.stream(
+        [{ role: 'user', content: 'Hi' }],
+        { apiKey: API_KEY, model: 'claude-3-5-haiku-latest' }
+      )) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks.map(c => c.type)).toEqual(['content', 'content', 'finish', 'done']);
+
+      const done = chunks[chunks.length - 1];
+      expect(done.content).toBe('Hello');
+      expect(done.usage).toEqual({ prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 });
+      expect(done.cost).toBe(provider.calculateCost(done.usage, 'claude-3-5-haiku-latest'));
+    });
+
+    it('should return tool_use blocks as tool calls', async () => {
+      fetch.mockResolvedValue(createStreamResponse([
+        sse('message_start', { message: { usage: { input_tokens: 12, output_tokens: 1 } } }),
+        sse('content_block_start', {
+          index: 0,
+          content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_table', input: {} }
+        }),
+        sse('content_block_delta', { index: 0, delta: { type: 'input_json_delta', partial_json: '{"ind' } }),
+        sse('content_block_delta', { index: 0, delta: { type: 'input_json_delta', partial_json: 'ex":2}' } }),
+        sse('message_delta', { delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 9 } }),
+        sse('message_stop', {})
+      ]));
+
+      const chunks = [];
+      for await (const chunk of provider.stream(
+        [{ role: 'user', content: 'Read the third table' }],
+        { apiKey: API_KEY, model: 'claude-3-5-haiku-latest' }
+      )) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks[chunks.length - 1].toolCalls).toEqual([{
+        id: 'toolu_1',
+        type: 'function',
+        function: { name: 'get_table', arguments: '{"index":2}' }
+      }]);
+    });
+
+    it('should raise stream error events', async () => {
+      fetch.mockResolvedValue(createStreamResponse([
+        sse('error', { error: { type: 'overloaded_error', message: 'Overloaded' } })
+      ]));
+
+      const consume = async () => {
+        for await (const chunk of provider.stream(
+          [{ role: 'user', content: 'Hi' }],
+          { apiKey: API_KEY, model: 'claude-3-5-haiku-latest' }
+        )) {
+          expect(chunk).toBeDefined();
+        }
+      };
+
+      await expect(consume()).rejects.toThrow('Overloaded');
+    });
+  });
+
+  describe('validateApiKey', () => {
+    it('should only accept Anthropic keys', () => {
+      expect(provider.validateApiKey(API_KEY)).toBe(true);
+      expect(provider.validateApiKey('sk-1234567890123456789012345678901234567890')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * CacheInterceptor Test Suite
+ */
+
+import { CacheInterceptor } from '../../../src/api/interceptors/index.js';
+
+const createStore = () => {
+  const entries = new Map();
+  return {
+    entries,
+    get: jest.fn(async key => entries.get(key) || null),
+    set: jest.fn(async (key, value) => {
+      entries.set(key, value);
+    }),
+    clear: jest.fn(async () => entries.clear())
+  };
+};
+
+const createRequest = (overrides = {}) => ({
+  provider: 'deepseek',
+  model: 'deepseek-chat',
+  apiKey: 'sk-test',
+  temperature: 0.7,
+  messages: [
+    { role: 'system', content: 'Page content:\n  An article' },
+    { role: 'user', content: '/summarize' }
+  ],
+  ...overrides
+});
+
+const RESPONSE = {
+  choices: [{ message: { role: 'assistant', content: 'Summary' } }],
+  usage: { total_tokens: 42 },
+  cost: 0.01
+};
+
+const requestCached = async (cache, request) => {
+  try {
+    await cache.request(request);
+    return null;
+  } catch (error) {
+    return cache.onError(error, request);
+  }
+};
+
+describe('CacheInterceptor', () => {
+  describe('generateCacheKey', () => {
+    it('should ignore whitespace differences in the context', () => {
+      const cache = new CacheInterceptor();
+      const reformatted = createRequest({
+        messages: [
+          { role: 'system', content: 'Page content: An article ' },
+          { role: 'user', content: '/summarize' }
+        ]
+      });
+
+      expect(cache.generateCacheKey(reformatted)).toBe(cache.generateCacheKey(createRequest()));
+    });
+
+    it('should cover model parameters but not credentials', () => {
+      const cache = new CacheInterceptor();
+      const key = cache.generateCacheKey(createRequest());
+
+      expect(cache.generateCacheKey(createRequest({ apiKey: 'sk-other' }))).toBe(key);
+      expect(cache.generateCacheKey(createRequest({ temperature: 0.2 }))).not.toBe(key);
+      expect(cache.generateCacheKey(createRequest({ maxTokens: 100 }))).not.toBe(key);
+      expect(cache.generateCacheKey(createRequest({ model: 'deepseek-coder' }))).not.toBe(key);
+    });
+  });
+
+  describe('persistent store', () => {
+    it('should serve responses saved by an earlier background page', async () => {
+      const store = createStore();
+      const first = new CacheInterceptor({ store });
+      const request = createRequest();
+      await first.request(request);
+      await first.response(RESPONSE, request);
+
+      // A fresh interceptor has an empty memory cache
+      const second = new CacheInterceptor({ store });
+      const cached = await requestCached(second, createRequest());
+
+      expect(cached).toMatchObject({
+        choices: RESPONSE.choices,
+        fromCache: true,
+        cost: 0
+      });
+      expect(second.getStats().hits).toBe(1);
+    });
+
+    it('should cache completed streams', async () => {
+      const store = createStore();
+      const cache = new CacheInterceptor({ store });
+      const request = createRequest();
+      await cache.request(request);
+      await cache.onStream({ type: 'content', content: 'Sum' }, request);
+      await cache.onStream({
+        type: 'done',
+        content: 'Summary',
+        usage: RESPONSE.usage,
+        model: 'deepseek-chat',
+        provider: 'deepseek'
+      }, request);
+
+      expect(store.set).toHaveBeenCalledTimes(1);
+      const cached = await requestCached(new CacheInterceptor({ store }), createRequest());
+      expect(cached.choices[0].message.content).toBe('Summary');
+    });
+
+    it('should cache a fallback answer under the model that gave it', async () => {
+      const store = createStore();
+      const cache = new CacheInterceptor({ store });
+      const request = createRequest();
+      await cache.request(request);
+      await cache.response({
+        ...RESPONSE,
+        metadata: { provider: 'openai', model: 'gpt-4o-mini', fallbackFrom: 'deepseek' }
+      }, request);
+
+      const fresh = new CacheInterceptor({ store });
+      expect(await requestCached(fresh, createRequest())).toBeNull();
+      expect(await requestCached(fresh, createRequest({ provider: 'openai', model: 'gpt-4o-mini' })))
+        .toMatchObject({ choices: RESPONSE.choices, fromCache: true });
+    });
+
+    it('should fall back to the network when the store fails', async () => {
+      const store = createStore();
+      store.get.mockRejectedValue(new Error('Database closed'));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const cache = new CacheInterceptor({ store });
+
+      expect(await requestCached(cache, createRequest())).toBeNull();
+      expect(cache.getStats().misses).toBe(1);
+      console.warn.mockRestore();
+    });
+
+    it('should only cache in memory once the store is detached', async () => {
+      const store = createStore();
+      const cache = new CacheInterceptor({ store });
+      cache.setStore(null);
+      const request = createRequest();
+      await cache.request(request);
+      await cache.response(RESPONSE, request);
+
+      expect(store.set).not.toHaveBeenCalled();
+      expect(await requestCached(cache, createRequest())).toMatchObject({ fromCache: true });
+    });
+  });
+
+  it('should evict the least recently used memory entry', async () => {
+    const cache = new CacheInterceptor({ maxSize: 2 });
+    const requests = ['a', 'b', 'c'].map(content => createRequest({
+      messages: [{ role: 'user', content }]
+    }));
+
+    await cache.request(requests[0]);
+    await cache.response(RESPONSE, requests[0]);
+    await cache.request(requests[1]);
+    await cache.response(RESPONSE, requests[1]);
+    await requestCached(cache, createRequest({ messages: [{ role: 'user', content: 'a' }] }));
+    await cache.request(requests[2]);
+    await cache.response(RESPONSE, requests[2]);
+
+    expect(cache.cache.has(requests[0]._cacheKey)).toBe(true);
+    expect(cache.cache.has(requests[1]._cacheKey)).toBe(false);
+  });
+});
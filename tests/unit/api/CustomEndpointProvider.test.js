@@ -0,0 +1,134 @@
+/**
+ * CustomEndpointProvider Test Suite
+ */
+
+import CustomEndpointProvider from '../../../src/api/providers/CustomEndpointProvider.js';
+import { SecurityError, ValidationError } from '../../../src/errors/index.js';
+
+jest.mock('../../../src/config/index.js', () => {
+  const config = {
+    api: {
+      timeout: 30000,
+      retries: { max: 0, delay: 10, backoff: 2 },
+      rateLimit: { interval: 0, maxPerHour: 1000 }
+    },
+    security: {
+      apiKeyValidation: { pattern: '^sk-[a-zA-Z0-9]+$', minLength: 20, maxLength: 200 }
+    }
+  };
+  return {
+    getConfig: jest.fn((path) => path.split('.').reduce((obj, key) => obj?.[key], config))
+  };
+});
+
+describe('CustomEndpointProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    browser.permissions.contains.mockResolvedValue(true);
+    provider = new CustomEndpointProvider({
+      name: 'Ollama',
+      baseUrl: 'http://localhost:11434/v1/',
+      models: { 'llama3.1': { maxTokens: 8000 } }
+    });
+  });
+
+  describe('constructor', () => {
+    it('should derive endpoints from the base URL', () => {
+      expect(provider.endpoint).toBe('http://localhost:11434/v1/chat/completions');
+      expect(provider.modelsEndpoint).toBe('http://localhost:11434/v1/models');
+      expect(provider.getPermissionPattern()).toBe('http://localhost/*');
+    });
+
+    it('should strip a pasted chat completions path', () => {
+      expect(CustomEndpointProvider.normalizeBaseUrl('http://127.0.0.1:8080/v1/chat/completions'))
+        .toBe('http://127.0.0.1:8080/v1');
+    });
+
+    it('should accept servers on the network or behind HTTPS', () => {
+      const lan = new CustomEndpointProvider({ baseUrl: 'http://192.168.1.20:8080/v1' });
+      const hosted = new CustomEndpointProvider({ baseUrl: 'https://llm.example.com/v1' });
+
+      expect(lan.getPermissionPattern()).toBe('http://192.168.1.20/*');
+      expect(hosted.endpoint).toBe('https://llm.example.com/v1/chat/completions');
+    });
+
+    it('should reject URLs that are not http or https', () => {
+      expect(() => new CustomEndpointProvider({ baseUrl: 'ftp://example.com/v1' }))
+        .toThrow(ValidationError);
+    });
+
+    it('should apply model overrides with zero pricing', () => {
+      expect(provider.getModelInfo('llama3.1')).toMatchObject({
+        name: 'llama3.1',
+        maxTokens: 8000,
+        pricing: { input: 0, output: 0 }
+      });
+    });
+  });
+
+  describe('discoverModels', () => {
+    it('should register every model the server reports', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          data: [{ id: 'llama3.1' }, { id: 'qwen2.5-coder:7b' }]
+        })
+      });
+
+      const models = await provider.discoverModels();
+
+      expect(models.map(m => m.id)).toEqual(['llama3.1', 'qwen2.5-coder:7b']);
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+    });
+  });
+
+  describe('chat', () => {
+    it('should send requests without a key and report zero cost', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          choices: [{ message: { role: 'assistant', content: 'Hi' } }],
+          usage: { prompt_tokens: 500, completion_tokens: 500, total_tokens: 1000 }
+        })
+      });
+
+      const response = await provider.chat(
+        [{ role: 'user', content: 'Hello' }],
+        { model: 'mistral' }
+      );
+
+      expect(response.cost).toBe(0);
+      expect(fetch.mock.calls[0][0]).toBe('http://localhost:11434/v1/chat/completions');
+      expect(JSON.parse(fetch.mock.calls[0][1].body).model).toBe('mistral');
+    });
+
+    it('should not contact a server whose host permission is missing', async () => {
+      browser.permissions.contains.mockResolvedValue(false);
+
+      await expect(provider.chat([{ role: 'user', content: 'Hello' }], { model: 'mistral' }))
+        .rejects.toThrow(SecurityError);
+      expect(browser.permissions.contains)
+        .toHaveBeenCalledWith({ origins: ['http://localhost/*'] });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateApiKey', () => {
+    it('should accept missing or arbitrary keys', () => {
+      expect(provider.validateApiKey()).toBe(true);
+      expect(provider.validateApiKey('ollama')).toBe(true);
+    });
+
+    it('should require the key a server was connected with', () => {
+      const keyed = new CustomEndpointProvider({
+        baseUrl: 'https://llm.example.com/v1',
+        requiresKey: true
+      });
+
+      expect(keyed.validateApiKey()).toBe(false);
+      expect(keyed.validateApiKey('secret')).toBe(true);
+    });
+  });
+});
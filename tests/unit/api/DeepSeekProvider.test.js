@@ -0,0 +1,103 @@
+/**
+ * DeepSeekProvider Test Suite
+ */
+
+import DeepSeekProvider from '../../../src/api/providers/DeepSeekProvider.js';
+
+jest.mock('../../../src/config/index.js', () => {
+  const config = {
+    api: {
+      providers: {
+        deepseek: {
+          endpoint: 'https://api.deepseek.com/v1/chat/completions',
+          models: {
+            'deepseek-reasoner': {
+              name: 'DeepSeek Reasoner',
+              maxTokens: 4000,
+              temperature: 0.5,
+              pricing: { input: 0.0005, output: 0.001 }
+            }
+          }
+        }
+      },
+      timeout: 30000,
+      retries: { max: 0, delay: 10, backoff: 2 },
+      rateLimit: { interval: 0, maxPerHour: 1000 }
+    },
+    security: {
+      apiKeyValidation: { pattern: '^sk-[a-zA-Z0-9]+$', minLength: 20, maxLength: 200 }
+    }
+  };
+  return {
+    getConfig: jest.fn((path) => path.split('.').reduce((obj, key) => obj?.[key], config))
+  };
+});
+
+const API_KEY = 'sk-1234567890abcdefghij';
+
+function createStreamResponse(events) {
+  const encoder = new TextEncoder();
+  const chunks = events.map(event => encoder.encode(event));
+  let index = 0;
+
+  return {
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: async () => (index < chunks.length ?
+          { done: false, value: chunks[index++] } :
+          { done: true }),
+        cancel: async () => {}
+      })
+    }
+  };
+}
+
+describe('DeepSeekProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    provider = new DeepSeekProvider();
+  });
+
+  describe('stream', () => {
+    it('should yield reasoning separately from the answer', async () => {
+      fetch.mockResolvedValue(createStreamResponse([
+        'data: {"choices":[{"delta":{"reasoning_content":"Two plus "}}]}\n\n',
+        'data: {"choices":[{"delta":{"reasoning_content":"two is four.","content":null}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"4"},"finish_reason":"stop"}]}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+
+      const chunks = [];
+      for await (const chunk of provider.stream(
+        [{ role: 'user', content: '2+2?' }],
+        { apiKey: API_KEY, model: 'deepseek-reasoner' }
+      )) {
+        chunks.push(chunk);
+      }
+
+      const reasoning = chunks.filter(c => c.type === 'reasoning').map(c => c.content);
+      const done = chunks.find(c => c.type === 'done');
+
+      expect(reasoning).toEqual(['Two plus ', 'two is four.']);
+      expect(chunks.filter(c => c.type === 'content').map(c => c.content)).toEqual(['4']);
+      expect(done).toMatchObject({ content: '4', reasoning: 'Two plus two is four.' });
+    });
+  });
+
+  describe('prepareMessages', () => {
+    it('should not send earlier reasoning back to the API', () => {
+      const prepared = provider.prepareMessages([
+        { role: 'user', content: '2+2?' },
+        { role: 'assistant', content: '4', reasoning_content: 'Two plus two', reasoning: 'Two plus two' }
+      ]);
+
+      expect(prepared).toEqual([
+        { role: 'user', content: '2+2?' },
+        { role: 'assistant', content: '4' }
+      ]);
+    });
+  });
+});
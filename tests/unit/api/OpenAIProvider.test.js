@@ -0,0 +1,301 @@
+/**
+ * OpenAIProvider Test Suite
+ */
+
+import OpenAIProvider from '../../../src/api/providers/OpenAIProvider.js';
+import { ApiError, ValidationError } from '../../../src/errors/index.js';
+
+jest.mock('../../../src/config/index.js', () => {
+  const config = {
+    api: {
+      timeout: 30000,
+      retries: { max: 0, delay: 10, backoff: 2 },
+      rateLimit: { interval: 0, maxPerHour: 1000 }
+    },
+    security: {
+      apiKeyValidation: { pattern: '^sk-[a-zA-Z0-9]+$', minLength: 20, maxLength: 200 }
+    }
+  };
+  return {
+    getConfig: jest.fn((path) => path.split('.').reduce((obj, key) => obj?.[key], config))
+  };
+});
+
+const providerConfig = {
+  endpoint: 'https://api.openai.com/v1/chat/completions',
+  modelsEndpoint: 'https://api.openai.com/v1/models',
+  embeddingsEndpoint: 'https://api.openai.com/v1/embeddings',
+  apiKeyValidation: { pattern: '^sk-[A-Za-z0-9_-]+$', minLength: 20, maxLength: 200 },
+  models: {
+    'gpt-4o-mini': {
+      name: 'GPT-4o mini',
+      description: 'Fast',
+      maxTokens: 16000,
+      temperature: 0.7,
+      pricing: { input: 0.00015, output: 0.0006 }
+    }
+  }
+};
+
+const API_KEY = 'sk-proj-abc_DEF-1234567890';
+
+function createStreamResponse(events) {
+  const encoder = new TextEncoder();
+  const chunks = events.map(event => encoder.encode(event));
+  let index = 0;
+
+  return {
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: async () => (index < chunks.length ?
+          { done: false, value: chunks[index++] } :
+          { done: true }),
+        cancel: async () => {}
+      })
+    }
+  };
+}
+
+// Rejects like fetch does once its signal aborts
+function waitForAbort(signal) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }));
+    });
+  });
+}
+
+describe('OpenAIProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    provider = new OpenAIProvider(providerConfig);
+  });
+
+  describe('validateApiKey', () => {
+    it('should accept project keys with dashes and underscores', () => {
+      expect(provider.validateApiKey(API_KEY)).toBe(true);
+    });
+
+    it('should reject malformed keys', () => {
+      expect(provider.validateApiKey('')).toBe(false);
+      expect(provider.validateApiKey('pk-1234567890123456789')).toBe(false);
+      expect(provider.validateApiKey('sk-short')).toBe(false);
+    });
+  });
+
+  describe('chat', () => {
+    it('should send an OpenAI chat completion request and add cost', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          choices: [{ message: { role: 'assistant', content: 'Hi there' } }],
+          usage: { prompt_tokens: 1000, completion_tokens: 1000, total_tokens: 2000 }
+        })
+      });
+
+      const response = await provider.chat(
+        [{ role: 'user', content: 'Hello' }],
+        { apiKey: API_KEY, model: 'gpt-4o-mini', maxTokens: 256 }
+      );
+
+      expect(response.choices[0].message.content).toBe('Hi there');
+      expect(response.cost).toBeCloseTo(0.00075);
+
+      const [url, options] = fetch.mock.calls[0];
+      const body = JSON.parse(options.body);
+      expect(url).toBe(providerConfig.endpoint);
+      expect(options.headers.Authorization).toBe(`Bearer ${API_KEY}`);
+      expect(body).toMatchObject({ model: 'gpt-4o-mini', max_tokens: 256, stream: false });
+    });
+
+    it('should reject unknown models', async () => {
+      await expect(provider.chat([{ role: 'user', content: 'Hi' }], {
+        apiKey: API_KEY,
+        model: 'deepseek-chat'
+      })).rejects.toThrow(ValidationError);
+    });
+
+    it('should surface API errors', async () => {
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 401,
+        headers: new Map(),
+        json: async () => ({ error: { message: 'Incorrect API key provided' } })
+      });
+
+      await expect(provider.chat([{ role: 'user', content: 'Hi' }], {
+        apiKey: API_KEY,
+        model: 'gpt-4o-mini'
+      })).rejects.toThrow(ApiError);
+    });
+  });
+
+  describe('stream', () => {
+    it('should yield content chunks and a done event with usage', async () => {
+      fetch.mockResolvedValue(createStreamResponse([
+        'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"lo"},"finish_reason":"stop"}]}\n\n',
+        'data: {"choices":[],"usage":{"prompt_tokens":10,"completion_tokens":2,"total_tokens":12}}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+
+      const chunks = [];
+      for await (const chunk of provider.stream(
+        [{ role: 'user', content: 'Hi' }],
+        { apiKey: API_KEY, model: 'gpt-4o-mini' }
+      )) {
+        chunks.push(chunk);
+      }
+
+      const content = chunks.filter(c => c.type === 'content').map(c => c.content).join('');
+      const done = chunks.find(c => c.type === 'done');
+
+      expect(content).toBe('Hello');
+      expect(done.content).toBe('Hello');
+      expect(done.usage.total_tokens).toBe(12);
+      expect(JSON.parse(fetch.mock.calls[0][1].body).stream_options).toEqual({ include_usage: true });
+    });
+
+    it('should assemble streamed tool calls', async () => {
+      fetch.mockResolvedValue(createStreamResponse([
+        'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"call_1","type":"function",' +
+          '"function":{"name":"find_in_page","arguments":""}}]}}]}\n\n',
+        'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"{\\"text\\":"}}]}}]}\n\n',
+        'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"price\\"}"}}]},' +
+          '"finish_reason":"tool_calls"}]}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+      const tools = [{ type: 'function', function: { name: 'find_in_page', parameters: {} } }];
+
+      const chunks = [];
+      for await (const chunk of provider.stream(
+        [{ role: 'user', content: 'How much is it?' }],
+        { apiKey: API_KEY, model: 'gpt-4o-mini', tools }
+      )) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks.find(c => c.type === 'done').toolCalls).toEqual([{
+        id: 'call_1',
+        type: 'function',
+        function: { name: 'find_in_page', arguments: '{"text":"price"}' }
+      }]);
+      expect(JSON.parse(fetch.mock.calls[0][1].body).tools).toEqual(tools);
+    });
+
+    it('should abort a stalled request when the caller cancels', async () => {
+      // Headers arrive, then the server stalls before the first chunk
+      fetch.mockImplementation((url, { signal }) => Promise.resolve({
+        ok: true,
+        body: {
+          getReader: () => ({
+            read: () => waitForAbort(signal),
+            cancel: async () => {}
+          })
+        }
+      }));
+      const controller = new AbortController();
+
+      const stream = provider.stream(
+        [{ role: 'user', content: 'Hi' }],
+        { apiKey: API_KEY, model: 'gpt-4o-mini', signal: controller.signal }
+      );
+      const next = stream.next();
+      await Promise.resolve();
+      controller.abort();
+
+      expect((await next).value).toEqual({ type: 'cancelled' });
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+
+    it('should abort a pending chat request when the caller cancels', async () => {
+      fetch.mockImplementation((url, { signal }) => waitForAbort(signal));
+      const controller = new AbortController();
+
+      const response = provider.chat(
+        [{ role: 'user', content: 'Hi' }],
+        { apiKey: API_KEY, model: 'gpt-4o-mini', signal: controller.signal }
+      );
+      await Promise.resolve();
+      controller.abort();
+
+      await expect(response).rejects.toMatchObject({ name: 'AbortError' });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('models', () => {
+    it('should list configured models', () => {
+      expect(provider.listModels()).toEqual([
+        expect.objectContaining({ id: 'gpt-4o-mini', name: 'GPT-4o mini' })
+      ]);
+    });
+
+    it('should fetch chat models from the models endpoint', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          data: [
+            { id: 'gpt-4o-mini', owned_by: 'openai' },
+            { id: 'text-embedding-3-small', owned_by: 'openai' },
+            { id: 'gpt-4o-realtime-preview', owned_by: 'openai' }
+          ]
+        })
+      });
+
+      const models = await provider.fetchModels(API_KEY);
+
+      expect(models.map(m => m.id)).toEqual(['gpt-4o-mini']);
+      expect(fetch).toHaveBeenCalledWith(
+        providerConfig.modelsEndpoint,
+        expect.objectContaining({ method: 'GET' })
+      );
+    });
+  });
+
+  describe('embed', () => {
+    it('should return vectors in input order', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({
+          model: 'text-embedding-3-small',
+          data: [
+            { index: 1, embedding: [0, 1] },
+            { index: 0, embedding: [1, 0] }
+          ]
+        })
+      });
+
+      const result = await provider.embed(['first', 'second'], {
+        apiKey: API_KEY,
+        model: 'text-embedding-3-small'
+      });
+
+      expect(result.vectors).toEqual([[1, 0], [0, 1]]);
+      const [url, options] = fetch.mock.calls[0];
+      expect(url).toBe(providerConfig.embeddingsEndpoint);
+      expect(JSON.parse(options.body)).toEqual({
+        model: 'text-embedding-3-small',
+        input: ['first', 'second']
+      });
+    });
+
+    it('should require an embeddings endpoint and model', async () => {
+      const chatProvider = new OpenAIProvider({ ...providerConfig, embeddingsEndpoint: null });
+
+      await expect(chatProvider.embed(['text'], { model: 'text-embedding-3-small' }))
+        .rejects.toThrow(ValidationError);
+      await expect(provider.embed(['text'], {})).rejects.toThrow(ValidationError);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('calculateCost', () => {
+    it('should return zero without usage', () => {
+      expect(provider.calculateCost(null, 'gpt-4o-mini')).toBe(0);
+    });
+  });
+});
@@ -195,4 +195,78 @@ describe('ChatContainer', () => {
       expect(messageList.innerHTML).toBe('');
     });
   });
-});
\ No newline at end of file
+});
+
+// Only what constructing a ChatContainer and talking to the background needs
+const mockBrowser = sendMessage => {
+  global.browser = {
+    runtime: {
+      onMessage: { addListener: jest.fn() },
+      getURL: jest.fn(path => path),
+      sendMessage
+    },
+    storage: {
+      local: {
+        get: jest.fn().mockResolvedValue({}),
+        set: jest.fn().mockResolvedValue(undefined)
+      }
+    }
+  };
+};
+
+const loadChatContainer = () => {
+  jest.doMock('../../../content/components/ModelParameterControls.js', () => ({
+    ModelParameterControls: jest.fn()
+  }));
+  return require('../../../content/components/ChatContainer.js').default;
+};
+
+describe('ChatContainer regenerate', () => {
+  beforeEach(() => {
+    mockBrowser(jest.fn().mockResolvedValue({ error: 'stop here' }));
+  });
+
+  it('should ask the model again instead of the response cache', async () => {
+    const ChatContainer = loadChatContainer();
+    const chatContainer = new ChatContainer();
+    const prompt = { id: 'msg_1', role: 'user', content: 'Hello' };
+    chatContainer.findAdjacentMessage = jest.fn().mockReturnValue(prompt);
+    chatContainer.buildMessageContext = jest.fn().mockResolvedValue({});
+    chatContainer.getChild = jest.fn().mockReturnValue({
+      addLoadingMessage: jest.fn(),
+      removeMessage: jest.fn(),
+      addErrorMessage: jest.fn()
+    });
+
+    await chatContainer.handleRegenerate({ id: 'msg_2', role: 'assistant', content: 'Hi' });
+
+    expect(browser.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'chat_request',
+      message: 'Hello',
+      replyToMessageId: 'msg_1',
+      noCache: true
+    }));
+  });
+});
+
+describe('ChatContainer encrypted conversations', () => {
+  beforeEach(() => {
+    mockBrowser(jest.fn().mockResolvedValue({ enabled: true, unlocked: false }));
+  });
+
+  it('should point to the popup instead of asking for the passphrase in the page', async () => {
+    const ChatContainer = loadChatContainer();
+    const chatContainer = new ChatContainer();
+    const messageList = { addInfoMessage: jest.fn() };
+    chatContainer.getChild = jest.fn().mockReturnValue(messageList);
+    const promptSpy = jest.spyOn(window, 'prompt').mockReturnValue(null);
+
+    await chatContainer.initializeConversation();
+
+    expect(promptSpy).not.toHaveBeenCalled();
+    expect(chatContainer.conversationsLocked).toBe(true);
+    expect(messageList.addInfoMessage).toHaveBeenCalledWith(expect.stringContaining('popup'));
+    expect(browser.runtime.sendMessage).toHaveBeenCalledTimes(1);
+    promptSpy.mockRestore();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * CompareView Component Tests
+ */
+
+import CompareView from '../../../content/components/CompareView.js';
+
+const MODELS = [
+  { id: 'deepseek-chat', name: 'DeepSeek Chat' },
+  { id: 'deepseek-reasoner', name: 'DeepSeek Reasoner' }
+];
+
+const result = (column, overrides = {}) => ({
+  column,
+  content: `Answer ${column}`,
+  model: MODELS[column].id,
+  usage: { total_tokens: 120 },
+  cost: 0.0012,
+  firstTokenMs: 400,
+  latencyMs: 1800,
+  ...overrides
+});
+
+describe('CompareView', () => {
+  let view;
+  let onKeep;
+
+  beforeEach(async () => {
+    onKeep = jest.fn();
+    view = new CompareView({ models: MODELS, onKeep });
+    await view.init();
+  });
+
+  afterEach(() => {
+    view.destroy();
+  });
+
+  it('should render one column per model', () => {
+    const columns = view.element.querySelectorAll('.deepweb-compare-column');
+
+    expect(columns).toHaveLength(2);
+    expect(columns[1].dataset.model).toBe('deepseek-reasoner');
+  });
+
+  it('should stream content into its own column', () => {
+    view.appendContent(0, 'Hel');
+    view.appendContent(0, 'lo');
+    view.appendContent(1, 'Hi');
+
+    const contents = view.element.querySelectorAll('.deepweb-compare-content');
+    expect(contents[0].textContent).toBe('Hello');
+    expect(contents[1].textContent).toBe('Hi');
+  });
+
+  it('should show latency, tokens and cost when a column finishes', () => {
+    view.completeColumn(0, result(0));
+
+    const stats = view.element.querySelectorAll('.deepweb-compare-stats')[0];
+    expect(stats.textContent).toBe('1.8s (first token 0.4s) · 120 tokens · $0.0012');
+    expect(view.isStreaming()).toBe(true);
+  });
+
+  it('should only keep finished answers, once', () => {
+    const keepButtons = view.element.querySelectorAll('.deepweb-compare-keep');
+    keepButtons[1].click();
+    expect(onKeep).not.toHaveBeenCalled();
+
+    view.completeColumn(0, result(0));
+    view.completeColumn(1, result(1, { fromCache: true }));
+    keepButtons[1].click();
+    keepButtons[0].click();
+
+    expect(onKeep).toHaveBeenCalledTimes(1);
+    expect(onKeep.mock.calls[0][0]).toMatchObject({ column: 1, content: 'Answer 1' });
+    expect(onKeep.mock.calls[0][1]).toHaveLength(2);
+  });
+
+  it('should stop unfinished columns', () => {
+    view.completeColumn(0, result(0));
+    view.finish();
+
+    expect(view.isStreaming()).toBe(false);
+    expect(view.getResults()).toHaveLength(1);
+    expect(view.element.querySelectorAll('.deepweb-compare-stats')[1].textContent).toBe('✗ Stopped');
+  });
+});
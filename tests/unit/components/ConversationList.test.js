@@ -0,0 +1,184 @@
+/**
+ * ConversationList Component Tests
+ */
+
+import ConversationList, { buildConversationTree } from '../../../content/components/ConversationList.js';
+import { animationManager } from '../../../content/utils/AnimationManager.js';
+
+const conversation = (id, parentConversationId = null) => ({
+  id,
+  title: `Chat ${id}`,
+  parentConversationId
+});
+
+describe('buildConversationTree', () => {
+  it('should nest forks under their parent', () => {
+    const entries = buildConversationTree([
+      conversation('fork_b', 'root'),
+      conversation('other'),
+      conversation('root'),
+      conversation('fork_a', 'root'),
+      conversation('fork_of_fork', 'fork_a')
+    ]);
+
+    expect(entries.map(({ conversation: c, depth }) => [c.id, depth])).toEqual([
+      ['other', 0],
+      ['root', 0],
+      ['fork_b', 1],
+      ['fork_a', 1],
+      ['fork_of_fork', 2]
+    ]);
+  });
+
+  it('should show forks of missing parents at the top level', () => {
+    const entries = buildConversationTree([conversation('fork', 'deleted')]);
+
+    expect(entries).toEqual([{ conversation: conversation('fork', 'deleted'), depth: 0 }]);
+  });
+
+  it('should keep every conversation when parents form a loop', () => {
+    const entries = buildConversationTree([conversation('a', 'b'), conversation('b', 'a')]);
+
+    expect(entries.map(entry => entry.conversation.id)).toEqual(['a', 'b']);
+  });
+});
+
+describe('ConversationList', () => {
+  let list;
+
+  afterEach(() => {
+    list?.destroy();
+  });
+
+  it('should render conversations passed in by the caller as a tree', async () => {
+    list = new ConversationList();
+    await list.init();
+
+    list.updateConversations([conversation('root'), conversation('fork', 'root')], 'fork');
+
+    const items = list.element.querySelectorAll('.deepweb-conversation-item');
+    expect(items).toHaveLength(2);
+    expect(items[1].dataset.conversationId).toBe('fork');
+    expect(items[1].style.marginLeft).toBe('16px');
+    expect(items[1].querySelector('.deepweb-fork-icon')).not.toBeNull();
+    expect(items[0].querySelector('.deepweb-fork-icon')).toBeNull();
+    expect(list.state.activeConversationId).toBe('fork');
+    expect(list.element.querySelector('.deepweb-error-state').style.display).toBe('none');
+  });
+
+  it('should show conversations about a text in place of the list', async () => {
+    const onFindRelated = jest.fn(() => Promise.resolve([
+      { ...conversation('related'), score: 0.81 }
+    ]));
+    list = new ConversationList({ onFindRelated });
+    await list.init();
+    list.updateConversations([conversation('root'), conversation('related')]);
+
+    list.searchInput.value = 'caching';
+    list.element.querySelector('.deepweb-related-search-btn').click();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(onFindRelated).toHaveBeenCalledWith({ text: 'caching' });
+    const items = list.element.querySelectorAll('.deepweb-conversation-item');
+    expect(items).toHaveLength(1);
+    expect(items[0].querySelector('.deepweb-conversation-score').textContent).toContain('81%');
+    expect(list.element.querySelector('.deepweb-related-label').textContent)
+      .toBe('Conversations about "caching"');
+
+    list.element.querySelector('.deepweb-related-close').click();
+    expect(list.element.querySelectorAll('.deepweb-conversation-item')).toHaveLength(2);
+    expect(list.element.querySelector('.deepweb-related-banner').style.display).toBe('none');
+  });
+
+  it('should narrow the list by folder and tag and move dropped conversations', async () => {
+    const organizer = {
+      listFolders: jest.fn(() => Promise.resolve([
+        { id: 'work', name: 'Work', parentId: null },
+        { id: 'api', name: 'API', parentId: 'work' }
+      ])),
+      listSmartFilters: jest.fn(() => Promise.resolve([])),
+      moveToFolder: jest.fn(() => Promise.resolve({}))
+    };
+    list = new ConversationList({ organizer });
+    await list.init();
+    list.updateConversations([
+      { ...conversation('a'), folderId: 'api', tags: ['bug'] },
+      { ...conversation('b'), folderId: 'work' },
+      conversation('c')
+    ]);
+    const shownIds = () => Array.from(
+      list.element.querySelectorAll('.deepweb-conversation-item'),
+      item => item.dataset.conversationId
+    );
+
+    // Folder rows: "All conversations", then the tree
+    const rows = list.element.querySelectorAll('.deepweb-folder-row');
+    expect(Array.from(rows, row => row.dataset.folderId)).toEqual(['', 'work', 'api']);
+
+    rows[1].click();
+    expect(shownIds()).toEqual(['a', 'b']);
+
+    list.element.querySelector('.deepweb-conversation-tag').click();
+    expect(shownIds()).toEqual(['a']);
+    expect(list.element.querySelector('.deepweb-tag-filter').textContent).toBe('#bug ✕');
+
+    list.selectTag(null);
+    list.selectFolder(null);
+    const drop = new Event('drop', { bubbles: true, cancelable: true });
+    drop.dataTransfer = {
+      types: ['text/x-deepweb-conversation'],
+      getData: type => (type === 'text/x-deepweb-conversation' ? 'c' : '')
+    };
+    list.element.querySelector('.deepweb-folder-row[data-folder-id="api"]').dispatchEvent(drop);
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(organizer.moveToFolder).toHaveBeenCalledWith('c', 'api');
+    list.selectFolder('api');
+    expect(shownIds()).toEqual(['a', 'c']);
+  });
+
+  it('should move deleted conversations to the trash and restore them', async () => {
+    const entry = {
+      id: 'trash_1',
+      kind: 'conversation',
+      conversationId: 'a',
+      label: 'Chat a',
+      messageCount: 3,
+      deletedAt: Date.now(),
+      expiresAt: Date.now() + 86400000
+    };
+    const organizer = {
+      listFolders: jest.fn(() => Promise.resolve([])),
+      listSmartFilters: jest.fn(() => Promise.resolve([])),
+      listTrash: jest.fn(() => Promise.resolve([entry])),
+      restoreFromTrash: jest.fn(() => Promise.resolve({ kind: 'conversation' }))
+    };
+    const onDeleteConversation = jest.fn(() => Promise.resolve('trash_1'));
+    const onTrashChange = jest.fn(() => Promise.resolve());
+    const showUndoToast = jest.spyOn(animationManager, 'showUndoToast')
+      .mockImplementation(() => Promise.resolve(false));
+    list = new ConversationList({ organizer, onDeleteConversation, onTrashChange });
+    await list.init();
+    list.updateConversations([conversation('a'), conversation('b')]);
+
+    await list.handleDelete('a');
+    expect(onDeleteConversation).toHaveBeenCalledWith('a');
+    expect(showUndoToast).toHaveBeenCalledWith(
+      'Conversation moved to the trash',
+      expect.any(Function)
+    );
+
+    await list.toggleTrash();
+    expect(list.listContainer.style.display).toBe('none');
+    const rows = list.element.querySelectorAll('.deepweb-trash-entry');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].textContent).toContain('Chat a');
+
+    await list.handleRestore('trash_1');
+    expect(organizer.restoreFromTrash).toHaveBeenCalledWith('trash_1');
+    expect(onTrashChange).toHaveBeenCalled();
+    expect(organizer.listTrash).toHaveBeenCalledTimes(2);
+  });
+});
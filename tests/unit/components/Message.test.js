@@ -0,0 +1,150 @@
+/**
+ * Message Component Tests
+ */
+
+import Message from '../../../content/components/Message.js';
+
+const assistantMessage = (overrides = {}) => ({
+  id: 'msg_1',
+  role: 'assistant',
+  content: '{}',
+  timestamp: Date.now(),
+  metadata: {},
+  state: {},
+  ...overrides
+});
+
+describe('Message', () => {
+  let message;
+
+  const renderMessage = async (data) => {
+    message = new Message({ message: assistantMessage(data) });
+    await message.init();
+    return message.element;
+  };
+
+  afterEach(() => {
+    message?.destroy();
+  });
+
+  it('should render a quiz with answers hidden until revealed', async () => {
+    const element = await renderMessage({
+      structured: {
+        widget: 'quiz',
+        data: {
+          questions: [{
+            question: 'What is 2+2?',
+            options: ['3', '4'],
+            answer: '4',
+            explanation: 'Basic sums'
+          }]
+        }
+      }
+    });
+
+    const answer = element.querySelector('.deepweb-quiz-answer');
+    const reveal = element.querySelector('.deepweb-quiz-reveal');
+
+    expect(element.querySelectorAll('.deepweb-quiz-options li')).toHaveLength(2);
+    expect(answer.style.display).toBe('none');
+
+    reveal.click();
+
+    expect(answer.style.display).toBe('block');
+    expect(answer.textContent).toBe('✓ 4 — Basic sums');
+    expect(reveal.getAttribute('aria-expanded')).toBe('true');
+  });
+
+  it('should render pros and cons side by side', async () => {
+    const element = await renderMessage({
+      structured: {
+        widget: 'pros-cons',
+        data: { pros: ['Fast', 'Cheap'], cons: ['<b>Loud</b>'], verdict: 'Worth it' }
+      }
+    });
+
+    const rows = Array.from(element.querySelectorAll('.deepweb-pros-cons tbody tr'))
+      .map(row => Array.from(row.cells).map(cell => cell.textContent));
+
+    expect(rows).toEqual([['Fast', '<b>Loud</b>'], ['Cheap', '']]);
+    expect(element.querySelector('.deepweb-pros-cons-verdict').textContent).toBe('⚖️ Worth it');
+  });
+
+  it('should render plain answers as markdown', async () => {
+    const element = await renderMessage({ content: 'Just text' });
+
+    expect(element.querySelector('.deepweb-quiz')).toBeNull();
+    expect(element.querySelector('.deepweb-message-content').textContent).toContain('Just text');
+  });
+
+  it('should page through answer versions', async () => {
+    const selectVersion = jest.fn().mockResolvedValue(assistantMessage({
+      content: 'First',
+      versions: [{ content: 'First' }, { content: 'Second' }],
+      activeVersion: 0
+    }));
+    message = new Message({
+      message: assistantMessage({
+        content: 'Second',
+        conversationId: 'conv_1',
+        versions: [{ content: 'First' }, { content: 'Second' }],
+        activeVersion: 1
+      }),
+      messageManager: { selectVersion }
+    });
+    await message.init();
+
+    const label = () => message.element.querySelector('.deepweb-message-version-label');
+    const [previous, next] = message.element.querySelectorAll('.deepweb-message-version-button');
+    expect(label().textContent).toBe('2/2');
+    expect(next.disabled).toBe(true);
+
+    previous.click();
+    await Promise.resolve();
+
+    expect(selectVersion).toHaveBeenCalledWith('msg_1', 0, 'conv_1');
+    expect(label().textContent).toBe('1/2');
+    expect(message.element.querySelector('.deepweb-message-content').textContent).toContain('First');
+  });
+
+  it('should regenerate an answer from the actions menu', async () => {
+    const onRegenerate = jest.fn();
+    message = new Message({ message: assistantMessage(), onRegenerate });
+    await message.init();
+    message.toggleActions();
+
+    const items = Array.from(message.element.querySelectorAll('.deepweb-message-action-item'));
+    items.find(item => item.textContent.includes('Regenerate')).click();
+
+    expect(onRegenerate).toHaveBeenCalledWith(message.message);
+  });
+
+  it('should fork from a message when a handler is set', async () => {
+    const onFork = jest.fn();
+    message = new Message({ message: assistantMessage({ role: 'user' }), onFork });
+    await message.init();
+    message.toggleActions();
+
+    const items = Array.from(message.element.querySelectorAll('.deepweb-message-action-item'));
+    items.find(item => item.textContent.includes('Fork from here')).click();
+
+    expect(onFork).toHaveBeenCalledWith(message.message);
+  });
+
+  it('should resend an edited prompt', async () => {
+    const onResend = jest.fn();
+    message = new Message({
+      message: assistantMessage({ role: 'user', content: 'Old prompt' }),
+      onResend
+    });
+    await message.init();
+    await message.handleEdit();
+
+    message.element.querySelector('.deepweb-message-edit').value = 'New prompt';
+    const buttons = Array.from(message.element.querySelectorAll('.deepweb-message-edit-actions button'));
+    buttons.find(button => button.textContent === 'Save & resend').click();
+
+    expect(onResend).toHaveBeenCalledWith(expect.objectContaining({ id: 'msg_1' }), 'New prompt');
+    expect(message.state.isEditing).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * StreamingMessage Component Tests
+ */
+
+import StreamingMessage from '../../../content/components/StreamingMessage.js';
+
+async function* createStream(events) {
+  for (const event of events) {
+    yield event;
+  }
+}
+
+describe('StreamingMessage', () => {
+  let message;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    message = new StreamingMessage();
+    await message.init();
+  });
+
+  afterEach(() => {
+    message.destroy();
+    jest.useRealTimers();
+  });
+
+  it('should render into its own element', () => {
+    expect(message.element.classList.contains('deepweb-streaming-message')).toBe(true);
+    expect(message.element.querySelector('.reasoning-panel')).toBeNull();
+  });
+
+  it('should stream reasoning into a collapsed thinking panel', async () => {
+    await message.startStreaming(createStream([
+      { type: 'reasoning', content: 'Compare <both> options' },
+      { type: 'content', content: 'Pick A' },
+      { type: 'done', content: 'Pick A', reasoning: 'Compare <both> options' }
+    ]));
+
+    const panel = message.element.querySelector('.reasoning-panel');
+    expect(panel.open).toBe(false);
+    expect(panel.querySelector('summary').textContent).toBe('💭 Thinking');
+    expect(panel.querySelector('.reasoning-text').textContent).toBe('Compare <both> options');
+    expect(message.getContent()).toBe('Pick A');
+    expect(message.getReasoning()).toBe('Compare <both> options');
+  });
+
+  it('should list tool calls inline as they are answered', async () => {
+    await message.startStreaming(createStream([
+      { type: 'tool_call', id: 'call_1', name: 'find_in_page', arguments: { text: 'price' } },
+      { type: 'tool_result', id: 'call_1', summary: '2 matches' },
+      { type: 'content', content: '$5' }
+    ]));
+
+    const items = message.element.querySelectorAll('.tool-call');
+    expect(items).toHaveLength(1);
+    expect(items[0].textContent.replace(/\s+/g, ' ').trim())
+      .toBe('🔧 find_in_page("price") — 2 matches');
+    expect(message.getToolCalls()[0]).toMatchObject({ name: 'find_in_page', summary: '2 matches' });
+  });
+
+  it('should keep the panel open across updates', async () => {
+    await message.startStreaming(createStream([{ type: 'reasoning', content: 'Step 1' }]));
+
+    const panel = message.element.querySelector('.reasoning-panel');
+    panel.open = true;
+    panel.dispatchEvent(new Event('toggle'));
+    message.setState({ reasoning: 'Step 1, step 2' });
+
+    expect(message.element.querySelector('.reasoning-panel').open).toBe(true);
+  });
+});
@@ -228,7 +228,7 @@ describe('ConfigManager', () => {
     it('should export configuration', () => {
       const exported = ConfigManager.export();
       
-      expect(exported.version).toBe('1.0.0');
+      expect(exported.version).toBe('1.1.0');
       expect(exported.timestamp).toBeDefined();
       expect(exported.config).toEqual(DEFAULT_CONFIG);
     });
@@ -0,0 +1,50 @@
+/**
+ * Tests for ConfigMigrator
+ */
+
+import { ConfigMigrator } from '../../../src/config/ConfigMigrator.js';
+
+describe('ConfigMigrator', () => {
+  let migrator;
+
+  beforeEach(() => {
+    migrator = new ConfigMigrator();
+  });
+
+  it('should add encryption settings when migrating from 1.0.0', async () => {
+    const migrated = await migrator.migrate({
+      version: '1.0.0',
+      storage: { trash: { retentionDays: 7 } }
+    });
+
+    expect(migrated.version).toBe('1.1.0');
+    expect(migrated.storage).toEqual({
+      trash: { retentionDays: 7 },
+      encryption: { enabled: false, iterations: 310000 }
+    });
+  });
+
+  it('should convert stored conversations, messages and trash entries', async () => {
+    const store = {
+      conversations: [{ id: 'c1', title: 'Plans' }],
+      messages_c1: [{ id: 'm1', content: 'Hello' }, { id: 'm2', content: 'Hi' }],
+      trash: [{ id: 'trash_1', label: 'Old chat' }]
+    };
+    browser.storage.local.get.mockImplementation(keys => Promise.resolve(
+      Object.fromEntries([].concat(keys).filter(key => key in store).map(key => [key, store[key]]))
+    ));
+    browser.storage.local.set.mockImplementation(items => Promise.resolve(Object.assign(store, items)));
+    const upper = field => record => Promise.resolve({ ...record, [field]: record[field].toUpperCase() });
+
+    const result = await migrator.migrateStoredContent({
+      conversation: upper('title'),
+      message: upper('content'),
+      trashEntry: upper('label')
+    });
+
+    expect(result).toEqual({ conversations: 1, messages: 2 });
+    expect(store.conversations[0].title).toBe('PLANS');
+    expect(store.messages_c1.map(m => m.content)).toEqual(['HELLO', 'HI']);
+    expect(store.trash[0].label).toBe('OLD CHAT');
+  });
+});
@@ -56,6 +56,44 @@ describe('ContextManager', () => {
     });
   });
 
+  describe('Related conversations', () => {
+    const pageData = { url: 'https://example.com/caching', title: 'HTTP caching guide' };
+
+    it('should suggest earlier conversations about a similar page', async () => {
+      const findRelatedConversations = jest.fn(() => Promise.resolve([
+        { id: 'conv_1', title: 'Caching API responses', score: 0.72 }
+      ]));
+      const manager = new ContextManager({ findRelatedConversations });
+
+      const related = await manager.getRelatedConversations(pageData, {
+        content: 'Cache responses with ETags'
+      });
+      const suggestions = await manager.generateSuggestions({}, related);
+
+      expect(findRelatedConversations).toHaveBeenCalledWith(
+        'HTTP caching guide\nCache responses with ETags'
+      );
+      expect(suggestions[0]).toMatchObject({
+        type: 'related',
+        conversationId: 'conv_1',
+        confidence: 0.72
+      });
+    });
+
+    it('should skip the lookup in privacy mode or when it fails', async () => {
+      const findRelatedConversations = jest.fn(() => Promise.reject(new Error('offline')));
+      const manager = new ContextManager({ findRelatedConversations });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(await manager.getRelatedConversations(pageData, { content: '' })).toEqual([]);
+
+      manager.config.privacyMode = true;
+      expect(await manager.getRelatedConversations(pageData, { content: '' })).toEqual([]);
+      expect(findRelatedConversations).toHaveBeenCalledTimes(1);
+      console.warn.mockRestore();
+    });
+  });
+
   describe('processMessage', () => {
     it('should process user messages and extract memory', async () => {
       const message = {
@@ -354,8 +354,8 @@ describe('ContextOptimizer', () => {
       const text = 'This is a test string with multiple words';
       const estimate = optimizer.estimateTokens(text);
       
-      // ~4 characters per token
-      expect(estimate).toBe(Math.ceil(text.length / 4));
+      // DeepSeek estimate: ~3.3 characters per token, at least one per word
+      expect(estimate).toBe(13);
     });
   });
 });
\ No newline at end of file
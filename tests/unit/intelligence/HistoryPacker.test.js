@@ -0,0 +1,134 @@
+/**
+ * HistoryPacker Unit Tests
+ */
+
+import { HistoryPacker } from '../../../src/intelligence/context/HistoryPacker.js';
+
+const MODEL = 'deepseek-chat';
+
+const createMessages = (count, words = 20) => Array.from({ length: count }, (_, i) => ({
+  id: `msg_${i}`,
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: `Message ${i} ${'word '.repeat(words)}`.trim(),
+  timestamp: new Date(Date.UTC(2025, 0, 1, 0, i)).toISOString()
+}));
+
+describe('HistoryPacker', () => {
+  let packer;
+
+  beforeEach(() => {
+    packer = new HistoryPacker({ summaryMaxTokens: 50, foldRatio: 0.5 });
+  });
+
+  describe('getBudget', () => {
+    it('should reserve prompt and reply tokens from the context window', () => {
+      expect(packer.getBudget(MODEL, { reserved: 1000, responseTokens: 4000 })).toBe(27768);
+      expect(packer.getBudget('gpt-4o')).toBe(128000);
+    });
+
+    it('should fall back to default limits for unknown models', () => {
+      expect(packer.getBudget('llama3')).toBe(32768);
+    });
+  });
+
+  describe('pack', () => {
+    it('should keep all messages that fit, in order', () => {
+      const messages = createMessages(4);
+      const packed = packer.pack(messages, { model: MODEL, budget: 10000 });
+
+      expect(packed.messages).toEqual(messages.map(({ role, content }) => ({ role, content })));
+      expect(packed.toFold).toEqual([]);
+      expect(packed.summary).toBeNull();
+    });
+
+    it('should fill the budget newest-first', () => {
+      const messages = createMessages(10);
+      const perMessage = packer.countMessage(messages[0], MODEL);
+      const packed = packer.pack(messages, { model: MODEL, budget: (perMessage * 3) + 1 });
+
+      expect(packed.messages.map(m => m.content)).toEqual(
+        messages.slice(-3).map(m => m.content)
+      );
+      expect(packed.tokens).toBeLessThanOrEqual((perMessage * 3) + 1);
+    });
+
+    it('should keep pinned messages outside the recent window', () => {
+      const messages = createMessages(10);
+      messages[1].state = { pinned: true };
+      const perMessage = packer.countMessage(messages[0], MODEL);
+      const packed = packer.pack(messages, { model: MODEL, budget: (perMessage * 3) + 1 });
+
+      expect(packed.messages.map(m => m.content)).toEqual([
+        messages[1].content,
+        messages[8].content,
+        messages[9].content
+      ]);
+      expect(packed.toFold).not.toContain(messages[1]);
+    });
+
+    it('should fold overflowing turns past the fold ratio', () => {
+      const messages = createMessages(10);
+      const perMessage = packer.countMessage(messages[0], MODEL);
+      const packed = packer.pack(messages, { model: MODEL, budget: perMessage * 6 });
+
+      // Six fit, but folding continues until recent turns use half the budget
+      expect(packed.toFold.length).toBeGreaterThan(4);
+      expect(packed.toFold[0]).toBe(messages[0]);
+    });
+
+    it('should replace summarized messages with the summary', () => {
+      const messages = createMessages(6);
+      const summary = packer.updateSummary(null, messages.slice(0, 4), 'Earlier decisions');
+      const packed = packer.pack(messages, { model: MODEL, budget: 10000, summary });
+
+      expect(packed.summary).toBe('Earlier decisions');
+      expect(packed.messages.map(m => m.content)).toEqual(
+        messages.slice(4).map(m => m.content)
+      );
+    });
+
+    it('should leave stored reasoning out of the history', () => {
+      const messages = createMessages(2);
+      messages[1].reasoning = 'First, consider the question...';
+
+      const packed = packer.pack(messages, { model: MODEL, budget: 10000 });
+
+      expect(packed.messages[1]).toEqual({ role: 'assistant', content: messages[1].content });
+    });
+
+    it('should ignore system messages and empty content', () => {
+      const messages = [
+        { role: 'system', content: 'Info', timestamp: 1 },
+        { role: 'assistant', content: '', timestamp: 2 },
+        { role: 'user', content: 'Hello', timestamp: 3 }
+      ];
+
+      expect(packer.pack(messages, { model: MODEL, budget: 1000 }).messages).toEqual([
+        { role: 'user', content: 'Hello' }
+      ]);
+    });
+  });
+
+  describe('summaries', () => {
+    it('should build a summary request from the current summary and folded turns', () => {
+      const messages = createMessages(2, 2);
+      const request = packer.buildSummaryMessages({ content: 'Old summary' }, messages, MODEL);
+
+      expect(request[0].role).toBe('system');
+      expect(request[1].content).toContain('Current summary:\nOld summary');
+      expect(request[1].content).toContain('User: Message 0');
+      expect(request[1].content).toContain('Assistant: Message 1');
+    });
+
+    it('should track how far the summary reaches', () => {
+      const messages = createMessages(4);
+      const first = packer.updateSummary(null, messages.slice(0, 2), ' First ');
+      const second = packer.updateSummary(first, messages.slice(2), 'Second');
+
+      expect(first.content).toBe('First');
+      expect(first.coveredUntil).toBe(Date.parse(messages[1].timestamp));
+      expect(second.coveredUntil).toBe(Date.parse(messages[3].timestamp));
+      expect(second.messageCount).toBe(4);
+    });
+  });
+});
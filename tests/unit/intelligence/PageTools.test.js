@@ -0,0 +1,73 @@
+/**
+ * PageTools Unit Tests
+ */
+
+import { PageTools, formatToolCall } from '../../../src/intelligence/tools/PageTools.js';
+import { ValidationError } from '../../../src/errors/index.js';
+
+describe('PageTools', () => {
+  let tools;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <h1>Widget</h1>
+      <p>The widget costs $5.</p>
+      <section>
+        <h2>Shipping</h2>
+        <p>Ships in two days.</p>
+        <h3>Returns</h3>
+        <p>Returns within 30 days.</p>
+        <h2>Reviews</h2>
+        <p>Great widget.</p>
+      </section>
+      <table><caption>Sizes</caption><tr><th>Size</th><th>Price</th></tr><tr><td>Small</td><td>$5</td></tr></table>
+      <a href="https://example.com/buy">Buy now</a>
+    `;
+    tools = new PageTools({ document });
+  });
+
+  it('should read a section up to the next heading of the same level', () => {
+    const section = tools.execute('get_page_section', { heading: 'shipping' });
+
+    expect(section).toEqual({
+      found: true,
+      heading: 'Shipping',
+      text: 'Ships in two days.\n\nReturns\n\nReturns within 30 days.'
+    });
+  });
+
+  it('should list the headings when none matches', () => {
+    const section = tools.execute('get_page_section', { heading: 'Warranty' });
+
+    expect(section.found).toBe(false);
+    expect(section.headings).toEqual(['Widget', 'Shipping', 'Returns', 'Reviews']);
+  });
+
+  it('should find text with its surroundings', () => {
+    const result = tools.execute('find_in_page', { text: 'WIDGET' });
+
+    expect(result.total).toBe(3);
+    expect(result.matches[1]).toContain('The widget costs $5.');
+  });
+
+  it('should read tables and links', () => {
+    expect(tools.execute('get_table', { index: 0 })).toEqual({
+      index: 0,
+      caption: 'Sizes',
+      rows: [['Size', 'Price'], ['Small', '$5']]
+    });
+    expect(tools.execute('get_table', { index: 3 })).toEqual({ found: false, tableCount: 1 });
+    expect(tools.execute('list_links').links).toEqual([
+      { text: 'Buy now', href: 'https://example.com/buy' }
+    ]);
+  });
+
+  it('should reject unknown tools', () => {
+    expect(() => tools.execute('delete_page')).toThrow(ValidationError);
+  });
+
+  it('should format calls for the message list', () => {
+    expect(formatToolCall('find_in_page', { text: 'price' })).toBe('find_in_page("price")');
+    expect(formatToolCall('list_links')).toBe('list_links()');
+  });
+});
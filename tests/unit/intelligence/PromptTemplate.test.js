@@ -256,4 +256,42 @@ describe('PromptTemplate', () => {
       }).toThrow('Invalid variable type');
     });
   });
+
+  describe('output schema', () => {
+    const outputSchema = {
+      type: 'object',
+      properties: { points: { type: 'array', required: true, items: { type: 'string' } } }
+    };
+
+    it('should keep the schema and widget through toJSON', () => {
+      const structured = new PromptTemplate({
+        id: 'points',
+        name: 'Points',
+        template: 'List the points',
+        outputSchema,
+        outputWidget: 'key-points'
+      });
+
+      expect(structured.hasStructuredOutput()).toBe(true);
+      expect(template.hasStructuredOutput()).toBe(false);
+      expect(PromptTemplate.fromJSON(structured.toJSON()).outputSchema).toEqual(outputSchema);
+    });
+
+    it('should reject unknown widgets and non-object schemas', () => {
+      expect(() => new PromptTemplate({
+        id: 'bad-widget',
+        name: 'Bad Widget',
+        template: 'List the points',
+        outputSchema,
+        outputWidget: 'chart'
+      })).toThrow('Invalid output widget: chart');
+
+      expect(() => new PromptTemplate({
+        id: 'bad-schema',
+        name: 'Bad Schema',
+        template: 'List the points',
+        outputSchema: { type: 'array' }
+      })).toThrow('Output schema must describe an object');
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * StructuredOutput Unit Tests
+ */
+
+import {
+  StructuredOutput,
+  buildSchemaPrompt
+} from '../../../src/intelligence/templates/StructuredOutput.js';
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    pros: { type: 'array', required: true, items: { type: 'string' } },
+    cons: { type: 'array', required: true, items: { type: 'string' } }
+  }
+};
+
+const usage = tokens => ({ prompt_tokens: tokens, completion_tokens: 0, total_tokens: tokens });
+
+const answer = (content, extra = {}) => ({
+  choices: [{ message: { role: 'assistant', content } }],
+  usage: usage(10),
+  cost: 0.01,
+  ...extra
+});
+
+// Client that answers each attempt with the next scripted response
+function createClient(responses) {
+  const requests = [];
+  return {
+    requests,
+    chat: jest.fn((params) => {
+      requests.push(params);
+      return Promise.resolve(responses[requests.length - 1]);
+    })
+  };
+}
+
+describe('StructuredOutput', () => {
+  const params = {
+    messages: [{ role: 'user', content: 'Pros and cons of tabs?' }],
+    model: 'gpt-4o-mini',
+    responseFormat: 'json'
+  };
+
+  it('should return the parsed answer when it matches the schema', async () => {
+    const client = createClient([answer('{"pros":["Fast"],"cons":["Noisy"]}')]);
+    const runner = new StructuredOutput({ client, schema: SCHEMA, maxRetries: 2 });
+
+    const response = await runner.chat(params);
+
+    expect(client.chat).toHaveBeenCalledTimes(1);
+    expect(client.requests[0].responseFormat).toBe('json');
+    expect(response.structured).toEqual({ pros: ['Fast'], cons: ['Noisy'] });
+    expect(response.structuredErrors).toEqual([]);
+  });
+
+  it('should send the errors back and retry on a mismatch', async () => {
+    const client = createClient([
+      answer('{"pros":["Fast"]}'),
+      answer('```json\n{"pros":["Fast"],"cons":[]}\n```')
+    ]);
+    const runner = new StructuredOutput({ client, schema: SCHEMA, maxRetries: 2 });
+
+    const response = await runner.chat(params);
+    const retry = client.requests[1].messages;
+
+    expect(retry).toHaveLength(3);
+    expect(retry[1]).toEqual({ role: 'assistant', content: '{"pros":["Fast"]}' });
+    expect(retry[2].content).toContain('- cons: Required property missing');
+    expect(response.structured).toEqual({ pros: ['Fast'], cons: [] });
+    expect(response.usage.total_tokens).toBe(20);
+    expect(response.cost).toBeCloseTo(0.02);
+  });
+
+  it('should give up after the last retry', async () => {
+    const client = createClient([answer('Sure! Tabs are great.'), answer('{"pros":"Fast"}')]);
+    const runner = new StructuredOutput({ client, schema: SCHEMA, maxRetries: 1 });
+
+    const response = await runner.chat(params);
+
+    expect(client.chat).toHaveBeenCalledTimes(2);
+    expect(client.requests[1].messages[2].content).toContain('Answer is not valid JSON');
+    expect(response.structured).toBeNull();
+    expect(response.structuredErrors).toEqual(expect.arrayContaining([
+      'pros: Expected array, got string',
+      'cons: Required property missing'
+    ]));
+    expect(response.choices[0].message.content).toBe('{"pros":"Fast"}');
+  });
+
+  it('should not count cached attempts', async () => {
+    const client = createClient([answer('{"pros":[],"cons":[]}', { fromCache: true })]);
+    const runner = new StructuredOutput({ client, schema: SCHEMA, maxRetries: 2 });
+
+    const response = await runner.chat(params);
+
+    expect(response.fromCache).toBe(true);
+    expect(response.usage.total_tokens).toBe(0);
+    expect(response.cost).toBe(0);
+  });
+
+  it('should describe the schema for the system prompt', () => {
+    const prompt = buildSchemaPrompt(SCHEMA);
+
+    expect(prompt).toContain('single JSON object');
+    expect(prompt).toContain('"pros"');
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * ToolRunner Unit Tests
+ */
+
+import { ToolRunner } from '../../../src/intelligence/tools/ToolRunner.js';
+
+const TOOLS = [{ type: 'function', function: { name: 'find_in_page', parameters: {} } }];
+
+const toolCall = (id, args) => ({
+  id,
+  type: 'function',
+  function: { name: 'find_in_page', arguments: JSON.stringify(args) }
+});
+
+const usage = tokens => ({ prompt_tokens: tokens, completion_tokens: 0, total_tokens: tokens });
+
+// Client whose stream answers each round with the next scripted chunk list
+function createClient(rounds) {
+  const requests = [];
+  return {
+    requests,
+    async *stream(params) {
+      requests.push(params);
+      yield* rounds[requests.length - 1];
+    },
+    chat: jest.fn((params) => {
+      requests.push(params);
+      return Promise.resolve(rounds[requests.length - 1]);
+    })
+  };
+}
+
+const collect = async (generator) => {
+  const chunks = [];
+  for await (const chunk of generator) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+describe('ToolRunner', () => {
+  const params = { model: 'deepseek-chat', messages: [{ role: 'user', content: 'Price?' }], tools: TOOLS };
+
+  it('should run tool calls and feed the results back', async () => {
+    const client = createClient([
+      [{ type: 'done', content: '', toolCalls: [toolCall('call_1', { text: 'price' })], usage: usage(10), cost: 0.01 }],
+      [
+        { type: 'content', content: '$5' },
+        { type: 'done', content: '$5', usage: usage(20), cost: 0.02 }
+      ]
+    ]);
+    const execute = jest.fn(() => ({ total: 1, matches: ['Price: $5'] }));
+    const runner = new ToolRunner({ client, execute, maxRounds: 3 });
+
+    const chunks = await collect(runner.stream(params));
+
+    expect(execute).toHaveBeenCalledWith('find_in_page', { text: 'price' });
+    expect(chunks.map(c => c.type)).toEqual(['tool_call', 'tool_result', 'content', 'done']);
+    expect(chunks[1].summary).toBe('1 match');
+
+    const followUp = client.requests[1].messages;
+    expect(followUp[1]).toMatchObject({ role: 'assistant', tool_calls: [{ id: 'call_1' }] });
+    expect(followUp[2]).toEqual({
+      role: 'tool',
+      tool_call_id: 'call_1',
+      content: '{"total":1,"matches":["Price: $5"]}'
+    });
+
+    const done = chunks[chunks.length - 1];
+    expect(done.usage.total_tokens).toBe(30);
+    expect(done.cost).toBeCloseTo(0.03);
+    expect(done.toolCalls).toEqual([{
+      id: 'call_1',
+      name: 'find_in_page',
+      arguments: { text: 'price' },
+      summary: '1 match',
+      error: null
+    }]);
+  });
+
+  it('should report tool failures to the model', async () => {
+    const client = createClient([
+      { choices: [{ message: { content: '', tool_calls: [toolCall('call_1', { text: 'x' })] } }] },
+      { choices: [{ message: { content: 'Not found' } }] }
+    ]);
+    const runner = new ToolRunner({
+      client,
+      execute: jest.fn().mockRejectedValue(new Error('Page closed')),
+      maxRounds: 3
+    });
+
+    const response = await runner.chat(params);
+
+    expect(client.requests[1].messages[2].content).toBe('{"error":"Page closed"}');
+    expect(response.toolCalls[0]).toMatchObject({ summary: 'failed: Page closed', error: 'Page closed' });
+    expect(response.choices[0].message.content).toBe('Not found');
+  });
+
+  it('should withhold tools once the rounds are used up', async () => {
+    const client = createClient([
+      [{ type: 'done', content: '', toolCalls: [toolCall('call_1', { text: 'a' })] }],
+      [{ type: 'done', content: 'Best guess' }]
+    ]);
+    const runner = new ToolRunner({ client, execute: () => ({ total: 0 }), maxRounds: 1 });
+
+    await collect(runner.stream(params));
+
+    expect(client.requests[0].tools).toBe(TOOLS);
+    expect(client.requests[1].tools).toBeUndefined();
+  });
+
+  it('should truncate long results', async () => {
+    const client = createClient([
+      [{ type: 'done', content: '', toolCalls: [toolCall('call_1', { text: 'a' })] }],
+      [{ type: 'done', content: 'Done' }]
+    ]);
+    const runner = new ToolRunner({
+      client,
+      execute: () => ({ text: 'x'.repeat(100) }),
+      maxRounds: 2,
+      maxResultLength: 20
+    });
+
+    await collect(runner.stream(params));
+
+    expect(client.requests[1].messages[2].content).toBe(`{"text":"${'x'.repeat(11)}… (truncated)`);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for ContentEncryption
+ */
+
+import { webcrypto } from 'crypto';
+import { ContentEncryption, isEncrypted } from '../../../src/security/ContentEncryption.js';
+
+jest.mock('../../../src/config/index.js', () => ({
+  getConfig: jest.fn((path, defaultValue) => defaultValue)
+}));
+
+// Stand-in for browser.storage areas
+const createStorage = () => {
+  const data = {};
+  return {
+    data,
+    get: jest.fn(key => Promise.resolve(key in data ? { [key]: data[key] } : {})),
+    set: jest.fn(items => Promise.resolve(Object.assign(data, items))),
+    remove: jest.fn(key => Promise.resolve(delete data[key]))
+  };
+};
+
+describe('ContentEncryption', () => {
+  const PASSPHRASE = 'correct horse battery';
+  let storage;
+  let sessionStorage;
+  let encryption;
+
+  beforeAll(() => {
+    Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+  });
+
+  beforeEach(() => {
+    storage = createStorage();
+    sessionStorage = createStorage();
+    encryption = new ContentEncryption({ storage, sessionStorage, iterations: 1000 });
+  });
+
+  it('should leave records alone until a passphrase is set', async () => {
+    await encryption.initialize();
+
+    expect(encryption.enabled).toBe(false);
+    expect(await encryption.encryptConversation({ id: 'c', title: 'Plans' }))
+      .toEqual({ id: 'c', title: 'Plans' });
+  });
+
+  it('should encrypt titles and message bodies, versions included', async () => {
+    await encryption.enable(PASSPHRASE);
+    const message = {
+      id: 'm',
+      role: 'assistant',
+      content: 'The page says 42',
+      reasoning: 'Read the table',
+      toolCalls: [{ name: 'read_section', arguments: { heading: 'Results' } }],
+      structured: { widget: 'table', data: { answer: 42 } },
+      versions: [{ content: 'First answer', reasoning: null, toolCalls: [], structured: null }]
+    };
+
+    const stored = await encryption.encryptMessage(message);
+
+    expect(isEncrypted(stored.content)).toBe(true);
+    expect(isEncrypted(stored.reasoning)).toBe(true);
+    expect(isEncrypted(stored.toolCalls)).toBe(true);
+    expect(isEncrypted(stored.structured)).toBe(true);
+    expect(isEncrypted(stored.versions[0].content)).toBe(true);
+    expect(isEncrypted(stored.versions[0].toolCalls)).toBe(true);
+    expect(stored.versions[0].reasoning).toBeNull();
+    expect(stored.versions[0].structured).toBeNull();
+    expect(stored.role).toBe('assistant');
+    expect(JSON.stringify(storage.data)).not.toContain(PASSPHRASE);
+    expect(await encryption.decryptMessage(stored)).toEqual(message);
+    // Saving again does not encrypt twice
+    expect(await encryption.encryptMessage(stored)).toEqual(stored);
+  });
+
+  it('should encrypt the history summary with the title', async () => {
+    await encryption.enable(PASSPHRASE);
+    const conversation = {
+      id: 'c',
+      title: 'Plans',
+      summary: { content: 'They picked the blue option', messageCount: 12 }
+    };
+
+    const stored = await encryption.encryptConversation(conversation);
+
+    expect(isEncrypted(stored.title)).toBe(true);
+    expect(isEncrypted(stored.summary.content)).toBe(true);
+    expect(stored.summary.messageCount).toBe(12);
+    expect(await encryption.decryptConversation(stored)).toEqual(conversation);
+  });
+
+  it('should encrypt trash entries for the IndexedDB stores', async () => {
+    await encryption.enable(PASSPHRASE);
+    const { trash } = encryption.getStoreCodecs();
+    const entry = {
+      id: 't',
+      label: 'Plans',
+      expiresAt: 1000,
+      conversation: { id: 'c', title: 'Plans' },
+      messages: [{ id: 'm', content: 'The page says 42' }]
+    };
+
+    const stored = await trash.encode(entry);
+
+    expect(isEncrypted(stored.label)).toBe(true);
+    expect(isEncrypted(stored.conversation.title)).toBe(true);
+    expect(isEncrypted(stored.messages[0].content)).toBe(true);
+    expect(stored.expiresAt).toBe(1000);
+    expect(await trash.decode(stored)).toEqual(entry);
+  });
+
+  it('should need the passphrase again once locked', async () => {
+    await encryption.enable(PASSPHRASE);
+    const stored = await encryption.encryptConversation({ id: 'c', title: 'Plans' });
+    await encryption.lock();
+
+    await expect(encryption.decryptConversation(stored)).rejects.toThrow('locked');
+    await expect(encryption.unlock('wrong passphrase')).rejects.toThrow('Wrong passphrase');
+
+    await encryption.unlock(PASSPHRASE);
+    expect((await encryption.decryptConversation(stored)).title).toBe('Plans');
+  });
+
+  it('should stay unlocked for the session after a reload', async () => {
+    await encryption.enable(PASSPHRASE);
+    const stored = await encryption.encryptConversation({ id: 'c', title: 'Plans' });
+
+    const reloaded = new ContentEncryption({ storage, sessionStorage });
+    await reloaded.initialize();
+
+    expect(reloaded.enabled).toBe(true);
+    expect(reloaded.isUnlocked()).toBe(true);
+    expect((await reloaded.decryptConversation(stored)).title).toBe('Plans');
+  });
+
+  it('should hash search terms the same way for the same passphrase', async () => {
+    await encryption.enable(PASSPHRASE);
+    const hash = await encryption.hashTerm('cache');
+
+    expect(hash).not.toContain('cache');
+    expect(await encryption.hashTerm('cache')).toBe(hash);
+    expect(await encryption.hashTerm('caches')).not.toBe(hash);
+  });
+
+  it('should reject short passphrases', async () => {
+    await expect(encryption.enable('short')).rejects.toThrow('at least 8 characters');
+    expect(storage.data).toEqual({});
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for StoredAPIKeys
+ */
+
+import { webcrypto } from 'crypto';
+import { StoredAPIKeys } from '../../../src/security/StoredAPIKeys.js';
+
+// Stand-in for browser.storage areas
+const createStorage = (data = {}) => ({
+  data,
+  get: jest.fn(keys => Promise.resolve(Object.fromEntries(
+    [].concat(keys).filter(key => key in data).map(key => [key, data[key]])
+  )))
+});
+
+// Same scheme as the settings popup
+async function encryptLikePopup(apiKey, salt) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode('deepweb-extension-key'),
+    { name: 'PBKDF2' },
+    false,
+    ['deriveKey']
+  );
+  const key = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' },
+    keyMaterial,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt']
+  );
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+  return { encrypted: Array.from(new Uint8Array(encrypted)), iv: Array.from(iv) };
+}
+
+describe('StoredAPIKeys', () => {
+  const salt = new Uint8Array(16).fill(7);
+
+  beforeAll(() => {
+    Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+  });
+
+  it('should read keys the popup encrypted', async () => {
+    const storage = createStorage({
+      api_key_salt: Array.from(salt),
+      encrypted_api_key_custom: await encryptLikePopup('local-secret', salt)
+    });
+    const keys = new StoredAPIKeys({ storage, legacyStorage: createStorage() });
+
+    expect(await keys.get('custom')).toBe('local-secret');
+  });
+
+  it('should fall back to keys saved in sync storage', async () => {
+    const storage = createStorage({
+      api_key_salt: Array.from(salt),
+      encrypted_api_key_openai: await encryptLikePopup('sk-encrypted', salt)
+    });
+    const legacyStorage = createStorage({ apiKeys: { openai: 'sk-old', deepseek: 'sk-deepseek' } });
+    const keys = new StoredAPIKeys({ storage, legacyStorage });
+
+    expect(await keys.getAll(['openai', 'deepseek', 'anthropic'])).toEqual({
+      openai: 'sk-encrypted',
+      deepseek: 'sk-deepseek'
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Backup Snapshots Test Suite
+ * Restore point contents, the schedule, rotation and stored encoding
+ */
+
+import {
+  BACKUP_FORMAT,
+  createSnapshot,
+  summarizeSnapshot,
+  isBackupDue,
+  selectExpiredBackups,
+  toImportData,
+  encodeSnapshot,
+  decodeSnapshot
+} from '../../../src/storage/backups/index.js';
+
+const DAY_MS = 86400000;
+const now = Date.UTC(2024, 5, 1);
+
+const data = {
+  conversations: [
+    { id: 'conv1', title: 'First', folderId: 'folder_1' },
+    { id: 'conv2', title: 'Second' }
+  ],
+  messages: {
+    conv1: [
+      { id: 'm1', role: 'user', content: 'Hello' },
+      { id: 'm2', role: 'assistant', content: 'Hi' }
+    ],
+    orphan: [{ id: 'm3', role: 'user', content: 'Gone' }]
+  },
+  settings: {
+    customTemplates: [{ id: 'custom_1' }],
+    'deepweb-custom-themes': [{ id: 'dark-blue' }, { id: 'sepia' }]
+  },
+  config: { version: '1.0.0', timestamp: '2024-06-01T00:00:00.000Z', config: { debug: false } }
+};
+
+describe('Snapshots', () => {
+  it('should keep messages of the conversations backed up', () => {
+    const snapshot = createSnapshot(data, { reason: 'scheduled', now });
+
+    expect(snapshot).toEqual(expect.objectContaining({
+      format: BACKUP_FORMAT,
+      createdAt: now,
+      reason: 'scheduled'
+    }));
+    expect(snapshot.id).toMatch(/^backup_\d+_/);
+    expect(snapshot.messages).toEqual({ conv1: data.messages.conv1, conv2: [] });
+  });
+
+  it('should summarize what a restore point holds', () => {
+    const snapshot = createSnapshot(data, { now });
+
+    expect(summarizeSnapshot(snapshot)).toEqual({
+      id: snapshot.id,
+      createdAt: now,
+      reason: 'manual',
+      conversations: 2,
+      messages: 2,
+      templates: 1,
+      themes: 2,
+      configVersion: '1.0.0'
+    });
+  });
+
+  it('should hand conversations to the importer with their messages', () => {
+    const imported = toImportData(createSnapshot(data, { now }));
+
+    expect(imported.exportedAt).toBe('2024-06-01T00:00:00.000Z');
+    expect(imported.conversations[0]).toEqual(expect.objectContaining({
+      id: 'conv1',
+      folderId: 'folder_1',
+      messages: data.messages.conv1
+    }));
+  });
+});
+
+describe('Schedule and rotation', () => {
+  it('should be due once the interval has passed', () => {
+    expect(isBackupDue(null, 'daily', now)).toBe(true);
+    expect(isBackupDue(now - DAY_MS + 1, 'daily', now)).toBe(false);
+    expect(isBackupDue(now - DAY_MS, 'daily', now)).toBe(true);
+    expect(isBackupDue(now - (6 * DAY_MS), 'weekly', now)).toBe(false);
+    expect(isBackupDue(null, 'off', now)).toBe(false);
+  });
+
+  it('should expire the oldest restore points beyond the retention count', () => {
+    const backups = [3, 1, 4, 2].map(day => ({ id: `b${day}`, createdAt: day * DAY_MS }));
+
+    expect(selectExpiredBackups(backups, 2).map(backup => backup.id)).toEqual(['b2', 'b1']);
+    expect(selectExpiredBackups(backups, 0)).toHaveLength(3);
+  });
+});
+
+describe('Encoding', () => {
+  it('should read back what it stored', async () => {
+    const snapshot = createSnapshot({ ...data, conversations: [{ id: 'conv1', title: 'Café ☕' }] });
+    const record = await encodeSnapshot(snapshot);
+
+    expect(['gzip', 'json']).toContain(record.encoding);
+    expect(await decodeSnapshot(record)).toEqual(snapshot);
+  });
+
+  it('should refuse damaged or unknown backups', async () => {
+    await expect(decodeSnapshot({ encoding: 'zip', data: 'AA==' })).rejects.toThrow('damaged');
+
+    const future = btoa(JSON.stringify({ format: BACKUP_FORMAT, version: 99 }));
+    await expect(decodeSnapshot({ encoding: 'json', data: future }))
+      .rejects.toThrow('Not a backup this version can restore');
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Conversation Organization Test Suite
+ * Tags, nested folders and smart filters
+ */
+
+import {
+  normalizeTags,
+  countTags,
+  createFolder,
+  updateFolder,
+  removeFolder,
+  getFolderIds,
+  buildFolderTree
+} from '../../../src/storage/conversations/organization.js';
+import {
+  parseSmartFilter,
+  matchesSmartFilter,
+  createSmartFilter
+} from '../../../src/storage/conversations/smartFilters.js';
+
+const DAY = 86400000;
+const NOW = Date.UTC(2024, 5, 15);
+
+const folders = [
+  { id: 'work', name: 'Work', parentId: null },
+  { id: 'backend', name: 'Backend', parentId: 'work' },
+  { id: 'api', name: 'API', parentId: 'backend' },
+  { id: 'home', name: 'Home', parentId: null }
+];
+
+describe('Tags', () => {
+  it('should clean up and dedupe tags regardless of case', () => {
+    expect(normalizeTags([' #Bug ', 'bug', 'needs   review', '', 'Perf'])).toEqual([
+      'Bug',
+      'needs review',
+      'Perf'
+    ]);
+  });
+
+  it('should reject tags that are too long', () => {
+    expect(() => normalizeTags(['x'.repeat(41)])).toThrow('Tag too long');
+    expect(() => normalizeTags('bug')).toThrow('Tags must be an array');
+  });
+
+  it('should count tags from either storage shape', () => {
+    expect(countTags([
+      { tags: ['bug', 'api'] },
+      { metadata: { tags: ['API'] } },
+      {}
+    ])).toEqual([{ tag: 'api', count: 2 }, { tag: 'bug', count: 1 }]);
+  });
+});
+
+describe('Folders', () => {
+  it('should create nested folders', () => {
+    const folder = createFolder(folders, { name: '  Drafts ', parentId: 'api' });
+
+    expect(folder).toEqual(expect.objectContaining({ name: 'Drafts', parentId: 'api' }));
+    expect(folder.id).toMatch(/^folder_/);
+    expect(() => createFolder(folders, { name: 'X', parentId: 'missing' }))
+      .toThrow('Folder not found');
+    expect(() => createFolder(folders, { name: ' ' })).toThrow('Folder name is required');
+  });
+
+  it('should not move a folder into itself', () => {
+    expect(() => updateFolder(folders, 'work', { parentId: 'api' }))
+      .toThrow('cannot be moved into itself');
+
+    const moved = updateFolder(folders, 'backend', { parentId: 'home', name: 'Server' });
+    expect(moved.find(f => f.id === 'backend')).toEqual(
+      { id: 'backend', name: 'Server', parentId: 'home' }
+    );
+  });
+
+  it('should move subfolders up when a folder is removed', () => {
+    const { folders: remaining, parentId } = removeFolder(folders, 'backend');
+
+    expect(parentId).toBe('work');
+    expect(remaining.find(f => f.id === 'api').parentId).toBe('work');
+    expect(remaining.some(f => f.id === 'backend')).toBe(false);
+  });
+
+  it('should list a folder with its subfolders and order the tree by name', () => {
+    expect([...getFolderIds(folders, 'work')].sort()).toEqual(['api', 'backend', 'work']);
+    expect(buildFolderTree(folders).map(({ folder, depth }) => [folder.name, depth])).toEqual([
+      ['Home', 0],
+      ['Work', 0],
+      ['Backend', 1],
+      ['API', 2]
+    ]);
+  });
+});
+
+describe('Smart filters', () => {
+  const conversation = {
+    title: 'Fix flaky CI',
+    url: 'https://gist.github.com/user/123',
+    model: 'deepseek-coder',
+    tags: ['CI'],
+    folderId: 'api',
+    messageCount: 6,
+    lastMessageAt: new Date(NOW - (2 * DAY)).toISOString()
+  };
+
+  it('should parse conditions joined with AND', () => {
+    expect(parseSmartFilter('domain = GitHub.com AND title ~ "flaky ci" and last 7 days'))
+      .toEqual({
+        conditions: [
+          { field: 'domain', operator: '=', value: 'github.com' },
+          { field: 'title', operator: '~', value: 'flaky ci' },
+          { field: 'updated', operator: '>', value: 7 * DAY }
+        ]
+      });
+  });
+
+  it('should reject conditions it does not understand', () => {
+    expect(() => parseSmartFilter('colour = red')).toThrow('Unknown smart filter field');
+    expect(() => parseSmartFilter('messages > many')).toThrow('Use a number');
+    expect(() => parseSmartFilter('model = x AND')).toThrow('empty condition');
+  });
+
+  it('should match the example from the sidebar', () => {
+    const query = 'domain = github.com AND model = deepseek-coder AND last 7 days';
+
+    expect(matchesSmartFilter(conversation, query, { now: NOW })).toBe(true);
+    expect(matchesSmartFilter(conversation, query, { now: NOW + (6 * DAY) })).toBe(false);
+    expect(matchesSmartFilter({ ...conversation, model: 'gpt-4o' }, query, { now: NOW }))
+      .toBe(false);
+  });
+
+  it('should match folders, tags and message counts', () => {
+    const context = { folders, now: NOW };
+
+    expect(matchesSmartFilter(conversation, 'folder = work', context)).toBe(true);
+    expect(matchesSmartFilter(conversation, 'folder != home', context)).toBe(true);
+    expect(matchesSmartFilter(conversation, 'tag = ci AND messages > 5', context)).toBe(true);
+    expect(matchesSmartFilter(conversation, 'tag != ci', context)).toBe(false);
+    expect(matchesSmartFilter(conversation, 'archived = false', context)).toBe(true);
+  });
+
+  it('should validate saved filters', () => {
+    expect(createSmartFilter({ name: ' Recent ', query: 'last 2 weeks ' }))
+      .toEqual(expect.objectContaining({ name: 'Recent', query: 'last 2 weeks' }));
+    expect(() => createSmartFilter({ name: '', query: 'last 2 weeks' }))
+      .toThrow('Smart filter name is required');
+  });
+});
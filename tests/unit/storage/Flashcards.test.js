@@ -0,0 +1,212 @@
+/**
+ * Flashcards Test Suite
+ * Cards from study template answers, SM-2 scheduling and the Anki deck
+ */
+
+import {
+  extractCards,
+  createReviewState,
+  reviewCard,
+  selectDueCards,
+  buildAnkiDeck
+} from '../../../src/storage/flashcards/index.js';
+
+const DAY_MS = 86400000;
+
+const conversation = {
+  id: 'conv_1',
+  title: 'Photosynthesis',
+  url: 'https://example.com/biology',
+  tags: ['plant biology']
+};
+
+const prompt = (id, templateId) => ({
+  id,
+  role: 'user',
+  content: 'Make study material',
+  metadata: { templateId, url: 'https://example.com/biology#light' }
+});
+
+describe('Card extraction', () => {
+  it('should turn quiz questions into cards', () => {
+    const cards = extractCards([
+      { id: 'm1', role: 'user', content: 'Quiz me', metadata: {} },
+      {
+        id: 'm2',
+        role: 'assistant',
+        content: '{}',
+        timestamp: 1718000000000,
+        structured: {
+          widget: 'quiz',
+          data: {
+            questions: [
+              {
+                question: 'Where does photosynthesis happen?',
+                type: 'multiple-choice',
+                options: ['Mitochondria', 'Chloroplasts'],
+                answer: 'Chloroplasts',
+                explanation: 'They hold chlorophyll.'
+              },
+              { question: 'Unanswered?', answer: '' }
+            ]
+          }
+        }
+      }
+    ], conversation);
+
+    expect(cards).toEqual([expect.objectContaining({
+      id: 'm2_0',
+      conversationId: 'conv_1',
+      template: 'create-quiz',
+      front: 'Where does photosynthesis happen?\n\nA. Mitochondria\nB. Chloroplasts',
+      back: 'Chloroplasts\n\nThey hold chlorophyll.',
+      sourceUrl: 'https://example.com/biology',
+      createdAt: 1718000000000
+    })]);
+  });
+
+  it('should read definitions and questions from study notes', () => {
+    const cards = extractCards([
+      prompt('m1', 'study-notes'),
+      {
+        id: 'm2',
+        role: 'assistant',
+        content: [
+          '## Main concepts',
+          '- **Chlorophyll**: Pigment that absorbs light',
+          '**Stomata** - Pores for gas exchange',
+          '```',
+          '**Not**: a definition inside code',
+          '```',
+          '**Q:** What does the Calvin cycle produce?',
+          '**A:** Glucose,',
+          'using ATP and NADPH.',
+          '',
+          'Summary follows.'
+        ].join('\n')
+      }
+    ], conversation);
+
+    expect(cards.map(card => [card.front, card.back, card.reversible])).toEqual([
+      ['Chlorophyll', 'Pigment that absorbs light', true],
+      ['Stomata', 'Pores for gas exchange', true],
+      ['What does the Calvin cycle produce?', 'Glucose,\nusing ATP and NADPH.', false]
+    ]);
+    expect(cards[0].sourceUrl).toBe('https://example.com/biology#light');
+  });
+
+  it('should split practice problems from their solutions', () => {
+    const cards = extractCards([
+      prompt('m1', 'practice-problems'),
+      {
+        id: 'm2',
+        role: 'assistant',
+        content: [
+          'Here are your problems.',
+          '### Problem 1: Light energy',
+          'How much energy does a 500 nm photon carry?',
+          '*Hint:* use E = hc/λ',
+          '**Solution:**',
+          'About 3.97e-19 J.',
+          '### Problem 2',
+          'No solution given here.'
+        ].join('\n')
+      }
+    ], conversation);
+
+    expect(cards).toHaveLength(1);
+    expect(cards[0].front).toBe(
+      'Problem 1: Light energy\nHow much energy does a 500 nm photon carry?\n*Hint:* use E = hc/λ'
+    );
+    expect(cards[0].back).toBe('About 3.97e-19 J.');
+  });
+
+  it('should ignore answers to other prompts', () => {
+    expect(extractCards([
+      prompt('m1', 'summarize-page'),
+      { id: 'm2', role: 'assistant', content: '**Term**: not a card' },
+      { id: 'm3', role: 'assistant', content: '**Term**: still not a card' }
+    ], conversation)).toEqual([]);
+  });
+});
+
+describe('SM-2 scheduling', () => {
+  const now = Date.UTC(2024, 5, 1);
+
+  it('should grow the interval with each good review', () => {
+    const first = reviewCard(null, 4, now);
+    const second = reviewCard(first, 4, now);
+    const third = reviewCard(second, 5, now);
+
+    expect([first.interval, second.interval, third.interval]).toEqual([1, 6, 15]);
+    expect(third.easeFactor).toBe(2.6);
+    expect(third.dueAt).toBe(now + (15 * DAY_MS));
+  });
+
+  it('should start a forgotten card over and make it harder', () => {
+    const learned = { repetitions: 3, interval: 15, easeFactor: 2.5, dueAt: now };
+    const lapsed = reviewCard(learned, 1, now);
+
+    expect(lapsed).toEqual(expect.objectContaining({ repetitions: 0, interval: 1, easeFactor: 1.96 }));
+    expect(reviewCard({ ...lapsed, easeFactor: 1.3 }, 0, now).easeFactor).toBe(1.3);
+    expect(() => reviewCard(learned, 6, now)).toThrow('Grade must be a whole number');
+  });
+
+  it('should put overdue cards before new ones, up to the new card limit', () => {
+    const cards = [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }];
+    const reviews = {
+      a: { ...createReviewState(now), dueAt: now + DAY_MS },
+      b: { ...createReviewState(now), dueAt: now - 10 }
+    };
+
+    expect(selectDueCards(cards, reviews, { newLimit: 1, now }).map(card => card.id))
+      .toEqual(['b', 'c']);
+  });
+});
+
+describe('Anki deck', () => {
+  it('should write a tab-separated file with note types, decks and source links', () => {
+    const deck = buildAnkiDeck([
+      {
+        id: 'm2_0',
+        template: 'study-notes',
+        reversible: true,
+        front: 'Chlorophyll',
+        back: 'Absorbs <red>\tand blue light',
+        sourceUrl: 'https://example.com/biology?a=1&b=2',
+        sourceTitle: 'Bio::Plants',
+        tags: ['plant biology']
+      },
+      { id: 'm3_0', template: 'create-quiz', front: 'Q', back: 'A\nB' }
+    ], { deckName: 'Study' });
+
+    const lines = deck.trimEnd().split('\n');
+    expect(lines.slice(0, 6)).toEqual([
+      '#separator:tab',
+      '#html:true',
+      '#guid column:1',
+      '#notetype column:2',
+      '#deck column:3',
+      '#tags column:6'
+    ]);
+    expect(lines[6].split('\t')).toEqual([
+      'm2_0',
+      'Basic (and reversed card)',
+      'Study::Bio:Plants',
+      'Chlorophyll',
+      'Absorbs &lt;red&gt; and blue light<br><br><small>Source: ' +
+        '<a href="https://example.com/biology?a=1&amp;b=2">Bio::Plants</a></small>',
+      'deepweb study-notes plant_biology'
+    ]);
+    expect(lines[7].split('\t')).toEqual(['m3_0', 'Basic', 'Study', 'Q', 'A<br>B', 'deepweb create-quiz']);
+  });
+
+  it('should redact the front and back of each card', () => {
+    const deck = buildAnkiDeck([
+      { id: 'm4_0', template: 'create-quiz', front: 'Who wrote to ada@example.com?', back: 'Bob' }
+    ], { redact: text => text.replace(/[\w.-]+@[\w.-]+\.\w+/g, '[EMAIL]').replace('Bob', '[NAME]') });
+
+    const fields = deck.trimEnd().split('\n')[6].split('\t');
+    expect(fields.slice(3, 5)).toEqual(['Who wrote to [EMAIL]?', '[NAME]']);
+  });
+});
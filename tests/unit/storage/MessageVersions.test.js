@@ -0,0 +1,74 @@
+/**
+ * Message Versions Tests
+ */
+
+import {
+  getMessageVersions,
+  addMessageVersion,
+  selectMessageVersion
+} from '../../../src/storage/messages/versions.js';
+
+const answer = {
+  id: 'msg_1',
+  conversationId: 'conv_1',
+  role: 'assistant',
+  content: 'First answer',
+  reasoning: 'Thought about it',
+  cost: 0.01,
+  timestamp: 1000,
+  metadata: { model: 'deepseek-chat' },
+  state: { pinned: true }
+};
+
+describe('message versions', () => {
+  it('should treat a plain message as a single version', () => {
+    const versions = getMessageVersions(answer);
+
+    expect(versions).toHaveLength(1);
+    expect(versions[0]).toMatchObject({ content: 'First answer', createdAt: 1000 });
+  });
+
+  it('should keep the earlier answer when adding a version', () => {
+    const updated = addMessageVersion(answer, {
+      content: 'Second answer',
+      cost: 0.02,
+      metadata: { model: 'gpt-4o-mini' }
+    });
+
+    expect(updated.activeVersion).toBe(1);
+    expect(updated).toMatchObject({
+      id: 'msg_1',
+      content: 'Second answer',
+      reasoning: null,
+      cost: 0.02,
+      metadata: { model: 'gpt-4o-mini' },
+      state: { pinned: true }
+    });
+    expect(updated.versions.map(v => v.content)).toEqual(['First answer', 'Second answer']);
+    expect(updated.versions[0].reasoning).toBe('Thought about it');
+  });
+
+  it('should restore every field of a selected version', () => {
+    const updated = selectMessageVersion(addMessageVersion(answer, { content: 'Second' }), 0);
+
+    expect(updated.activeVersion).toBe(0);
+    expect(updated).toMatchObject({
+      content: 'First answer',
+      reasoning: 'Thought about it',
+      metadata: { model: 'deepseek-chat' }
+    });
+    expect(updated.versions).toHaveLength(2);
+  });
+
+  it('should keep edits made to the active version', () => {
+    const edited = { ...addMessageVersion(answer, { content: 'Second' }), content: 'Second, edited' };
+    const updated = selectMessageVersion(edited, 0);
+
+    expect(updated.versions[1].content).toBe('Second, edited');
+  });
+
+  it('should reject empty versions and unknown indexes', () => {
+    expect(() => addMessageVersion(answer, { content: '  ' })).toThrow('cannot be empty');
+    expect(() => selectMessageVersion(answer, 1)).toThrow('Version not found: 1');
+  });
+});
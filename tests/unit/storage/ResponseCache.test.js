@@ -0,0 +1,102 @@
+/**
+ * ResponseCache Test Suite
+ */
+
+import ResponseCache from '../../../src/storage/cache/ResponseCache.js';
+
+jest.mock('../../../src/config/index.js', () => ({
+  getConfig: jest.fn((path, defaultValue) => defaultValue)
+}));
+
+// In-memory stand-in for the IndexedDB wrapper
+jest.mock('../../../src/storage/database/Database.js', () => {
+  const INDEX_FIELDS = { by_accessed: 'accessedAt', by_created: 'createdAt' };
+
+  return jest.fn().mockImplementation(() => {
+    const records = new Map();
+    return {
+      initialize: jest.fn(),
+      get: jest.fn(async (store, key) => records.get(key)),
+      put: jest.fn(async (store, data) => {
+        records.set(data.key, data);
+      }),
+      delete: jest.fn(async (store, key) => {
+        records.delete(key);
+      }),
+      deleteMany: jest.fn(async (store, keys) => {
+        keys.forEach(key => records.delete(key));
+      }),
+      count: jest.fn(async () => records.size),
+      clear: jest.fn(async () => records.clear()),
+      getAll: jest.fn(async (store, { index, range, limit }) => {
+        const field = INDEX_FIELDS[index];
+        return [...records.values()]
+          .filter(record => !range || record[field] < range.end)
+          .sort((a, b) => a[field] - b[field])
+          .slice(0, limit);
+      })
+    };
+  });
+});
+
+const response = (content) => ({
+  choices: [{ message: { role: 'assistant', content } }]
+});
+
+describe('ResponseCache', () => {
+  let cache;
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    cache = new ResponseCache({ ttl: 60000, maxEntries: 2 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return stored responses', async () => {
+    await cache.set('a', response('Hello'));
+
+    expect(await cache.get('a')).toEqual(response('Hello'));
+    expect(await cache.get('missing')).toBeNull();
+  });
+
+  it('should drop entries past their TTL', async () => {
+    await cache.set('a', response('Hello'));
+    now += 60001;
+
+    expect(await cache.get('a')).toBeNull();
+    expect((await cache.getStats()).entries).toBe(0);
+  });
+
+  it('should evict the least recently used entry', async () => {
+    await cache.set('a', response('A'));
+    now += 1;
+    await cache.set('b', response('B'));
+    now += 1;
+    await cache.get('a');
+    now += 1;
+    await cache.set('c', response('C'));
+
+    expect(await cache.get('a')).not.toBeNull();
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('c')).not.toBeNull();
+  });
+
+  it('should prune expired entries', async () => {
+    await cache.set('a', response('A'));
+    now += 30000;
+    await cache.set('b', response('B'));
+    now += 40000;
+
+    expect(await cache.prune()).toBe(1);
+    expect(await cache.get('b')).not.toBeNull();
+  });
+
+  it('should require a key and a response', async () => {
+    await expect(cache.set('a', null)).rejects.toThrow('require a key');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Search Analyzer Tests
+ */
+
+import {
+  stem,
+  tokenize,
+  parseQuery,
+  buildSnippet
+} from '../../../src/storage/search/analyzer.js';
+
+describe('search analyzer', () => {
+  it('should map word forms onto the same stem', () => {
+    const forms = ['running', 'runs', 'run'].map(stem);
+    expect(new Set(forms).size).toBe(1);
+
+    expect(stem('created')).toBe(stem('creating'));
+    expect(stem('libraries')).toBe(stem('library'));
+    expect(stem('matches')).toBe(stem('match'));
+    expect(stem('status')).toBe('status');
+    expect(stem('2025')).toBe('2025');
+  });
+
+  it('should skip stop words but keep their positions', () => {
+    const tokens = tokenize('The state of the art');
+
+    expect(tokens.map(token => [token.term, token.position])).toEqual([['stat', 1], ['art', 4]]);
+    expect(tokens[1]).toMatchObject({ start: 17, end: 20 });
+  });
+
+  it('should parse phrases and filters out of a query', () => {
+    const query = parseQuery('"state of the art" role:User model:gpt-4o before:2025-06-01 caches');
+
+    expect(query.terms).toEqual(['stat', 'art', 'cach']);
+    expect(query.phrases).toEqual([[{ term: 'stat', offset: 0 }, { term: 'art', offset: 3 }]]);
+    expect(query.filters).toEqual({
+      role: 'user',
+      model: 'gpt-4o',
+      before: Date.parse('2025-06-01')
+    });
+  });
+
+  it('should keep words that only look like filters', () => {
+    expect(parseQuery('before:someday').terms).toEqual(['befor', 'someday']);
+  });
+
+  it('should cut a highlighted snippet around the matches', () => {
+    const filler = 'Lorem ipsum dolor sit amet. '.repeat(10);
+    const text = `${filler}The caching layer stores tokens.${' More text here.'.repeat(10)}`;
+
+    const snippet = buildSnippet(text, ['cach', 'token'], { length: 80 });
+    const marked = snippet.highlights.map(([start, end]) => snippet.text.slice(start, end));
+
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    expect(snippet.text.length).toBeLessThanOrEqual(82);
+    expect(marked).toEqual(['caching', 'tokens']);
+  });
+
+  it('should return short texts whole', () => {
+    expect(buildSnippet('short cache text', ['cach'])).toEqual({
+      text: 'short cache text',
+      highlights: [[6, 11]]
+    });
+  });
+});
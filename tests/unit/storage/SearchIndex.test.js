@@ -0,0 +1,162 @@
+/**
+ * SearchIndex Test Suite
+ */
+
+import SearchIndex from '../../../src/storage/search/SearchIndex.js';
+
+jest.mock('../../../src/config/index.js', () => ({
+  getConfig: jest.fn((path, defaultValue) => defaultValue)
+}));
+
+// In-memory stand-in for the IndexedDB wrapper, with key ranges and indexes
+jest.mock('../../../src/storage/database/Database.js', () => {
+  const KEY_PATHS = { search_terms: 'id', search_documents: 'id', settings: 'key' };
+  const INDEX_FIELDS = { by_message: 'messageId', by_conversation: 'conversationId' };
+
+  return jest.fn().mockImplementation(() => {
+    const stores = {};
+    const store = name => {
+      stores[name] = stores[name] || new Map();
+      return stores[name];
+    };
+    const inRange = (value, range) => !range || (value >= range.start && value <= range.end);
+
+    return {
+      initialize: jest.fn(),
+      get: jest.fn((name, key) => Promise.resolve(store(name).get(key))),
+      put: jest.fn((name, data) => {
+        store(name).set(data[KEY_PATHS[name]], data);
+        return Promise.resolve();
+      }),
+      delete: jest.fn((name, key) => {
+        store(name).delete(key);
+        return Promise.resolve();
+      }),
+      deleteMany: jest.fn((name, keys) => {
+        keys.forEach(key => store(name).delete(key));
+        return Promise.resolve();
+      }),
+      count: jest.fn(name => Promise.resolve(store(name).size)),
+      clear: jest.fn(name => Promise.resolve(store(name).clear())),
+      getAll: jest.fn((name, { index, range } = {}) => Promise.resolve([...store(name).entries()]
+        .filter(([key, record]) => inRange(index ? record[INDEX_FIELDS[index]] : key, range))
+        .sort(([a], [b]) => (a < b ? -1 : 1))
+        .map(([, record]) => record)))
+    };
+  });
+});
+
+const message = (id, content, overrides = {}) => ({
+  id,
+  conversationId: 'conv_1',
+  role: 'assistant',
+  content,
+  timestamp: 1000,
+  metadata: { model: 'deepseek-chat' },
+  ...overrides
+});
+
+const ids = result => result.hits.map(hit => hit.id);
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(async () => {
+    index = new SearchIndex();
+    await index.index(message('m1', 'Caching responses saves tokens'));
+    await index.index(message('m2', 'The cache key is a hash of the request', {
+      conversationId: 'conv_2',
+      role: 'user',
+      timestamp: 3000
+    }));
+    await index.index(message('m3', 'State of the art tokenizers', {
+      timestamp: 2000,
+      metadata: { model: 'gpt-4o-mini' }
+    }));
+  });
+
+  it('should match word forms and prefixes across conversations', async () => {
+    expect(ids(await index.search('cached'))).toEqual(['m2', 'm1']);
+    // Equal scores go newest first
+    expect(ids(await index.search('tok'))).toEqual(['m3', 'm1']);
+  });
+
+  it('should rank exact matches above prefix matches', async () => {
+    await index.index(message('m4', 'Tokens are counted per model', { timestamp: 500 }));
+
+    const result = await index.search('token');
+
+    expect(ids(result)).toEqual(['m1', 'm4', 'm3']);
+    expect(result.hits[1].score).toBeGreaterThan(result.hits[2].score);
+    expect(result.terms).toEqual(['token']);
+  });
+
+  it('should require every term and keep phrases in order', async () => {
+    expect(ids(await index.search('cache tokens'))).toEqual(['m1']);
+    expect(ids(await index.search('"state of the art"'))).toEqual(['m3']);
+    expect(ids(await index.search('"art of the state"'))).toEqual([]);
+  });
+
+  it('should apply role, model and date filters from the query', async () => {
+    expect(ids(await index.search('cache role:user'))).toEqual(['m2']);
+    expect(ids(await index.search('tok model:gpt'))).toEqual(['m3']);
+    expect(ids(await index.search('cache before:1970-01-01T00:00:02Z'))).toEqual(['m1']);
+    expect(ids(await index.search('cache', { conversationId: 'conv_2' }))).toEqual(['m2']);
+  });
+
+  it('should list filtered messages when the query has no terms', async () => {
+    expect(ids(await index.search('role:assistant'))).toEqual(['m3', 'm1']);
+    await expect(index.search('the')).rejects.toThrow('Search query cannot be empty');
+  });
+
+  it('should replace postings when a message changes', async () => {
+    await index.index(message('m1', 'Rewritten answer about indexes'));
+
+    expect(ids(await index.search('caching'))).toEqual(['m2']);
+    expect(ids(await index.search('indexes'))).toEqual(['m1']);
+
+    await index.remove('m1');
+    expect(ids(await index.search('indexes'))).toEqual([]);
+  });
+
+  it('should sync a conversation with its stored messages', async () => {
+    await index.sync('conv_1', [
+      message('m1', 'Caching responses saves tokens'),
+      message('m5', 'A brand new answer')
+    ]);
+
+    expect(ids(await index.search('brand'))).toEqual(['m5']);
+    expect(ids(await index.search('art'))).toEqual([]);
+    expect(ids(await index.search('caching'))).toEqual(['m2', 'm1']);
+  });
+
+  it('should rebuild from scratch when the index is missing', async () => {
+    expect(await index.needsRebuild()).toBe(true);
+
+    const count = await index.rebuild([message('m9', 'Only message left')]);
+
+    expect(count).toBe(1);
+    expect(await index.needsRebuild()).toBe(false);
+    expect(ids(await index.search('cache'))).toEqual([]);
+    expect(ids(await index.search('left'))).toEqual(['m9']);
+  });
+
+  it('should store hashed terms when content is encrypted', async () => {
+    const hashTerm = jest.fn(term => Promise.resolve(`#${term.split('').reverse().join('')}`));
+    index.hashTerm = hashTerm;
+    expect(await index.needsRebuild()).toBe(true);
+
+    await index.rebuild([
+      message('m1', 'Caching responses saves tokens'),
+      message('m3', 'State of the art tokenizers')
+    ]);
+
+    const stored = await index.db.getAll('search_terms');
+    expect(stored.every(posting => posting.term.startsWith('#'))).toBe(true);
+    expect(await index.needsRebuild()).toBe(false);
+    expect(ids(await index.search('cached'))).toEqual(['m1']);
+    expect(ids(await index.search('"state of the art"'))).toEqual(['m3']);
+    // Hashes have no prefixes to match
+    expect(ids(await index.search('tok'))).toEqual([]);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * SemanticIndex Test Suite
+ */
+
+import SemanticIndex from '../../../src/storage/embeddings/SemanticIndex.js';
+import LocalEmbedder from '../../../src/storage/embeddings/LocalEmbedder.js';
+import ProviderEmbedder from '../../../src/storage/embeddings/ProviderEmbedder.js';
+import { cosineSimilarity } from '../../../src/storage/embeddings/vectors.js';
+
+jest.mock('../../../src/config/index.js', () => ({
+  getConfig: jest.fn((path, defaultValue) => defaultValue)
+}));
+
+// In-memory stand-in for the IndexedDB wrapper, with key ranges and indexes
+jest.mock('../../../src/storage/database/Database.js', () => {
+  const KEY_PATHS = { embeddings: 'id', settings: 'key' };
+
+  return jest.fn().mockImplementation(() => {
+    const stores = {};
+    const store = name => {
+      stores[name] = stores[name] || new Map();
+      return stores[name];
+    };
+
+    return {
+      initialize: jest.fn(),
+      get: jest.fn((name, key) => Promise.resolve(store(name).get(key))),
+      put: jest.fn((name, data) => {
+        store(name).set(data[KEY_PATHS[name]], data);
+        return Promise.resolve();
+      }),
+      delete: jest.fn((name, key) => {
+        store(name).delete(key);
+        return Promise.resolve();
+      }),
+      deleteMany: jest.fn((name, keys) => {
+        keys.forEach(key => store(name).delete(key));
+        return Promise.resolve();
+      }),
+      clear: jest.fn(name => Promise.resolve(store(name).clear())),
+      getAll: jest.fn((name, { range } = {}) => Promise.resolve([...store(name).values()]
+        .filter(record => !range || record.conversationId === range.start)))
+    };
+  });
+});
+
+const message = (id, content, role = 'user') => ({ id, role, content });
+
+describe('LocalEmbedder', () => {
+  it('should score shared vocabulary above unrelated text', async () => {
+    const embedder = new LocalEmbedder({ dimensions: 256 });
+    const [query, related, unrelated] = await embedder.embed([
+      'How do I cache API responses?',
+      'Caching the responses of an API saves requests',
+      'A recipe for sourdough bread with a crisp crust'
+    ]);
+
+    expect(query).toHaveLength(256);
+    expect(cosineSimilarity(query, related)).toBeGreaterThan(0.4);
+    expect(cosineSimilarity(query, unrelated)).toBeLessThan(0.15);
+  });
+});
+
+describe('ProviderEmbedder', () => {
+  it('should send texts to the client in batches', async () => {
+    const client = {
+      embed: jest.fn(({ texts }) => Promise.resolve({ vectors: texts.map(text => [text.length]) }))
+    };
+    const embedder = new ProviderEmbedder({
+      client,
+      provider: 'custom',
+      model: 'nomic-embed-text',
+      batchSize: 2,
+      getApiKey: () => 'key'
+    });
+
+    const vectors = await embedder.embed(['a', 'bb', 'ccc']);
+
+    expect(vectors).toEqual([[1], [2], [3]]);
+    expect(client.embed).toHaveBeenCalledTimes(2);
+    expect(client.embed).toHaveBeenCalledWith({
+      texts: ['ccc'],
+      provider: 'custom',
+      model: 'nomic-embed-text',
+      apiKey: 'key'
+    });
+    expect(embedder.id).toBe('custom:nomic-embed-text');
+  });
+});
+
+describe('SemanticIndex', () => {
+  let embedder;
+  let index;
+
+  beforeEach(async () => {
+    const local = new LocalEmbedder({ dimensions: 256 });
+    embedder = { id: local.id, embed: jest.fn(texts => local.embed(texts)) };
+    index = new SemanticIndex({ embedder, minScore: 0.2 });
+
+    await index.sync('conv_cache', [
+      message('m1', 'How should I cache API responses in the extension?'),
+      message('m2', 'Cache responses by request hash and expire them.', 'assistant')
+    ]);
+    await index.sync('conv_bread', [
+      message('m3', 'What flour works best for sourdough bread?'),
+      message('m4', 'Use a strong bread flour for sourdough.', 'assistant')
+    ]);
+  });
+
+  it('should find conversations about a text, best first', async () => {
+    const related = await index.findRelated('caching responses from the API');
+
+    expect(related).toEqual([
+      { conversationId: 'conv_cache', score: expect.any(Number), messageId: 'm1' }
+    ]);
+    expect(related[0].score).toBeGreaterThan(0.2);
+  });
+
+  it('should find conversations similar to a stored one', async () => {
+    await index.sync('conv_baking', [message('m5', 'My sourdough bread comes out flat')]);
+
+    const similar = await index.findSimilar('conv_bread', { minScore: 0 });
+
+    expect(similar.map(match => match.conversationId)).toEqual(['conv_baking', 'conv_cache']);
+  });
+
+  it('should only embed messages that changed', async () => {
+    embedder.embed.mockClear();
+
+    await index.sync('conv_cache', [
+      message('m1', 'How should I cache API responses in the extension?'),
+      message('m2', 'Cache responses by request hash and expire them.', 'assistant'),
+      message('m6', 'Not cached', 'error')
+    ]);
+    expect(embedder.embed).not.toHaveBeenCalled();
+
+    await index.sync('conv_cache', [message('m1', 'Sourdough bread instead')]);
+    expect(embedder.embed).toHaveBeenCalledWith(['Sourdough bread instead']);
+
+    const related = await index.findRelated('sourdough bread', { minScore: 0 });
+    expect(related.find(match => match.conversationId === 'conv_cache').messageId).toBe('m1');
+  });
+
+  it('should forget removed conversations', async () => {
+    await index.removeConversation('conv_cache');
+
+    expect(await index.findRelated('cache API responses', { minScore: 0 }))
+      .toEqual([expect.objectContaining({ conversationId: 'conv_bread' })]);
+    expect(await index.findSimilar('conv_cache')).toEqual([]);
+  });
+
+  it('should rebuild when the embedder changes', async () => {
+    expect(await index.needsRebuild()).toBe(true);
+    expect(await index.rebuild([
+      { ...message('m1', 'Caching API responses'), conversationId: 'conv_cache' }
+    ])).toBe(1);
+    expect(await index.needsRebuild()).toBe(false);
+
+    embedder.id = 'custom:nomic-embed-text';
+    expect(await index.needsRebuild()).toBe(true);
+    // Vectors from another model are never compared
+    expect(await index.findRelated('caching', { minScore: -1 })).toEqual([]);
+  });
+
+  it('should drop every vector when cleared', async () => {
+    await index.rebuild([
+      { ...message('m1', 'Caching API responses'), conversationId: 'conv_cache' }
+    ]);
+
+    await index.clear();
+
+    expect(await index.findRelated('caching', { minScore: -1 })).toEqual([]);
+    expect(await index.findSimilar('conv_bread')).toEqual([]);
+    expect(await index.needsRebuild()).toBe(true);
+  });
+
+  it('should reject an empty text', async () => {
+    await expect(index.findRelated('   ')).rejects.toThrow('Text to compare is required');
+  });
+});
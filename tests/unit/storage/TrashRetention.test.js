@@ -0,0 +1,110 @@
+/**
+ * Trash Retention Test Suite
+ * Trash entries, retention and the auto-cleanup preview
+ */
+
+import {
+  createTrashEntry,
+  isExpired,
+  selectCleanupCandidates,
+  buildCleanupPreview
+} from '../../../src/storage/trash/retention.js';
+
+const DAY = 86400000;
+const NOW = Date.UTC(2024, 5, 15);
+
+const conversation = (id, daysAgo, archived = false) => ({
+  id,
+  title: `Chat ${id}`,
+  archived,
+  updatedAt: NOW - (daysAgo * DAY)
+});
+
+describe('Trash entries', () => {
+  it('should keep a deleted conversation until its retention ends', () => {
+    const entry = createTrashEntry(
+      { kind: 'conversation', conversation: conversation('a', 1), messages: [{ id: 'm1' }] },
+      { retentionDays: 7, now: NOW }
+    );
+
+    expect(entry).toEqual(expect.objectContaining({
+      kind: 'conversation',
+      conversationId: 'a',
+      label: 'Chat a',
+      deletedAt: NOW,
+      expiresAt: NOW + (7 * DAY)
+    }));
+    expect(entry.id).toMatch(/^trash_/);
+    expect(isExpired(entry, NOW + (7 * DAY) - 1)).toBe(false);
+    expect(isExpired(entry, NOW + (7 * DAY))).toBe(true);
+  });
+
+  it('should label deleted messages by their content', () => {
+    const single = createTrashEntry({
+      kind: 'messages',
+      conversationId: 'a',
+      messages: [{ id: 'm1', content: '  How do I\nfix this?' }]
+    }, { now: NOW });
+    const several = createTrashEntry({
+      kind: 'messages',
+      conversationId: 'a',
+      messages: [{ id: 'm1', content: 'x' }, { id: 'm2', content: 'y' }]
+    }, { now: NOW });
+
+    expect(single.label).toBe('How do I fix this?');
+    expect(single.expiresAt).toBe(NOW + (30 * DAY));
+    expect(several.label).toBe('2 messages');
+  });
+
+  it('should reject entries that would restore nothing', () => {
+    expect(() => createTrashEntry({ kind: 'messages', conversationId: 'a', messages: [] }))
+      .toThrow('Nothing to move to the trash');
+    expect(() => createTrashEntry({ kind: 'folder' })).toThrow('Unknown trash entry kind');
+  });
+});
+
+describe('Auto-cleanup', () => {
+  const conversations = [
+    conversation('old-archived', 120, true),
+    conversation('old-active', 200),
+    conversation('recent-archived', 5, true),
+    conversation('recent', 1)
+  ];
+
+  it('should pick inactive archived conversations first, then the least active', () => {
+    const candidates = selectCleanupCandidates(conversations, {
+      maxAge: 90 * DAY,
+      maxConversations: 2,
+      now: NOW
+    });
+
+    expect(candidates.map(({ conversation: conv, reason }) => [conv.id, reason])).toEqual([
+      ['old-archived', 'inactive'],
+      ['old-active', 'limit']
+    ]);
+  });
+
+  it('should preview what will move to the trash and what will be purged', () => {
+    const entries = [
+      createTrashEntry({ kind: 'conversation', conversation: conversation('x', 40) },
+        { retentionDays: 30, now: NOW - (31 * DAY) }),
+      createTrashEntry({ kind: 'conversation', conversation: conversation('y', 2) },
+        { retentionDays: 30, now: NOW - DAY })
+    ];
+
+    const preview = buildCleanupPreview(conversations, entries, { maxAge: 90 * DAY, now: NOW });
+
+    expect(preview.toTrash).toEqual([{
+      id: 'old-archived',
+      title: 'Chat old-archived',
+      lastActivity: NOW - (120 * DAY),
+      reason: 'inactive'
+    }]);
+    expect(preview.toPurge).toEqual([expect.objectContaining({
+      id: entries[0].id,
+      label: 'Chat x',
+      messageCount: 0
+    })]);
+    expect(preview.toPurge[0].conversation).toBeUndefined();
+  });
+});
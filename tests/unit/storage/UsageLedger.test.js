@@ -0,0 +1,168 @@
+/**
+ * UsageLedger Test Suite
+ */
+
+import UsageLedger, { toDayKey, toMonthKey } from '../../../src/storage/usage/UsageLedger.js';
+import { getConfig } from '../../../src/config/index.js';
+
+jest.mock('../../../src/config/index.js', () => ({
+  getConfig: jest.fn()
+}));
+
+// In-memory stand-in for the IndexedDB wrapper
+jest.mock('../../../src/storage/database/Database.js', () => {
+  const INDEX_FIELDS = { by_day: 'day', by_month: 'month', by_timestamp: 'timestamp' };
+
+  return jest.fn().mockImplementation(() => {
+    const records = new Map();
+    return {
+      initialize: jest.fn(),
+      add: jest.fn(async (store, data) => {
+        records.set(data.id, data);
+      }),
+      search: jest.fn(async (store, index, key) =>
+        [...records.values()].filter(record => record[INDEX_FIELDS[index]] === key)),
+      getAll: jest.fn(async (store, { range }) =>
+        [...records.values()].filter(record => record.timestamp < range.end)),
+      deleteMany: jest.fn(async (store, keys) => {
+        keys.forEach(key => records.delete(key));
+      })
+    };
+  });
+});
+
+const usage = (total) => ({
+  prompt_tokens: total / 2,
+  completion_tokens: total / 2,
+  total_tokens: total
+});
+
+describe('UsageLedger', () => {
+  let ledger;
+  let budget;
+
+  beforeEach(() => {
+    budget = { daily: 0, monthly: 0, warnAt: 0.8, hardStop: true };
+    getConfig.mockImplementation((path, defaultValue) =>
+      (path === 'budget' ? budget : defaultValue));
+    ledger = new UsageLedger();
+  });
+
+  describe('record', () => {
+    it('should store tokens, cost, conversation and site', async () => {
+      const entry = await ledger.record({
+        model: 'deepseek-chat',
+        provider: 'deepseek',
+        conversationId: 'conv_1',
+        url: 'https://example.com/article',
+        usage: usage(300),
+        cost: 0.0012
+      });
+
+      expect(entry).toMatchObject({
+        model: 'deepseek-chat',
+        conversationId: 'conv_1',
+        domain: 'example.com',
+        purpose: 'chat',
+        promptTokens: 150,
+        totalTokens: 300,
+        cost: 0.0012,
+        day: toDayKey(new Date()),
+        month: toMonthKey(new Date())
+      });
+    });
+
+    it('should require a model', async () => {
+      await expect(ledger.record({ cost: 1 })).rejects.toThrow('require a model');
+    });
+  });
+
+  describe('getBreakdown', () => {
+    it('should group spend by model and site', async () => {
+      await ledger.record({ model: 'gpt-4o', url: 'https://a.com', usage: usage(100), cost: 0.5 });
+      await ledger.record({ model: 'gpt-4o', url: 'https://b.com', usage: usage(100), cost: 0.25 });
+      await ledger.record({ model: 'deepseek-chat', usage: usage(50), cost: 0.01 });
+
+      const breakdown = await ledger.getBreakdown('day');
+
+      expect(breakdown.totals).toEqual({ cost: 0.76, tokens: 250, requests: 3 });
+      expect(breakdown.byModel[0]).toEqual({ model: 'gpt-4o', cost: 0.75, tokens: 200, requests: 2 });
+      expect(breakdown.byDomain.map(group => group.domain)).toEqual(['a.com', 'b.com', 'unknown']);
+    });
+
+    it('should total each day separately', async () => {
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      await ledger.record({ model: 'gpt-4o', cost: 1, timestamp: yesterday.getTime() });
+      await ledger.record({ model: 'gpt-4o', cost: 2 });
+
+      expect((await ledger.getTotals('day')).cost).toBe(2);
+      expect((await ledger.getTotals('day', yesterday)).cost).toBe(1);
+    });
+
+    it('should reject unknown periods', async () => {
+      await expect(ledger.getTotals('week')).rejects.toThrow('Unknown usage period');
+    });
+  });
+
+  describe('checkBudget', () => {
+    it('should allow everything without budgets', async () => {
+      await ledger.record({ model: 'gpt-4o', cost: 100 });
+
+      const result = await ledger.checkBudget(1);
+
+      expect(result.allowed).toBe(true);
+      expect(result.warnings).toEqual([]);
+      expect(result.status.daily).toEqual({ spent: 100, limit: 0, ratio: 0 });
+    });
+
+    it('should warn when spend nears a budget', async () => {
+      budget.daily = 1;
+      await ledger.record({ model: 'gpt-4o', cost: 0.85 });
+
+      const result = await ledger.checkBudget(0.01);
+
+      expect(result.allowed).toBe(true);
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0]).toContain('Daily spend');
+    });
+
+    it('should stop requests once a budget is used up', async () => {
+      budget.monthly = 1;
+      await ledger.record({ model: 'gpt-4o', cost: 1 });
+
+      const result = await ledger.checkBudget();
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toContain('Monthly budget of $1.00 reached');
+    });
+
+    it('should stop requests that would exceed a budget', async () => {
+      budget.daily = 1;
+      await ledger.record({ model: 'gpt-4o', cost: 0.9 });
+
+      expect((await ledger.checkBudget(0.2)).allowed).toBe(false);
+    });
+
+    it('should only warn when hard stops are off', async () => {
+      budget.daily = 1;
+      budget.hardStop = false;
+      await ledger.record({ model: 'gpt-4o', cost: 2 });
+
+      const result = await ledger.checkBudget();
+
+      expect(result.allowed).toBe(true);
+      expect(result.warnings).toHaveLength(1);
+    });
+  });
+
+  describe('prune', () => {
+    it('should delete entries older than the cutoff', async () => {
+      await ledger.record({ model: 'gpt-4o', cost: 1, timestamp: 1000 });
+      await ledger.record({ model: 'gpt-4o', cost: 1 });
+
+      expect(await ledger.prune(Date.now() - 1000)).toBe(1);
+      expect(await ledger.prune(Date.now() - 1000)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tokenizer Test Suite
+ */
+
+import {
+  BPETokenizer,
+  EstimatingTokenizer,
+  PATTERNS,
+  TokenizerRegistry,
+  countTokens
+} from '../../../src/tokenizer/index.js';
+
+jest.mock('../../../src/config/index.js', () => ({
+  getConfig: jest.fn((path, defaultValue) => {
+    const config = {
+      'tokenizer.encodings.cl100k_base': 'https://example.com/cl100k_base.tiktoken',
+      'tokenizer.encodings.deepseek_v3': 'https://example.com/tokenizer.json'
+    };
+    return path in config ? config[path] : defaultValue;
+  })
+}));
+
+// Single bytes first, then merges in priority order
+const TOY_VOCAB = ['a', 'b', 'c', ' ', 'ab', ' ab', 'abc', ' abc']
+  .map((token, rank) => `${btoa(token)} ${rank}`)
+  .join('\n');
+
+// The same vocabulary as a Hugging Face tokenizer.json, where 'Ġ' stands for a space
+const TOY_HF_TOKENIZER = {
+  model: {
+    type: 'BPE',
+    vocab: Object.fromEntries(['a', 'b', 'c', 'Ġ', 'ab', 'Ġab', 'abc', 'Ġabc']
+      .map((token, id) => [token, id]))
+  }
+};
+
+const createToyTokenizer = () => BPETokenizer.fromTiktoken(TOY_VOCAB, {
+  pattern: PATTERNS.cl100k_base,
+  name: 'toy'
+});
+
+describe('BPETokenizer', () => {
+  it('should parse tiktoken vocabularies', () => {
+    const tokenizer = createToyTokenizer();
+
+    expect(tokenizer.ranks.size).toBe(8);
+    expect(tokenizer.ranks.get(' ab')).toBe(5);
+  });
+
+  it('should merge byte pairs by rank', () => {
+    const tokenizer = createToyTokenizer();
+
+    expect(tokenizer.encode('abc')).toEqual([6]);
+    expect(tokenizer.encode('abc abc')).toEqual([6, 7]);
+    expect(tokenizer.encode('cab')).toEqual([2, 4]);
+  });
+
+  it('should count and truncate on pre-token boundaries', () => {
+    const tokenizer = createToyTokenizer();
+
+    expect(tokenizer.count('abc ab cab')).toBe(5);
+    expect(tokenizer.truncate('abc ab cab', 2)).toBe('abc ab');
+    expect(tokenizer.truncate('abc ab cab', 0)).toBe('');
+  });
+
+  it('should split text like the cl100k pattern', () => {
+    const tokenizer = createToyTokenizer();
+
+    expect(tokenizer.pretokenize('I\'m here, 12345!')).toEqual(
+      ['I', '\'m', ' here', ',', ' ', '123', '45', '!']
+    );
+  });
+
+  it('should parse Hugging Face byte-level vocabularies', () => {
+    const tokenizer = BPETokenizer.fromHuggingFace(TOY_HF_TOKENIZER, {
+      pattern: PATTERNS.deepseek_v3,
+      name: 'toy'
+    });
+
+    expect(tokenizer.ranks.get(' ab')).toBe(5);
+    expect(tokenizer.encode('abc abc')).toEqual([6, 7]);
+    expect(() => BPETokenizer.fromHuggingFace({ model: { type: 'Unigram' } }, {}))
+      .toThrow('Not a byte-level BPE tokenizer');
+  });
+
+  it('should split text like the DeepSeek pre-tokenizer', () => {
+    const tokenizer = new BPETokenizer({ ranks: new Map(), pattern: PATTERNS.deepseek_v3 });
+
+    expect(tokenizer.pretokenize('It\'s 12345 你好, .NET')).toEqual(
+      ['It', '\'s', ' ', '123', '45', ' ', '你好', ',', ' .', 'NET']
+    );
+  });
+});
+
+describe('EstimatingTokenizer', () => {
+  it('should count short words as single tokens', () => {
+    const tokenizer = new EstimatingTokenizer();
+
+    expect(tokenizer.count('the cat sat')).toBe(3);
+    expect(tokenizer.count('')).toBe(0);
+  });
+
+  it('should count CJK characters individually', () => {
+    const tokenizer = new EstimatingTokenizer({ tokensPerCJK: 0.6 });
+
+    expect(tokenizer.count('你好世界')).toBe(3);
+  });
+
+  it('should truncate within the budget', () => {
+    const tokenizer = new EstimatingTokenizer();
+    const truncated = tokenizer.truncate('one two three four five', 4);
+
+    expect(truncated).toBe('one two three');
+    expect(tokenizer.count(truncated)).toBeLessThanOrEqual(4);
+  });
+});
+
+describe('TokenizerRegistry', () => {
+  afterEach(() => {
+    TokenizerRegistry.tokenizers.clear();
+    TokenizerRegistry.setAutoload(false);
+    delete global.fetch;
+  });
+
+  it('should pick tokenizer families by model', () => {
+    expect(TokenizerRegistry.getFamily('gpt-4o-mini').encoding).toBe('o200k_base');
+    expect(TokenizerRegistry.getFamily('gpt-4-turbo').encoding).toBe('cl100k_base');
+    expect(TokenizerRegistry.getFamily('deepseek-chat').encoding).toBe('deepseek_v3');
+    expect(TokenizerRegistry.getFamily('claude-3-5-sonnet-latest').name).toBe('anthropic');
+    expect(TokenizerRegistry.getFamily('llama3').name).toBe('default');
+  });
+
+  it('should estimate until a vocabulary is loaded', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      text: async () => TOY_VOCAB
+    });
+
+    expect(countTokens('abc', 'gpt-4')).toBe(1);
+
+    await TokenizerRegistry.load('gpt-4');
+
+    expect(fetch).toHaveBeenCalledWith('https://example.com/cl100k_base.tiktoken');
+    expect(countTokens('abc abc', 'gpt-4')).toBe(2);
+    expect(TokenizerRegistry.getTokenizer('gpt-4')).toBeInstanceOf(BPETokenizer);
+  });
+
+  it('should only download vocabularies once autoload is turned on', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => TOY_HF_TOKENIZER
+    });
+
+    countTokens('abc', 'deepseek-chat');
+    expect(fetch).not.toHaveBeenCalled();
+
+    TokenizerRegistry.setAutoload(true);
+    countTokens('abc', 'deepseek-chat');
+    await TokenizerRegistry.load('deepseek-chat');
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith('https://example.com/tokenizer.json');
+    expect(countTokens('abc abc', 'deepseek-chat')).toBe(2);
+  });
+
+  it('should reject when a vocabulary is not configured', async () => {
+    await expect(TokenizerRegistry.load('gpt-4o')).rejects.toThrow('No vocabulary configured');
+  });
+
+  it('should use registered tokenizers for a family', () => {
+    TokenizerRegistry.registerTokenizer('deepseek', { count: () => 42, truncate: text => text });
+
+    expect(countTokens('hello', 'deepseek-chat')).toBe(42);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Import Formats Test Suite
+ * Format detection, converters from other assistants and duplicate handling
+ */
+
+import {
+  detectImportFormat,
+  parseImportFile,
+  fromChatGPT,
+  fromClaude,
+  fromMarkdown,
+  isDuplicateConversation,
+  selectNewMessages,
+  getLastMessageTime
+} from '../../../src/utils/importFormats.js';
+import ImportManager from '../../../src/utils/ImportManager.js';
+
+const node = (id, parent, children, role, text, extra = {}) => ({
+  id,
+  parent,
+  children,
+  message: role ? {
+    id,
+    author: { role },
+    content: { content_type: 'text', parts: [text] },
+    create_time: 1718000000 + children.length,
+    metadata: extra
+  } : null
+});
+
+// A regenerated answer branches the tree after the question
+const chatgptExport = [{
+  id: 'chat-1',
+  title: 'Regex help',
+  create_time: 1718000000,
+  update_time: 1718000600,
+  current_node: 'a2',
+  mapping: {
+    root: node('root', null, ['sys'], null),
+    sys: node('sys', 'root', ['q'], 'system', '', { is_visually_hidden_from_conversation: true }),
+    q: node('q', 'sys', ['a1', 'a2'], 'user', 'Match a date?'),
+    a1: node('a1', 'q', [], 'assistant', 'First try', { model_slug: 'gpt-4' }),
+    a2: node('a2', 'q', [], 'assistant', 'Use \\d{4}-\\d{2}-\\d{2}', { model_slug: 'gpt-4o' })
+  }
+}];
+
+const claudeExport = [{
+  uuid: 'c-1',
+  name: '',
+  created_at: '2024-06-10T09:00:00Z',
+  updated_at: '2024-06-10T09:05:00Z',
+  chat_messages: [
+    { uuid: 'm1', sender: 'human', text: 'Summarize this page', created_at: '2024-06-10T09:00:00Z' },
+    {
+      uuid: 'm2',
+      sender: 'assistant',
+      text: '',
+      content: [{ type: 'text', text: 'It explains caching.' }],
+      created_at: '2024-06-10T09:01:00Z'
+    }
+  ]
+}];
+
+describe('Import format detection', () => {
+  it('should tell the formats apart', () => {
+    expect(detectImportFormat(JSON.stringify(chatgptExport))).toBe('chatgpt');
+    expect(detectImportFormat(JSON.stringify(claudeExport))).toBe('claude');
+    expect(detectImportFormat('{"version":"2.0","conversations":[]}')).toBe('json');
+    expect(detectImportFormat('## User\nHi\n\n## Assistant\nHello')).toBe('markdown');
+    expect(() => detectImportFormat('just some notes')).toThrow('Unrecognized import file');
+  });
+});
+
+describe('Converters', () => {
+  it('should keep the branch of a ChatGPT conversation that was last shown', () => {
+    const [conversation] = fromChatGPT(chatgptExport);
+
+    expect(conversation).toEqual(expect.objectContaining({
+      id: 'chat-1',
+      title: 'Regex help',
+      createdAt: 1718000000000,
+      metadata: { source: 'chatgpt', originalId: 'chat-1', model: 'gpt-4o' }
+    }));
+    expect(conversation.messages.map(m => [m.role, m.content])).toEqual([
+      ['user', 'Match a date?'],
+      ['assistant', 'Use \\d{4}-\\d{2}-\\d{2}']
+    ]);
+  });
+
+  it('should convert Claude exports and name untitled conversations', () => {
+    const [conversation] = fromClaude(claudeExport);
+
+    expect(conversation.title).toBe('Summarize this page');
+    expect(conversation.createdAt).toBe(Date.parse('2024-06-10T09:00:00Z'));
+    expect(conversation.messages.map(m => [m.role, m.content])).toEqual([
+      ['user', 'Summarize this page'],
+      ['assistant', 'It explains caching.']
+    ]);
+  });
+
+  it('should read our own Markdown export back', () => {
+    const markdown = [
+      '# DeepWeb Conversation Export',
+      '',
+      '**Exported:** 2024-06-15T10:00:00.000Z',
+      '',
+      '---',
+      '',
+      '## First',
+      '',
+      '*Created: 2024-06-14T08:00:00.000Z*',
+      '',
+      '### USER',
+      '*2024-06-14T08:00:00.000Z*',
+      '',
+      'How do I list files?',
+      '',
+      '### ASSISTANT',
+      '```bash',
+      '## not a heading',
+      'ls -la',
+      '```',
+      '',
+      '---',
+      '',
+      '## Second',
+      '',
+      '### USER',
+      'Thanks',
+      '',
+      '---',
+      ''
+    ].join('\n');
+
+    const conversations = fromMarkdown(markdown);
+
+    expect(conversations.map(c => c.title)).toEqual(['First', 'Second']);
+    expect(conversations[0].createdAt).toBe(Date.parse('2024-06-14T08:00:00.000Z'));
+    expect(conversations[0].messages).toEqual([
+      expect.objectContaining({ role: 'user', content: 'How do I list files?' }),
+      expect.objectContaining({ role: 'assistant', content: '```bash\n## not a heading\nls -la\n```' })
+    ]);
+    expect(conversations[1].messages).toEqual([
+      expect.objectContaining({ role: 'user', content: 'Thanks' })
+    ]);
+  });
+
+  it('should read speaker labels in plain transcripts', () => {
+    const { format, data } = parseImportFile(
+      'Human: What is a closure?\n\n**Claude:** A function with its scope.\nIt keeps variables alive.'
+    );
+
+    expect(format).toBe('markdown');
+    expect(data.conversations[0].messages.map(m => [m.role, m.content])).toEqual([
+      ['user', 'What is a closure?'],
+      ['assistant', 'A function with its scope.\nIt keeps variables alive.']
+    ]);
+  });
+});
+
+describe('Duplicates', () => {
+  it('should match on ID, or on title within an hour', () => {
+    const imported = { id: 'chat-1', title: 'Regex help', createdAt: 1718000000000 };
+
+    expect(isDuplicateConversation({ id: 'chat-1', title: 'Other' }, imported)).toBe(true);
+    expect(isDuplicateConversation({
+      id: 'conv_9',
+      title: 'Regex help',
+      createdAt: new Date(1718000000000 + 60000).toISOString()
+    }, imported)).toBe(true);
+    expect(isDuplicateConversation({
+      id: 'conv_9',
+      title: 'Regex help',
+      createdAt: 1718000000000 + 7200000
+    }, imported)).toBe(false);
+  });
+
+  it('should only add messages that are not stored yet', () => {
+    expect(selectNewMessages(
+      [{ role: 'user', content: 'Hi' }],
+      [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }]
+    )).toEqual([{ role: 'assistant', content: 'Hello' }]);
+  });
+
+  it('should find the latest message time in ISO or numeric timestamps', () => {
+    expect(getLastMessageTime([
+      { timestamp: '2024-06-10T08:00:00.000Z' },
+      { timestamp: Date.parse('2024-06-10T09:30:00.000Z') },
+      { timestamp: 'not a date' },
+      { timestamp: '2024-06-10T09:00:00.000Z' }
+    ])).toBe(Date.parse('2024-06-10T09:30:00.000Z'));
+    expect(getLastMessageTime([{ timestamp: '2024-06-11T10:00:00Z' }]))
+      .toBe(Date.parse('2024-06-11T10:00:00Z'));
+    expect(getLastMessageTime([{ timestamp: 'yesterday' }])).toBe(0);
+  });
+
+  it('should merge a re-imported ChatGPT conversation through the import manager', async () => {
+    const manager = new ImportManager();
+    const existing = { id: 'conv_1', title: 'Regex help', createdAt: 1718000000000 };
+    manager.conversationManager.get = jest.fn().mockResolvedValue(null);
+    manager.conversationManager.search = jest.fn().mockResolvedValue([existing]);
+    manager.messageManager.list = jest.fn().mockResolvedValue({
+      items: [{ role: 'user', content: 'Match a date?' }]
+    });
+    manager.messageManager.add = jest.fn().mockResolvedValue({});
+
+    const result = await manager.import({
+      data: JSON.stringify(chatgptExport),
+      duplicateStrategy: 'merge'
+    });
+
+    expect(result.summary.actions.merged).toBe(1);
+    expect(manager.messageManager.add).toHaveBeenCalledTimes(1);
+    expect(manager.messageManager.add).toHaveBeenCalledWith('conv_1', expect.objectContaining({
+      role: 'assistant',
+      content: 'Use \\d{4}-\\d{2}-\\d{2}'
+    }));
+  });
+});
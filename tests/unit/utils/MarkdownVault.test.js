@@ -0,0 +1,126 @@
+/**
+ * Markdown Vault Test Suite
+ * Notes with front-matter and wiki-links, bundled in a ZIP
+ */
+
+import { buildVaultNotes, convertToVault, getNoteName } from '../../../src/utils/markdownVault.js';
+import ZipWriter from '../../../src/utils/ZipWriter.js';
+
+// Entries of a stored ZIP, read back through the central directory
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    const nameLength = view.getUint16(position + 28, true);
+    const size = view.getUint32(position + 24, true);
+    const offset = view.getUint32(position + 42, true);
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    entries.push({
+      name: decoder.decode(bytes.slice(position + 46, position + 46 + nameLength)),
+      crc: view.getUint32(position + 16, true),
+      signature: view.getUint32(offset, true),
+      content: decoder.decode(bytes.slice(dataStart, dataStart + size))
+    });
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+const conversations = [
+  {
+    id: 'conv_1',
+    title: 'Caching [draft] | notes',
+    createdAt: Date.UTC(2024, 5, 14, 8),
+    updatedAt: Date.UTC(2024, 5, 14, 9),
+    tags: ['web perf', 'http'],
+    parentConversationId: null,
+    metadata: { url: 'https://example.com/cache', model: 'deepseek-chat' },
+    messages: [
+      { role: 'user', content: 'How long should ETags live?', timestamp: Date.UTC(2024, 5, 14, 8) },
+      { role: 'assistant', content: 'As long as the resource does not change.', timestamp: 2 }
+    ]
+  },
+  {
+    id: 'conv_2',
+    title: 'Caching fork',
+    createdAt: Date.UTC(2024, 5, 15),
+    parentConversationId: 'conv_1',
+    metadata: {},
+    messages: [{ role: 'user', content: 'And for APIs?' }]
+  },
+  {
+    id: 'conv_3',
+    title: 'CDN setup',
+    createdAt: Date.UTC(2024, 5, 16),
+    metadata: {},
+    messages: [{ role: 'user', content: 'Which CDN?' }]
+  }
+];
+
+describe('Markdown vault notes', () => {
+  const notes = buildVaultNotes(conversations, {
+    related: new Map([['conv_1', ['conv_3', 'conv_2', 'conv_missing']]])
+  });
+
+  it('should name notes after the conversation ID', () => {
+    expect(notes.map(note => note.path)).toEqual([
+      'DeepWeb/deepweb-conv_1.md',
+      'DeepWeb/deepweb-conv_2.md',
+      'DeepWeb/deepweb-conv_3.md'
+    ]);
+    expect(getNoteName({ id: 'a/b c' })).toBe('deepweb-a-b-c');
+  });
+
+  it('should start each note with YAML front-matter', () => {
+    expect(notes[0].content.startsWith([
+      '---',
+      'title: "Caching [draft] | notes"',
+      'aliases: ["Caching [draft] | notes"]',
+      'tags: ["web-perf", "http"]',
+      'sources:',
+      '  - "https://example.com/cache"',
+      'model: "deepseek-chat"',
+      'created: 2024-06-14T08:00:00.000Z',
+      'updated: 2024-06-14T09:00:00.000Z',
+      'deepweb-id: "conv_1"',
+      '---',
+      '',
+      '# Caching [draft] | notes'
+    ].join('\n'))).toBe(true);
+    expect(notes[0].content).toContain('## User\n\nHow long should ETags live?');
+  });
+
+  it('should link forks both ways and related conversations in the export', () => {
+    expect(notes[0].content).toContain('## Forks\n\n- [[deepweb-conv_2|Caching fork]]');
+    expect(notes[0].content).toContain('## Related\n\n- [[deepweb-conv_3|CDN setup]]\n');
+    expect(notes[0].content).not.toContain('conv_missing');
+
+    expect(notes[1].content).toContain('forked-from: "[[deepweb-conv_1]]"');
+    expect(notes[1].content).toContain('> Forked from [[deepweb-conv_1|Caching draft notes]]');
+  });
+});
+
+describe('ZipWriter', () => {
+  it('should write stored entries with their CRC', () => {
+    const zip = new ZipWriter();
+    zip.addFile('hello.txt', 'hello');
+    zip.addFile('notes/é.md', new TextEncoder().encode('# é'));
+
+    expect(readZip(zip.output())).toEqual([
+      { name: 'hello.txt', crc: 0x3610a686, signature: 0x04034b50, content: 'hello' },
+      expect.objectContaining({ name: 'notes/é.md', content: '# é' })
+    ]);
+  });
+
+  it('should bundle a note per conversation', () => {
+    const entries = readZip(convertToVault({ conversations }, { includeTimestamps: true }));
+
+    expect(entries).toHaveLength(3);
+    expect(entries[0].content).toContain('## User\n*2024-06-14T08:00:00.000Z*');
+  });
+});
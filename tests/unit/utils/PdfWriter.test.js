@@ -0,0 +1,103 @@
+/**
+ * PDF Writer Test Suite
+ * Serialization, pagination and the conversation export layout
+ */
+
+import PdfWriter, { splitCodeBlocks } from '../../../src/utils/PdfWriter.js';
+import ExportManager from '../../../src/utils/ExportManager.js';
+
+const toText = bytes => String.fromCharCode(...bytes);
+
+const exportData = (messages, metadata = {}) => ({
+  exportedAt: '2024-06-15T10:30:00.000Z',
+  conversations: [{
+    id: 'conv_1',
+    title: 'Parsing (nested) braces',
+    createdAt: Date.UTC(2024, 5, 14, 8, 0),
+    metadata,
+    messages
+  }]
+});
+
+describe('PdfWriter', () => {
+  it('should write a PDF whose cross-reference table points at each object', () => {
+    const pdf = toText(new PdfWriter().output());
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+    const offsets = [...pdf.slice(xrefOffset).matchAll(/^(\d{10}) 00000 n $/gm)]
+      .map(match => Number(match[1]));
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+
+  it('should start new pages when the text runs out of room', () => {
+    const writer = new PdfWriter();
+    writer.paragraph(Array.from({ length: 150 }, (_, i) => `Line ${i}`).join('\n'));
+    const pdf = toText(writer.output());
+
+    expect(pdf).toContain('/Count 3');
+    expect(pdf).toContain('(Page 3 of 3) Tj');
+  });
+
+  it('should escape delimiters and replace characters the fonts cannot show', () => {
+    const writer = new PdfWriter();
+    writer.paragraph('f(x) = \\ “quoted” 日本');
+    const pdf = toText(writer.output());
+
+    expect(pdf).toContain('(f\\(x\\) = \\\\ \x93quoted\x94 ??) Tj');
+  });
+});
+
+describe('PDF export', () => {
+  it('should set fenced code in monospace under a metadata header', () => {
+    const pdf = toText(PdfWriter.fromExport(exportData([{
+      role: 'assistant',
+      content: 'Use a stack:\n```js\nconst stack = [];\n```\nDone.'
+    }], { url: 'https://example.com/docs', model: 'deepseek-coder' })));
+
+    expect(pdf).toContain('/BaseFont /Courier');
+    expect(pdf).toContain('/F3 9 Tf');
+    expect(pdf).toContain('(const stack = [];) Tj');
+    expect(pdf).toContain('(URL: https://example.com/docs) Tj');
+    expect(pdf).toContain('(Model: deepseek-coder) Tj');
+    expect(pdf).toContain('(Date: 2024-06-14 08:00 UTC) Tj');
+    expect(pdf).toContain('(Parsing \\(nested\\) braces) Tj');
+  });
+
+  it('should split messages into prose and code blocks', () => {
+    expect(splitCodeBlocks('a\n```py\nx = 1\n```\nb')).toEqual([
+      { code: false, text: 'a\n' },
+      { code: true, text: 'x = 1' },
+      { code: false, text: '\nb' }
+    ]);
+  });
+
+  it('should apply the anonymization option', async () => {
+    const manager = new ExportManager();
+    manager.getConversationsToExport = jest.fn().mockResolvedValue([{
+      id: 'conv_1',
+      title: 'Support',
+      createdAt: Date.UTC(2024, 5, 14),
+      updatedAt: Date.UTC(2024, 5, 14),
+      metadata: { url: 'https://example.com/account' }
+    }]);
+    manager.messageManager.list = jest.fn().mockResolvedValue({
+      items: [{ role: 'user', content: 'Mail me at jane@example.com', timestamp: 1 }]
+    });
+
+    const result = await manager.export({ format: 'pdf', anonymize: true });
+    const pdf = toText(result.data);
+
+    expect(result.mimeType).toBe('application/pdf');
+    expect(result.filename).toMatch(/\.pdf$/);
+    expect(pdf).toContain('(Mail me at [EMAIL]) Tj');
+    expect(pdf).toContain('(URL: [ANONYMIZED_URL]) Tj');
+    expect(pdf).not.toContain('jane@example.com');
+  });
+});